@@ -33,6 +33,45 @@ CREATE TABLE users (
   INDEX idx_activo (activo)
 ) ENGINE=InnoDB;
 
+-- ============================================
+-- TABLA: tax_categories
+-- Categorías de IVA asignables a productos
+-- ============================================
+CREATE TABLE tax_categories (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  codigo VARCHAR(20) NOT NULL UNIQUE,
+  nombre VARCHAR(100) NOT NULL,
+  tipo ENUM('gravado', 'tasa_cero', 'exento') NOT NULL DEFAULT 'gravado',
+  tasa DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (tasa BETWEEN 0 AND 100),
+  por_defecto BOOLEAN NOT NULL DEFAULT FALSE,
+  activo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  CHECK (tipo = 'gravado' OR tasa = 0)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: categories
+-- Árbol de categorías del catálogo (parent_id NULL = categoría raíz)
+-- ============================================
+CREATE TABLE categories (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  slug VARCHAR(120) NOT NULL UNIQUE COMMENT 'Identificador para filtros y URLs',
+  parent_id INT NULL,
+  descripcion TEXT,
+  activo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Claves foráneas
+  FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Índices
+  INDEX idx_parent (parent_id)
+) ENGINE=InnoDB;
+
 -- ============================================
 -- TABLA: products
 -- Almacena el inventario de productos
@@ -42,21 +81,263 @@ CREATE TABLE products (
   numero_lote VARCHAR(50) NOT NULL UNIQUE,
   nombre VARCHAR(200) NOT NULL,
   precio DECIMAL(10,2) NOT NULL CHECK (precio > 0),
+  costo DECIMAL(10,2) NULL COMMENT 'Costo unitario promedio ponderado en moneda base' CHECK (costo >= 0),
   cantidad_disponible INT NOT NULL DEFAULT 0 CHECK (cantidad_disponible >= 0),
+  cantidad_reservada INT NOT NULL DEFAULT 0 CHECK (cantidad_reservada >= 0),
+  stock_minimo INT NOT NULL DEFAULT 0 COMMENT 'Stock de seguridad: debajo la alerta es crítica' CHECK (stock_minimo >= 0),
+  punto_reorden INT NOT NULL DEFAULT 10 COMMENT 'Debajo de este nivel se abre una alerta de stock',
+  cantidad_reorden INT NOT NULL DEFAULT 0 COMMENT 'Unidades a pedir al reponer' CHECK (cantidad_reorden >= 0),
   fecha_ingreso DATE NOT NULL DEFAULT (CURRENT_DATE),
   descripcion TEXT,
+  sku VARCHAR(50) NULL UNIQUE,
+  parent_id INT NULL COMMENT 'Producto padre del que es variante',
+  atributos_variante JSON NULL COMMENT 'Atributos que distinguen a las variantes (el padre no tiene stock propio)',
+  atributos JSON NULL COMMENT 'Valor de cada atributo del padre en una variante',
+  hereda_precio BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Variante sin precio propio: sigue al padre',
+  es_kit BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Kit sin stock propio: se vende con el stock de sus componentes',
+  unidad_base VARCHAR(20) NOT NULL DEFAULT 'unidad' COMMENT 'Unidad en que se lleva el stock',
+  tax_category_id INT NULL,
+  category_id INT NULL COMMENT 'Categoría del catálogo (no confundir con la categoría de IVA)',
+  precio_incluye_iva BOOLEAN NOT NULL DEFAULT TRUE,
+  permite_backorder BOOLEAN NOT NULL DEFAULT FALSE,
   activo BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   
+  -- Claves foráneas
+  FOREIGN KEY (tax_category_id) REFERENCES tax_categories(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (parent_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  
   -- Índices
   INDEX idx_numero_lote (numero_lote),
+  INDEX idx_category (category_id),
+  INDEX idx_parent (parent_id),
   INDEX idx_nombre (nombre),
   INDEX idx_activo (activo),
   INDEX idx_fecha_ingreso (fecha_ingreso),
   
   -- Full-text search para búsquedas
-  FULLTEXT idx_search (nombre, descripcion)
+  FULLTEXT idx_search (nombre, descripcion),
+
+  CHECK (punto_reorden >= stock_minimo),
+  CHECK (es_kit = FALSE OR atributos_variante IS NULL)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: bundle_components
+-- Lista de materiales de cada kit
+-- ============================================
+CREATE TABLE bundle_components (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  bundle_id INT NOT NULL,
+  component_id INT NOT NULL,
+  cantidad INT NOT NULL DEFAULT 1 COMMENT 'Unidades del componente por cada kit' CHECK (cantidad > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Claves foráneas
+  FOREIGN KEY (bundle_id) REFERENCES products(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (component_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Índices
+  UNIQUE KEY uk_bundle_component (bundle_id, component_id),
+  INDEX idx_component (component_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: product_units
+-- Unidades alternativas de venta y de compra (paquete, caja...)
+-- ============================================
+CREATE TABLE product_units (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  nombre VARCHAR(20) NOT NULL,
+  factor INT NOT NULL COMMENT 'Unidades base que contiene una unidad' CHECK (factor > 1),
+  precio DECIMAL(10,2) NULL COMMENT 'Precio propio; sin él se vende a precio base × factor' CHECK (precio > 0),
+  venta BOOLEAN NOT NULL DEFAULT TRUE,
+  compra BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Claves foráneas
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE ON UPDATE CASCADE,
+
+  -- Índices
+  UNIQUE KEY uk_product_unit (product_id, nombre),
+
+  CHECK (venta OR compra)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: tags
+-- Etiquetas libres de productos (nombre en minúsculas)
+-- ============================================
+CREATE TABLE tags (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  nombre VARCHAR(50) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: product_tags
+-- Etiquetas asignadas a cada producto
+-- ============================================
+CREATE TABLE product_tags (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  tag_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  -- Claves foráneas
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE ON UPDATE CASCADE,
+
+  -- Índices
+  UNIQUE KEY uk_product_tag (product_id, tag_id),
+  INDEX idx_tag (tag_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: warehouses
+-- Almacenes y sucursales donde se guarda la mercadería
+-- ============================================
+CREATE TABLE warehouses (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  codigo VARCHAR(20) NOT NULL UNIQUE,
+  nombre VARCHAR(100) NOT NULL,
+  direccion VARCHAR(255) NULL,
+  por_defecto BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Almacén del que salen las ventas que no indican otro',
+  activo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: warehouse_stocks
+-- Stock de cada producto por almacén (la suma es products.cantidad_disponible)
+-- y lo reservado en él (la suma es products.cantidad_reservada)
+-- ============================================
+CREATE TABLE warehouse_stocks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  warehouse_id INT NOT NULL,
+  product_id INT NOT NULL,
+  cantidad INT NOT NULL DEFAULT 0 CHECK (cantidad >= 0),
+  cantidad_reservada INT NOT NULL DEFAULT 0 CHECK (cantidad_reservada >= 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  UNIQUE KEY uk_warehouse_product (warehouse_id, product_id),
+  INDEX idx_product_id (product_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: invoice_series
+-- Series de numeración correlativa de facturas y notas de crédito
+-- ============================================
+CREATE TABLE invoice_series (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  codigo VARCHAR(20) NOT NULL UNIQUE,
+  nombre VARCHAR(100) NOT NULL,
+  tipo ENUM('factura', 'nota_credito') NOT NULL,
+  prefijo VARCHAR(10) NOT NULL,
+  reinicio_anual BOOLEAN NOT NULL DEFAULT TRUE,
+  anio_actual INT NULL,
+  ultimo_numero INT NOT NULL DEFAULT 0 CHECK (ultimo_numero >= 0),
+  digitos INT NOT NULL DEFAULT 6 CHECK (digitos BETWEEN 1 AND 10),
+  por_defecto BOOLEAN NOT NULL DEFAULT FALSE,
+  activo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Índices
+  INDEX idx_tipo_por_defecto (tipo, por_defecto)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: coupons
+-- Cupones de descuento y promociones
+-- ============================================
+CREATE TABLE coupons (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  codigo VARCHAR(30) NOT NULL UNIQUE,
+  descripcion VARCHAR(255),
+  tipo ENUM('porcentaje', 'monto_fijo') NOT NULL,
+  valor DECIMAL(10,2) NOT NULL CHECK (valor > 0),
+  alcance ENUM('pedido', 'productos') NOT NULL DEFAULT 'pedido',
+  monto_minimo DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (monto_minimo >= 0),
+  fecha_inicio TIMESTAMP NULL,
+  fecha_fin TIMESTAMP NULL,
+  limite_usos INT NULL CHECK (limite_usos > 0),
+  limite_usos_por_cliente INT NULL CHECK (limite_usos_por_cliente > 0),
+  usos_actuales INT NOT NULL DEFAULT 0 CHECK (usos_actuales >= 0),
+  activo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Índices
+  INDEX idx_activo (activo),
+  INDEX idx_vigencia (fecha_inicio, fecha_fin),
+
+  CHECK (tipo <> 'porcentaje' OR valor <= 100)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: coupon_products
+-- Productos alcanzados por los cupones de alcance "productos"
+-- ============================================
+CREATE TABLE coupon_products (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  coupon_id INT NOT NULL,
+  product_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Claves foráneas
+  FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE ON UPDATE CASCADE,
+
+  -- Índices
+  UNIQUE KEY uk_coupon_product (coupon_id, product_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: currencies
+-- Monedas aceptadas (los precios están en la moneda base)
+-- ============================================
+CREATE TABLE currencies (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  codigo VARCHAR(3) NOT NULL UNIQUE,
+  nombre VARCHAR(50) NOT NULL,
+  simbolo VARCHAR(5) NOT NULL DEFAULT '$',
+  es_base BOOLEAN NOT NULL DEFAULT FALSE,
+  activo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: exchange_rates
+-- Historial de tipos de cambio (valor de 1 unidad en moneda base)
+-- ============================================
+CREATE TABLE exchange_rates (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  currency_id INT NOT NULL,
+  tasa DECIMAL(18,6) NOT NULL CHECK (tasa > 0),
+  fecha_vigencia TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fuente ENUM('manual', 'importacion') NOT NULL DEFAULT 'manual',
+  registrado_por INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (currency_id) REFERENCES currencies(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (registrado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  INDEX idx_currency_vigencia (currency_id, fecha_vigencia)
 ) ENGINE=InnoDB;
 
 -- ============================================
@@ -65,22 +346,48 @@ CREATE TABLE products (
 -- ============================================
 CREATE TABLE purchases (
   id INT AUTO_INCREMENT PRIMARY KEY,
-  user_id INT NOT NULL,
+  user_id INT NULL COMMENT 'NULL = consumidor final (venta de mostrador)',
+  vendedor_id INT NULL COMMENT 'Administrador que registró la venta de mostrador',
+  warehouse_id INT NULL COMMENT 'Almacén del que sale la mercadería',
   fecha_compra TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  total DECIMAL(12,2) NOT NULL CHECK (total > 0),
+  total DECIMAL(12,2) NOT NULL CHECK (total >= 0),
+  moneda VARCHAR(3) NOT NULL,
+  tasa_cambio DECIMAL(18,6) NOT NULL DEFAULT 1 CHECK (tasa_cambio > 0),
+  base_imponible DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total_iva DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (total_iva >= 0),
+  descuento DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (descuento >= 0),
+  coupon_id INT NULL,
+  codigo_cupon VARCHAR(30) NULL,
+  total_devuelto DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (total_devuelto >= 0),
+  total_pagado DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (total_pagado >= 0),
   estado ENUM('pendiente', 'completada', 'cancelada') DEFAULT 'completada',
+  estado_envio ENUM('preparando', 'embalado', 'enviado', 'entregado', 'devuelto') NULL COMMENT 'NULL mientras la compra no está completada',
+  transportista VARCHAR(100) NULL,
+  numero_seguimiento VARCHAR(100) NULL,
   numero_factura VARCHAR(50) NOT NULL UNIQUE,
+  cancelado_por INT NULL,
+  fecha_cancelacion TIMESTAMP NULL,
+  motivo_cancelacion TEXT,
+  reserva_expira_en TIMESTAMP NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   
-  -- Clave foránea
+  -- Claves foráneas
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (cancelado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (vendedor_id) REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE RESTRICT ON UPDATE CASCADE,
   
   -- Índices
   INDEX idx_user_id (user_id),
+  INDEX idx_vendedor_id (vendedor_id),
+  INDEX idx_warehouse_id (warehouse_id),
   INDEX idx_fecha_compra (fecha_compra),
   INDEX idx_numero_factura (numero_factura),
-  INDEX idx_estado (estado)
+  INDEX idx_estado (estado),
+  INDEX idx_estado_reserva (estado, reserva_expira_en),
+  INDEX idx_estado_envio (estado, estado_envio)
 ) ENGINE=InnoDB;
 
 -- ============================================
@@ -92,21 +399,598 @@ CREATE TABLE purchase_details (
   purchase_id INT NOT NULL,
   product_id INT NOT NULL,
   cantidad INT NOT NULL CHECK (cantidad > 0),
+  unidad VARCHAR(20) NOT NULL DEFAULT 'unidad' COMMENT 'Unidad en que se vendió la línea',
+  factor_unidad INT NOT NULL DEFAULT 1 COMMENT 'Unidades base por unidad de la línea' CHECK (factor_unidad > 0),
   precio_unitario DECIMAL(10,2) NOT NULL CHECK (precio_unitario > 0),
   subtotal DECIMAL(12,2) NOT NULL CHECK (subtotal > 0),
+  descuento DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (descuento >= 0),
+  tax_category_id INT NULL,
+  tasa_iva DECIMAL(5,2) NOT NULL DEFAULT 0,
+  precio_incluye_iva BOOLEAN NOT NULL DEFAULT TRUE,
+  base_imponible DECIMAL(12,2) NOT NULL DEFAULT 0,
+  monto_iva DECIMAL(12,2) NOT NULL DEFAULT 0,
+  total_linea DECIMAL(12,2) NOT NULL DEFAULT 0,
+  cantidad_devuelta INT NOT NULL DEFAULT 0 CHECK (cantidad_devuelta >= 0),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   
   -- Claves foráneas
   FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE CASCADE ON UPDATE CASCADE,
   FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (tax_category_id) REFERENCES tax_categories(id) ON DELETE SET NULL ON UPDATE CASCADE,
   
   -- Índices
   INDEX idx_purchase_id (purchase_id),
   INDEX idx_product_id (product_id),
   
   -- Índice compuesto para consultas frecuentes
-  INDEX idx_purchase_product (purchase_id, product_id)
+  INDEX idx_purchase_product (purchase_id, product_id),
+
+  CHECK (cantidad_devuelta <= cantidad),
+  CHECK (descuento <= subtotal)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: purchase_taxes
+-- Desglose de IVA de cada compra por categoría
+-- ============================================
+CREATE TABLE purchase_taxes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  purchase_id INT NOT NULL,
+  tax_category_id INT NULL,
+  nombre VARCHAR(100) NOT NULL,
+  tipo ENUM('gravado', 'tasa_cero', 'exento') NOT NULL,
+  tasa DECIMAL(5,2) NOT NULL,
+  base_imponible DECIMAL(12,2) NOT NULL,
+  monto_iva DECIMAL(12,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Claves foráneas
+  FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (tax_category_id) REFERENCES tax_categories(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  -- Índices
+  INDEX idx_purchase_id (purchase_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: coupon_usages
+-- Usos de cupones (uno por compra); se anulan al cancelar la compra
+-- ============================================
+CREATE TABLE coupon_usages (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  coupon_id INT NOT NULL,
+  purchase_id INT NOT NULL UNIQUE,
+  user_id INT NULL,
+  descuento DECIMAL(12,2) NOT NULL,
+  anulado BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Claves foráneas
+  FOREIGN KEY (coupon_id) REFERENCES coupons(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Índices
+  INDEX idx_coupon_user (coupon_id, user_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: payments
+-- Pagos de cada compra (monto negativo = reintegro)
+-- ============================================
+CREATE TABLE payments (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  purchase_id INT NOT NULL,
+  metodo ENUM('efectivo', 'tarjeta', 'transferencia', 'credito_tienda') NOT NULL,
+  monto DECIMAL(12,2) NOT NULL CHECK (monto <> 0),
+  referencia VARCHAR(100) NULL,
+  fecha_pago TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  registrado_por INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (registrado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  INDEX idx_purchase_id (purchase_id),
+  INDEX idx_fecha_pago (fecha_pago)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: fulfillment_events
+-- Historial de preparación y envío de cada compra
+-- ============================================
+CREATE TABLE fulfillment_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  purchase_id INT NOT NULL,
+  estado_anterior ENUM('preparando', 'embalado', 'enviado', 'entregado', 'devuelto') NULL,
+  estado ENUM('preparando', 'embalado', 'enviado', 'entregado', 'devuelto') NOT NULL,
+  transportista VARCHAR(100) NULL,
+  numero_seguimiento VARCHAR(100) NULL,
+  notas TEXT,
+  registrado_por INT NULL,
+  fecha TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (registrado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  INDEX idx_purchase_id (purchase_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: backorders
+-- Unidades compradas sin stock, pendientes de entrega (se surten FIFO)
+-- ============================================
+CREATE TABLE backorders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  purchase_id INT NOT NULL,
+  purchase_detail_id INT NOT NULL UNIQUE,
+  product_id INT NOT NULL,
+  user_id INT NULL,
+  cantidad INT NOT NULL CHECK (cantidad > 0),
+  cantidad_surtida INT NOT NULL DEFAULT 0 CHECK (cantidad_surtida >= 0),
+  estado ENUM('pendiente', 'surtido', 'cancelado') NOT NULL DEFAULT 'pendiente',
+  fecha_surtido TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (purchase_detail_id) REFERENCES purchase_details(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  INDEX idx_product_estado (product_id, estado),
+  INDEX idx_purchase_id (purchase_id),
+  INDEX idx_user_id (user_id),
+
+  CHECK (cantidad_surtida <= cantidad)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: lots
+-- Lotes de cada producto con vencimiento y costo (se consumen FEFO)
+-- ============================================
+CREATE TABLE lots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  warehouse_id INT NOT NULL COMMENT 'Almacén donde están las unidades del lote',
+  numero_lote VARCHAR(50) NOT NULL,
+  cantidad_recibida INT NOT NULL CHECK (cantidad_recibida > 0),
+  cantidad_restante INT NOT NULL DEFAULT 0 CHECK (cantidad_restante >= 0),
+  fecha_vencimiento DATE NULL,
+  costo DECIMAL(10,2) NULL CHECK (costo >= 0),
+  fecha_ingreso TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Un lote transferido tiene una fila con el mismo número en cada almacén
+  UNIQUE KEY uk_product_warehouse_lote (product_id, warehouse_id, numero_lote),
+  INDEX idx_warehouse_id (warehouse_id),
+  INDEX idx_fecha_vencimiento (fecha_vencimiento),
+
+  CHECK (cantidad_restante <= cantidad_recibida)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: purchase_detail_lots
+-- Unidades de cada lote consumidas por una línea de compra
+-- ============================================
+CREATE TABLE purchase_detail_lots (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  purchase_detail_id INT NOT NULL,
+  lot_id INT NOT NULL,
+  cantidad INT NOT NULL CHECK (cantidad > 0),
+  cantidad_restituida INT NOT NULL DEFAULT 0 CHECK (cantidad_restituida >= 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (purchase_detail_id) REFERENCES purchase_details(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (lot_id) REFERENCES lots(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  INDEX idx_purchase_detail_id (purchase_detail_id),
+  INDEX idx_lot_id (lot_id),
+
+  CHECK (cantidad_restituida <= cantidad)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: purchase_detail_components
+-- Composición de un kit al momento de venderse en una línea de compra
+-- ============================================
+CREATE TABLE purchase_detail_components (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  purchase_detail_id INT NOT NULL,
+  product_id INT NOT NULL,
+  cantidad INT NOT NULL COMMENT 'Unidades del componente por cada kit de la línea' CHECK (cantidad > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (purchase_detail_id) REFERENCES purchase_details(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  INDEX idx_purchase_detail_id (purchase_detail_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: stock_movements
+-- Kardex: cada cambio de cantidad_disponible con su saldo resultante (solo inserción)
+-- ============================================
+CREATE TABLE stock_movements (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  cantidad INT NOT NULL CHECK (cantidad <> 0),
+  saldo INT NOT NULL,
+  motivo ENUM('venta', 'cancelacion', 'devolucion', 'ajuste', 'ingreso', 'transferencia') NOT NULL,
+  warehouse_id INT NULL,
+  documento_tipo VARCHAR(30) NULL,
+  documento_id INT NULL,
+  notas VARCHAR(255) NULL,
+  user_id INT NULL,
+  fecha TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  INDEX idx_product_fecha (product_id, fecha),
+  INDEX idx_documento (documento_tipo, documento_id),
+  INDEX idx_warehouse_id (warehouse_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: scheduled_prices
+-- Cambios de precio programados (con fecha de fin, promociones temporales)
+-- ============================================
+CREATE TABLE scheduled_prices (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  precio DECIMAL(10,2) NOT NULL CHECK (precio > 0),
+  fecha_inicio DATETIME NOT NULL,
+  fecha_fin DATETIME NULL COMMENT 'Fin de la promoción: se restituye precio_anterior',
+  estado ENUM('pendiente', 'activo', 'finalizado', 'cancelado') NOT NULL DEFAULT 'pendiente',
+  precio_anterior DECIMAL(10,2) NULL COMMENT 'Precio del producto al aplicarse el cambio',
+  notas VARCHAR(255) NULL,
+  creado_por INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (creado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  INDEX idx_product_estado (product_id, estado),
+  INDEX idx_estado_inicio (estado, fecha_inicio),
+
+  CHECK (fecha_fin IS NULL OR fecha_fin > fecha_inicio)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: price_changes
+-- Historial de precios: cada cambio de precio de un producto (solo inserción)
+-- ============================================
+CREATE TABLE price_changes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  precio_anterior DECIMAL(10,2) NOT NULL,
+  precio_nuevo DECIMAL(10,2) NOT NULL,
+  motivo ENUM('manual', 'programado', 'fin_programado', 'producto_padre') NOT NULL,
+  scheduled_price_id INT NULL,
+  user_id INT NULL,
+  fecha TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (scheduled_price_id) REFERENCES scheduled_prices(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  INDEX idx_product_fecha (product_id, fecha),
+  INDEX idx_scheduled_price_id (scheduled_price_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: stock_alerts
+-- Alertas de productos bajo su punto de reorden (una activa por producto)
+-- ============================================
+CREATE TABLE stock_alerts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  product_id INT NOT NULL,
+  nivel ENUM('reorden', 'critico') NOT NULL DEFAULT 'reorden',
+  estado ENUM('abierta', 'reconocida', 'resuelta') NOT NULL DEFAULT 'abierta',
+  cantidad INT NOT NULL COMMENT 'Stock disponible al abrir la alerta',
+  punto_reorden INT NOT NULL,
+  stock_minimo INT NOT NULL,
+  stock_movement_id INT NULL COMMENT 'Movimiento que dejó el producto bajo el umbral',
+  reconocida_por INT NULL,
+  fecha_reconocida TIMESTAMP NULL,
+  fecha_resuelta TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (stock_movement_id) REFERENCES stock_movements(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (reconocida_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  INDEX idx_product_estado (product_id, estado),
+  INDEX idx_estado (estado)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: transfers
+-- Transferencias de mercadería entre almacenes (despacho y recepción)
+-- ============================================
+CREATE TABLE transfers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  origen_id INT NOT NULL,
+  destino_id INT NOT NULL,
+  estado ENUM('pendiente', 'despachada', 'recibida', 'cancelada') NOT NULL DEFAULT 'pendiente',
+  notas TEXT,
+  creado_por INT NULL,
+  despachado_por INT NULL,
+  fecha_despacho TIMESTAMP NULL,
+  recibido_por INT NULL,
+  fecha_recepcion TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (origen_id) REFERENCES warehouses(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (destino_id) REFERENCES warehouses(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (creado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (despachado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (recibido_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  INDEX idx_estado (estado),
+  INDEX idx_origen_id (origen_id),
+  INDEX idx_destino_id (destino_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: transfer_details
+-- Productos y cantidades de cada transferencia
+-- ============================================
+CREATE TABLE transfer_details (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  transfer_id INT NOT NULL,
+  product_id INT NOT NULL,
+  cantidad INT NOT NULL CHECK (cantidad > 0),
+  lotes JSON NULL COMMENT 'Lotes de origen de las unidades despachadas',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (transfer_id) REFERENCES transfers(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  INDEX idx_transfer_id (transfer_id),
+  INDEX idx_product_id (product_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: inventory_counts
+-- Sesiones de conteo físico de inventario por almacén
+-- ============================================
+CREATE TABLE inventory_counts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  warehouse_id INT NOT NULL,
+  estado ENUM('abierto', 'cerrado', 'cancelado') NOT NULL DEFAULT 'abierto',
+  congelado BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Cantidades esperadas tomadas al abrir la sesión',
+  notas TEXT,
+  abierto_por INT NULL,
+  fecha_apertura TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  cerrado_por INT NULL,
+  fecha_cierre TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (abierto_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (cerrado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  INDEX idx_warehouse_estado (warehouse_id, estado)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: inventory_count_items
+-- Cantidad esperada, contada y ajuste de cada producto de una sesión de conteo
+-- ============================================
+CREATE TABLE inventory_count_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  inventory_count_id INT NOT NULL,
+  product_id INT NOT NULL,
+  cantidad_esperada INT NULL,
+  cantidad_contada INT NULL COMMENT 'NULL = sin contar' CHECK (cantidad_contada >= 0),
+  conteos INT NOT NULL DEFAULT 0,
+  contado_por INT NULL,
+  fecha_conteo TIMESTAMP NULL,
+  ajuste INT NULL COMMENT 'Ajuste registrado en el kardex al cerrar la sesión',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (inventory_count_id) REFERENCES inventory_counts(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (contado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  UNIQUE KEY uk_count_product (inventory_count_id, product_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: suppliers
+-- Proveedores de mercadería
+-- ============================================
+CREATE TABLE suppliers (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  codigo VARCHAR(20) NOT NULL UNIQUE,
+  nombre VARCHAR(200) NOT NULL,
+  identificacion_fiscal VARCHAR(30) NULL,
+  contacto VARCHAR(100) NULL,
+  email VARCHAR(100) NULL,
+  telefono VARCHAR(30) NULL,
+  direccion VARCHAR(255) NULL,
+  dias_entrega INT NULL COMMENT 'Plazo habitual de entrega' CHECK (dias_entrega >= 0),
+  activo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_nombre (nombre)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: supplier_orders
+-- Órdenes de compra a proveedores (borrador, enviada, parcial, recibida)
+-- ============================================
+CREATE TABLE supplier_orders (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  supplier_id INT NOT NULL,
+  warehouse_id INT NOT NULL COMMENT 'Almacén que recibe la mercadería',
+  estado ENUM('borrador', 'enviada', 'parcial', 'recibida', 'cancelada') NOT NULL DEFAULT 'borrador',
+  total DECIMAL(12,2) NOT NULL DEFAULT 0,
+  fecha_entrega_esperada DATE NULL,
+  notas TEXT,
+  creado_por INT NULL,
+  enviado_por INT NULL,
+  fecha_envio TIMESTAMP NULL,
+  fecha_recepcion TIMESTAMP NULL,
+  fecha_cancelacion TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (supplier_id) REFERENCES suppliers(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (warehouse_id) REFERENCES warehouses(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (creado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+  FOREIGN KEY (enviado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  INDEX idx_supplier_estado (supplier_id, estado),
+  INDEX idx_estado (estado)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: supplier_order_details
+-- Productos pedidos en cada orden de compra y lo recibido
+-- ============================================
+CREATE TABLE supplier_order_details (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  supplier_order_id INT NOT NULL,
+  product_id INT NOT NULL,
+  cantidad INT NOT NULL CHECK (cantidad > 0),
+  cantidad_recibida INT NOT NULL DEFAULT 0 CHECK (cantidad_recibida >= 0),
+  unidad VARCHAR(20) NOT NULL DEFAULT 'unidad' COMMENT 'Unidad en que se pidió la línea',
+  factor_unidad INT NOT NULL DEFAULT 1 COMMENT 'Unidades base por unidad de la línea' CHECK (factor_unidad > 0),
+  costo_unitario DECIMAL(10,2) NOT NULL CHECK (costo_unitario >= 0),
+  subtotal DECIMAL(12,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (supplier_order_id) REFERENCES supplier_orders(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  UNIQUE KEY uk_order_product (supplier_order_id, product_id),
+  INDEX idx_product_id (product_id),
+
+  CHECK (cantidad_recibida <= cantidad)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: credit_notes
+-- Notas de crédito emitidas por devoluciones
+-- ============================================
+CREATE TABLE credit_notes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  numero_nota VARCHAR(50) NOT NULL UNIQUE,
+  purchase_id INT NOT NULL,
+  numero_factura_origen VARCHAR(50) NOT NULL,
+  registrado_por INT NULL,
+  motivo TEXT NOT NULL,
+  reintegra_stock BOOLEAN NOT NULL DEFAULT TRUE,
+  total DECIMAL(12,2) NOT NULL CHECK (total >= 0),
+  fecha_emision TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Claves foráneas
+  FOREIGN KEY (purchase_id) REFERENCES purchases(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (registrado_por) REFERENCES users(id) ON DELETE SET NULL ON UPDATE CASCADE,
+
+  -- Índices
+  INDEX idx_purchase_id (purchase_id),
+  INDEX idx_numero_factura_origen (numero_factura_origen),
+  INDEX idx_fecha_emision (fecha_emision)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: credit_note_details
+-- Líneas devueltas de cada nota de crédito
+-- ============================================
+CREATE TABLE credit_note_details (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  credit_note_id INT NOT NULL,
+  purchase_detail_id INT NOT NULL,
+  product_id INT NOT NULL,
+  cantidad INT NOT NULL CHECK (cantidad > 0),
+  precio_unitario DECIMAL(10,2) NOT NULL,
+  subtotal DECIMAL(12,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Claves foráneas
+  FOREIGN KEY (credit_note_id) REFERENCES credit_notes(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (purchase_detail_id) REFERENCES purchase_details(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT ON UPDATE CASCADE,
+
+  -- Índices
+  INDEX idx_credit_note_id (credit_note_id),
+  INDEX idx_purchase_detail_id (purchase_detail_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: cart_items
+-- Carrito persistente de cada usuario
+-- ============================================
+CREATE TABLE cart_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  product_id INT NOT NULL,
+  cantidad INT NOT NULL CHECK (cantidad > 0),
+  unidad VARCHAR(20) NULL COMMENT 'Unidad de venta del ítem (NULL = unidad base del producto)',
+  precio_agregado DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Claves foráneas
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE ON UPDATE CASCADE,
+
+  -- Índices
+  UNIQUE KEY uk_user_product (user_id, product_id)
+) ENGINE=InnoDB;
+
+-- ============================================
+-- TABLA: idempotency_keys
+-- Respuestas guardadas por clave Idempotency-Key y usuario
+-- ============================================
+CREATE TABLE idempotency_keys (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  clave VARCHAR(255) NOT NULL,
+  ruta VARCHAR(200) NOT NULL,
+  hash_solicitud CHAR(64) NOT NULL,
+  estado ENUM('en_proceso', 'completada') NOT NULL DEFAULT 'en_proceso',
+  codigo_respuesta INT NULL,
+  cuerpo_respuesta JSON NULL,
+  expira_en TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  -- Clave foránea
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE ON UPDATE CASCADE,
+
+  -- Índices
+  UNIQUE KEY uk_user_clave (user_id, clave),
+  INDEX idx_expira_en (expira_en)
 ) ENGINE=InnoDB;
 
 -- ============================================
@@ -134,7 +1018,7 @@ DELIMITER ;
 -- VISTAS ÚTILES
 -- ============================================
 
--- Vista de productos con stock bajo
+-- Vista de productos bajo su punto de reorden
 CREATE VIEW productos_stock_bajo AS
 SELECT 
   id,
@@ -142,37 +1026,42 @@ SELECT
   nombre,
   precio,
   cantidad_disponible,
+  stock_minimo,
+  punto_reorden,
+  cantidad_reorden,
+  IF(cantidad_disponible < stock_minimo, 'critico', 'reorden') AS nivel,
   fecha_ingreso
 FROM products 
-WHERE cantidad_disponible < 10 AND activo = TRUE;
+WHERE cantidad_disponible < punto_reorden AND activo = TRUE;
 
--- Vista de resumen de ventas por producto
+-- Vista de resumen de ventas por producto en moneda base (excluye compras canceladas, descuentos y devoluciones)
 CREATE VIEW resumen_ventas_productos AS
 SELECT 
   p.id,
   p.numero_lote,
   p.nombre,
   COUNT(pd.id) as total_vendidos,
-  SUM(pd.cantidad) as cantidad_total_vendida,
-  SUM(pd.subtotal) as ingresos_totales,
-  AVG(pd.precio_unitario) as precio_promedio
+  SUM(pd.cantidad - pd.cantidad_devuelta) as cantidad_total_vendida,
+  SUM(pd.total_linea * pu.tasa_cambio * (pd.cantidad - pd.cantidad_devuelta) / pd.cantidad) as ingresos_totales,
+  AVG(pd.precio_unitario * pu.tasa_cambio) as precio_promedio
 FROM products p
-LEFT JOIN purchase_details pd ON p.id = pd.product_id
-LEFT JOIN purchases pu ON pd.purchase_id = pu.id
-WHERE pu.estado = 'completada'
+LEFT JOIN (
+  purchase_details pd
+  INNER JOIN purchases pu ON pd.purchase_id = pu.id AND pu.estado = 'completada'
+) ON p.id = pd.product_id
 GROUP BY p.id, p.numero_lote, p.nombre;
 
--- Vista de compras por usuario
+-- Vista de compras por usuario (importes en moneda base)
 CREATE VIEW compras_por_usuario AS
 SELECT 
   u.id as user_id,
   u.nombre,
   u.email,
   COUNT(pu.id) as total_compras,
-  SUM(pu.total) as total_gastado,
+  SUM((pu.total - pu.total_devuelto) * pu.tasa_cambio) as total_gastado,
   MAX(pu.fecha_compra) as ultima_compra
 FROM users u
-LEFT JOIN purchases pu ON u.id = pu.user_id
+LEFT JOIN purchases pu ON u.id = pu.user_id AND pu.estado <> 'cancelada'
 WHERE u.role = 'cliente' AND u.activo = TRUE
 GROUP BY u.id, u.nombre, u.email;
 
@@ -180,7 +1069,7 @@ GROUP BY u.id, u.nombre, u.email;
 -- PROCEDIMIENTOS ALMACENADOS
 -- ============================================
 
--- Procedimiento para obtener reporte de ventas por período
+-- Procedimiento para obtener reporte de ventas por período (importes en moneda base)
 DELIMITER $$
 CREATE PROCEDURE GetSalesReport(
   IN p_start_date DATE,
@@ -190,9 +1079,9 @@ BEGIN
   SELECT 
     DATE(pu.fecha_compra) as fecha,
     COUNT(pu.id) as total_compras,
-    SUM(pu.total) as total_ventas,
+    SUM((pu.total - pu.total_devuelto) * pu.tasa_cambio) as total_ventas,
     COUNT(DISTINCT pu.user_id) as clientes_unicos,
-    AVG(pu.total) as ticket_promedio
+    AVG((pu.total - pu.total_devuelto) * pu.tasa_cambio) as ticket_promedio
   FROM purchases pu
   WHERE pu.fecha_compra BETWEEN p_start_date AND p_end_date
     AND pu.estado = 'completada'
@@ -229,6 +1118,39 @@ INSERT INTO users (nombre, email, password, role) VALUES
 INSERT INTO users (nombre, email, password, role) VALUES 
 ('Cliente Prueba', 'cliente@test.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'cliente');
 
+-- Series de numeración por defecto
+INSERT INTO invoice_series (codigo, nombre, tipo, prefijo, reinicio_anual, anio_actual, por_defecto) VALUES
+('FAC', 'Facturas de venta', 'factura', 'FAC', TRUE, YEAR(CURRENT_DATE), TRUE),
+('NC', 'Notas de crédito', 'nota_credito', 'NC', TRUE, YEAR(CURRENT_DATE), TRUE);
+
+-- Categorías de IVA (la general se aplica a los productos sin categoría)
+INSERT INTO tax_categories (codigo, nombre, tipo, tasa, por_defecto) VALUES
+('IVA21', 'IVA general 21%', 'gravado', 21.00, TRUE),
+('IVA105', 'IVA reducido 10.5%', 'gravado', 10.50, FALSE),
+('CERO', 'Tasa cero', 'tasa_cero', 0, FALSE),
+('EXENTO', 'Exento de IVA', 'exento', 0, FALSE);
+
+-- Monedas (ARS es la moneda base)
+INSERT INTO currencies (codigo, nombre, simbolo, es_base) VALUES
+('ARS', 'Peso argentino', '$', TRUE),
+('USD', 'Dólar estadounidense', 'US$', FALSE);
+
+INSERT INTO exchange_rates (currency_id, tasa, fuente) VALUES
+((SELECT id FROM currencies WHERE codigo = 'USD'), 1000.000000, 'manual');
+
+-- Categorías de ejemplo (primero las raíces, luego sus subcategorías)
+INSERT INTO categories (nombre, slug) VALUES
+('Tecnología', 'tecnologia'),
+('Oficina', 'oficina'),
+('Hogar', 'hogar');
+
+INSERT INTO categories (nombre, slug, parent_id)
+SELECT 'Computadoras', 'computadoras', id FROM categories WHERE slug = 'tecnologia'
+UNION ALL SELECT 'Periféricos', 'perifericos', id FROM categories WHERE slug = 'tecnologia'
+UNION ALL SELECT 'Audio', 'audio', id FROM categories WHERE slug = 'tecnologia'
+UNION ALL SELECT 'Papelería', 'papeleria', id FROM categories WHERE slug = 'oficina'
+UNION ALL SELECT 'Cocina', 'cocina', id FROM categories WHERE slug = 'hogar';
+
 -- Productos de ejemplo
 INSERT INTO products (numero_lote, nombre, precio, cantidad_disponible, descripcion) VALUES
 ('TECH001', 'Laptop HP Pavilion 15.6"', 899.99, 15, 'Laptop HP Pavilion con procesador Intel Core i5, 8GB RAM, 256GB SSD'),
@@ -237,9 +1159,51 @@ INSERT INTO products (numero_lote, nombre, precio, cantidad_disponible, descripc
 ('TECH004', 'Monitor LED 24" Full HD', 189.99, 12, 'Monitor LED de 24 pulgadas con resolución Full HD 1920x1080'),
 ('TECH005', 'Auriculares Bluetooth', 59.99, 30, 'Auriculares inalámbricos con cancelación de ruido y hasta 20h de batería'),
 ('OFF001', 'Cuaderno Universitario A4', 4.99, 100, 'Cuaderno universitario de 100 hojas, rayado, tamaño A4'),
-('OFF002', 'Bolígrafo Azul Paquete 12u', 8.50, 75, 'Paquete de 12 bolígrafos de tinta azul, punta media'),
+('OFF002', 'Bolígrafo Azul', 0.80, 900, 'Bolígrafo de tinta azul, punta media'),
 ('HOME001', 'Cafetera Express 15 Bar', 159.99, 8, 'Cafetera express con bomba de 15 bares, incluye vaporizador para leche');
 
+UPDATE products p
+JOIN categories c ON c.slug = CASE
+  WHEN p.numero_lote = 'TECH001' THEN 'computadoras'
+  WHEN p.numero_lote = 'TECH005' THEN 'audio'
+  WHEN p.numero_lote LIKE 'TECH%' THEN 'perifericos'
+  WHEN p.numero_lote LIKE 'OFF%' THEN 'papeleria'
+  ELSE 'cocina'
+END
+SET p.category_id = c.id;
+
+-- El bolígrafo se vende suelto o en paquetes de 12 y se compra en cajas de 144
+INSERT INTO product_units (product_id, nombre, factor, precio, venta, compra)
+SELECT id, 'paquete', 12, 8.50, TRUE, TRUE FROM products WHERE numero_lote = 'OFF002'
+UNION ALL SELECT id, 'caja', 144, NULL, FALSE, TRUE FROM products WHERE numero_lote = 'OFF002';
+
+-- Almacén por defecto: recibe el stock inicial
+INSERT INTO warehouses (codigo, nombre, por_defecto) VALUES
+('CENTRAL', 'Almacén Central', TRUE);
+
+-- Stock inicial de los productos de ejemplo: primer lote e ingreso en el kardex
+INSERT INTO lots (product_id, warehouse_id, numero_lote, cantidad_recibida, cantidad_restante, fecha_ingreso)
+SELECT id, (SELECT id FROM warehouses WHERE codigo = 'CENTRAL'), numero_lote, cantidad_disponible, cantidad_disponible, fecha_ingreso
+FROM products
+WHERE cantidad_disponible > 0;
+
+INSERT INTO warehouse_stocks (warehouse_id, product_id, cantidad)
+SELECT (SELECT id FROM warehouses WHERE codigo = 'CENTRAL'), id, cantidad_disponible
+FROM products
+WHERE cantidad_disponible > 0;
+
+INSERT INTO stock_movements (product_id, cantidad, saldo, motivo, warehouse_id, documento_tipo, documento_id, notas)
+SELECT l.product_id, l.cantidad_recibida, l.cantidad_recibida, 'ingreso',
+  (SELECT id FROM warehouses WHERE codigo = 'CENTRAL'), 'lote', l.id, 'Stock inicial'
+FROM lots l;
+
+-- Alertas de los productos que quedan bajo su punto de reorden
+INSERT INTO stock_alerts (product_id, nivel, cantidad, punto_reorden, stock_minimo, stock_movement_id)
+SELECT p.id, IF(p.cantidad_disponible < p.stock_minimo, 'critico', 'reorden'), p.cantidad_disponible,
+  p.punto_reorden, p.stock_minimo, (SELECT MAX(m.id) FROM stock_movements m WHERE m.product_id = p.id)
+FROM products p
+WHERE p.cantidad_disponible < p.punto_reorden;
+
 -- ============================================
 -- VERIFICAR INSTALACIÓN
 -- ============================================
@@ -250,8 +1214,41 @@ SHOW TABLES;
 -- Mostrar estructura de tablas principales
 DESCRIBE users;
 DESCRIBE products;
+DESCRIBE categories;
+DESCRIBE tags;
+DESCRIBE product_tags;
+DESCRIBE bundle_components;
+DESCRIBE product_units;
 DESCRIBE purchases;
 DESCRIBE purchase_details;
+DESCRIBE invoice_series;
+DESCRIBE credit_notes;
+DESCRIBE credit_note_details;
+DESCRIBE coupons;
+DESCRIBE tax_categories;
+DESCRIBE purchase_taxes;
+DESCRIBE coupon_usages;
+DESCRIBE currencies;
+DESCRIBE exchange_rates;
+DESCRIBE payments;
+DESCRIBE fulfillment_events;
+DESCRIBE backorders;
+DESCRIBE stock_movements;
+DESCRIBE stock_alerts;
+DESCRIBE price_changes;
+DESCRIBE scheduled_prices;
+DESCRIBE lots;
+DESCRIBE purchase_detail_lots;
+DESCRIBE purchase_detail_components;
+DESCRIBE warehouses;
+DESCRIBE warehouse_stocks;
+DESCRIBE transfers;
+DESCRIBE transfer_details;
+DESCRIBE inventory_counts;
+DESCRIBE inventory_count_items;
+DESCRIBE suppliers;
+DESCRIBE supplier_orders;
+DESCRIBE supplier_order_details;
 
 -- Contar registros iniciales
 SELECT 'users' as tabla, COUNT(*) as registros FROM users
@@ -10,11 +10,24 @@ const path = require('path');
 const { sequelize } = require('./config/database');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
+const { startJobs, stopJobs } = require('./jobs');
 
 // Rutas
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
 const purchaseRoutes = require('./routes/purchases');
+const invoiceSeriesRoutes = require('./routes/invoiceSeries');
+const cartRoutes = require('./routes/cart');
+const couponRoutes = require('./routes/coupons');
+const taxCategoryRoutes = require('./routes/taxCategories');
+const currencyRoutes = require('./routes/currencies');
+const warehouseRoutes = require('./routes/warehouses');
+const transferRoutes = require('./routes/transfers');
+const inventoryCountRoutes = require('./routes/inventoryCounts');
+const supplierRoutes = require('./routes/suppliers');
+const supplierOrderRoutes = require('./routes/supplierOrders');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -62,6 +75,18 @@ app.use((req, res, next) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/purchases', purchaseRoutes);
+app.use('/api/invoice-series', invoiceSeriesRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/tax-categories', taxCategoryRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/inventory-counts', inventoryCountRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/supplier-orders', supplierOrderRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => res.json({ status: 'OK', timestamp: new Date().toISOString(), uptime: process.uptime(), environment: process.env.NODE_ENV || 'development', version: '1.0.0' }));
@@ -73,6 +98,7 @@ app.use('*', (req, res) => res.status(404).json({ success: false, message: 'Ruta
 // Shutdown graceful
 const shutdown = async () => {
   logger.info('Cerrando servidor...');
+  stopJobs();
   await sequelize.close();
   process.exit(0);
 };
@@ -97,6 +123,8 @@ const startServer = async () => {
     });
 
     server.timeout = 30000;
+
+    startJobs();
   } catch (error) {
     logger.error('Error al iniciar servidor:', error);
     process.exit(1);
@@ -0,0 +1,14 @@
+/**
+ * Datos de la empresa emisora que se imprimen en las facturas
+ */
+const company = {
+  nombre: process.env.COMPANY_NAME || 'Sistema de Inventario',
+  razon_social: process.env.COMPANY_LEGAL_NAME || process.env.COMPANY_NAME || 'Sistema de Inventario',
+  cuit: process.env.COMPANY_TAX_ID || '',
+  condicion_iva: process.env.COMPANY_TAX_CONDITION || 'Responsable Inscripto',
+  direccion: process.env.COMPANY_ADDRESS || '',
+  telefono: process.env.COMPANY_PHONE || '',
+  email: process.env.COMPANY_EMAIL || ''
+};
+
+module.exports = company;
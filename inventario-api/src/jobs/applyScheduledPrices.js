@@ -0,0 +1,16 @@
+const { ScheduledPrice } = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * Tarea periódica que aplica los cambios de precio programados que llegaron
+ * a su fecha de inicio y restituye el precio de las promociones terminadas
+ */
+const applyScheduledPrices = async () => {
+  const { aplicados, finalizados } = await ScheduledPrice.procesarVencidos();
+
+  if (aplicados > 0 || finalizados > 0) {
+    logger.info(`Precios programados: ${aplicados} aplicados, ${finalizados} promociones finalizadas`);
+  }
+};
+
+module.exports = applyScheduledPrices;
@@ -0,0 +1,16 @@
+const { Purchase } = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * Tarea periódica que libera el stock apartado por reservas vencidas
+ * y marca esas compras como canceladas
+ */
+const expireReservations = async () => {
+  const liberadas = await Purchase.expirarReservas();
+
+  if (liberadas > 0) {
+    logger.info(`Reservas expiradas liberadas: ${liberadas}`);
+  }
+};
+
+module.exports = expireReservations;
@@ -0,0 +1,66 @@
+const logger = require('../utils/logger');
+const expireReservations = require('./expireReservations');
+const purgeIdempotencyKeys = require('./purgeIdempotencyKeys');
+const applyScheduledPrices = require('./applyScheduledPrices');
+
+/**
+ * Tareas periódicas que se ejecutan mientras el servidor está activo
+ */
+const jobs = [
+  {
+    nombre: 'expirar-reservas',
+    tarea: expireReservations,
+    intervaloMs: (parseInt(process.env.RESERVATION_SWEEP_SECONDS, 10) || 60) * 1000
+  },
+  {
+    nombre: 'purgar-claves-idempotencia',
+    tarea: purgeIdempotencyKeys,
+    intervaloMs: 60 * 60 * 1000
+  },
+  {
+    nombre: 'aplicar-precios-programados',
+    tarea: applyScheduledPrices,
+    intervaloMs: (parseInt(process.env.PRICE_SCHEDULE_SWEEP_SECONDS, 10) || 60) * 1000
+  }
+];
+
+const timers = [];
+
+/**
+ * Iniciar todas las tareas periódicas
+ * Una ejecución no se solapa con la anterior si esta todavía no terminó
+ */
+const startJobs = () => {
+  for (const job of jobs) {
+    let enEjecucion = false;
+
+    const ejecutar = async () => {
+      if (enEjecucion) return;
+      enEjecucion = true;
+      try {
+        await job.tarea();
+      } catch (error) {
+        logger.error(`Error en tarea periódica ${job.nombre}:`, error);
+      } finally {
+        enEjecucion = false;
+      }
+    };
+
+    timers.push(setInterval(ejecutar, job.intervaloMs));
+    logger.info(`Tarea periódica ${job.nombre} programada cada ${job.intervaloMs / 1000}s`);
+  }
+};
+
+/**
+ * Detener todas las tareas periódicas
+ */
+const stopJobs = () => {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,18 @@
+const { Op } = require('sequelize');
+const { IdempotencyKey } = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * Tarea periódica que elimina las claves de idempotencia vencidas
+ */
+const purgeIdempotencyKeys = async () => {
+  const eliminadas = await IdempotencyKey.destroy({
+    where: { expira_en: { [Op.lte]: new Date() } }
+  });
+
+  if (eliminadas > 0) {
+    logger.info(`Claves de idempotencia vencidas eliminadas: ${eliminadas}`);
+  }
+};
+
+module.exports = purgeIdempotencyKeys;
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { IdempotencyKey } = require('../models');
+const logger = require('../utils/logger');
+
+// Horas que se conserva una clave y su respuesta para responder reintentos
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+/**
+ * Serializar un valor con las claves de los objetos ordenadas,
+ * para que el mismo cuerpo enviado con otro orden produzca el mismo hash
+ * @param {*} value - Valor a serializar
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Middleware para soportar el header Idempotency-Key
+ * Debe ir después de `authenticate`: las claves se guardan por usuario.
+ * - Misma clave y mismo cuerpo: se devuelve la respuesta original sin volver a ejecutar la ruta
+ * - Misma clave con otro cuerpo: 422
+ * - Misma clave mientras la primera solicitud sigue en curso: 409
+ * Solo se guardan respuestas exitosas (2xx); si la ruta falla la clave se libera para reintentar.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware function
+ */
+const idempotency = async (req, res, next) => {
+  const clave = req.header('Idempotency-Key');
+
+  if (!clave) {
+    return next();
+  }
+
+  if (clave.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'El header Idempotency-Key no puede exceder 255 caracteres',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  try {
+    const hashSolicitud = crypto
+      .createHash('sha256')
+      .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+      .digest('hex');
+
+    // Las claves vencidas se descartan y la solicitud se trata como nueva
+    await IdempotencyKey.destroy({
+      where: {
+        user_id: req.user.id,
+        clave,
+        expira_en: { [Op.lte]: new Date() }
+      }
+    });
+
+    const existente = await IdempotencyKey.findOne({
+      where: { user_id: req.user.id, clave }
+    });
+
+    if (existente) {
+      if (existente.hash_solicitud !== hashSolicitud) {
+        return res.status(422).json({
+          success: false,
+          message: 'La clave de idempotencia ya se usó con una solicitud diferente',
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (existente.estado === 'en_proceso') {
+        return res.status(409).json({
+          success: false,
+          message: 'Una solicitud con esta clave de idempotencia aún se está procesando',
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      logger.info(`Respuesta idempotente reutilizada para usuario ${req.user.id} con clave ${clave}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existente.codigo_respuesta).json(existente.cuerpo_respuesta);
+    }
+
+    let registro;
+    try {
+      registro = await IdempotencyKey.create({
+        user_id: req.user.id,
+        clave,
+        ruta: `${req.method} ${req.baseUrl}${req.path}`,
+        hash_solicitud: hashSolicitud,
+        estado: 'en_proceso',
+        expira_en: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      // Otra solicitud con la misma clave se registró entre la búsqueda y la creación
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          success: false,
+          message: 'Una solicitud con esta clave de idempotencia aún se está procesando',
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+      throw error;
+    }
+
+    // Interceptar la respuesta para guardarla antes de enviarla
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const exitosa = res.statusCode >= 200 && res.statusCode < 300;
+      const persistir = exitosa
+        ? registro.update({
+          estado: 'completada',
+          codigo_respuesta: res.statusCode,
+          cuerpo_respuesta: JSON.parse(JSON.stringify(body))
+        })
+        : registro.destroy();
+
+      persistir
+        .catch(error => logger.error(`Error guardando clave de idempotencia ${clave}:`, error))
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Error procesando Idempotency-Key:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotency
+};
@@ -0,0 +1,176 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Product = require('./Product');
+
+/**
+ * Modelo de Backorder
+ * Unidades de una línea de compra que no había en stock al momento de la compra.
+ * Se facturan con la compra y se surten por orden de llegada (FIFO) a medida
+ * que entra stock del producto
+ */
+const Backorder = sequelize.define('Backorder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  purchase_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'purchases',
+      key: 'id'
+    }
+  },
+  purchase_detail_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'purchase_details',
+      key: 'id'
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  cantidad: {
+    // Unidades que quedaron pendientes al comprar
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'La cantidad en backorder debe ser mayor a 0'
+      }
+    }
+  },
+  cantidad_surtida: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'La cantidad surtida no puede ser negativa'
+      }
+    }
+  },
+  cantidad_pendiente: {
+    type: DataTypes.VIRTUAL(DataTypes.INTEGER, ['cantidad', 'cantidad_surtida', 'estado']),
+    get() {
+      if (this.getDataValue('estado') === 'cancelado') return 0;
+      return (this.getDataValue('cantidad') || 0) - (this.getDataValue('cantidad_surtida') || 0);
+    }
+  },
+  estado: {
+    type: DataTypes.ENUM('pendiente', 'surtido', 'cancelado'),
+    allowNull: false,
+    defaultValue: 'pendiente'
+  },
+  fecha_surtido: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'backorders',
+  timestamps: true,
+  validate: {
+    surtidoNoExcedeCantidad() {
+      if (this.cantidad_surtida > this.cantidad) {
+        throw new Error('La cantidad surtida no puede superar la cantidad en backorder');
+      }
+    }
+  },
+  indexes: [
+    {
+      fields: ['product_id', 'estado']
+    },
+    {
+      fields: ['purchase_id']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+/**
+ * Método estático para surtir backorders pendientes con el stock libre
+ * Bloquea cada producto (FOR UPDATE) y asigna su stock libre (sin el de lotes
+ * vencidos) a los backorders más antiguos primero, descontándolo de `cantidad_disponible` con un movimiento
+ * de venta por cada backorder surtido. Cada backorder se surte solo con el stock
+ * libre del almacén de su compra (sin lo reservado en él). Debe llamarse dentro de la misma transacción que
+ * aumentó el stock.
+ * @param {number[]} productIds - Productos cuyo stock aumentó
+ * @param {Object} opciones - { userId, transaction }
+ * @returns {Object[]} - Asignaciones realizadas: { backorder_id, purchase_id, product_id, cantidad }
+ */
+Backorder.surtirPendientes = async (productIds, { userId = null, transaction }) => {
+  const asignaciones = [];
+
+  for (const productId of [...new Set(productIds)]) {
+    const product = await Product.findByPk(productId, { lock: true, transaction });
+    const vencidas = (await sequelize.models.Lot.unidadesVencidas([productId], { transaction }))[productId] || 0;
+    let libre = product ? product.cantidad_libre - vencidas : 0;
+    if (libre <= 0) continue;
+
+    const pendientes = await Backorder.findAll({
+      where: { product_id: productId, estado: 'pendiente' },
+      include: [{ model: sequelize.models.Purchase, as: 'purchase', attributes: ['id', 'warehouse_id'] }],
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+      lock: true,
+      transaction
+    });
+
+    for (const backorder of pendientes) {
+      if (libre <= 0) break;
+
+      const { Warehouse, WarehouseStock, Lot } = sequelize.models;
+      const warehouseId = backorder.purchase.warehouse_id || (await Warehouse.obtenerPorDefecto({ transaction })).id;
+      const enAlmacen = await WarehouseStock.libreEn(warehouseId, productId, { transaction }) -
+        ((await Lot.unidadesVencidas([productId], { almacenId: warehouseId, transaction }))[productId] || 0);
+
+      const cantidad = Math.min(libre, enAlmacen, backorder.cantidad - backorder.cantidad_surtida);
+      if (cantidad <= 0) continue;
+      const completo = backorder.cantidad_surtida + cantidad >= backorder.cantidad;
+
+      await backorder.update({
+        cantidad_surtida: backorder.cantidad_surtida + cantidad,
+        estado: completo ? 'surtido' : 'pendiente',
+        fecha_surtido: completo ? new Date() : null
+      }, { transaction });
+
+      await product.moverStock(-cantidad, {
+        motivo: 'venta',
+        documentoTipo: 'compra',
+        documentoId: backorder.purchase_id,
+        warehouseId,
+        purchaseDetailId: backorder.purchase_detail_id,
+        userId,
+        notas: `Backorder ${backorder.id} surtido`,
+        transaction
+      });
+
+      libre -= cantidad;
+      asignaciones.push({ backorder_id: backorder.id, purchase_id: backorder.purchase_id, product_id: productId, cantidad });
+    }
+  }
+
+  return asignaciones;
+};
+
+module.exports = Backorder;
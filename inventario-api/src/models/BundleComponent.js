@@ -0,0 +1,183 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Componente de Kit
+ * Lista de materiales de un kit: qué productos lo forman y cuántas unidades
+ * de cada uno lleva. El kit no tiene stock propio; se vende tomando el stock
+ * de sus componentes
+ */
+const BundleComponent = sequelize.define('BundleComponent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  bundle_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  component_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  cantidad: {
+    // Unidades del componente por cada kit
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'La cantidad del componente debe ser mayor a 0'
+      }
+    }
+  }
+}, {
+  tableName: 'bundle_components',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['bundle_id', 'component_id']
+    },
+    {
+      fields: ['component_id']
+    }
+  ]
+});
+
+/**
+ * Método estático para calcular cuántos kits se pueden vender
+ * Cada componente alcanza para `cantidad_libre / cantidad` kits; el kit está
+ * limitado por el componente que menos alcanza. Un componente inactivo (o un
+ * kit sin componentes) deja al kit sin disponibilidad.
+ * @param {number[]} bundleIds - IDs de los kits
+ * @param {Object} opciones - { transaction }
+ * @returns {Map<number, Object>} - bundle_id → { cantidad_libre, componentes }
+ */
+BundleComponent.disponibilidad = async (bundleIds, { transaction } = {}) => {
+  const componentes = bundleIds.length === 0 ? [] : await BundleComponent.findAll({
+    where: { bundle_id: { [Op.in]: bundleIds } },
+    include: [
+      {
+        model: sequelize.models.Product,
+        as: 'component',
+        attributes: ['id', 'numero_lote', 'sku', 'nombre', 'cantidad_disponible', 'cantidad_reservada', 'cantidad_libre', 'activo']
+      }
+    ],
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  return new Map(bundleIds.map(bundleId => {
+    const lista = componentes
+      .filter(componente => componente.bundle_id === bundleId)
+      .map(componente => ({
+        product_id: componente.component_id,
+        numero_lote: componente.component.numero_lote,
+        sku: componente.component.sku,
+        nombre: componente.component.nombre,
+        cantidad: componente.cantidad,
+        cantidad_libre: componente.component.cantidad_libre,
+        kits_posibles: componente.component.activo
+          ? Math.floor(Math.max(componente.component.cantidad_libre, 0) / componente.cantidad)
+          : 0
+      }));
+
+    return [bundleId, {
+      cantidad_libre: lista.length > 0 ? Math.min(...lista.map(componente => componente.kits_posibles)) : 0,
+      componentes: lista
+    }];
+  }));
+};
+
+/**
+ * Modelo de Componente de Línea de Compra
+ * Composición del kit al momento de la venta: las cancelaciones, confirmaciones
+ * y devoluciones mueven el stock de estos productos aunque el kit cambie después
+ */
+const PurchaseDetailComponent = sequelize.define('PurchaseDetailComponent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  purchase_detail_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'purchase_details',
+      key: 'id'
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  cantidad: {
+    // Unidades del componente por cada kit de la línea
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'La cantidad del componente debe ser mayor a 0'
+      }
+    }
+  }
+}, {
+  tableName: 'purchase_detail_components',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['purchase_detail_id']
+    }
+  ]
+});
+
+/**
+ * Método estático para desglosar líneas de compra en los productos que mueven stock
+ * La línea de un producto mueve su propio stock; la de un kit, el de cada componente.
+ * Las cantidades se convierten a la unidad base con el factor de la unidad de la línea.
+ * @param {PurchaseDetail[]} detalles - Líneas de compra
+ * @param {Object} opciones - { transaction }
+ * @returns {Object[]} - { detalle, productId, porUnidad } (unidades base del producto por unidad de la línea)
+ */
+PurchaseDetailComponent.desglosar = async (detalles, { transaction } = {}) => {
+  const componentes = detalles.length === 0 ? [] : await PurchaseDetailComponent.findAll({
+    where: { purchase_detail_id: { [Op.in]: detalles.map(detalle => detalle.id) } },
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  return detalles.flatMap(detalle => {
+    const propios = componentes.filter(componente => componente.purchase_detail_id === detalle.id);
+
+    const factor = detalle.factor_unidad || 1;
+
+    if (propios.length === 0) {
+      return [{ detalle, productId: detalle.product_id, porUnidad: factor }];
+    }
+
+    return propios.map(componente => ({ detalle, productId: componente.product_id, porUnidad: componente.cantidad * factor }));
+  });
+};
+
+module.exports = {
+  BundleComponent,
+  PurchaseDetailComponent
+};
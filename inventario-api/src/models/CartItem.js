@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Ítem de Carrito
+ * Cada usuario tiene un carrito persistente formado por sus ítems
+ * (un ítem por producto, en una sola unidad de venta)
+ */
+const CartItem = sequelize.define('CartItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  cantidad: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'La cantidad debe ser un número entero'
+      },
+      min: {
+        args: [1],
+        msg: 'La cantidad debe ser mayor a 0'
+      }
+    }
+  },
+  unidad: {
+    // Unidad de venta en que se expresa `cantidad` (null = unidad base del producto, ver ProductUnit)
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  precio_agregado: {
+    // Precio de la unidad cuando se agregó al carrito, para advertir cambios
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'cart_items',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'product_id']
+    }
+  ]
+});
+
+module.exports = CartItem;
@@ -0,0 +1,132 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Convertir un nombre en identificador para URLs ("Audio y Video" → "audio-y-video")
+ * @param {string} texto - Texto a convertir
+ * @returns {string} - Slug en minúsculas, sin acentos ni espacios
+ */
+const generarSlug = (texto) => texto
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Modelo de Categoría de Producto
+ * Árbol de categorías del catálogo (ej: Tecnología > Periféricos). Cada producto
+ * pertenece a una categoría; filtrar por una categoría incluye sus subcategorías
+ */
+const Category = sequelize.define('Category', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre de la categoría es requerido'
+      }
+    }
+  },
+  slug: {
+    // Identificador para filtros y URLs; si no se indica se genera del nombre
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    unique: {
+      msg: 'Ya existe una categoría con ese identificador'
+    },
+    validate: {
+      is: {
+        args: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+        msg: 'El identificador solo puede tener minúsculas, números y guiones'
+      }
+    }
+  },
+  parent_id: {
+    // Null = categoría raíz
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    }
+  },
+  descripcion: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'categories',
+  timestamps: true,
+  hooks: {
+    beforeValidate: (category) => {
+      if (!category.slug && category.nombre) {
+        category.slug = generarSlug(category.nombre);
+      }
+    }
+  },
+  indexes: [
+    {
+      fields: ['parent_id']
+    }
+  ]
+});
+
+/**
+ * Método estático para indexar el árbol de categorías
+ * Devuelve cada categoría con sus ancestros (de la raíz al padre), su ruta y su
+ * nivel; sirve para buscar subcategorías, detectar ciclos y acumular por rama.
+ * @param {Object} opciones - { transaction }
+ * @returns {Map<number, Object>} - id → { id, nombre, slug, parent_id, activo, ancestros, ruta, nivel }
+ */
+Category.indice = async ({ transaction } = {}) => {
+  const categorias = await Category.findAll({
+    attributes: ['id', 'nombre', 'slug', 'parent_id', 'activo'],
+    raw: true,
+    transaction
+  });
+  const porId = new Map(categorias.map(categoria => [categoria.id, categoria]));
+  const indice = new Map();
+
+  for (const categoria of categorias) {
+    const ancestros = [];
+    let padre = porId.get(categoria.parent_id);
+    // El tope de vueltas protege de un ciclo cargado a mano en la base
+    while (padre && ancestros.length < categorias.length) {
+      ancestros.unshift(padre.id);
+      padre = porId.get(padre.parent_id);
+    }
+
+    indice.set(categoria.id, {
+      ...categoria,
+      ancestros,
+      ruta: [...ancestros.map(id => porId.get(id).nombre), categoria.nombre].join(' > '),
+      nivel: ancestros.length
+    });
+  }
+
+  return indice;
+};
+
+/**
+ * Método estático para obtener una categoría y todas sus subcategorías
+ * @param {number} id - ID de la categoría
+ * @param {Map<number, Object>} indice - Resultado de `Category.indice`
+ * @returns {number[]} - IDs de la categoría y sus descendientes
+ */
+Category.idsDeRama = (id, indice) => [...indice.values()]
+  .filter(categoria => categoria.id === id || categoria.ancestros.includes(id))
+  .map(categoria => categoria.id);
+
+Category.generarSlug = generarSlug;
+
+module.exports = Category;
@@ -0,0 +1,259 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Cupón de Descuento
+ * Promoción identificada por un código que el cliente indica al comprar.
+ * El descuento puede ser un porcentaje o un monto fijo y aplicarse a todo
+ * el pedido o solo a los productos asociados (ver CouponProduct)
+ */
+const Coupon = sequelize.define('Coupon', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  codigo: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: {
+      msg: 'El código del cupón ya existe'
+    },
+    validate: {
+      notEmpty: {
+        msg: 'El código del cupón es requerido'
+      }
+    },
+    set(value) {
+      this.setDataValue('codigo', value ? value.trim().toUpperCase() : value);
+    }
+  },
+  descripcion: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  tipo: {
+    type: DataTypes.ENUM('porcentaje', 'monto_fijo'),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['porcentaje', 'monto_fijo']],
+        msg: 'El tipo debe ser porcentaje o monto_fijo'
+      }
+    }
+  },
+  valor: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      isDecimal: {
+        msg: 'El valor debe ser un número válido'
+      },
+      min: {
+        args: [0.01],
+        msg: 'El valor debe ser mayor a 0'
+      }
+    }
+  },
+  alcance: {
+    type: DataTypes.ENUM('pedido', 'productos'),
+    allowNull: false,
+    defaultValue: 'pedido'
+  },
+  monto_minimo: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El monto mínimo no puede ser negativo'
+      }
+    }
+  },
+  fecha_inicio: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  fecha_fin: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  limite_usos: {
+    // Usos totales permitidos (null = sin límite)
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  limite_usos_por_cliente: {
+    // Usos permitidos a cada cliente (null = sin límite)
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  usos_actuales: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'coupons',
+  timestamps: true,
+  validate: {
+    porcentajeValido() {
+      if (this.tipo === 'porcentaje' && parseFloat(this.valor) > 100) {
+        throw new Error('El porcentaje de descuento no puede superar 100');
+      }
+    },
+    vigenciaValida() {
+      if (this.fecha_inicio && this.fecha_fin && new Date(this.fecha_fin) <= new Date(this.fecha_inicio)) {
+        throw new Error('La fecha de fin debe ser posterior a la fecha de inicio');
+      }
+    }
+  },
+  indexes: [
+    {
+      fields: ['activo']
+    },
+    {
+      fields: ['fecha_inicio', 'fecha_fin']
+    }
+  ]
+});
+
+/**
+ * Modelo de Producto de Cupón
+ * Productos a los que se limita un cupón con alcance "productos"
+ */
+const CouponProduct = sequelize.define('CouponProduct', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  coupon_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'coupon_products',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['coupon_id', 'product_id']
+    }
+  ]
+});
+
+/**
+ * Modelo de Uso de Cupón
+ * Un registro por compra en la que se aplicó un cupón; al cancelarse la
+ * compra el uso se anula y deja de contar para los límites
+ */
+const CouponUsage = sequelize.define('CouponUsage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  coupon_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    }
+  },
+  purchase_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'purchases',
+      key: 'id'
+    }
+  },
+  user_id: {
+    // Null si la compra fue a consumidor final
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  descuento: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  anulado: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  }
+}, {
+  tableName: 'coupon_usages',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['coupon_id', 'user_id']
+    }
+  ]
+});
+
+/**
+ * Verificar si el cupón puede usarse en una fecha
+ * @param {Date} fecha - Fecha de la compra
+ * @returns {boolean}
+ */
+Coupon.prototype.estaVigente = function(fecha = new Date()) {
+  if (!this.activo) return false;
+  if (this.fecha_inicio && fecha < new Date(this.fecha_inicio)) return false;
+  if (this.fecha_fin && fecha > new Date(this.fecha_fin)) return false;
+  return true;
+};
+
+/**
+ * Método estático para anular el uso de cupón de una compra cancelada
+ * Devuelve el uso al cupón (bloqueado) para que vuelva a estar disponible.
+ * Debe ejecutarse dentro de la transacción que cancela la compra.
+ * @param {number} purchaseId - ID de la compra
+ * @param {Object} opciones - { transaction }
+ */
+Coupon.liberarUso = async (purchaseId, { transaction }) => {
+  const usage = await CouponUsage.findOne({
+    where: { purchase_id: purchaseId, anulado: false },
+    lock: true,
+    transaction
+  });
+
+  if (!usage) return;
+
+  const coupon = await Coupon.findByPk(usage.coupon_id, { lock: true, transaction });
+  if (coupon) {
+    await coupon.update({ usos_actuales: Math.max(coupon.usos_actuales - 1, 0) }, { transaction });
+  }
+
+  await usage.update({ anulado: true }, { transaction });
+};
+
+module.exports = {
+  Coupon,
+  CouponProduct,
+  CouponUsage
+};
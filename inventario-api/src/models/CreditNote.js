@@ -0,0 +1,159 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Nota de Crédito
+ * Documento emitido al devolver productos de una compra
+ * Su número proviene de la serie de tipo nota_credito (ver InvoiceSeries)
+ */
+const CreditNote = sequelize.define('CreditNote', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  numero_nota: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  purchase_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'purchases',
+      key: 'id'
+    }
+  },
+  numero_factura_origen: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  registrado_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  motivo: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El motivo de la devolución es requerido'
+      }
+    }
+  },
+  reintegra_stock: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  total: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      isDecimal: {
+        msg: 'El total debe ser un número válido'
+      },
+      min: {
+        args: [0],
+        msg: 'El total no puede ser negativo'
+      }
+    }
+  },
+  fecha_emision: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'credit_notes',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['purchase_id']
+    },
+    {
+      fields: ['numero_factura_origen']
+    },
+    {
+      fields: ['fecha_emision']
+    }
+  ]
+});
+
+/**
+ * Modelo de Detalle de Nota de Crédito
+ * Cada línea referencia el detalle de compra del que se devuelven unidades
+ */
+const CreditNoteDetail = sequelize.define('CreditNoteDetail', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  credit_note_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'credit_notes',
+      key: 'id'
+    }
+  },
+  purchase_detail_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'purchase_details',
+      key: 'id'
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  cantidad: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'La cantidad debe ser un número entero'
+      },
+      min: {
+        args: [1],
+        msg: 'La cantidad debe ser mayor a 0'
+      }
+    }
+  },
+  precio_unitario: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'credit_note_details',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['credit_note_id']
+    },
+    {
+      fields: ['purchase_detail_id']
+    }
+  ]
+});
+
+module.exports = {
+  CreditNote,
+  CreditNoteDetail
+};
@@ -0,0 +1,185 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Moneda base que se crea automáticamente si todavía no hay ninguna configurada
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'ARS').toUpperCase();
+
+/**
+ * Modelo de Moneda
+ * Los precios de los productos están en la moneda base; el resto de las
+ * monedas se convierten con su tipo de cambio vigente (ver ExchangeRate)
+ */
+const Currency = sequelize.define('Currency', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  codigo: {
+    // Código ISO 4217 (ej: USD)
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    unique: {
+      msg: 'El código de la moneda ya existe'
+    },
+    validate: {
+      is: {
+        args: /^[A-Z]{3}$/,
+        msg: 'El código debe tener 3 letras mayúsculas (ISO 4217)'
+      }
+    }
+  },
+  nombre: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre de la moneda es requerido'
+      }
+    }
+  },
+  simbolo: {
+    type: DataTypes.STRING(5),
+    allowNull: false,
+    defaultValue: '$'
+  },
+  es_base: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'currencies',
+  timestamps: true
+});
+
+/**
+ * Modelo de Tipo de Cambio
+ * `tasa` es el valor de una unidad de la moneda expresado en la moneda base
+ * (ej: USD 1000 significa 1 USD = 1000 en moneda base). Rige desde `fecha_vigencia`
+ * hasta que se registra uno posterior; el historial no se modifica.
+ */
+const ExchangeRate = sequelize.define('ExchangeRate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  currency_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'currencies',
+      key: 'id'
+    }
+  },
+  tasa: {
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    validate: {
+      isDecimal: {
+        msg: 'La tasa debe ser un número válido'
+      },
+      min: {
+        args: [0.000001],
+        msg: 'La tasa debe ser mayor a 0'
+      }
+    }
+  },
+  fecha_vigencia: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  fuente: {
+    type: DataTypes.ENUM('manual', 'importacion'),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+  registrado_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'exchange_rates',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['currency_id', 'fecha_vigencia']
+    }
+  ]
+});
+
+/**
+ * Método estático para obtener la moneda base
+ * Si no hay ninguna configurada crea la de `BASE_CURRENCY`.
+ * @param {Object} opciones - { transaction }
+ * @returns {Currency}
+ */
+Currency.obtenerBase = async ({ transaction } = {}) => {
+  const base = await Currency.findOne({ where: { es_base: true }, transaction });
+  if (base) return base;
+
+  return Currency.create({
+    codigo: BASE_CURRENCY,
+    nombre: BASE_CURRENCY,
+    es_base: true
+  }, { transaction });
+};
+
+/**
+ * Método estático para obtener el tipo de cambio vigente de una moneda
+ * La moneda base siempre tiene tasa 1. Lanza errores con `status`
+ * (404 moneda inexistente o inactiva, 409 sin tipo de cambio vigente).
+ * @param {string|null} codigo - Código de la moneda (null = moneda base)
+ * @param {Object} opciones - { transaction, fecha }
+ * @returns {Object} - { currency, tasa }
+ */
+Currency.tasaVigente = async (codigo, { transaction, fecha = new Date() } = {}) => {
+  const base = await Currency.obtenerBase({ transaction });
+
+  if (!codigo || codigo.toUpperCase() === base.codigo) {
+    return { currency: base, tasa: 1 };
+  }
+
+  const currency = await Currency.findOne({
+    where: { codigo: codigo.toUpperCase(), activo: true },
+    transaction
+  });
+
+  if (!currency) {
+    const error = new Error(`La moneda ${codigo} no existe o está inactiva`);
+    error.status = 404;
+    throw error;
+  }
+
+  const rate = await ExchangeRate.findOne({
+    where: {
+      currency_id: currency.id,
+      fecha_vigencia: { [Op.lte]: fecha }
+    },
+    order: [['fecha_vigencia', 'DESC'], ['id', 'DESC']],
+    transaction
+  });
+
+  if (!rate) {
+    const error = new Error(`No hay un tipo de cambio vigente para ${currency.codigo}`);
+    error.status = 409;
+    throw error;
+  }
+
+  return { currency, tasa: parseFloat(rate.tasa) };
+};
+
+module.exports = {
+  Currency,
+  ExchangeRate
+};
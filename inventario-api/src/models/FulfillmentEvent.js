@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ESTADOS_ENVIO = ['preparando', 'embalado', 'enviado', 'entregado', 'devuelto'];
+
+// Estados a los que se puede pasar desde cada estado de envío
+const TRANSICIONES_ENVIO = {
+  preparando: ['embalado'],
+  embalado: ['preparando', 'enviado'],
+  enviado: ['entregado', 'devuelto'],
+  entregado: ['devuelto'],
+  devuelto: []
+};
+
+/**
+ * Modelo de Evento de Envío
+ * Historial de la preparación y entrega de una compra completada; cada cambio
+ * de `estado_envio` de la compra deja un evento con quién y cuándo lo hizo
+ */
+const FulfillmentEvent = sequelize.define('FulfillmentEvent', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  purchase_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'purchases',
+      key: 'id'
+    }
+  },
+  estado_anterior: {
+    type: DataTypes.ENUM(...ESTADOS_ENVIO),
+    allowNull: true
+  },
+  estado: {
+    type: DataTypes.ENUM(...ESTADOS_ENVIO),
+    allowNull: false
+  },
+  transportista: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  numero_seguimiento: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  notas: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  registrado_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'fulfillment_events',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['purchase_id']
+    }
+  ]
+});
+
+FulfillmentEvent.ESTADOS = ESTADOS_ENVIO;
+
+/**
+ * Verificar si una compra puede pasar de un estado de envío a otro
+ * @param {string|null} desde - Estado actual
+ * @param {string} hacia - Estado solicitado
+ * @returns {boolean}
+ */
+FulfillmentEvent.transicionValida = (desde, hacia) => (TRANSICIONES_ENVIO[desde] || []).includes(hacia);
+
+module.exports = {
+  FulfillmentEvent,
+  ESTADOS_ENVIO,
+  TRANSICIONES_ENVIO
+};
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Clave de Idempotencia
+ * Guarda la respuesta de una solicitud para devolverla tal cual
+ * cuando el cliente reintenta con la misma clave (Idempotency-Key)
+ */
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  clave: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'La clave de idempotencia es requerida'
+      }
+    }
+  },
+  ruta: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  hash_solicitud: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  estado: {
+    type: DataTypes.ENUM('en_proceso', 'completada'),
+    allowNull: false,
+    defaultValue: 'en_proceso'
+  },
+  codigo_respuesta: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  cuerpo_respuesta: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  expira_en: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'clave']
+    },
+    {
+      fields: ['expira_en']
+    }
+  ]
+});
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,224 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ESTADOS_CONTEO = ['abierto', 'cerrado', 'cancelado'];
+
+/**
+ * Modelo de Conteo de Inventario
+ * Sesión de conteo físico de un almacén. Mientras está abierta se cargan las
+ * cantidades contadas; al cerrarla las diferencias se registran como ajustes en
+ * el kardex y la sesión queda de solo lectura. Con `congelado` las cantidades
+ * esperadas se toman al abrir la sesión y las ventas posteriores no cambian la
+ * diferencia
+ */
+const InventoryCount = sequelize.define('InventoryCount', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  warehouse_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  estado: {
+    type: DataTypes.ENUM(...ESTADOS_CONTEO),
+    allowNull: false,
+    defaultValue: 'abierto'
+  },
+  congelado: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  notas: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  abierto_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha_apertura: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  cerrado_por: {
+    // Usuario que cerró o canceló la sesión
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha_cierre: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'inventory_counts',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['warehouse_id', 'estado']
+    }
+  ]
+});
+
+InventoryCount.ESTADOS = ESTADOS_CONTEO;
+
+/**
+ * Modelo de Línea de Conteo
+ * Cantidad contada de un producto en una sesión. Puede cargarse en varias
+ * tandas y por varios usuarios; `cantidad_esperada` queda fija al abrir (sesión
+ * congelada) o al cerrar, y `ajuste` es lo que se registró en el kardex
+ */
+const InventoryCountItem = sequelize.define('InventoryCountItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  inventory_count_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'inventory_counts',
+      key: 'id'
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  cantidad_esperada: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  cantidad_contada: {
+    // Null = producto todavía sin contar
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'La cantidad contada no puede ser negativa'
+      }
+    }
+  },
+  conteos: {
+    // Cantidad de tandas cargadas para el producto
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  contado_por: {
+    // Último usuario que cargó una cantidad
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha_conteo: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  ajuste: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'inventory_count_items',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['inventory_count_id', 'product_id']
+    }
+  ]
+});
+
+/**
+ * Calcular el reporte de diferencias de la sesión
+ * Lo esperado es la cantidad guardada en cada línea (congelada al abrir o fijada
+ * al cerrar); mientras la sesión está abierta, las líneas sin cantidad esperada
+ * usan el stock actual del almacén.
+ * @param {Object} opciones - { transaction }
+ * @returns {Object} - { resumen, lineas: [{ product_id, numero_lote, nombre, cantidad_esperada,
+ *   cantidad_contada, diferencia, ajuste, conteos }] }
+ */
+InventoryCount.prototype.reporteDiferencias = async function({ transaction } = {}) {
+  const items = await InventoryCountItem.findAll({
+    where: { inventory_count_id: this.id },
+    include: [
+      {
+        model: sequelize.models.Product,
+        as: 'product',
+        attributes: ['id', 'numero_lote', 'nombre']
+      }
+    ],
+    order: [[{ model: sequelize.models.Product, as: 'product' }, 'nombre', 'ASC']],
+    transaction
+  });
+
+  let stockActual = {};
+  if (this.estado === 'abierto') {
+    const stocks = await sequelize.models.WarehouseStock.findAll({
+      where: { warehouse_id: this.warehouse_id, product_id: { [Op.in]: items.map(item => item.product_id) } },
+      transaction
+    });
+    stockActual = Object.fromEntries(stocks.map(stock => [stock.product_id, stock.cantidad]));
+  }
+
+  const lineas = items.map(item => {
+    const esperada = item.cantidad_esperada === null && this.estado === 'abierto'
+      ? stockActual[item.product_id] || 0
+      : item.cantidad_esperada;
+
+    return {
+      product_id: item.product_id,
+      numero_lote: item.product.numero_lote,
+      nombre: item.product.nombre,
+      cantidad_esperada: esperada,
+      cantidad_contada: item.cantidad_contada,
+      diferencia: item.cantidad_contada === null || esperada === null ? null : item.cantidad_contada - esperada,
+      ajuste: item.ajuste,
+      conteos: item.conteos
+    };
+  });
+
+  const contadas = lineas.filter(linea => linea.diferencia !== null);
+
+  return {
+    resumen: {
+      productos: lineas.length,
+      contados: contadas.length,
+      sin_contar: lineas.length - contadas.length,
+      con_diferencia: contadas.filter(linea => linea.diferencia !== 0).length,
+      unidades_faltantes: contadas.reduce((sum, linea) => sum + Math.max(-linea.diferencia, 0), 0),
+      unidades_sobrantes: contadas.reduce((sum, linea) => sum + Math.max(linea.diferencia, 0), 0)
+    },
+    lineas
+  };
+};
+
+module.exports = {
+  InventoryCount,
+  InventoryCountItem
+};
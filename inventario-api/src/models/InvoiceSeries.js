@@ -0,0 +1,174 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Serie que se crea automáticamente si todavía no existe ninguna para el tipo de documento
+const SERIES_POR_DEFECTO = {
+  factura: { codigo: 'FAC', nombre: 'Facturas de venta', prefijo: 'FAC' },
+  nota_credito: { codigo: 'NC', nombre: 'Notas de crédito', prefijo: 'NC' }
+};
+
+/**
+ * Modelo de Serie de Numeración
+ * Controla la numeración correlativa y sin saltos de facturas y notas de crédito
+ */
+const InvoiceSeries = sequelize.define('InvoiceSeries', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  codigo: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: {
+      msg: 'El código de la serie ya existe'
+    },
+    validate: {
+      notEmpty: {
+        msg: 'El código de la serie es requerido'
+      }
+    }
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre de la serie es requerido'
+      }
+    }
+  },
+  tipo: {
+    type: DataTypes.ENUM('factura', 'nota_credito'),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['factura', 'nota_credito']],
+        msg: 'El tipo debe ser factura o nota_credito'
+      }
+    }
+  },
+  prefijo: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El prefijo es requerido'
+      }
+    }
+  },
+  reinicio_anual: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  anio_actual: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  ultimo_numero: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El contador no puede ser negativo'
+      }
+    }
+  },
+  digitos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 6,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'La cantidad de dígitos debe ser al menos 1'
+      },
+      max: {
+        args: [10],
+        msg: 'La cantidad de dígitos no puede exceder 10'
+      }
+    }
+  },
+  por_defecto: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'invoice_series',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['tipo', 'por_defecto']
+    }
+  ]
+});
+
+/**
+ * Método para dar formato a un número de la serie
+ * @param {number} numero - Número correlativo
+ * @param {number} anio - Año del documento
+ * @returns {string} - Ej: FAC-2026-000123 (o FAC-000123 si la serie no reinicia por año)
+ */
+InvoiceSeries.prototype.formatear = function(numero, anio) {
+  const correlativo = String(numero).padStart(this.digitos, '0');
+  return this.reinicio_anual
+    ? `${this.prefijo}-${anio}-${correlativo}`
+    : `${this.prefijo}-${correlativo}`;
+};
+
+/**
+ * Método estático para tomar el siguiente número de una serie
+ * Bloquea la fila de la serie (FOR UPDATE) dentro de la transacción del documento:
+ * si la transacción se revierte el contador también, por lo que no quedan saltos.
+ * @param {string} tipo - 'factura' o 'nota_credito'
+ * @param {Object} opciones - { transaction, serieId }
+ * @returns {string} - Número de documento
+ */
+InvoiceSeries.siguienteNumero = async (tipo, { transaction, serieId = null }) => {
+  const where = serieId
+    ? { id: serieId, tipo, activo: true }
+    : { tipo, por_defecto: true, activo: true };
+
+  let serie = await InvoiceSeries.findOne({ where, lock: true, transaction });
+
+  if (!serie && !serieId) {
+    const existentes = await InvoiceSeries.count({ where: { tipo }, transaction });
+    if (existentes === 0) {
+      await InvoiceSeries.create({
+        ...SERIES_POR_DEFECTO[tipo],
+        tipo,
+        por_defecto: true
+      }, { transaction });
+      serie = await InvoiceSeries.findOne({ where, lock: true, transaction });
+    }
+  }
+
+  if (!serie) {
+    const error = new Error(serieId
+      ? `La serie ${serieId} no existe, está inactiva o no es de tipo ${tipo}`
+      : `No hay una serie activa por defecto para documentos de tipo ${tipo}`);
+    error.status = 409;
+    throw error;
+  }
+
+  const anio = new Date().getFullYear();
+  if (serie.reinicio_anual && serie.anio_actual !== anio) {
+    serie.anio_actual = anio;
+    serie.ultimo_numero = 0;
+  }
+
+  serie.ultimo_numero += 1;
+  await serie.save({ transaction });
+
+  return serie.formatear(serie.ultimo_numero, anio);
+};
+
+module.exports = InvoiceSeries;
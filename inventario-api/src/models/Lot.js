@@ -0,0 +1,359 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Lote
+ * Partida de un producto recibida de una vez en un almacén, con su vencimiento y costo.
+ * La suma de `cantidad_restante` de los lotes de un almacén es el stock con lote del
+ * producto en ese almacén; las ventas los consumen por vencimiento más próximo primero
+ * (FEFO). Una transferencia lleva las unidades a un lote con el mismo número en el
+ * almacén de destino
+ */
+const Lot = sequelize.define('Lot', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  warehouse_id: {
+    // Almacén donde están las unidades del lote
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  numero_lote: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El número de lote es requerido'
+      }
+    }
+  },
+  cantidad_recibida: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'La cantidad recibida debe ser mayor a 0'
+      }
+    }
+  },
+  cantidad_restante: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'La cantidad restante no puede ser negativa'
+      }
+    }
+  },
+  fecha_vencimiento: {
+    // Sin vencimiento = se consume después de los lotes que vencen
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  costo: {
+    // Costo unitario en moneda base
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El costo no puede ser negativo'
+      }
+    }
+  },
+  fecha_ingreso: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'lots',
+  timestamps: true,
+  validate: {
+    restanteNoExcedeRecibida() {
+      if (this.cantidad_restante > this.cantidad_recibida) {
+        throw new Error('La cantidad restante no puede superar la cantidad recibida');
+      }
+    }
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['product_id', 'warehouse_id', 'numero_lote']
+    },
+    {
+      fields: ['warehouse_id']
+    },
+    {
+      fields: ['fecha_vencimiento']
+    }
+  ]
+});
+
+/**
+ * Modelo de Lote de Detalle de Compra
+ * Unidades de cada lote que consumió una línea de compra
+ */
+const PurchaseDetailLot = sequelize.define('PurchaseDetailLot', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  purchase_detail_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'purchase_details',
+      key: 'id'
+    }
+  },
+  lot_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'lots',
+      key: 'id'
+    }
+  },
+  cantidad: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'La cantidad debe ser mayor a 0'
+      }
+    }
+  },
+  cantidad_restituida: {
+    // Unidades que volvieron al lote por cancelación o devolución
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'purchase_detail_lots',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['purchase_detail_id']
+    },
+    {
+      fields: ['lot_id']
+    }
+  ]
+});
+
+/**
+ * Condición de los lotes que no vencieron (vencen hoy o después, o no vencen)
+ * @returns {Object} - Condición para `where`
+ */
+const vigentes = () => ({
+  [Op.or]: [
+    { fecha_vencimiento: null },
+    { fecha_vencimiento: { [Op.gte]: new Date().toISOString().slice(0, 10) } }
+  ]
+});
+
+/**
+ * Método estático para sumar las unidades en lotes vencidos de cada producto
+ * Ese stock no se vende: se informa en los lotes por vencer y se da de baja con un ajuste.
+ * @param {number[]} productIds - IDs de los productos
+ * @param {Object} opciones - { almacenId (solo los lotes de ese almacén), transaction }
+ * @returns {Object} - product_id → unidades vencidas (solo los productos que tienen)
+ */
+Lot.unidadesVencidas = async (productIds, { almacenId = null, transaction } = {}) => {
+  const filas = productIds.length === 0 ? [] : await Lot.findAll({
+    where: {
+      product_id: { [Op.in]: productIds },
+      ...(almacenId ? { warehouse_id: almacenId } : {}),
+      cantidad_restante: { [Op.gt]: 0 },
+      fecha_vencimiento: { [Op.lt]: new Date().toISOString().slice(0, 10) }
+    },
+    attributes: ['product_id', [sequelize.fn('SUM', sequelize.col('cantidad_restante')), 'total']],
+    group: ['product_id'],
+    raw: true,
+    transaction
+  });
+
+  return Object.fromEntries(filas.map(fila => [fila.product_id, parseInt(fila.total, 10)]));
+};
+
+/**
+ * Método estático para consumir stock de los lotes de un producto en un almacén (FEFO)
+ * Bloquea los lotes del almacén con stock y descuenta primero de los que vencen antes
+ * (los lotes sin vencimiento al final, y entre iguales el más antiguo). Si los
+ * lotes no alcanzan, el resto sale del stock sin lote del almacén.
+ * Con `soloVigentes` (ventas y transferencias) no se toman los lotes vencidos; si el
+ * stock sin lote no cubre lo que falta, lanza un error con `status` 409. Debe llamarse
+ * después de descontar el stock del almacén.
+ * @param {number} productId - ID del producto
+ * @param {number} cantidad - Unidades a consumir
+ * @param {Object} opciones - { almacenId, purchaseDetailId, soloVigentes, transaction } (con
+ *   línea de compra se registra qué lotes consumió)
+ * @returns {Object[]} - Asignaciones: { lot_id, numero_lote, cantidad }
+ */
+Lot.consumir = async (productId, cantidad, { almacenId, purchaseDetailId = null, soloVigentes = false, transaction }) => {
+  const lotes = await Lot.findAll({
+    where: {
+      product_id: productId,
+      warehouse_id: almacenId,
+      cantidad_restante: { [Op.gt]: 0 },
+      ...(soloVigentes ? vigentes() : {})
+    },
+    order: [
+      [sequelize.literal('fecha_vencimiento IS NULL'), 'ASC'],
+      ['fecha_vencimiento', 'ASC'],
+      ['fecha_ingreso', 'ASC'],
+      ['id', 'ASC']
+    ],
+    lock: true,
+    transaction
+  });
+
+  const asignaciones = [];
+  let pendiente = cantidad;
+
+  for (const lote of lotes) {
+    if (pendiente <= 0) break;
+
+    const tomado = Math.min(pendiente, lote.cantidad_restante);
+    await lote.update({ cantidad_restante: lote.cantidad_restante - tomado }, { transaction });
+
+    if (purchaseDetailId) {
+      await PurchaseDetailLot.create({
+        purchase_detail_id: purchaseDetailId,
+        lot_id: lote.id,
+        cantidad: tomado
+      }, { transaction });
+    }
+
+    pendiente -= tomado;
+    asignaciones.push({ lot_id: lote.id, numero_lote: lote.numero_lote, cantidad: tomado });
+  }
+
+  // Lo que falta sale del stock sin lote: el que queda debe seguir cubriendo los lotes vencidos
+  if (soloVigentes && pendiente > 0) {
+    const { Product, WarehouseStock } = sequelize.models;
+    const enAlmacen = await WarehouseStock.cantidadEn(almacenId, productId, { transaction });
+    const enLotes = await Lot.sum('cantidad_restante', { where: { product_id: productId, warehouse_id: almacenId }, transaction }) || 0;
+
+    if (enAlmacen < enLotes) {
+      const product = await Product.findByPk(productId, { attributes: ['id', 'nombre'], transaction });
+      const error = new Error(`Stock vigente insuficiente de ${product.nombre}: ${enLotes - enAlmacen} de las unidades solicitadas están en lotes vencidos`);
+      error.status = 409;
+      throw error;
+    }
+  }
+
+  return asignaciones;
+};
+
+/**
+ * Método estático para ingresar en un almacén las unidades que salieron de otros lotes
+ * Cada unidad entra al lote con el mismo número del almacén de destino (que se crea,
+ * con el vencimiento y el costo del lote de origen, si no existe).
+ * @param {Object[]} asignaciones - { lot_id, cantidad } (lotes de origen, ver `consumir`)
+ * @param {number} almacenId - ID del almacén de destino
+ * @param {Object} opciones - { transaction }
+ * @returns {Object[]} - Asignaciones en el destino: { lot_id, numero_lote, cantidad }
+ */
+Lot.trasladar = async (asignaciones, almacenId, { transaction }) => {
+  const resultado = [];
+
+  for (const { lot_id: lotId, cantidad } of asignaciones) {
+    const origen = await Lot.findByPk(lotId, { transaction });
+
+    let destino = await Lot.findOne({
+      where: { product_id: origen.product_id, warehouse_id: almacenId, numero_lote: origen.numero_lote },
+      lock: true,
+      transaction
+    });
+
+    if (destino) {
+      const restante = destino.cantidad_restante + cantidad;
+      await destino.update({
+        cantidad_restante: restante,
+        cantidad_recibida: Math.max(destino.cantidad_recibida, restante)
+      }, { transaction });
+    } else {
+      destino = await Lot.create({
+        product_id: origen.product_id,
+        warehouse_id: almacenId,
+        numero_lote: origen.numero_lote,
+        cantidad_recibida: cantidad,
+        cantidad_restante: cantidad,
+        fecha_vencimiento: origen.fecha_vencimiento,
+        costo: origen.costo,
+        fecha_ingreso: origen.fecha_ingreso
+      }, { transaction });
+    }
+
+    resultado.push({ lot_id: destino.id, numero_lote: destino.numero_lote, cantidad });
+  }
+
+  return resultado;
+};
+
+/**
+ * Método estático para devolver a sus lotes las unidades de una línea de compra
+ * Repone primero los últimos lotes consumidos. Las unidades que la línea no tomó
+ * de ningún lote vuelven como stock sin lote. La línea de un kit consume lotes de
+ * varios productos: con `productId` solo se reponen los lotes de ese producto.
+ * @param {number} purchaseDetailId - ID del detalle de compra
+ * @param {number} cantidad - Unidades que vuelven al stock
+ * @param {Object} opciones - { productId, transaction }
+ * @returns {Object[]} - Asignaciones: { lot_id, cantidad }
+ */
+Lot.restituir = async (purchaseDetailId, cantidad, { productId = null, transaction }) => {
+  const consumos = await PurchaseDetailLot.findAll({
+    where: { purchase_detail_id: purchaseDetailId },
+    include: productId
+      ? [{ model: Lot, as: 'lot', attributes: [], where: { product_id: productId } }]
+      : [],
+    order: [['id', 'DESC']],
+    lock: true,
+    transaction
+  });
+
+  const asignaciones = [];
+  let pendiente = cantidad;
+
+  for (const consumo of consumos) {
+    if (pendiente <= 0) break;
+
+    const repuesto = Math.min(pendiente, consumo.cantidad - consumo.cantidad_restituida);
+    if (repuesto <= 0) continue;
+
+    await Lot.increment({ cantidad_restante: repuesto }, { where: { id: consumo.lot_id }, transaction });
+    await consumo.update({ cantidad_restituida: consumo.cantidad_restituida + repuesto }, { transaction });
+
+    pendiente -= repuesto;
+    asignaciones.push({ lot_id: consumo.lot_id, cantidad: repuesto });
+  }
+
+  return asignaciones;
+};
+
+module.exports = {
+  Lot,
+  PurchaseDetailLot
+};
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Pago
+ * Movimiento de cobro de una compra, en la moneda de la compra. Una compra
+ * puede tener varios pagos (parciales o con distintos medios); los reintegros
+ * se registran como pagos con monto negativo
+ */
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  purchase_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'purchases',
+      key: 'id'
+    }
+  },
+  metodo: {
+    type: DataTypes.ENUM('efectivo', 'tarjeta', 'transferencia', 'credito_tienda'),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['efectivo', 'tarjeta', 'transferencia', 'credito_tienda']],
+        msg: 'El método debe ser efectivo, tarjeta, transferencia o credito_tienda'
+      }
+    }
+  },
+  monto: {
+    // Positivo = cobro, negativo = reintegro
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    validate: {
+      isDecimal: {
+        msg: 'El monto debe ser un número válido'
+      },
+      distintoDeCero(value) {
+        if (parseFloat(value) === 0) {
+          throw new Error('El monto no puede ser 0');
+        }
+      }
+    }
+  },
+  referencia: {
+    // Número de cupón de tarjeta, de transferencia, etc.
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  fecha_pago: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  registrado_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'payments',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['purchase_id']
+    },
+    {
+      fields: ['fecha_pago']
+    }
+  ]
+});
+
+module.exports = Payment;
@@ -0,0 +1,330 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Product = require('./Product');
+const logger = require('../utils/logger');
+
+const MOTIVOS_CAMBIO_PRECIO = ['manual', 'programado', 'fin_programado', 'producto_padre'];
+const ESTADOS_PRECIO_PROGRAMADO = ['pendiente', 'activo', 'finalizado', 'cancelado'];
+
+/**
+ * Modelo de Cambio de Precio
+ * Registro de solo inserción de cada cambio de `precio` de un producto, con quién
+ * lo hizo y por qué. Se escribe en la misma transacción que el cambio de precio
+ * (ver `Product.prototype.cambiarPrecio`)
+ */
+const PriceChange = sequelize.define('PriceChange', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  precio_anterior: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  precio_nuevo: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  motivo: {
+    // producto_padre = una variante sin precio propio siguió al precio de su padre
+    type: DataTypes.ENUM(...MOTIVOS_CAMBIO_PRECIO),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [MOTIVOS_CAMBIO_PRECIO],
+        msg: `El motivo debe ser uno de: ${MOTIVOS_CAMBIO_PRECIO.join(', ')}`
+      }
+    }
+  },
+  scheduled_price_id: {
+    // Cambio programado que aplicó (o revirtió) el precio
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'scheduled_prices',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'price_changes',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['product_id', 'fecha']
+    },
+    {
+      fields: ['scheduled_price_id']
+    }
+  ]
+});
+
+PriceChange.MOTIVOS = MOTIVOS_CAMBIO_PRECIO;
+
+/**
+ * Método estático para obtener el precio que tenía un producto en una fecha
+ * Es el precio nuevo del último cambio hasta esa fecha; sin cambios anteriores,
+ * el precio anterior al primer cambio posterior (o el precio actual si nunca cambió).
+ * @param {Product} product - Producto (con `precio` y `created_at`)
+ * @param {Date} fecha - Fecha consultada
+ * @returns {string|null} - Precio vigente en la fecha, o null si el producto no existía
+ */
+PriceChange.precioEn = async (product, fecha) => {
+  if (product.created_at > fecha) {
+    return null;
+  }
+
+  const anterior = await PriceChange.findOne({
+    where: { product_id: product.id, fecha: { [Op.lte]: fecha } },
+    order: [['fecha', 'DESC'], ['id', 'DESC']]
+  });
+  if (anterior) {
+    return anterior.precio_nuevo;
+  }
+
+  const posterior = await PriceChange.findOne({
+    where: { product_id: product.id, fecha: { [Op.gt]: fecha } },
+    order: [['fecha', 'ASC'], ['id', 'ASC']]
+  });
+  return posterior ? posterior.precio_anterior : product.precio;
+};
+
+/**
+ * Modelo de Precio Programado
+ * Cambio de precio que entra en vigencia en `fecha_inicio`. Con `fecha_fin` es una
+ * promoción temporal: al terminar se restituye el precio que tenía el producto
+ * (`precio_anterior`). Lo aplica la tarea periódica `aplicar-precios-programados`
+ */
+const ScheduledPrice = sequelize.define('ScheduledPrice', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  precio: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: {
+        args: [0.01],
+        msg: 'El precio debe ser mayor a 0'
+      }
+    }
+  },
+  fecha_inicio: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  fecha_fin: {
+    // Sin fecha de fin el cambio es permanente
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  estado: {
+    // activo = promoción en vigencia que se revierte en fecha_fin
+    type: DataTypes.ENUM(...ESTADOS_PRECIO_PROGRAMADO),
+    allowNull: false,
+    defaultValue: 'pendiente'
+  },
+  precio_anterior: {
+    // Precio del producto al aplicarse el cambio
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
+  notas: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  creado_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'scheduled_prices',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['product_id', 'estado']
+    },
+    {
+      fields: ['estado', 'fecha_inicio']
+    }
+  ],
+  validate: {
+    finPosteriorAlInicio() {
+      if (this.fecha_fin && this.fecha_fin <= this.fecha_inicio) {
+        throw new Error('La fecha de fin debe ser posterior a la fecha de inicio');
+      }
+    }
+  }
+});
+
+ScheduledPrice.ESTADOS = ESTADOS_PRECIO_PROGRAMADO;
+
+/**
+ * Método estático para buscar un cambio programado que se superponga con otro período
+ * Una promoción ocupa [fecha_inicio, fecha_fin); un cambio permanente, solo su fecha de
+ * inicio. Se consideran los cambios pendientes o activos del producto.
+ * @param {number} productId - ID del producto
+ * @param {Object} periodo - { fecha_inicio, fecha_fin }
+ * @param {Object} opciones - { transaction }
+ * @returns {ScheduledPrice|null} - Primer cambio superpuesto
+ */
+ScheduledPrice.buscarSuperpuesto = async (productId, { fecha_inicio, fecha_fin }, { transaction } = {}) => {
+  const vigentes = await ScheduledPrice.findAll({
+    where: { product_id: productId, estado: { [Op.in]: ['pendiente', 'activo'] } },
+    order: [['fecha_inicio', 'ASC']],
+    transaction
+  });
+
+  const inicio = new Date(fecha_inicio).getTime();
+  const fin = fecha_fin ? new Date(fecha_fin).getTime() : inicio;
+
+  return vigentes.find(programado => {
+    const otroInicio = programado.fecha_inicio.getTime();
+    const otroFin = programado.fecha_fin ? programado.fecha_fin.getTime() : otroInicio;
+    return otroInicio === inicio || (otroInicio < fin && inicio < otroFin);
+  }) || null;
+};
+
+/**
+ * Método para aplicar el cambio programado al producto
+ * Guarda el precio actual para restituirlo al final de una promoción. Si la
+ * promoción ya terminó (por ejemplo, con el servidor detenido) se finaliza sin
+ * aplicarse; si el producto está inactivo se cancela.
+ * @param {Object} opciones - { transaction }
+ * @returns {ScheduledPrice} - El cambio programado actualizado
+ */
+ScheduledPrice.prototype.aplicar = async function({ transaction } = {}) {
+  const product = await Product.findByPk(this.product_id, { lock: true, transaction });
+
+  if (!product || !product.activo) {
+    return this.update({ estado: 'cancelado' }, { transaction });
+  }
+
+  if (this.fecha_fin && this.fecha_fin <= new Date()) {
+    return this.update({ estado: 'finalizado' }, { transaction });
+  }
+
+  const precioAnterior = product.precio;
+  await product.cambiarPrecio(this.precio, {
+    motivo: 'programado',
+    scheduledPriceId: this.id,
+    userId: this.creado_por,
+    transaction
+  });
+
+  return this.update({
+    estado: this.fecha_fin ? 'activo' : 'finalizado',
+    precio_anterior: precioAnterior
+  }, { transaction });
+};
+
+/**
+ * Método para terminar una promoción activa restituyendo el precio anterior
+ * Si el precio se cambió a mano durante la promoción, se conserva ese precio.
+ * @param {Object} opciones - { estado ('finalizado' o 'cancelado'), userId, transaction }
+ * @returns {ScheduledPrice} - El cambio programado actualizado
+ */
+ScheduledPrice.prototype.finalizar = async function({ estado = 'finalizado', userId = null, transaction } = {}) {
+  const product = await Product.findByPk(this.product_id, { lock: true, transaction });
+
+  if (product && parseFloat(product.precio) === parseFloat(this.precio)) {
+    await product.cambiarPrecio(this.precio_anterior, {
+      motivo: 'fin_programado',
+      scheduledPriceId: this.id,
+      userId: userId || this.creado_por,
+      transaction
+    });
+  }
+
+  return this.update({ estado }, { transaction });
+};
+
+/**
+ * Método estático para aplicar los cambios programados que llegaron a su fecha
+ * Primero termina las promociones vencidas y luego aplica los cambios pendientes
+ * en orden de inicio, cada uno en su propia transacción.
+ * @returns {Object} - { aplicados, finalizados }
+ */
+ScheduledPrice.procesarVencidos = async () => {
+  const ahora = new Date();
+  const resultado = { aplicados: 0, finalizados: 0 };
+
+  const vencidos = await ScheduledPrice.findAll({
+    where: { estado: 'activo', fecha_fin: { [Op.lte]: ahora } },
+    attributes: ['id'],
+    order: [['fecha_fin', 'ASC']]
+  });
+  const pendientes = await ScheduledPrice.findAll({
+    where: { estado: 'pendiente', fecha_inicio: { [Op.lte]: ahora } },
+    attributes: ['id'],
+    order: [['fecha_inicio', 'ASC']]
+  });
+
+  const tareas = [
+    ...vencidos.map(({ id }) => ({ id, estado: 'activo', accion: 'finalizar', contador: 'finalizados' })),
+    ...pendientes.map(({ id }) => ({ id, estado: 'pendiente', accion: 'aplicar', contador: 'aplicados' }))
+  ];
+
+  for (const { id, estado, accion, contador } of tareas) {
+    const transaction = await sequelize.transaction();
+    try {
+      const programado = await ScheduledPrice.findByPk(id, { lock: true, transaction });
+
+      // Pudo haberse cancelado mientras tanto
+      if (!programado || programado.estado !== estado) {
+        await transaction.rollback();
+        continue;
+      }
+
+      await programado[accion]({ transaction });
+      await transaction.commit();
+      resultado[contador]++;
+    } catch (error) {
+      await transaction.rollback();
+      logger.error(`Error procesando el precio programado ${id}:`, error);
+    }
+  }
+
+  return resultado;
+};
+
+module.exports = {
+  PriceChange,
+  ScheduledPrice
+};
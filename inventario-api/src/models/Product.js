@@ -49,6 +49,17 @@ const Product = sequelize.define('Product', {
       }
     }
   },
+  costo: {
+    // Costo unitario promedio ponderado en moneda base (ver `registrarCosto`)
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El costo no puede ser negativo'
+      }
+    }
+  },
   cantidad_disponible: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -63,6 +74,63 @@ const Product = sequelize.define('Product', {
       }
     }
   },
+  cantidad_reservada: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isInt: {
+        msg: 'La cantidad reservada debe ser un número entero'
+      },
+      min: {
+        args: [0],
+        msg: 'La cantidad reservada no puede ser negativa'
+      }
+    }
+  },
+  cantidad_libre: {
+    // Stock que puede venderse o reservarse: disponible menos lo apartado por reservas pendientes
+    type: DataTypes.VIRTUAL(DataTypes.INTEGER, ['cantidad_disponible', 'cantidad_reservada']),
+    get() {
+      return (this.getDataValue('cantidad_disponible') || 0) - (this.getDataValue('cantidad_reservada') || 0);
+    }
+  },
+  stock_minimo: {
+    // Stock de seguridad: por debajo de este nivel la alerta es crítica
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El stock mínimo no puede ser negativo'
+      }
+    }
+  },
+  punto_reorden: {
+    // Por debajo de este nivel hay que volver a pedir el producto (ver StockAlert)
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 10,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El punto de reorden no puede ser negativo'
+      }
+    }
+  },
+  cantidad_reorden: {
+    // Lote de compra sugerido al reponer (nunca menos de lo que falta para el punto de reorden)
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'La cantidad de reorden no puede ser negativa'
+      }
+    }
+  },
   fecha_ingreso: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -77,6 +145,88 @@ const Product = sequelize.define('Product', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  sku: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    unique: {
+      msg: 'El SKU ya existe'
+    }
+  },
+  parent_id: {
+    // Producto padre del que este producto es una variante (ver `atributos`)
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  atributos_variante: {
+    // En un producto con variantes: atributos que las distinguen (ej: ["talla", "color"]).
+    // El producto padre no tiene stock propio: se vende y se repone cada variante
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  atributos: {
+    // En una variante: valor de cada atributo del padre (ej: { "talla": "M", "color": "Rojo" })
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  es_kit: {
+    // Kit formado por otros productos (ver BundleComponent): no tiene stock propio
+    // y al venderse descuenta el stock de sus componentes
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  unidad_base: {
+    // Unidad en que se lleva el stock y se expresa `precio` (ver ProductUnit para
+    // las presentaciones de venta y de compra)
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'unidad',
+    validate: {
+      notEmpty: {
+        msg: 'La unidad base es requerida'
+      }
+    }
+  },
+  hereda_precio: {
+    // Variante sin precio propio: su precio sigue al del producto padre
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  category_id: {
+    // Categoría del catálogo (ver Category); no confundir con la categoría de IVA
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'categories',
+      key: 'id'
+    }
+  },
+  tax_category_id: {
+    // Sin categoría se aplica la categoría de IVA por defecto
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tax_categories',
+      key: 'id'
+    }
+  },
+  permite_backorder: {
+    // Si se puede vender sin stock cuando la compra lo solicita (ver Backorder)
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  precio_incluye_iva: {
+    // Si `precio` es final (IVA incluido) o neto (el IVA se suma al facturar)
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
   activo: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -84,6 +234,28 @@ const Product = sequelize.define('Product', {
 }, {
   tableName: 'products',
   timestamps: true,
+  validate: {
+    stockCubreReservas() {
+      if (this.cantidad_disponible < this.cantidad_reservada) {
+        throw new Error(`La cantidad disponible (${this.cantidad_disponible}) no puede ser menor a la reservada (${this.cantidad_reservada})`);
+      }
+    },
+    reordenSobreMinimo() {
+      if (this.punto_reorden < this.stock_minimo) {
+        throw new Error(`El punto de reorden (${this.punto_reorden}) no puede ser menor al stock mínimo (${this.stock_minimo})`);
+      }
+    },
+    varianteSinVariantes() {
+      if (this.parent_id && this.atributos_variante) {
+        throw new Error('Una variante no puede tener variantes propias');
+      }
+    },
+    kitSinVariantes() {
+      if (this.es_kit && (this.parent_id || this.atributos_variante)) {
+        throw new Error('Un kit no puede tener variantes ni ser una variante');
+      }
+    }
+  },
   indexes: [
     {
       fields: ['numero_lote']
@@ -93,41 +265,305 @@ const Product = sequelize.define('Product', {
     },
     {
       fields: ['activo']
+    },
+    {
+      fields: ['category_id']
+    },
+    {
+      fields: ['parent_id']
     }
   ]
 });
 
+// Campos que una variante toma siempre de su producto padre
+Product.CAMPOS_HEREDADOS = ['descripcion', 'category_id', 'tax_category_id', 'precio_incluye_iva', 'permite_backorder'];
+
+/**
+ * Método estático para armar el nombre de una variante
+ * @param {Product} padre - Producto padre (con `atributos_variante`)
+ * @param {Object} atributos - Valor de cada atributo de la variante
+ * @returns {string} - Ej: "Remera Algodón (M / Rojo)"
+ */
+Product.nombreVariante = (padre, atributos) =>
+  `${padre.nombre} (${padre.atributos_variante.map(nombre => atributos[nombre]).join(' / ')})`;
+
+/**
+ * Método para saber si el producto es un padre de variantes
+ * @returns {boolean} - Verdadero si define `atributos_variante` (no tiene stock propio)
+ */
+Product.prototype.tieneVariantes = function() {
+  return Array.isArray(this.atributos_variante) && this.atributos_variante.length > 0;
+};
+
+/**
+ * Método para saber si el producto lleva stock propio
+ * Los productos con variantes y los kits no: se mueve el stock de sus variantes
+ * o de sus componentes.
+ * @returns {boolean}
+ */
+Product.prototype.tieneStockPropio = function() {
+  return !this.es_kit && !this.tieneVariantes();
+};
+
+/**
+ * Método para propagar a las variantes los cambios del producto padre
+ * Actualiza los campos heredados, el nombre y el precio de las variantes sin
+ * precio propio (incluidas las inactivas, por si se reactivan).
+ * @param {Object} opciones - { transaction }
+ * @returns {number} - Variantes actualizadas
+ */
+Product.prototype.sincronizarVariantes = async function({ transaction } = {}) {
+  const variantes = await Product.findAll({ where: { parent_id: this.id }, transaction });
+  const heredados = Object.fromEntries(Product.CAMPOS_HEREDADOS.map(campo => [campo, this[campo]]));
+
+  for (const variante of variantes) {
+    await variante.update({
+      ...heredados,
+      nombre: Product.nombreVariante(this, variante.atributos),
+      ...(variante.hereda_precio ? { precio: this.precio } : {})
+    }, { transaction });
+  }
+
+  return variantes.length;
+};
+
+/**
+ * Método para cambiar el precio del producto dejando el cambio en el historial
+ * Es la única vía para modificar `precio` de un producto existente. En un producto
+ * padre el precio se propaga a las variantes sin precio propio, cada una con su
+ * propio registro.
+ * @param {number|string} precio - Precio nuevo
+ * @param {Object} opciones - { motivo, scheduledPriceId, userId, transaction }
+ * @returns {PriceChange|null} - Cambio registrado (null si el precio no cambió)
+ */
+Product.prototype.cambiarPrecio = async function(precio, {
+  motivo = 'manual',
+  scheduledPriceId = null,
+  userId = null,
+  transaction
+} = {}) {
+  const precioAnterior = this.precio;
+
+  if (parseFloat(precioAnterior) === parseFloat(precio)) {
+    return null;
+  }
+
+  await this.update({ precio }, { transaction });
+
+  const registro = await sequelize.models.PriceChange.create({
+    product_id: this.id,
+    precio_anterior: precioAnterior,
+    precio_nuevo: precio,
+    motivo,
+    scheduled_price_id: scheduledPriceId,
+    user_id: userId
+  }, { transaction });
+
+  if (this.tieneVariantes()) {
+    const variantes = await Product.findAll({ where: { parent_id: this.id, hereda_precio: true }, transaction });
+    for (const variante of variantes) {
+      await variante.cambiarPrecio(precio, { motivo: 'producto_padre', scheduledPriceId, userId, transaction });
+    }
+  }
+
+  return registro;
+};
+
+/**
+ * Método para armar la matriz de variantes de un producto padre
+ * Lista las variantes activas con su precio y stock libre, y los valores de cada
+ * atributo indicando si alguna variante con ese valor se puede comprar (tiene stock
+ * libre o permite backorder), para que la tienda arme los selectores.
+ * @param {Object} opciones - { transaction }
+ * @returns {Object} - { atributos, variantes, cantidad_libre, precio_desde, precio_hasta }
+ */
+Product.prototype.matrizVariantes = async function({ transaction } = {}) {
+  const registros = await Product.findAll({
+    where: { parent_id: this.id, activo: true },
+    attributes: ['id', 'sku', 'numero_lote', 'nombre', 'atributos', 'precio', 'hereda_precio', 'cantidad_disponible', 'cantidad_reservada', 'cantidad_libre', 'permite_backorder'],
+    order: [['id', 'ASC']],
+    transaction
+  });
+
+  const variantes = registros.map(variante => ({
+    id: variante.id,
+    sku: variante.sku,
+    numero_lote: variante.numero_lote,
+    nombre: variante.nombre,
+    atributos: variante.atributos,
+    precio: variante.precio,
+    hereda_precio: variante.hereda_precio,
+    cantidad_libre: variante.cantidad_libre,
+    disponible: variante.cantidad_libre > 0 || variante.permite_backorder
+  }));
+
+  const atributos = this.atributos_variante.map(nombre => ({
+    nombre,
+    valores: [...new Set(variantes.map(variante => variante.atributos[nombre]))].map(valor => ({
+      valor,
+      disponible: variantes.some(variante => variante.atributos[nombre] === valor && variante.disponible)
+    }))
+  }));
+
+  const precios = variantes.map(variante => parseFloat(variante.precio));
+
+  return {
+    atributos,
+    variantes,
+    cantidad_libre: variantes.reduce((sum, variante) => sum + Math.max(variante.cantidad_libre, 0), 0),
+    precio_desde: precios.length > 0 ? Math.min(...precios).toFixed(2) : null,
+    precio_hasta: precios.length > 0 ? Math.max(...precios).toFixed(2) : null
+  };
+};
+
 /**
  * Método para verificar disponibilidad de stock
  * @param {number} cantidad - Cantidad solicitada
  * @returns {boolean} - Verdadero si hay stock suficiente
  */
 Product.prototype.tieneStock = function(cantidad) {
-  return this.cantidad_disponible >= cantidad;
+  return this.cantidad_libre >= cantidad;
+};
+
+/**
+ * Método para recalcular el costo promedio con una entrada de mercadería
+ * Debe llamarse antes de sumar las unidades al stock: pondera el costo actual
+ * por `cantidad_disponible` y el de la entrada por `cantidad`. Sin costo previo
+ * (o sin stock) el costo pasa a ser el de la entrada.
+ * @param {number} cantidad - Unidades que ingresan
+ * @param {number} costoUnitario - Costo unitario de la entrada en moneda base
+ * @param {Object} opciones - { transaction }
+ * @returns {number} - Costo promedio resultante
+ */
+Product.prototype.registrarCosto = async function(cantidad, costoUnitario, { transaction } = {}) {
+  const stockActual = Math.max(this.cantidad_disponible, 0);
+  const costoActual = this.costo === null || this.costo === undefined ? null : parseFloat(this.costo);
+  const costo = costoActual === null || stockActual === 0
+    ? parseFloat(costoUnitario)
+    : (stockActual * costoActual + cantidad * parseFloat(costoUnitario)) / (stockActual + cantidad);
+
+  await this.update({ costo: costo.toFixed(2) }, { transaction });
+  return parseFloat(this.costo);
+};
+
+/**
+ * Método para mover stock dejando el movimiento en el kardex
+ * Suma `cantidad` (negativa para egresos) a `cantidad_disponible` y registra el
+ * movimiento con el saldo resultante. Dentro de una transacción el producto debe
+ * estar bloqueado (FOR UPDATE) para que el saldo sea exacto.
+ * El stock se mueve en el almacén `warehouseId` (por defecto el almacén por defecto).
+ * Los egresos consumen los lotes del almacén por vencimiento (FEFO; las ventas, sin
+ * tocar los lotes vencidos) y, con `purchaseDetailId`, quedan asociados a esa línea de
+ * compra; los ingresos de una línea de compra vuelven a los lotes que consumió y los de
+ * `lotId` entran a ese lote (que debe estar en el almacén). Con `afectaLotes: false`
+ * (transferencias entre almacenes) los lotes los mueve quien llama.
+ * Después del movimiento se abren o resuelven las alertas de stock bajo.
+ * Un producto con variantes o un kit no tiene stock propio: lanza un error con `status` 400.
+ * @param {number} cantidad - Variación del stock disponible
+ * @param {Object} movimiento - { motivo, documentoTipo, documentoId, warehouseId, purchaseDetailId,
+ *   lotId, afectaLotes, userId, notas, transaction } (si no se indica transacción se usa una propia)
+ * @returns {StockMovement} - Movimiento registrado
+ */
+Product.prototype.moverStock = async function(cantidad, { transaction, ...movimiento } = {}) {
+  if (!this.tieneStockPropio()) {
+    const error = new Error(this.es_kit
+      ? `${this.nombre} es un kit: su stock es el de sus componentes`
+      : `${this.nombre} tiene variantes: el stock se lleva en cada variante`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (!transaction) {
+    return sequelize.transaction(async (t) => {
+      await this.reload({ lock: true, transaction: t });
+      return this.moverStock(cantidad, { ...movimiento, transaction: t });
+    });
+  }
+
+  const {
+    motivo,
+    documentoTipo = null,
+    documentoId = null,
+    warehouseId = null,
+    purchaseDetailId = null,
+    lotId = null,
+    afectaLotes = true,
+    userId = null,
+    notas = null
+  } = movimiento;
+  const { Lot, Warehouse, WarehouseStock } = sequelize.models;
+
+  const almacenId = warehouseId || (await Warehouse.obtenerPorDefecto({ transaction })).id;
+  await WarehouseStock.mover(almacenId, this.id, cantidad, { transaction });
+
+  const saldo = this.cantidad_disponible + cantidad;
+
+  // Sobre la instancia: la validación stockCubreReservas impide dejar sin stock lo reservado
+  await this.update({ cantidad_disponible: saldo }, { transaction });
+
+  // En las transferencias las unidades cambian de almacén pero siguen en sus lotes
+  if (afectaLotes) {
+    if (cantidad < 0) {
+      await Lot.consumir(this.id, -cantidad, { almacenId, purchaseDetailId, soloVigentes: motivo === 'venta', transaction });
+    } else if (purchaseDetailId) {
+      await Lot.restituir(purchaseDetailId, cantidad, { productId: this.id, transaction });
+    } else if (lotId) {
+      await Lot.increment({ cantidad_restante: cantidad }, { where: { id: lotId, product_id: this.id }, transaction });
+    }
+  }
+
+  const registro = await sequelize.models.StockMovement.create({
+    product_id: this.id,
+    cantidad,
+    saldo,
+    motivo,
+    warehouse_id: almacenId,
+    documento_tipo: documentoTipo,
+    documento_id: documentoId,
+    user_id: userId,
+    notas
+  }, { transaction });
+
+  await sequelize.models.StockAlert.evaluar(this, { stockMovementId: registro.id, transaction });
+
+  return registro;
 };
 
 /**
  * Método para reducir stock
  * @param {number} cantidad - Cantidad a reducir
+ * @param {Object} movimiento - Datos del movimiento (ver `moverStock`; por defecto motivo venta)
  * @returns {boolean} - Verdadero si se pudo reducir el stock
  */
-Product.prototype.reducirStock = async function(cantidad) {
+Product.prototype.reducirStock = async function(cantidad, movimiento = {}) {
   if (!this.tieneStock(cantidad)) {
-    throw new Error(`Stock insuficiente. Disponible: ${this.cantidad_disponible}, Solicitado: ${cantidad}`);
+    throw new Error(`Stock insuficiente. Disponible: ${this.cantidad_libre}, Solicitado: ${cantidad}`);
   }
-  
-  this.cantidad_disponible -= cantidad;
-  await this.save();
+
+  await this.moverStock(-cantidad, { motivo: 'venta', ...movimiento });
   return true;
 };
 
 /**
  * Método para aumentar stock
+ * El stock que ingresa surte primero los backorders pendientes del producto.
  * @param {number} cantidad - Cantidad a agregar
+ * @param {Object} movimiento - Datos del movimiento (ver `moverStock`; por defecto motivo ingreso)
+ *   y { transaction } (si no se indica se usa una propia)
  */
-Product.prototype.aumentarStock = async function(cantidad) {
-  this.cantidad_disponible += cantidad;
-  await this.save();
+Product.prototype.aumentarStock = async function(cantidad, { transaction, ...movimiento } = {}) {
+  const ejecutar = async (t) => {
+    await this.reload({ lock: true, transaction: t });
+    await this.moverStock(cantidad, { motivo: 'ingreso', ...movimiento, transaction: t });
+    await sequelize.models.Backorder.surtirPendientes([this.id], { userId: movimiento.userId, transaction: t });
+    await this.reload({ transaction: t });
+  };
+
+  if (transaction) {
+    await ejecutar(transaction);
+  } else {
+    await sequelize.transaction(ejecutar);
+  }
 };
 
 module.exports = Product;
\ No newline at end of file
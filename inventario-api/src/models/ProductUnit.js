@@ -0,0 +1,125 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const USOS_UNIDAD = ['venta', 'compra'];
+
+/**
+ * Modelo de Unidad Alternativa de un Producto
+ * Presentación en que se vende o se compra el producto (paquete, caja...) con su
+ * factor de conversión a la unidad base (`Product.unidad_base`). El stock se lleva
+ * siempre en la unidad base
+ */
+const ProductUnit = sequelize.define('ProductUnit', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  nombre: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre de la unidad es requerido'
+      }
+    }
+  },
+  factor: {
+    // Unidades base que contiene una unidad
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: {
+        args: [2],
+        msg: 'El factor de conversión debe ser mayor a 1'
+      }
+    }
+  },
+  precio: {
+    // Precio propio de la unidad; sin él se vende a precio base × factor
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0.01],
+        msg: 'El precio debe ser mayor a 0'
+      }
+    }
+  },
+  venta: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  compra: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  tableName: 'product_units',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['product_id', 'nombre']
+    }
+  ],
+  validate: {
+    algunUso() {
+      if (!this.venta && !this.compra) {
+        throw new Error('La unidad debe habilitarse para la venta, la compra o ambas');
+      }
+    }
+  }
+});
+
+ProductUnit.USOS = USOS_UNIDAD;
+
+/**
+ * Método estático para resolver la unidad de una línea de venta o de compra
+ * Sin unidad (o con la unidad base) la línea es en unidades base a precio base.
+ * @param {Product} product - Producto (con `precio` y `unidad_base`)
+ * @param {string} [nombre] - Unidad indicada en la línea
+ * @param {string} uso - venta o compra
+ * @param {Object} opciones - { transaction }
+ * @returns {Object} - { unidad, factor, precio } (precio de venta de la unidad)
+ * @throws {Error} - 400 si la unidad no existe o no está habilitada para ese uso
+ */
+ProductUnit.resolver = async (product, nombre, uso, { transaction } = {}) => {
+  if (!nombre || nombre === product.unidad_base) {
+    return { unidad: product.unidad_base, factor: 1, precio: product.precio };
+  }
+
+  const unidades = await ProductUnit.findAll({
+    where: { product_id: product.id, [uso]: true },
+    order: [['factor', 'ASC']],
+    transaction
+  });
+  const unidad = unidades.find(u => u.nombre === nombre);
+
+  if (!unidad) {
+    const habilitadas = [product.unidad_base, ...unidades.map(u => u.nombre)].join(', ');
+    const error = new Error(`${product.nombre} no se ${uso === 'venta' ? 'vende' : 'compra'} por ${nombre}. Unidades habilitadas: ${habilitadas}`);
+    error.status = 400;
+    throw error;
+  }
+
+  return {
+    unidad: unidad.nombre,
+    factor: unidad.factor,
+    precio: unidad.precio !== null
+      ? unidad.precio
+      : (Math.round(parseFloat(product.precio) * unidad.factor * 100) / 100).toFixed(2)
+  };
+};
+
+module.exports = ProductUnit;
@@ -1,14 +1,14 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { sequelize } = require('../config/database');
-
-/**
- * Función utilitaria para generar números de factura únicos
- */
-const generateInvoiceNumber = () => {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `FAC-${timestamp}-${random}`;
-};
+const Product = require('./Product');
+const InvoiceSeries = require('./InvoiceSeries');
+const { Coupon } = require('./Coupon');
+const { Currency } = require('./Currency');
+const { ESTADOS_ENVIO } = require('./FulfillmentEvent');
+const Backorder = require('./Backorder');
+const { Warehouse, WarehouseStock } = require('./Warehouse');
+const { PurchaseDetailComponent } = require('./BundleComponent');
+const logger = require('../utils/logger');
 
 /**
  * Modelo de Compra
@@ -21,13 +21,32 @@ const Purchase = sequelize.define('Purchase', {
     autoIncrement: true
   },
   user_id: {
+    // Null en ventas de mostrador a consumidor final
     type: DataTypes.INTEGER,
-    allowNull: false,
+    allowNull: true,
     references: {
       model: 'users',
       key: 'id'
     }
   },
+  vendedor_id: {
+    // Administrador que registró la venta en mostrador (null si la hizo el cliente)
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  warehouse_id: {
+    // Almacén del que sale la mercadería
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
   fecha_compra: {
     type: DataTypes.DATE,
     allowNull: false,
@@ -41,19 +60,161 @@ const Purchase = sequelize.define('Purchase', {
         msg: 'El total debe ser un número válido'
       },
       min: {
-        args: [0.01],
-        msg: 'El total debe ser mayor a 0'
+        args: [0],
+        msg: 'El total no puede ser negativo'
       }
     }
   },
+  moneda: {
+    // Moneda en la que están expresados todos los importes de la compra
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  tasa_cambio: {
+    // Valor de una unidad de `moneda` en la moneda base al momento de la compra
+    type: DataTypes.DECIMAL(18, 6),
+    allowNull: false,
+    defaultValue: 1
+  },
+  total_moneda_base: {
+    type: DataTypes.VIRTUAL(DataTypes.DECIMAL(12, 2), ['total', 'tasa_cambio']),
+    get() {
+      const total = parseFloat(this.getDataValue('total') || 0) * parseFloat(this.getDataValue('tasa_cambio') || 1);
+      return total.toFixed(2);
+    }
+  },
+  base_imponible: {
+    // Suma de las bases imponibles de las líneas (sin IVA)
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  total_iva: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  descuento: {
+    // Descuento total aplicado por cupón (ya restado de `total`)
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El descuento no puede ser negativo'
+      }
+    }
+  },
+  coupon_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'coupons',
+      key: 'id'
+    }
+  },
+  codigo_cupon: {
+    // Copia del código usado, por si el cupón se modifica después
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  total_devuelto: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isDecimal: {
+        msg: 'El total devuelto debe ser un número válido'
+      },
+      min: {
+        args: [0],
+        msg: 'El total devuelto no puede ser negativo'
+      }
+    }
+  },
+  total_neto: {
+    // Total de la factura descontando las notas de crédito emitidas por devoluciones
+    type: DataTypes.VIRTUAL(DataTypes.DECIMAL(12, 2), ['total', 'total_devuelto']),
+    get() {
+      const neto = parseFloat(this.getDataValue('total') || 0) - parseFloat(this.getDataValue('total_devuelto') || 0);
+      return neto.toFixed(2);
+    }
+  },
+  total_pagado: {
+    // Suma de los pagos registrados (los reintegros restan), ver Payment
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isDecimal: {
+        msg: 'El total pagado debe ser un número válido'
+      },
+      min: {
+        args: [0],
+        msg: 'El total pagado no puede ser negativo'
+      }
+    }
+  },
+  saldo_pendiente: {
+    // Lo que falta cobrar; negativo si hay que reintegrar (devoluciones o compra cancelada)
+    type: DataTypes.VIRTUAL(DataTypes.DECIMAL(12, 2), ['total', 'total_devuelto', 'total_pagado', 'estado']),
+    get() {
+      const adeudado = this.getDataValue('estado') === 'cancelada'
+        ? 0
+        : parseFloat(this.getDataValue('total') || 0) - parseFloat(this.getDataValue('total_devuelto') || 0);
+      return (adeudado - parseFloat(this.getDataValue('total_pagado') || 0)).toFixed(2);
+    }
+  },
+  estado_pago: {
+    type: DataTypes.VIRTUAL(DataTypes.STRING, ['total', 'total_devuelto', 'total_pagado', 'estado']),
+    get() {
+      const pagado = parseFloat(this.getDataValue('total_pagado') || 0);
+      if (parseFloat(this.get('saldo_pendiente')) <= 0) return 'pagada';
+      return pagado > 0 ? 'parcial' : 'impaga';
+    }
+  },
   estado: {
     type: DataTypes.ENUM('pendiente', 'completada', 'cancelada'),
     defaultValue: 'completada'
   },
+  estado_envio: {
+    // Preparación y entrega; null mientras la compra no está completada (ver FulfillmentEvent)
+    type: DataTypes.ENUM(...ESTADOS_ENVIO),
+    allowNull: true
+  },
+  transportista: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  numero_seguimiento: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
   numero_factura: {
     type: DataTypes.STRING(50),
     allowNull: true, // Permitir null temporalmente para que el hook funcione
     unique: true
+  },
+  cancelado_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha_cancelacion: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  motivo_cancelacion: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  reserva_expira_en: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'purchases',
@@ -62,6 +223,12 @@ const Purchase = sequelize.define('Purchase', {
     {
       fields: ['user_id']
     },
+    {
+      fields: ['vendedor_id']
+    },
+    {
+      fields: ['warehouse_id']
+    },
     {
       fields: ['fecha_compra']
     },
@@ -70,6 +237,12 @@ const Purchase = sequelize.define('Purchase', {
     },
     {
       fields: ['estado']
+    },
+    {
+      fields: ['estado', 'reserva_expira_en']
+    },
+    {
+      fields: ['estado', 'estado_envio']
     }
   ]
 });
@@ -113,6 +286,25 @@ const PurchaseDetail = sequelize.define('PurchaseDetail', {
       }
     }
   },
+  unidad: {
+    // Unidad en que se expresan `cantidad` y `precio_unitario` (la unidad base del producto
+    // o una de sus unidades alternativas, ver ProductUnit)
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'unidad'
+  },
+  factor_unidad: {
+    // Unidades base por cada unidad de la línea: el stock se mueve en cantidad × factor
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'El factor de conversión debe ser mayor a 0'
+      }
+    }
+  },
   precio_unitario: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false,
@@ -134,10 +326,93 @@ const PurchaseDetail = sequelize.define('PurchaseDetail', {
         msg: 'El subtotal debe ser un número válido'
       }
     }
+  },
+  cantidad_devuelta: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isInt: {
+        msg: 'La cantidad devuelta debe ser un número entero'
+      },
+      min: {
+        args: [0],
+        msg: 'La cantidad devuelta no puede ser negativa'
+      }
+    }
+  },
+  descuento: {
+    // Parte del descuento del cupón asignada a esta línea
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El descuento no puede ser negativo'
+      }
+    }
+  },
+  tax_category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tax_categories',
+      key: 'id'
+    }
+  },
+  tasa_iva: {
+    // Copia de la tasa vigente al momento de la compra
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  precio_incluye_iva: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  base_imponible: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  monto_iva: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  total_linea: {
+    // Importe cobrado por la línea: subtotal menos descuento, con IVA
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  subtotal_neto: {
+    // Importe cobrado por la línea sin las unidades devueltas
+    type: DataTypes.VIRTUAL(DataTypes.DECIMAL(12, 2), ['total_linea', 'cantidad', 'cantidad_devuelta']),
+    get() {
+      const cantidad = this.getDataValue('cantidad') || 0;
+      if (!cantidad) return '0.00';
+      const vigentes = cantidad - (this.getDataValue('cantidad_devuelta') || 0);
+      return (parseFloat(this.getDataValue('total_linea') || 0) * vigentes / cantidad).toFixed(2);
+    }
   }
 }, {
   tableName: 'purchase_details',
   timestamps: true,
+  validate: {
+    devolucionNoExcedeCompra() {
+      if (this.cantidad_devuelta > this.cantidad) {
+        throw new Error(`No se pueden devolver más unidades (${this.cantidad_devuelta}) de las compradas (${this.cantidad})`);
+      }
+    },
+    descuentoNoExcedeSubtotal() {
+      if (parseFloat(this.descuento || 0) > parseFloat(this.subtotal || 0)) {
+        throw new Error('El descuento de la línea no puede superar su subtotal');
+      }
+    }
+  },
   indexes: [
     {
       fields: ['purchase_id']
@@ -151,18 +426,75 @@ const PurchaseDetail = sequelize.define('PurchaseDetail', {
   ]
 });
 
+/**
+ * Modelo de Impuesto de Compra
+ * Desglose de la compra por categoría de IVA: base imponible e impuesto de cada tasa
+ */
+const PurchaseTax = sequelize.define('PurchaseTax', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  purchase_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'purchases',
+      key: 'id'
+    }
+  },
+  tax_category_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tax_categories',
+      key: 'id'
+    }
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  tipo: {
+    type: DataTypes.ENUM('gravado', 'tasa_cero', 'exento'),
+    allowNull: false
+  },
+  tasa: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false
+  },
+  base_imponible: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  monto_iva: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'purchase_taxes',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['purchase_id']
+    }
+  ]
+});
+
 // ============================================
 // HOOKS - Definidos después de los modelos
 // ============================================
 
 /**
  * Hook para generar número de factura automáticamente
- * Se ejecuta como respaldo si no se proporciona en el controlador
+ * Se ejecuta como respaldo si no se proporciona en el controlador;
+ * toma el número de la serie por defecto dentro de la misma transacción
  */
 Purchase.addHook('beforeCreate', async (purchase, options) => {
   try {
     if (!purchase.numero_factura) {
-      purchase.numero_factura = generateInvoiceNumber();
+      purchase.numero_factura = await InvoiceSeries.siguienteNumero('factura', { transaction: options.transaction });
       console.log(`🧾 Número de factura generado automáticamente: ${purchase.numero_factura}`);
     }
   } catch (error) {
@@ -173,11 +505,13 @@ Purchase.addHook('beforeCreate', async (purchase, options) => {
 
 /**
  * Hook para validar que el número de factura no esté vacío antes de guardar
+ * Los números salen solo de las series de facturación: no se inventa uno fuera de ellas
  */
-Purchase.addHook('beforeSave', async (purchase, options) => {
+Purchase.addHook('beforeSave', async (purchase) => {
   if (!purchase.numero_factura || purchase.numero_factura.trim() === '') {
-    purchase.numero_factura = generateInvoiceNumber();
-    console.log(`🛡️ Número de factura generado en beforeSave: ${purchase.numero_factura}`);
+    const error = new Error('La compra debe tener un número de factura de una serie de facturación');
+    error.status = 400;
+    throw error;
   }
 });
 
@@ -221,8 +555,9 @@ PurchaseDetail.addHook('beforeUpdate', (detail) => {
  */
 Purchase.createPurchaseWithDetails = async (userId, productos, transaction = null) => {
   try {
-    // Generar número de factura único
-    const numeroFactura = generateInvoiceNumber();
+    // Tomar el siguiente número de la serie de facturas
+    const numeroFactura = await InvoiceSeries.siguienteNumero('factura', { transaction });
+    const monedaBase = await Currency.obtenerBase({ transaction });
     
     // Calcular total
     let total = 0;
@@ -236,6 +571,7 @@ Purchase.createPurchaseWithDetails = async (userId, productos, transaction = nul
     const purchase = await Purchase.create({
       user_id: userId,
       total: total.toFixed(2),
+      moneda: monedaBase.codigo,
       numero_factura: numeroFactura,
       estado: 'completada'
     }, { transaction });
@@ -264,6 +600,99 @@ Purchase.isInvoiceNumberUnique = async (numeroFactura) => {
   }
 };
 
+/**
+ * Método estático para liberar el stock reservado de una compra pendiente
+ * Descuenta las cantidades de `cantidad_reservada` del producto y del almacén de la
+ * compra (con los productos bloqueados; en las líneas de kits, las de sus componentes),
+ * surte con ese stock los backorders pendientes, anula el uso del cupón si lo hubo
+ * y marca la compra como cancelada.
+ * Debe ejecutarse dentro de una transacción
+ * en la que la compra ya fue bloqueada.
+ * @param {Purchase} purchase - Compra en estado pendiente
+ * @param {Object} opciones - { motivo, userId, transaction }
+ */
+Purchase.liberarReserva = async (purchase, { motivo, userId = null, transaction }) => {
+  const detalles = await PurchaseDetail.findAll({
+    where: { purchase_id: purchase.id },
+    transaction
+  });
+
+  // Las líneas de kits tienen reservado el stock de sus componentes
+  const desglose = await PurchaseDetailComponent.desglosar(detalles, { transaction });
+
+  const cantidadesPorProducto = {};
+  for (const { detalle, productId, porUnidad } of desglose) {
+    cantidadesPorProducto[productId] = (cantidadesPorProducto[productId] || 0) + detalle.cantidad * porUnidad;
+  }
+
+  const products = await Product.findAll({
+    where: { id: { [Op.in]: Object.keys(cantidadesPorProducto).map(Number) } },
+    lock: true,
+    transaction
+  });
+
+  const almacenId = purchase.warehouse_id || (await Warehouse.obtenerPorDefecto({ transaction })).id;
+  for (const product of products) {
+    await product.update({
+      cantidad_reservada: Math.max(product.cantidad_reservada - cantidadesPorProducto[product.id], 0)
+    }, { transaction });
+    await WarehouseStock.reservar(almacenId, product.id, -cantidadesPorProducto[product.id], { transaction });
+  }
+
+  await Backorder.surtirPendientes(products.map(product => product.id), { userId, transaction });
+
+  if (purchase.coupon_id) {
+    await Coupon.liberarUso(purchase.id, { transaction });
+  }
+
+  await purchase.update({
+    estado: 'cancelada',
+    cancelado_por: userId,
+    fecha_cancelacion: new Date(),
+    motivo_cancelacion: motivo,
+    reserva_expira_en: null
+  }, { transaction });
+};
+
+/**
+ * Método estático para cancelar las reservas cuyo plazo ya venció
+ * Cada reserva se libera en su propia transacción para no bloquear
+ * todos los productos a la vez.
+ * @returns {number} - Cantidad de reservas liberadas
+ */
+Purchase.expirarReservas = async () => {
+  const vencidas = await Purchase.findAll({
+    where: {
+      estado: 'pendiente',
+      reserva_expira_en: { [Op.lte]: new Date() }
+    },
+    attributes: ['id']
+  });
+
+  let liberadas = 0;
+  for (const { id } of vencidas) {
+    const transaction = await sequelize.transaction();
+    try {
+      const purchase = await Purchase.findByPk(id, { lock: true, transaction });
+
+      // Pudo haberse confirmado o cancelado mientras tanto
+      if (!purchase || purchase.estado !== 'pendiente') {
+        await transaction.rollback();
+        continue;
+      }
+
+      await Purchase.liberarReserva(purchase, { motivo: 'Reserva expirada', transaction });
+      await transaction.commit();
+      liberadas++;
+    } catch (error) {
+      await transaction.rollback();
+      logger.error(`Error liberando reserva de la compra ${id}:`, error);
+    }
+  }
+
+  return liberadas;
+};
+
 // ============================================
 // EXPORTAR MODELOS Y UTILIDADES
 // ============================================
@@ -271,5 +700,5 @@ Purchase.isInvoiceNumberUnique = async (numeroFactura) => {
 module.exports = {
   Purchase,
   PurchaseDetail,
-  generateInvoiceNumber
+  PurchaseTax
 };
\ No newline at end of file
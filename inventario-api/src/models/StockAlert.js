@@ -0,0 +1,145 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ESTADOS_ALERTA = ['abierta', 'reconocida', 'resuelta'];
+const NIVELES_ALERTA = ['reorden', 'critico'];
+
+/**
+ * Modelo de Alerta de Stock
+ * Se abre cuando un movimiento deja un producto por debajo de su punto de
+ * reorden (nivel `critico` si además queda bajo su stock mínimo). Un usuario
+ * puede reconocerla y se resuelve sola cuando el stock vuelve al punto de
+ * reorden. Un producto tiene a lo sumo una alerta activa (abierta o reconocida)
+ */
+const StockAlert = sequelize.define('StockAlert', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  nivel: {
+    type: DataTypes.ENUM(...NIVELES_ALERTA),
+    allowNull: false,
+    defaultValue: 'reorden'
+  },
+  estado: {
+    type: DataTypes.ENUM(...ESTADOS_ALERTA),
+    allowNull: false,
+    defaultValue: 'abierta'
+  },
+  cantidad: {
+    // cantidad_disponible del producto al abrir la alerta
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  punto_reorden: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  stock_minimo: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  stock_movement_id: {
+    // Movimiento del kardex que dejó el producto bajo el umbral
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'stock_movements',
+      key: 'id'
+    }
+  },
+  reconocida_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha_reconocida: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  fecha_resuelta: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'stock_alerts',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['product_id', 'estado']
+    },
+    {
+      fields: ['estado']
+    }
+  ]
+});
+
+StockAlert.ESTADOS = ESTADOS_ALERTA;
+StockAlert.NIVELES = NIVELES_ALERTA;
+StockAlert.ACTIVAS = ['abierta', 'reconocida'];
+
+/**
+ * Método estático para abrir, escalar o resolver la alerta de un producto
+ * Compara `cantidad_disponible` con los umbrales del producto: bajo el punto de
+ * reorden abre una alerta si no hay una activa (o la pasa a crítica y la vuelve
+ * a abrir si cayó bajo el stock mínimo); en o sobre el punto de reorden resuelve
+ * la alerta activa.
+ * @param {Product} product - Producto con el saldo ya actualizado
+ * @param {Object} opciones - { stockMovementId, transaction }
+ * @returns {StockAlert|null} - Alerta activa después de evaluar
+ */
+StockAlert.evaluar = async (product, { stockMovementId = null, transaction } = {}) => {
+  const cantidad = product.cantidad_disponible;
+  const activa = await StockAlert.findOne({
+    where: { product_id: product.id, estado: { [Op.in]: StockAlert.ACTIVAS } },
+    lock: transaction ? true : undefined,
+    transaction
+  });
+
+  if (cantidad >= product.punto_reorden) {
+    if (activa) {
+      await activa.update({ estado: 'resuelta', fecha_resuelta: new Date() }, { transaction });
+    }
+    return null;
+  }
+
+  const nivel = cantidad < product.stock_minimo ? 'critico' : 'reorden';
+
+  if (!activa) {
+    return StockAlert.create({
+      product_id: product.id,
+      nivel,
+      cantidad,
+      punto_reorden: product.punto_reorden,
+      stock_minimo: product.stock_minimo,
+      stock_movement_id: stockMovementId
+    }, { transaction });
+  }
+
+  if (nivel === 'critico' && activa.nivel !== 'critico') {
+    await activa.update({
+      nivel,
+      estado: 'abierta',
+      cantidad,
+      stock_movement_id: stockMovementId,
+      reconocida_por: null,
+      fecha_reconocida: null
+    }, { transaction });
+  }
+
+  return activa;
+};
+
+module.exports = StockAlert;
@@ -0,0 +1,162 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Product = require('./Product');
+
+const MOTIVOS_MOVIMIENTO = ['venta', 'cancelacion', 'devolucion', 'ajuste', 'ingreso', 'transferencia'];
+
+/**
+ * Modelo de Movimiento de Stock (kardex)
+ * Registro de solo inserción de cada cambio de `cantidad_disponible` de un producto,
+ * con el saldo resultante y el documento que lo originó. Se escribe en la misma
+ * transacción que el cambio de stock (ver `Product.prototype.moverStock`)
+ */
+const StockMovement = sequelize.define('StockMovement', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  cantidad: {
+    // Positiva = ingreso, negativa = egreso
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      distintoDeCero(value) {
+        if (value === 0) {
+          throw new Error('La cantidad del movimiento no puede ser 0');
+        }
+      }
+    }
+  },
+  saldo: {
+    // cantidad_disponible del producto después del movimiento
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  motivo: {
+    type: DataTypes.ENUM(...MOTIVOS_MOVIMIENTO),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [MOTIVOS_MOVIMIENTO],
+        msg: `El motivo debe ser uno de: ${MOTIVOS_MOVIMIENTO.join(', ')}`
+      }
+    }
+  },
+  warehouse_id: {
+    // Almacén donde entró o salió la mercadería
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  documento_tipo: {
+    // compra, nota_credito, lote, transferencia...
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  documento_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  notas: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'stock_movements',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['product_id', 'fecha']
+    },
+    {
+      fields: ['documento_tipo', 'documento_id']
+    },
+    {
+      fields: ['warehouse_id']
+    }
+  ]
+});
+
+StockMovement.MOTIVOS = MOTIVOS_MOVIMIENTO;
+
+/**
+ * Método estático para verificar el stock contra el kardex
+ * Suma los movimientos de cada producto y lo compara con su `cantidad_disponible`;
+ * también compara el stock con la suma de sus almacenes.
+ * @param {Object} opciones - { productId } (sin producto se revisan todos)
+ * @returns {Object[]} - { product_id, numero_lote, nombre, stock_actual, stock_calculado, diferencia,
+ *   stock_almacenes, diferencia_almacenes }
+ */
+StockMovement.verificarSaldos = async ({ productId = null } = {}) => {
+  const products = await Product.findAll({
+    where: productId ? { id: productId } : {},
+    attributes: ['id', 'numero_lote', 'nombre', 'cantidad_disponible'],
+    order: [['id', 'ASC']]
+  });
+
+  const sumas = await StockMovement.findAll({
+    where: { product_id: { [Op.in]: products.map(product => product.id) } },
+    attributes: [
+      'product_id',
+      [sequelize.fn('SUM', sequelize.col('cantidad')), 'total']
+    ],
+    group: ['product_id'],
+    raw: true
+  });
+
+  const stockAlmacenes = await sequelize.models.WarehouseStock.findAll({
+    where: { product_id: { [Op.in]: products.map(product => product.id) } },
+    attributes: [
+      'product_id',
+      [sequelize.fn('SUM', sequelize.col('cantidad')), 'total']
+    ],
+    group: ['product_id'],
+    raw: true
+  });
+
+  const totalPorProducto = Object.fromEntries(sumas.map(fila => [fila.product_id, parseInt(fila.total, 10)]));
+  const almacenesPorProducto = Object.fromEntries(stockAlmacenes.map(fila => [fila.product_id, parseInt(fila.total, 10)]));
+
+  return products.map(product => {
+    const calculado = totalPorProducto[product.id] || 0;
+    const enAlmacenes = almacenesPorProducto[product.id] || 0;
+    return {
+      product_id: product.id,
+      numero_lote: product.numero_lote,
+      nombre: product.nombre,
+      stock_actual: product.cantidad_disponible,
+      stock_calculado: calculado,
+      diferencia: product.cantidad_disponible - calculado,
+      stock_almacenes: enAlmacenes,
+      diferencia_almacenes: product.cantidad_disponible - enAlmacenes
+    };
+  });
+};
+
+module.exports = StockMovement;
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Proveedor
+ * Empresa a la que se le compra mercadería mediante órdenes de compra
+ * (ver SupplierOrder)
+ */
+const Supplier = sequelize.define('Supplier', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  codigo: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: {
+      msg: 'El código del proveedor ya existe'
+    },
+    validate: {
+      notEmpty: {
+        msg: 'El código del proveedor es requerido'
+      }
+    },
+    set(value) {
+      this.setDataValue('codigo', value ? value.trim().toUpperCase() : value);
+    }
+  },
+  nombre: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre del proveedor es requerido'
+      }
+    }
+  },
+  identificacion_fiscal: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  contacto: {
+    // Persona de contacto
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  email: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    validate: {
+      isEmail: {
+        msg: 'Debe proporcionar un email válido'
+      }
+    }
+  },
+  telefono: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  direccion: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  dias_entrega: {
+    // Plazo habitual de entrega; fija la fecha esperada de las órdenes que no la indican
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Los días de entrega no pueden ser negativos'
+      }
+    }
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'suppliers',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['nombre']
+    }
+  ]
+});
+
+module.exports = Supplier;
@@ -0,0 +1,211 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ESTADOS_ORDEN = ['borrador', 'enviada', 'parcial', 'recibida', 'cancelada'];
+
+/**
+ * Modelo de Orden de Compra a Proveedor
+ * Pedido de mercadería a un proveedor para un almacén. Se arma en borrador, se
+ * envía al proveedor y se recibe en una o varias entregas; cada entrega ingresa
+ * como lote y suma stock en el kardex
+ */
+const SupplierOrder = sequelize.define('SupplierOrder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  supplier_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'suppliers',
+      key: 'id'
+    }
+  },
+  warehouse_id: {
+    // Almacén que recibe la mercadería
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  estado: {
+    type: DataTypes.ENUM(...ESTADOS_ORDEN),
+    allowNull: false,
+    defaultValue: 'borrador'
+  },
+  total: {
+    // Suma de cantidad por costo unitario de las líneas, en moneda base
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  fecha_entrega_esperada: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  notas: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  creado_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  enviado_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha_envio: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  fecha_recepcion: {
+    // Fecha en que se recibió la última unidad pendiente
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  fecha_cancelacion: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'supplier_orders',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['supplier_id', 'estado']
+    },
+    {
+      fields: ['estado']
+    }
+  ]
+});
+
+SupplierOrder.ESTADOS = ESTADOS_ORDEN;
+// Órdenes enviadas con unidades por recibir
+SupplierOrder.ABIERTAS = ['enviada', 'parcial'];
+
+/**
+ * Modelo de Detalle de Orden de Compra
+ * Producto pedido con su costo pactado y lo recibido hasta el momento
+ */
+const SupplierOrderDetail = sequelize.define('SupplierOrderDetail', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  supplier_order_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'supplier_orders',
+      key: 'id'
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  cantidad: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'La cantidad debe ser mayor a 0'
+      }
+    }
+  },
+  cantidad_recibida: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'La cantidad recibida no puede ser negativa'
+      }
+    }
+  },
+  cantidad_pendiente: {
+    type: DataTypes.VIRTUAL(DataTypes.INTEGER, ['cantidad', 'cantidad_recibida']),
+    get() {
+      return (this.getDataValue('cantidad') || 0) - (this.getDataValue('cantidad_recibida') || 0);
+    }
+  },
+  unidad: {
+    // Unidad en que se expresan `cantidad` y `costo_unitario` (la unidad base del producto
+    // o una de sus unidades alternativas, ver ProductUnit)
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'unidad'
+  },
+  factor_unidad: {
+    // Unidades base por cada unidad de la línea: el stock se mueve en cantidad × factor
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'El factor de conversión debe ser mayor a 0'
+      }
+    }
+  },
+  costo_unitario: {
+    // Costo pactado en moneda base
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El costo no puede ser negativo'
+      }
+    }
+  },
+  subtotal: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  }
+}, {
+  tableName: 'supplier_order_details',
+  timestamps: true,
+  validate: {
+    recibidaNoExcedePedida() {
+      if (this.cantidad_recibida > this.cantidad) {
+        throw new Error('La cantidad recibida no puede superar la cantidad pedida');
+      }
+    }
+  },
+  indexes: [
+    {
+      unique: true,
+      fields: ['supplier_order_id', 'product_id']
+    },
+    {
+      fields: ['product_id']
+    }
+  ]
+});
+
+module.exports = {
+  SupplierOrder,
+  SupplierOrderDetail
+};
@@ -0,0 +1,112 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Normalizar el nombre de una etiqueta: sin espacios de más y en minúsculas
+ * @param {string} nombre - Nombre tal como lo cargó el usuario
+ * @returns {string} - Nombre normalizado
+ */
+const normalizarNombre = (nombre) => nombre.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Modelo de Etiqueta
+ * Etiqueta libre para agrupar productos fuera del árbol de categorías
+ * (ej: "oferta", "gamer"). Se crean al asignarlas a un producto
+ */
+const Tag = sequelize.define('Tag', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  nombre: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: {
+      msg: 'La etiqueta ya existe'
+    },
+    validate: {
+      notEmpty: {
+        msg: 'El nombre de la etiqueta es requerido'
+      }
+    },
+    set(value) {
+      this.setDataValue('nombre', typeof value === 'string' ? normalizarNombre(value) : value);
+    }
+  }
+}, {
+  tableName: 'tags',
+  timestamps: true
+});
+
+/**
+ * Método estático para obtener etiquetas por nombre creando las que falten
+ * @param {string[]} nombres - Nombres de las etiquetas
+ * @param {Object} opciones - { transaction }
+ * @returns {Tag[]} - Etiquetas (sin repetidas)
+ */
+Tag.obtenerOCrear = async (nombres, { transaction } = {}) => {
+  const normalizados = [...new Set(nombres.map(normalizarNombre).filter(Boolean))];
+  if (normalizados.length === 0) return [];
+
+  const existentes = await Tag.findAll({
+    where: { nombre: { [Op.in]: normalizados } },
+    transaction
+  });
+  const faltantes = normalizados.filter(nombre => !existentes.some(tag => tag.nombre === nombre));
+
+  const nuevas = [];
+  for (const nombre of faltantes) {
+    nuevas.push(await Tag.create({ nombre }, { transaction }));
+  }
+
+  return [...existentes, ...nuevas];
+};
+
+Tag.normalizarNombre = normalizarNombre;
+
+/**
+ * Modelo de Etiqueta de Producto
+ * Tabla intermedia entre productos y etiquetas
+ */
+const ProductTag = sequelize.define('ProductTag', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  tag_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'tags',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'product_tags',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['product_id', 'tag_id']
+    },
+    {
+      fields: ['tag_id']
+    }
+  ]
+});
+
+module.exports = {
+  Tag,
+  ProductTag
+};
@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Modelo de Categoría de IVA
+ * Define la tasa que se aplica a los productos asignados. Las categorías
+ * exentas y de tasa cero no generan IVA pero se informan por separado
+ */
+const TaxCategory = sequelize.define('TaxCategory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  codigo: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: {
+      msg: 'El código de la categoría ya existe'
+    },
+    validate: {
+      notEmpty: {
+        msg: 'El código de la categoría es requerido'
+      }
+    }
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre de la categoría es requerido'
+      }
+    }
+  },
+  tipo: {
+    type: DataTypes.ENUM('gravado', 'tasa_cero', 'exento'),
+    allowNull: false,
+    defaultValue: 'gravado',
+    validate: {
+      isIn: {
+        args: [['gravado', 'tasa_cero', 'exento']],
+        msg: 'El tipo debe ser gravado, tasa_cero o exento'
+      }
+    }
+  },
+  tasa: {
+    // Porcentaje de IVA (ej: 21.00)
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'La tasa no puede ser negativa'
+      },
+      max: {
+        args: [100],
+        msg: 'La tasa no puede superar 100'
+      }
+    }
+  },
+  por_defecto: {
+    // Categoría que se usa para los productos sin categoría asignada
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'tax_categories',
+  timestamps: true,
+  validate: {
+    tasaSegunTipo() {
+      if (this.tipo !== 'gravado' && parseFloat(this.tasa) !== 0) {
+        throw new Error('Las categorías exentas o de tasa cero deben tener tasa 0');
+      }
+      if (this.tipo === 'gravado' && parseFloat(this.tasa) <= 0) {
+        throw new Error('Una categoría gravada debe tener una tasa mayor a 0');
+      }
+    }
+  }
+});
+
+/**
+ * Calcular base imponible e IVA de un importe
+ * @param {number} importe - Importe de la línea (ya con descuentos)
+ * @param {boolean} incluyeIva - Si el importe ya incluye el IVA
+ * @returns {Object} - { base_imponible, monto_iva, total } redondeados a 2 decimales
+ */
+TaxCategory.prototype.calcular = function(importe, incluyeIva) {
+  const tasa = parseFloat(this.tasa);
+  const redondear = (n) => Math.round(n * 100) / 100;
+
+  if (incluyeIva) {
+    const total = redondear(importe);
+    const base = redondear(total / (1 + tasa / 100));
+    return { base_imponible: base, monto_iva: redondear(total - base), total };
+  }
+
+  const base = redondear(importe);
+  const iva = redondear(base * tasa / 100);
+  return { base_imponible: base, monto_iva: iva, total: redondear(base + iva) };
+};
+
+module.exports = TaxCategory;
@@ -0,0 +1,157 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ESTADOS_TRANSFERENCIA = ['pendiente', 'despachada', 'recibida', 'cancelada'];
+
+/**
+ * Modelo de Transferencia
+ * Documento que mueve mercadería de un almacén a otro en dos pasos: al despachar
+ * el stock sale del almacén de origen (queda en tránsito) y al recibir entra al
+ * de destino
+ */
+const Transfer = sequelize.define('Transfer', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  origen_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  destino_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  estado: {
+    type: DataTypes.ENUM(...ESTADOS_TRANSFERENCIA),
+    allowNull: false,
+    defaultValue: 'pendiente'
+  },
+  notas: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  creado_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  despachado_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha_despacho: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  recibido_por: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  fecha_recepcion: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'transfers',
+  timestamps: true,
+  validate: {
+    almacenesDistintos() {
+      if (this.origen_id === this.destino_id) {
+        throw new Error('El almacén de origen y el de destino deben ser distintos');
+      }
+    }
+  },
+  indexes: [
+    {
+      fields: ['estado']
+    },
+    {
+      fields: ['origen_id']
+    },
+    {
+      fields: ['destino_id']
+    }
+  ]
+});
+
+Transfer.ESTADOS = ESTADOS_TRANSFERENCIA;
+
+/**
+ * Modelo de Detalle de Transferencia
+ * Producto y unidades que viajan en una transferencia
+ */
+const TransferDetail = sequelize.define('TransferDetail', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  transfer_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'transfers',
+      key: 'id'
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  cantidad: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: {
+        args: [1],
+        msg: 'La cantidad debe ser mayor a 0'
+      }
+    }
+  },
+  lotes: {
+    // Lotes de origen de las unidades despachadas: [{ lot_id, numero_lote, cantidad }]
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'transfer_details',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['transfer_id']
+    },
+    {
+      fields: ['product_id']
+    }
+  ]
+});
+
+module.exports = {
+  Transfer,
+  TransferDetail
+};
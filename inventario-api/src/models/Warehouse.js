@@ -0,0 +1,278 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Almacén que se crea automáticamente si todavía no hay ninguno por defecto
+const DEFAULT_WAREHOUSE = (process.env.DEFAULT_WAREHOUSE || 'CENTRAL').toUpperCase();
+
+/**
+ * Modelo de Almacén
+ * Depósito o sucursal donde se guarda la mercadería. El stock de cada producto
+ * se lleva por almacén (ver WarehouseStock); `Product.cantidad_disponible` es la
+ * suma de todos los almacenes
+ */
+const Warehouse = sequelize.define('Warehouse', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  codigo: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: {
+      msg: 'El código del almacén ya existe'
+    },
+    validate: {
+      notEmpty: {
+        msg: 'El código del almacén es requerido'
+      }
+    },
+    set(value) {
+      this.setDataValue('codigo', value ? value.trim().toUpperCase() : value);
+    }
+  },
+  nombre: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre del almacén es requerido'
+      }
+    }
+  },
+  direccion: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  por_defecto: {
+    // Almacén del que salen las ventas que no indican otro
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  activo: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'warehouses',
+  timestamps: true
+});
+
+/**
+ * Modelo de Stock por Almacén
+ * Unidades de un producto en un almacén y las apartadas en él por compras en
+ * modo reserva (la suma de `cantidad_reservada` es `Product.cantidad_reservada`)
+ */
+const WarehouseStock = sequelize.define('WarehouseStock', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  warehouse_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'warehouses',
+      key: 'id'
+    }
+  },
+  product_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'products',
+      key: 'id'
+    }
+  },
+  cantidad: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El stock del almacén no puede ser negativo'
+      }
+    }
+  },
+  cantidad_reservada: {
+    // Unidades apartadas por compras pendientes que salen de este almacén
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'La cantidad reservada del almacén no puede ser negativa'
+      }
+    }
+  }
+}, {
+  tableName: 'warehouse_stocks',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['warehouse_id', 'product_id']
+    },
+    {
+      fields: ['product_id']
+    }
+  ]
+});
+
+/**
+ * Método estático para obtener el almacén por defecto
+ * Si no hay ninguno crea el de `DEFAULT_WAREHOUSE`.
+ * @param {Object} opciones - { transaction }
+ * @returns {Warehouse}
+ */
+Warehouse.obtenerPorDefecto = async ({ transaction } = {}) => {
+  const almacen = await Warehouse.findOne({ where: { por_defecto: true, activo: true }, transaction });
+  if (almacen) return almacen;
+
+  return Warehouse.create({
+    codigo: DEFAULT_WAREHOUSE,
+    nombre: DEFAULT_WAREHOUSE,
+    por_defecto: true
+  }, { transaction });
+};
+
+/**
+ * Método estático para obtener un almacén activo (o el por defecto)
+ * Lanza un error con `status` 404 si el almacén no existe o está inactivo.
+ * @param {number|null} warehouseId - ID del almacén (null = almacén por defecto)
+ * @param {Object} opciones - { transaction }
+ * @returns {Warehouse}
+ */
+Warehouse.obtenerActivo = async (warehouseId, { transaction } = {}) => {
+  if (!warehouseId) {
+    return Warehouse.obtenerPorDefecto({ transaction });
+  }
+
+  const almacen = await Warehouse.findOne({ where: { id: warehouseId, activo: true }, transaction });
+
+  if (!almacen) {
+    const error = new Error(`Almacén no encontrado o inactivo: ${warehouseId}`);
+    error.status = 404;
+    throw error;
+  }
+
+  return almacen;
+};
+
+/**
+ * Método estático para mover el stock de un producto en un almacén
+ * Bloquea (o crea) la fila de stock del almacén. Lanza un error con `status` 409
+ * si el almacén no tiene las unidades que se quieren sacar o si el egreso dejaría
+ * sin cubrir lo reservado en él (al confirmar una reserva se libera antes de sacarla).
+ * @param {number} warehouseId - ID del almacén
+ * @param {number} productId - ID del producto
+ * @param {number} cantidad - Variación (negativa para egresos)
+ * @param {Object} opciones - { transaction }
+ * @returns {number} - Stock del producto en el almacén después del movimiento
+ */
+WarehouseStock.mover = async (warehouseId, productId, cantidad, { transaction }) => {
+  let stock = await WarehouseStock.findOne({
+    where: { warehouse_id: warehouseId, product_id: productId },
+    lock: true,
+    transaction
+  });
+
+  if (!stock) {
+    stock = await WarehouseStock.create({ warehouse_id: warehouseId, product_id: productId }, { transaction });
+  }
+
+  const saldo = stock.cantidad + cantidad;
+
+  if (saldo < 0) {
+    const error = new Error(`Stock insuficiente en el almacén para el producto ${productId}. Disponible: ${stock.cantidad}, Solicitado: ${-cantidad}`);
+    error.status = 409;
+    throw error;
+  }
+
+  if (cantidad < 0 && saldo < stock.cantidad_reservada) {
+    const error = new Error(`Stock insuficiente en el almacén para el producto ${productId}: ${stock.cantidad_reservada} de sus ${stock.cantidad} unidades están reservadas. Solicitado: ${-cantidad}`);
+    error.status = 409;
+    throw error;
+  }
+
+  await stock.update({ cantidad: saldo }, { transaction });
+  return saldo;
+};
+
+/**
+ * Método estático para reservar (o liberar, con `cantidad` negativa) stock de un
+ * producto en un almacén
+ * Bloquea la fila de stock del almacén. Lanza un error con `status` 409 si el
+ * almacén no tiene libres las unidades que se quieren reservar; al liberar, lo
+ * reservado no baja de cero.
+ * @param {number} warehouseId - ID del almacén
+ * @param {number} productId - ID del producto
+ * @param {number} cantidad - Variación de lo reservado (negativa para liberar)
+ * @param {Object} opciones - { transaction }
+ * @returns {number} - Unidades reservadas en el almacén después del cambio
+ */
+WarehouseStock.reservar = async (warehouseId, productId, cantidad, { transaction }) => {
+  let stock = await WarehouseStock.findOne({
+    where: { warehouse_id: warehouseId, product_id: productId },
+    lock: true,
+    transaction
+  });
+
+  if (!stock) {
+    stock = await WarehouseStock.create({ warehouse_id: warehouseId, product_id: productId }, { transaction });
+  }
+
+  const reservada = Math.max(stock.cantidad_reservada + cantidad, 0);
+
+  if (cantidad > 0 && reservada > stock.cantidad) {
+    const error = new Error(`Stock insuficiente en el almacén para reservar el producto ${productId}. Libre: ${stock.cantidad - stock.cantidad_reservada}, Solicitado: ${cantidad}`);
+    error.status = 409;
+    throw error;
+  }
+
+  await stock.update({ cantidad_reservada: reservada }, { transaction });
+  return reservada;
+};
+
+/**
+ * Método estático para consultar el stock de un producto en un almacén
+ * @param {number} warehouseId - ID del almacén
+ * @param {number} productId - ID del producto
+ * @param {Object} opciones - { transaction }
+ * @returns {number}
+ */
+WarehouseStock.cantidadEn = async (warehouseId, productId, { transaction } = {}) => {
+  const stock = await WarehouseStock.findOne({
+    where: { warehouse_id: warehouseId, product_id: productId },
+    transaction
+  });
+
+  return stock ? stock.cantidad : 0;
+};
+
+/**
+ * Método estático para consultar el stock libre (sin lo reservado) de un producto
+ * en un almacén
+ * @param {number} warehouseId - ID del almacén
+ * @param {number} productId - ID del producto
+ * @param {Object} opciones - { transaction }
+ * @returns {number}
+ */
+WarehouseStock.libreEn = async (warehouseId, productId, { transaction } = {}) => {
+  const stock = await WarehouseStock.findOne({
+    where: { warehouse_id: warehouseId, product_id: productId },
+    transaction
+  });
+
+  return stock ? stock.cantidad - stock.cantidad_reservada : 0;
+};
+
+module.exports = {
+  Warehouse,
+  WarehouseStock,
+  DEFAULT_WAREHOUSE
+};
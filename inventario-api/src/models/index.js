@@ -1,7 +1,30 @@
 const { sequelize } = require('../config/database');
 const User = require('./User');
 const Product = require('./Product');
-const { Purchase, PurchaseDetail } = require('./Purchase');
+const { Purchase, PurchaseDetail, PurchaseTax } = require('./Purchase');
+const { CreditNote, CreditNoteDetail } = require('./CreditNote');
+const IdempotencyKey = require('./IdempotencyKey');
+const InvoiceSeries = require('./InvoiceSeries');
+const CartItem = require('./CartItem');
+const { Coupon, CouponProduct, CouponUsage } = require('./Coupon');
+const TaxCategory = require('./TaxCategory');
+const { Currency, ExchangeRate } = require('./Currency');
+const Payment = require('./Payment');
+const { FulfillmentEvent } = require('./FulfillmentEvent');
+const Backorder = require('./Backorder');
+const StockMovement = require('./StockMovement');
+const { Lot, PurchaseDetailLot } = require('./Lot');
+const { Warehouse, WarehouseStock } = require('./Warehouse');
+const { Transfer, TransferDetail } = require('./Transfer');
+const { InventoryCount, InventoryCountItem } = require('./InventoryCount');
+const StockAlert = require('./StockAlert');
+const Supplier = require('./Supplier');
+const { SupplierOrder, SupplierOrderDetail } = require('./SupplierOrder');
+const Category = require('./Category');
+const { Tag, ProductTag } = require('./Tag');
+const { BundleComponent, PurchaseDetailComponent } = require('./BundleComponent');
+const { PriceChange, ScheduledPrice } = require('./PriceChange');
+const ProductUnit = require('./ProductUnit');
 
 /**
  * Definición de relaciones entre modelos
@@ -18,6 +41,18 @@ Purchase.belongsTo(User, {
   as: 'user'
 });
 
+// Relación Purchase - User que registró la venta en mostrador
+Purchase.belongsTo(User, {
+  foreignKey: 'vendedor_id',
+  as: 'seller'
+});
+
+// Relación Purchase - User que canceló la compra
+Purchase.belongsTo(User, {
+  foreignKey: 'cancelado_por',
+  as: 'cancelled_by'
+});
+
 // Relación Purchase - PurchaseDetail (Una compra puede tener muchos detalles)
 Purchase.hasMany(PurchaseDetail, {
   foreignKey: 'purchase_id',
@@ -40,6 +75,589 @@ PurchaseDetail.belongsTo(Product, {
   as: 'product'
 });
 
+// Relación TaxCategory - Product (Categoría de IVA de cada producto)
+TaxCategory.hasMany(Product, {
+  foreignKey: 'tax_category_id',
+  as: 'products'
+});
+
+Product.belongsTo(TaxCategory, {
+  foreignKey: 'tax_category_id',
+  as: 'tax_category'
+});
+
+PurchaseDetail.belongsTo(TaxCategory, {
+  foreignKey: 'tax_category_id',
+  as: 'tax_category'
+});
+
+// Relación Purchase - PurchaseTax (Desglose de IVA por tasa)
+Purchase.hasMany(PurchaseTax, {
+  foreignKey: 'purchase_id',
+  as: 'taxes'
+});
+
+PurchaseTax.belongsTo(Purchase, {
+  foreignKey: 'purchase_id',
+  as: 'purchase'
+});
+
+PurchaseTax.belongsTo(TaxCategory, {
+  foreignKey: 'tax_category_id',
+  as: 'tax_category'
+});
+
+// Relación Purchase - CreditNote (Una compra puede tener varias notas de crédito por devoluciones)
+Purchase.hasMany(CreditNote, {
+  foreignKey: 'purchase_id',
+  as: 'credit_notes'
+});
+
+CreditNote.belongsTo(Purchase, {
+  foreignKey: 'purchase_id',
+  as: 'purchase'
+});
+
+CreditNote.belongsTo(User, {
+  foreignKey: 'registrado_por',
+  as: 'registered_by'
+});
+
+// Relación Purchase - Payment (Una compra puede tener varios pagos y reintegros)
+Purchase.hasMany(Payment, {
+  foreignKey: 'purchase_id',
+  as: 'payments'
+});
+
+Payment.belongsTo(Purchase, {
+  foreignKey: 'purchase_id',
+  as: 'purchase'
+});
+
+Payment.belongsTo(User, {
+  foreignKey: 'registrado_por',
+  as: 'registered_by'
+});
+
+// Relación Purchase - FulfillmentEvent (Historial de preparación y envío)
+Purchase.hasMany(FulfillmentEvent, {
+  foreignKey: 'purchase_id',
+  as: 'fulfillment_events'
+});
+
+FulfillmentEvent.belongsTo(Purchase, {
+  foreignKey: 'purchase_id',
+  as: 'purchase'
+});
+
+FulfillmentEvent.belongsTo(User, {
+  foreignKey: 'registrado_por',
+  as: 'registered_by'
+});
+
+// Relación Purchase - Backorder (Unidades vendidas sin stock, a surtir)
+Purchase.hasMany(Backorder, {
+  foreignKey: 'purchase_id',
+  as: 'backorders'
+});
+
+Backorder.belongsTo(Purchase, {
+  foreignKey: 'purchase_id',
+  as: 'purchase'
+});
+
+PurchaseDetail.hasOne(Backorder, {
+  foreignKey: 'purchase_detail_id',
+  as: 'backorder'
+});
+
+Backorder.belongsTo(PurchaseDetail, {
+  foreignKey: 'purchase_detail_id',
+  as: 'detail'
+});
+
+Backorder.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+Backorder.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Relación CreditNote - CreditNoteDetail
+CreditNote.hasMany(CreditNoteDetail, {
+  foreignKey: 'credit_note_id',
+  as: 'details'
+});
+
+CreditNoteDetail.belongsTo(CreditNote, {
+  foreignKey: 'credit_note_id',
+  as: 'credit_note'
+});
+
+CreditNoteDetail.belongsTo(PurchaseDetail, {
+  foreignKey: 'purchase_detail_id',
+  as: 'purchase_detail'
+});
+
+CreditNoteDetail.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+// Relación User - IdempotencyKey (Las claves de idempotencia son por usuario)
+User.hasMany(IdempotencyKey, {
+  foreignKey: 'user_id',
+  as: 'idempotency_keys'
+});
+
+IdempotencyKey.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Relación User - CartItem (Carrito persistente por usuario)
+User.hasMany(CartItem, {
+  foreignKey: 'user_id',
+  as: 'cart_items'
+});
+
+CartItem.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+CartItem.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+// Relación Coupon - Product (Productos a los que aplica un cupón)
+Coupon.belongsToMany(Product, {
+  through: CouponProduct,
+  foreignKey: 'coupon_id',
+  otherKey: 'product_id',
+  as: 'products'
+});
+
+Product.belongsToMany(Coupon, {
+  through: CouponProduct,
+  foreignKey: 'product_id',
+  otherKey: 'coupon_id',
+  as: 'coupons'
+});
+
+// Relación Purchase - Coupon (Cupón aplicado en la compra)
+Purchase.belongsTo(Coupon, {
+  foreignKey: 'coupon_id',
+  as: 'coupon'
+});
+
+// Relación Coupon - CouponUsage (Historial de usos)
+Coupon.hasMany(CouponUsage, {
+  foreignKey: 'coupon_id',
+  as: 'usages'
+});
+
+CouponUsage.belongsTo(Coupon, {
+  foreignKey: 'coupon_id',
+  as: 'coupon'
+});
+
+CouponUsage.belongsTo(Purchase, {
+  foreignKey: 'purchase_id',
+  as: 'purchase'
+});
+
+CouponUsage.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Relación Currency - ExchangeRate (Historial de tipos de cambio)
+Currency.hasMany(ExchangeRate, {
+  foreignKey: 'currency_id',
+  as: 'rates'
+});
+
+ExchangeRate.belongsTo(Currency, {
+  foreignKey: 'currency_id',
+  as: 'currency'
+});
+
+ExchangeRate.belongsTo(User, {
+  foreignKey: 'registrado_por',
+  as: 'registered_by'
+});
+
+// Relación Product - StockMovement (Kardex del producto)
+Product.hasMany(StockMovement, {
+  foreignKey: 'product_id',
+  as: 'stock_movements'
+});
+
+StockMovement.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+StockMovement.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Relación Product - Lot (Un producto puede tener muchos lotes)
+Product.hasMany(Lot, {
+  foreignKey: 'product_id',
+  as: 'lots'
+});
+
+Lot.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+// Relación Warehouse - Lot (Lotes guardados en cada almacén)
+Warehouse.hasMany(Lot, {
+  foreignKey: 'warehouse_id',
+  as: 'lots'
+});
+
+Lot.belongsTo(Warehouse, {
+  foreignKey: 'warehouse_id',
+  as: 'warehouse'
+});
+
+// Relación PurchaseDetail - Lot (Lotes consumidos por cada línea de compra)
+PurchaseDetail.hasMany(PurchaseDetailLot, {
+  foreignKey: 'purchase_detail_id',
+  as: 'lot_allocations'
+});
+
+PurchaseDetailLot.belongsTo(PurchaseDetail, {
+  foreignKey: 'purchase_detail_id',
+  as: 'detail'
+});
+
+PurchaseDetailLot.belongsTo(Lot, {
+  foreignKey: 'lot_id',
+  as: 'lot'
+});
+
+Lot.hasMany(PurchaseDetailLot, {
+  foreignKey: 'lot_id',
+  as: 'allocations'
+});
+
+// Relación Warehouse - WarehouseStock (Stock de cada producto por almacén)
+Warehouse.hasMany(WarehouseStock, {
+  foreignKey: 'warehouse_id',
+  as: 'stocks'
+});
+
+WarehouseStock.belongsTo(Warehouse, {
+  foreignKey: 'warehouse_id',
+  as: 'warehouse'
+});
+
+Product.hasMany(WarehouseStock, {
+  foreignKey: 'product_id',
+  as: 'warehouse_stocks'
+});
+
+WarehouseStock.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+// Relación Purchase - Warehouse (Almacén del que sale la mercadería)
+Purchase.belongsTo(Warehouse, {
+  foreignKey: 'warehouse_id',
+  as: 'warehouse'
+});
+
+StockMovement.belongsTo(Warehouse, {
+  foreignKey: 'warehouse_id',
+  as: 'warehouse'
+});
+
+// Relación Transfer - Warehouse (Almacenes de origen y destino)
+Transfer.belongsTo(Warehouse, {
+  foreignKey: 'origen_id',
+  as: 'origin'
+});
+
+Transfer.belongsTo(Warehouse, {
+  foreignKey: 'destino_id',
+  as: 'destination'
+});
+
+Transfer.belongsTo(User, {
+  foreignKey: 'creado_por',
+  as: 'created_by'
+});
+
+Transfer.belongsTo(User, {
+  foreignKey: 'despachado_por',
+  as: 'dispatched_by'
+});
+
+Transfer.belongsTo(User, {
+  foreignKey: 'recibido_por',
+  as: 'received_by'
+});
+
+// Relación Transfer - TransferDetail
+Transfer.hasMany(TransferDetail, {
+  foreignKey: 'transfer_id',
+  as: 'details'
+});
+
+TransferDetail.belongsTo(Transfer, {
+  foreignKey: 'transfer_id',
+  as: 'transfer'
+});
+
+TransferDetail.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+// Relación InventoryCount - Warehouse (Conteo físico de un almacén)
+InventoryCount.belongsTo(Warehouse, {
+  foreignKey: 'warehouse_id',
+  as: 'warehouse'
+});
+
+InventoryCount.belongsTo(User, {
+  foreignKey: 'abierto_por',
+  as: 'opened_by'
+});
+
+InventoryCount.belongsTo(User, {
+  foreignKey: 'cerrado_por',
+  as: 'closed_by'
+});
+
+// Relación InventoryCount - InventoryCountItem
+InventoryCount.hasMany(InventoryCountItem, {
+  foreignKey: 'inventory_count_id',
+  as: 'items'
+});
+
+InventoryCountItem.belongsTo(InventoryCount, {
+  foreignKey: 'inventory_count_id',
+  as: 'inventory_count'
+});
+
+InventoryCountItem.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+InventoryCountItem.belongsTo(User, {
+  foreignKey: 'contado_por',
+  as: 'counted_by'
+});
+
+// Relación Product - StockAlert (Alertas de stock bajo)
+Product.hasMany(StockAlert, {
+  foreignKey: 'product_id',
+  as: 'stock_alerts'
+});
+
+StockAlert.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+StockAlert.belongsTo(StockMovement, {
+  foreignKey: 'stock_movement_id',
+  as: 'stock_movement'
+});
+
+StockAlert.belongsTo(User, {
+  foreignKey: 'reconocida_por',
+  as: 'acknowledged_by'
+});
+
+// Relación Supplier - SupplierOrder (Órdenes de compra a proveedores)
+Supplier.hasMany(SupplierOrder, {
+  foreignKey: 'supplier_id',
+  as: 'orders'
+});
+
+SupplierOrder.belongsTo(Supplier, {
+  foreignKey: 'supplier_id',
+  as: 'supplier'
+});
+
+SupplierOrder.belongsTo(Warehouse, {
+  foreignKey: 'warehouse_id',
+  as: 'warehouse'
+});
+
+SupplierOrder.belongsTo(User, {
+  foreignKey: 'creado_por',
+  as: 'created_by'
+});
+
+SupplierOrder.belongsTo(User, {
+  foreignKey: 'enviado_por',
+  as: 'sent_by'
+});
+
+// Relación SupplierOrder - SupplierOrderDetail
+SupplierOrder.hasMany(SupplierOrderDetail, {
+  foreignKey: 'supplier_order_id',
+  as: 'details'
+});
+
+SupplierOrderDetail.belongsTo(SupplierOrder, {
+  foreignKey: 'supplier_order_id',
+  as: 'order'
+});
+
+Product.hasMany(SupplierOrderDetail, {
+  foreignKey: 'product_id',
+  as: 'supplier_order_details'
+});
+
+SupplierOrderDetail.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+// Relación Category - Category (Árbol de categorías)
+Category.belongsTo(Category, {
+  foreignKey: 'parent_id',
+  as: 'parent'
+});
+
+Category.hasMany(Category, {
+  foreignKey: 'parent_id',
+  as: 'children'
+});
+
+// Relación Category - Product (Categoría del catálogo)
+Category.hasMany(Product, {
+  foreignKey: 'category_id',
+  as: 'products'
+});
+
+Product.belongsTo(Category, {
+  foreignKey: 'category_id',
+  as: 'category'
+});
+
+// Relación Product - Product (Variantes de un producto)
+Product.belongsTo(Product, {
+  foreignKey: 'parent_id',
+  as: 'parent'
+});
+
+Product.hasMany(Product, {
+  foreignKey: 'parent_id',
+  as: 'variants'
+});
+
+// Relación Product - BundleComponent (Lista de materiales de un kit)
+Product.hasMany(BundleComponent, {
+  foreignKey: 'bundle_id',
+  as: 'components'
+});
+
+BundleComponent.belongsTo(Product, {
+  foreignKey: 'bundle_id',
+  as: 'bundle'
+});
+
+BundleComponent.belongsTo(Product, {
+  foreignKey: 'component_id',
+  as: 'component'
+});
+
+// Relación PurchaseDetail - PurchaseDetailComponent (Contenido del kit vendido en la línea)
+PurchaseDetail.hasMany(PurchaseDetailComponent, {
+  foreignKey: 'purchase_detail_id',
+  as: 'components'
+});
+
+PurchaseDetailComponent.belongsTo(PurchaseDetail, {
+  foreignKey: 'purchase_detail_id',
+  as: 'detail'
+});
+
+PurchaseDetailComponent.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+// Relación Product - ProductUnit (Unidades de venta y de compra)
+Product.hasMany(ProductUnit, {
+  foreignKey: 'product_id',
+  as: 'units'
+});
+
+ProductUnit.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+// Relación Product - PriceChange (Historial de precios)
+Product.hasMany(PriceChange, {
+  foreignKey: 'product_id',
+  as: 'priceChanges'
+});
+
+PriceChange.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+PriceChange.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+PriceChange.belongsTo(ScheduledPrice, {
+  foreignKey: 'scheduled_price_id',
+  as: 'scheduledPrice'
+});
+
+// Relación Product - ScheduledPrice (Cambios de precio programados)
+Product.hasMany(ScheduledPrice, {
+  foreignKey: 'product_id',
+  as: 'scheduledPrices'
+});
+
+ScheduledPrice.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+ScheduledPrice.belongsTo(User, {
+  foreignKey: 'creado_por',
+  as: 'created_by'
+});
+
+// Relación Many-to-Many entre Product y Tag (Etiquetas libres)
+Product.belongsToMany(Tag, {
+  through: ProductTag,
+  foreignKey: 'product_id',
+  otherKey: 'tag_id',
+  as: 'tags'
+});
+
+Tag.belongsToMany(Product, {
+  through: ProductTag,
+  foreignKey: 'tag_id',
+  otherKey: 'product_id',
+  as: 'products'
+});
+
 // Relación Many-to-Many entre User y Product a través de Purchase y PurchaseDetail
 User.belongsToMany(Product, {
   through: {
@@ -66,5 +684,41 @@ module.exports = {
   User,
   Product,
   Purchase,
-  PurchaseDetail
+  PurchaseDetail,
+  PurchaseTax,
+  CreditNote,
+  CreditNoteDetail,
+  IdempotencyKey,
+  InvoiceSeries,
+  CartItem,
+  Coupon,
+  CouponProduct,
+  CouponUsage,
+  TaxCategory,
+  Currency,
+  ExchangeRate,
+  Payment,
+  FulfillmentEvent,
+  Backorder,
+  StockMovement,
+  Lot,
+  PurchaseDetailLot,
+  Warehouse,
+  WarehouseStock,
+  Transfer,
+  TransferDetail,
+  InventoryCount,
+  InventoryCountItem,
+  StockAlert,
+  Supplier,
+  SupplierOrder,
+  SupplierOrderDetail,
+  Category,
+  Tag,
+  ProductTag,
+  BundleComponent,
+  PurchaseDetailComponent,
+  PriceChange,
+  ScheduledPrice,
+  ProductUnit
 };
\ No newline at end of file
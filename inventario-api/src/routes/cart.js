@@ -0,0 +1,476 @@
+const express = require('express');
+const { sequelize, Product, ProductUnit, CartItem, BundleComponent } = require('../models');
+const { cartItemSchema, updateCartItemSchema, cartCheckoutSchema } = require('../utils/validationSchemas');
+const { authenticate, authorize } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { RESERVATION_TTL_MINUTES, crearCompra, obtenerCompraCompleta } = require('../services/purchaseService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Armar el carrito del usuario con precios y stock actuales
+ * Cada ítem incluye advertencias si el precio de su unidad cambió desde que se agregó,
+ * si el producto o la unidad se desactivaron o si ya no hay stock suficiente (indicando
+ * cuántas unidades quedarían en backorder si el producto lo permite). El stock libre de un
+ * kit es la cantidad de kits que alcanzan sus componentes; el de una unidad alternativa
+ * se compara con la cantidad por su factor.
+ * @param {number} userId - ID del usuario
+ * @returns {Object} - { items, total, advertencias }
+ */
+const construirCarrito = async (userId) => {
+  const cartItems = await CartItem.findAll({
+    where: { user_id: userId },
+    include: [
+      {
+        model: Product,
+        as: 'product',
+        attributes: ['id', 'nombre', 'numero_lote', 'es_kit', 'unidad_base', 'precio', 'cantidad_disponible', 'cantidad_reservada', 'cantidad_libre', 'permite_backorder', 'activo']
+      }
+    ],
+    order: [['created_at', 'ASC']]
+  });
+
+  const kits = await BundleComponent.disponibilidad(cartItems.filter(item => item.product.es_kit).map(item => item.product_id));
+
+  let total = 0;
+  let advertencias = 0;
+
+  const items = [];
+  for (const item of cartItems) {
+    const mensajes = [];
+
+    let unidad = { unidad: item.product.unidad_base, factor: 1, precio: item.product.precio };
+    try {
+      unidad = await ProductUnit.resolver(item.product, item.unidad, 'venta');
+    } catch (error) {
+      if (!error.status) throw error;
+      mensajes.push(`La unidad ${item.unidad} ya no está habilitada para la venta`);
+    }
+
+    const precioAgregado = parseFloat(item.precio_agregado);
+    const precioActual = parseFloat(unidad.precio);
+    const precioCambiado = precioAgregado !== precioActual;
+    const subtotal = precioActual * item.cantidad;
+    const libre = item.product.es_kit ? kits.get(item.product_id).cantidad_libre : item.product.cantidad_libre;
+    const disponible = unidad.factor > 1 ? `${libre} ${item.product.unidad_base}` : libre;
+
+    if (precioCambiado) {
+      mensajes.push(`El precio cambió de ${precioAgregado.toFixed(2)} a ${precioActual.toFixed(2)}`);
+    }
+    if (!item.product.activo) {
+      mensajes.push('El producto ya no está disponible');
+    } else if (libre < item.cantidad * unidad.factor) {
+      // Las unidades alternativas no admiten backorder
+      mensajes.push(item.product.permite_backorder && unidad.factor === 1
+        ? `Stock insuficiente. Disponible: ${disponible}; el resto puede quedar en backorder`
+        : `Stock insuficiente. Disponible: ${disponible}`);
+    }
+
+    total += subtotal;
+    advertencias += mensajes.length;
+
+    items.push({
+      product_id: item.product_id,
+      producto: item.product.es_kit ? { ...item.product.toJSON(), cantidad_libre: libre } : item.product,
+      cantidad: item.cantidad,
+      unidad: unidad.unidad,
+      factor_unidad: unidad.factor,
+      precio_agregado: precioAgregado.toFixed(2),
+      precio_actual: precioActual.toFixed(2),
+      precio_cambiado: precioCambiado,
+      subtotal: subtotal.toFixed(2),
+      advertencias: mensajes
+    });
+  }
+
+  return {
+    items,
+    total: total.toFixed(2),
+    advertencias
+  };
+};
+
+/**
+ * Buscar un producto activo y verificar que tenga stock libre para la cantidad pedida
+ * en la unidad de venta indicada (los productos que permiten backorder se pueden
+ * agregar en su unidad base aunque no haya stock)
+ * @returns {Object} - { product, unidad, precio } o { status, message } si no se puede agregar
+ */
+const verificarProducto = async (productId, cantidad, nombreUnidad = null) => {
+  const product = await Product.findOne({
+    where: { id: productId, activo: true }
+  });
+
+  if (!product) {
+    return { status: 404, message: 'Producto no encontrado o inactivo' };
+  }
+
+  if (product.tieneVariantes()) {
+    return { status: 400, message: `${product.nombre} tiene variantes: agregue la variante elegida` };
+  }
+
+  let unidad;
+  try {
+    unidad = await ProductUnit.resolver(product, nombreUnidad, 'venta');
+  } catch (error) {
+    if (!error.status) throw error;
+    return { status: error.status, message: error.message };
+  }
+
+  const libre = product.es_kit
+    ? (await BundleComponent.disponibilidad([product.id])).get(product.id).cantidad_libre
+    : product.cantidad_libre;
+  const requerido = cantidad * unidad.factor;
+
+  if (libre < requerido && (!product.permite_backorder || unidad.factor > 1)) {
+    const solicitado = unidad.factor > 1 ? `${cantidad} ${unidad.unidad} (${requerido} ${product.unidad_base})` : requerido;
+    return {
+      status: 400,
+      message: `Stock insuficiente para ${product.nombre}. Disponible: ${libre}, Solicitado: ${solicitado}`
+    };
+  }
+
+  return { product, unidad: unidad.unidad, precio: unidad.precio };
+};
+
+/**
+ * @api {get} /api/cart Obtener carrito
+ * @apiName GetCart
+ * @apiGroup Cart
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission cliente
+ *
+ * @apiSuccess {Object[]} data.items Ítems con precio agregado, precio actual y advertencias
+ * @apiSuccess {String} data.total Total a precios actuales
+ */
+router.get('/', authenticate, authorize('cliente'), async (req, res, next) => {
+  try {
+    const carrito = await construirCarrito(req.user.id);
+
+    res.json({
+      success: true,
+      data: carrito,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al obtener carrito:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/cart/items Agregar producto al carrito
+ * @apiName AddCartItem
+ * @apiGroup Cart
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission cliente
+ *
+ * @apiParam {Number} product_id ID del producto
+ * @apiParam {Number} cantidad Cantidad a agregar (se suma a la que ya esté en el carrito)
+ * @apiParam {String} [unidad] Unidad de venta (por defecto la unidad base del producto); un
+ *   producto que ya está en el carrito solo se suma en la misma unidad
+ */
+router.post('/items', authenticate, authorize('cliente'), async (req, res, next) => {
+  try {
+    const { error, value } = cartItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación de datos',
+        errors: error.details.map(detail => detail.message),
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const existente = await CartItem.findOne({
+      where: { user_id: req.user.id, product_id: value.product_id }
+    });
+    const cantidad = (existente ? existente.cantidad : 0) + value.cantidad;
+
+    const { product, unidad, precio, status, message } = await verificarProducto(value.product_id, cantidad, value.unidad);
+    if (!product) {
+      return res.status(status).json({
+        success: false,
+        message,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    // La unidad base se guarda como null: sigue siéndolo aunque el producto la renombre
+    const unidadItem = unidad === product.unidad_base ? null : unidad;
+
+    if (existente && existente.unidad !== unidadItem) {
+      return res.status(409).json({
+        success: false,
+        message: `${product.nombre} ya está en el carrito por ${existente.unidad || product.unidad_base}: cambie esa cantidad o quítelo antes de agregarlo por ${unidad}`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    if (existente) {
+      await existente.update({ cantidad });
+    } else {
+      await CartItem.create({
+        user_id: req.user.id,
+        product_id: product.id,
+        cantidad,
+        unidad: unidadItem,
+        precio_agregado: precio
+      });
+    }
+
+    logger.info(`Producto ${product.id} agregado al carrito del usuario ${req.user.email} (cantidad: ${cantidad} ${unidad})`);
+
+    res.status(existente ? 200 : 201).json({
+      success: true,
+      message: 'Producto agregado al carrito',
+      data: await construirCarrito(req.user.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al agregar producto al carrito:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/cart/items/:productId Cambiar cantidad de un producto del carrito
+ * @apiName UpdateCartItem
+ * @apiGroup Cart
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission cliente
+ *
+ * @apiParam {Number} productId ID del producto
+ * @apiParam {Number} cantidad Nueva cantidad (en la unidad con que se agregó)
+ */
+router.put('/items/:productId', authenticate, authorize('cliente'), async (req, res, next) => {
+  try {
+    const { error, value } = updateCartItemSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación de datos',
+        errors: error.details.map(detail => detail.message),
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const item = await CartItem.findOne({
+      where: { user_id: req.user.id, product_id: req.params.productId }
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'El producto no está en el carrito',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const { product, status, message } = await verificarProducto(item.product_id, value.cantidad, item.unidad);
+    if (!product) {
+      return res.status(status).json({
+        success: false,
+        message,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    await item.update({ cantidad: value.cantidad });
+
+    res.json({
+      success: true,
+      message: 'Cantidad actualizada',
+      data: await construirCarrito(req.user.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al actualizar carrito:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {delete} /api/cart/items/:productId Quitar producto del carrito
+ * @apiName RemoveCartItem
+ * @apiGroup Cart
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission cliente
+ */
+router.delete('/items/:productId', authenticate, authorize('cliente'), async (req, res, next) => {
+  try {
+    const eliminados = await CartItem.destroy({
+      where: { user_id: req.user.id, product_id: req.params.productId }
+    });
+
+    if (!eliminados) {
+      return res.status(404).json({
+        success: false,
+        message: 'El producto no está en el carrito',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Producto quitado del carrito',
+      data: await construirCarrito(req.user.id),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al quitar producto del carrito:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {delete} /api/cart Vaciar carrito
+ * @apiName ClearCart
+ * @apiGroup Cart
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission cliente
+ */
+router.delete('/', authenticate, authorize('cliente'), async (req, res, next) => {
+  try {
+    await CartItem.destroy({ where: { user_id: req.user.id } });
+
+    res.json({
+      success: true,
+      message: 'Carrito vaciado',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al vaciar carrito:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/cart/checkout Convertir el carrito en compra
+ * @apiName CheckoutCart
+ * @apiGroup Cart
+ * @apiHeader {String} Authorization Bearer token
+ * @apiHeader {String} [Idempotency-Key] Clave única del intento de compra
+ * @apiPermission cliente
+ *
+ * @apiParam {String="inmediata","reserva"} [modo=inmediata] Modo de la compra
+ * @apiParam {Boolean} [aceptar_cambios_precio=false] Confirmar la compra aunque algún precio
+ *   haya cambiado desde que se agregó al carrito (si no, se responde 409 con el detalle)
+ * @apiParam {Boolean} [permitir_backorder=false] Aceptar que las unidades sin stock de los productos
+ *   que lo permiten queden pendientes de entrega (no aplica en modo reserva)
+ * @apiParam {Number} [warehouse_id] Almacén del que sale la mercadería (por defecto el almacén por defecto)
+ * @apiParam {String} [codigo_cupon] Código de cupón de descuento
+ * @apiParam {String} [moneda] Código de la moneda de pago (por defecto la moneda base)
+ */
+router.post('/checkout', authenticate, authorize('cliente'), idempotency, async (req, res, next) => {
+  const { error, value } = cartCheckoutSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación de datos',
+      errors: error.details.map(detail => detail.message),
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  try {
+    const carrito = await construirCarrito(req.user.id);
+
+    if (carrito.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'El carrito está vacío',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    if (!value.aceptar_cambios_precio && carrito.items.some(item => item.precio_cambiado)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Los precios de algunos productos cambiaron desde que se agregaron al carrito. Revise el carrito y confirme con aceptar_cambios_precio',
+        data: carrito,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+  } catch (error) {
+    logger.error('Error al preparar checkout del carrito:', error);
+    return next(error);
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const cartItems = await CartItem.findAll({
+      where: { user_id: req.user.id },
+      transaction
+    });
+
+    const purchase = await crearCompra({
+      userId: req.user.id,
+      productos: cartItems.map(item => ({ product_id: item.product_id, cantidad: item.cantidad, unidad: item.unidad })),
+      modo: value.modo,
+      codigoCupon: value.codigo_cupon,
+      moneda: value.moneda,
+      permitirBackorder: value.permitir_backorder,
+      warehouseId: value.warehouse_id
+    }, transaction);
+
+    await CartItem.destroy({
+      where: { user_id: req.user.id },
+      transaction
+    });
+
+    await transaction.commit();
+
+    const completePurchase = await obtenerCompraCompleta(purchase.id);
+
+    logger.info(`Carrito convertido en compra ${purchase.numero_factura} por usuario ${req.user.email} - Total: $${purchase.total}`);
+
+    res.status(201).json({
+      success: true,
+      message: value.modo === 'reserva'
+        ? `Reserva creada exitosamente, confirme la compra antes de ${RESERVATION_TTL_MINUTES} minutos`
+        : 'Compra realizada exitosamente',
+      data: completePurchase,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await transaction.rollback();
+
+    if (error.status) {
+      logger.warn(`Checkout rechazado para usuario ${req.user.id}: ${error.message}`);
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    logger.error('Error en checkout del carrito:', error);
+
+    if (error.name === 'SequelizeTimeoutError' || error.message.includes('Lock wait timeout')) {
+      return res.status(503).json({
+        success: false,
+        message: 'El sistema está ocupado, intente nuevamente en unos segundos',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,323 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, Category, Product } = require('../models');
+const { categorySchema, updateCategorySchema } = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Contar productos activos por categoría
+ * @param {Object} opciones - { transaction }
+ * @returns {Map<number, number>} - category_id → productos asignados directamente
+ */
+const contarProductos = async ({ transaction } = {}) => {
+  const filas = await Product.findAll({
+    attributes: ['category_id', [sequelize.fn('COUNT', sequelize.col('id')), 'productos']],
+    where: { activo: true, category_id: { [Op.ne]: null } },
+    group: ['category_id'],
+    raw: true,
+    transaction
+  });
+
+  return new Map(filas.map(fila => [fila.category_id, parseInt(fila.productos)]));
+};
+
+/**
+ * @api {get} /api/categories Listar categorías
+ * @apiName GetCategories
+ * @apiGroup Categories
+ * @apiHeader {String} Authorization Bearer token
+ *
+ * @apiParam {Boolean} [plano=false] Devolver una lista con la ruta de cada categoría en lugar del árbol
+ * @apiParam {Boolean} [incluir_inactivas=false] Incluir categorías desactivadas (solo admin)
+ *
+ * @apiSuccess {Object[]} data Categorías raíz con sus `children`, o la lista plana. Cada
+ *   categoría indica sus productos directos y los de toda la rama (`productos_total`)
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const plano = req.query.plano === 'true';
+    const incluirInactivas = req.query.incluir_inactivas === 'true' && req.user.role === 'admin';
+
+    const [indice, productos] = await Promise.all([Category.indice(), contarProductos()]);
+
+    const visibles = [...indice.values()]
+      // Una categoría desactivada oculta toda su rama
+      .filter(categoria => incluirInactivas || (categoria.activo && categoria.ancestros.every(id => indice.get(id).activo)))
+      .map(categoria => ({
+        id: categoria.id,
+        nombre: categoria.nombre,
+        slug: categoria.slug,
+        parent_id: categoria.parent_id,
+        activo: categoria.activo,
+        ruta: categoria.ruta,
+        nivel: categoria.nivel,
+        productos: productos.get(categoria.id) || 0,
+        productos_total: Category.idsDeRama(categoria.id, indice)
+          .reduce((sum, id) => sum + (productos.get(id) || 0), 0)
+      }))
+      .sort((a, b) => a.ruta.localeCompare(b.ruta));
+
+    if (plano) {
+      return res.json({
+        success: true,
+        data: visibles
+      });
+    }
+
+    const nodos = new Map(visibles.map(categoria => [categoria.id, { ...categoria, children: [] }]));
+    const raices = [];
+
+    for (const nodo of nodos.values()) {
+      const padre = nodos.get(nodo.parent_id);
+      if (padre) {
+        padre.children.push(nodo);
+      } else {
+        raices.push(nodo);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: raices
+    });
+  } catch (error) {
+    logger.error('Error al obtener categorías:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/categories/:id Obtener categoría
+ * @apiName GetCategory
+ * @apiGroup Categories
+ * @apiHeader {String} Authorization Bearer token
+ *
+ * @apiParam {Number} id ID de la categoría
+ *
+ * @apiSuccess {Object} data Categoría con su ruta, su padre y sus subcategorías directas
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const whereConditions = { id: req.params.id };
+    if (req.user.role !== 'admin') {
+      whereConditions.activo = true;
+    }
+
+    const categoria = await Category.findOne({
+      where: whereConditions,
+      include: [
+        {
+          model: Category,
+          as: 'parent',
+          attributes: ['id', 'nombre', 'slug']
+        },
+        {
+          model: Category,
+          as: 'children',
+          attributes: ['id', 'nombre', 'slug', 'activo'],
+          required: false
+        }
+      ],
+      order: [[{ model: Category, as: 'children' }, 'nombre', 'ASC']]
+    });
+
+    if (!categoria) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    const indice = await Category.indice();
+    const data = categoria.toJSON();
+    data.ruta = indice.get(categoria.id).ruta;
+    data.nivel = indice.get(categoria.id).nivel;
+    if (req.user.role !== 'admin') {
+      data.children = data.children.filter(hija => hija.activo);
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Error al obtener categoría:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/categories Crear categoría
+ * @apiName CreateCategory
+ * @apiGroup Categories
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String} nombre Nombre de la categoría
+ * @apiParam {String} [slug] Identificador para filtros; por defecto se genera del nombre
+ * @apiParam {Number} [parent_id] Categoría padre (activa); sin ella se crea como raíz
+ * @apiParam {String} [descripcion] Descripción
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = categorySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  try {
+    if (value.parent_id) {
+      const padre = await Category.findOne({ where: { id: value.parent_id, activo: true } });
+      if (!padre) {
+        return res.status(400).json({
+          success: false,
+          message: 'La categoría padre no existe o está inactiva'
+        });
+      }
+    }
+
+    const categoria = await Category.create(value);
+
+    logger.info(`Categoría creada: ${categoria.slug} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Categoría creada exitosamente',
+      data: categoria
+    });
+  } catch (error) {
+    logger.error('Error al crear categoría:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/categories/:id Actualizar categoría
+ * @apiName UpdateCategory
+ * @apiGroup Categories
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la categoría
+ * @apiParam {Number} [parent_id] Nuevo padre (null = raíz); no puede ser la propia categoría
+ *   ni una de sus subcategorías
+ * @apiParam {Boolean} [activo] Reactivar una categoría (desactivar se hace con DELETE)
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = updateCategorySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  try {
+    const categoria = await Category.findByPk(req.params.id);
+
+    if (!categoria) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    if (value.activo === false && categoria.activo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Para desactivar una categoría utilice DELETE /api/categories/:id'
+      });
+    }
+
+    if (value.parent_id) {
+      const indice = await Category.indice();
+      const padre = indice.get(value.parent_id);
+
+      if (!padre || !padre.activo) {
+        return res.status(400).json({
+          success: false,
+          message: 'La categoría padre no existe o está inactiva'
+        });
+      }
+
+      // Mover una categoría debajo de sí misma o de una subcategoría cerraría un ciclo
+      if (padre.id === categoria.id || padre.ancestros.includes(categoria.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Una categoría no puede quedar dentro de sí misma ni de sus subcategorías'
+        });
+      }
+    }
+
+    await categoria.update(value);
+
+    logger.info(`Categoría actualizada: ${categoria.slug} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Categoría actualizada exitosamente',
+      data: categoria
+    });
+  } catch (error) {
+    logger.error('Error al actualizar categoría:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {delete} /api/categories/:id Desactivar categoría
+ * @apiName DeleteCategory
+ * @apiGroup Categories
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la categoría; no debe tener subcategorías ni productos activos
+ */
+router.delete('/:id', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const categoria = await Category.findOne({
+      where: { id: req.params.id, activo: true }
+    });
+
+    if (!categoria) {
+      return res.status(404).json({
+        success: false,
+        message: 'Categoría no encontrada'
+      });
+    }
+
+    const [subcategorias, productos] = await Promise.all([
+      Category.count({ where: { parent_id: categoria.id, activo: true } }),
+      Product.count({ where: { category_id: categoria.id, activo: true } })
+    ]);
+
+    if (subcategorias > 0 || productos > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `La categoría tiene ${subcategorias} subcategorías y ${productos} productos activos; muévalos antes de desactivarla`
+      });
+    }
+
+    // Soft delete - las ventas históricas siguen agrupándose en la categoría
+    await categoria.update({ activo: false });
+
+    logger.info(`Categoría desactivada: ${categoria.slug} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Categoría desactivada exitosamente'
+    });
+  } catch (error) {
+    logger.error('Error al desactivar categoría:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,425 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, User, Product, Purchase, Coupon, CouponUsage } = require('../models');
+const { couponSchema, updateCouponSchema } = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Verificar que todos los productos indicados existan
+ * @param {number[]} productIds - IDs de productos
+ * @param {Transaction} transaction - Transacción de Sequelize
+ * @returns {number[]} - IDs que no existen
+ */
+const productosInexistentes = async (productIds, transaction) => {
+  const products = await Product.findAll({
+    where: { id: { [Op.in]: productIds } },
+    attributes: ['id'],
+    transaction
+  });
+  const foundIds = products.map(p => p.id);
+  return productIds.filter(id => !foundIds.includes(id));
+};
+
+/**
+ * Obtener un cupón con sus productos
+ * @param {number} id - ID del cupón
+ * @returns {Coupon}
+ */
+const obtenerCupon = (id) => Coupon.findByPk(id, {
+  include: [
+    {
+      model: Product,
+      as: 'products',
+      attributes: ['id', 'nombre', 'numero_lote', 'precio'],
+      through: { attributes: [] }
+    }
+  ]
+});
+
+/**
+ * @api {get} /api/coupons Listar cupones
+ * @apiName GetCoupons
+ * @apiGroup Coupons
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Boolean} [activo] Filtrar por estado
+ */
+router.get('/', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const whereConditions = {};
+    if (req.query.activo !== undefined) {
+      whereConditions.activo = req.query.activo === 'true';
+    }
+
+    const coupons = await Coupon.findAll({
+      where: whereConditions,
+      include: [
+        {
+          model: Product,
+          as: 'products',
+          attributes: ['id', 'nombre', 'numero_lote'],
+          through: { attributes: [] }
+        }
+      ],
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: coupons
+    });
+  } catch (error) {
+    logger.error('Error al obtener cupones:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/coupons/report Reporte de uso de cupones
+ * @apiName GetCouponReport
+ * @apiGroup Coupons
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String} [startDate] Fecha inicial (YYYY-MM-DD)
+ * @apiParam {String} [endDate] Fecha final (YYYY-MM-DD)
+ *
+ * @apiSuccess {Object[]} data Por cupón: usos vigentes y anulados, clientes, descuento otorgado y ventas
+ *   asociadas (importes en moneda base)
+ */
+router.get('/report', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const whereConditions = {};
+
+    if (startDate || endDate) {
+      whereConditions.created_at = {};
+      if (startDate) {
+        whereConditions.created_at[Op.gte] = new Date(startDate);
+      }
+      if (endDate) {
+        whereConditions.created_at[Op.lte] = new Date(endDate + ' 23:59:59');
+      }
+    }
+
+    const usages = await CouponUsage.findAll({
+      where: whereConditions,
+      include: [
+        {
+          model: Coupon,
+          as: 'coupon',
+          attributes: ['id', 'codigo', 'descripcion', 'tipo', 'valor', 'alcance', 'activo', 'limite_usos', 'usos_actuales']
+        },
+        {
+          model: Purchase,
+          as: 'purchase',
+          attributes: ['id', 'total', 'total_devuelto', 'tasa_cambio']
+        }
+      ]
+    });
+
+    const porCupon = {};
+    usages.forEach(usage => {
+      if (!porCupon[usage.coupon_id]) {
+        porCupon[usage.coupon_id] = {
+          cupon: usage.coupon,
+          usos: 0,
+          usos_anulados: 0,
+          clientes: new Set(),
+          descuento_total: 0,
+          ventas_total: 0
+        };
+      }
+
+      const fila = porCupon[usage.coupon_id];
+      if (usage.anulado) {
+        fila.usos_anulados += 1;
+        return;
+      }
+
+      fila.usos += 1;
+      if (usage.user_id) fila.clientes.add(usage.user_id);
+      const tasaCambio = parseFloat(usage.purchase.tasa_cambio);
+      fila.descuento_total += parseFloat(usage.descuento) * tasaCambio;
+      fila.ventas_total += (parseFloat(usage.purchase.total) - parseFloat(usage.purchase.total_devuelto)) * tasaCambio;
+    });
+
+    const reporte = Object.values(porCupon)
+      .map(fila => ({
+        cupon: fila.cupon,
+        usos: fila.usos,
+        usos_anulados: fila.usos_anulados,
+        clientes_unicos: fila.clientes.size,
+        descuento_total: fila.descuento_total.toFixed(2),
+        ventas_total: fila.ventas_total.toFixed(2)
+      }))
+      .sort((a, b) => b.usos - a.usos);
+
+    res.json({
+      success: true,
+      data: {
+        resumen: {
+          cupones_usados: reporte.length,
+          usos_totales: reporte.reduce((sum, fila) => sum + fila.usos, 0),
+          descuento_total: reporte.reduce((sum, fila) => sum + parseFloat(fila.descuento_total), 0).toFixed(2),
+          fecha_inicio: startDate || 'Sin límite',
+          fecha_fin: endDate || 'Sin límite'
+        },
+        cupones: reporte
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener reporte de cupones:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/coupons/:id Obtener cupón
+ * @apiName GetCoupon
+ * @apiGroup Coupons
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiSuccess {Object} data Cupón con sus productos y usos
+ */
+router.get('/:id', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findByPk(req.params.id, {
+      include: [
+        {
+          model: Product,
+          as: 'products',
+          attributes: ['id', 'nombre', 'numero_lote', 'precio'],
+          through: { attributes: [] }
+        },
+        {
+          model: CouponUsage,
+          as: 'usages',
+          include: [
+            {
+              model: User,
+              as: 'user',
+              attributes: ['id', 'nombre', 'email']
+            },
+            {
+              model: Purchase,
+              as: 'purchase',
+              attributes: ['id', 'numero_factura', 'fecha_compra', 'total', 'estado']
+            }
+          ]
+        }
+      ],
+      order: [[{ model: CouponUsage, as: 'usages' }, 'created_at', 'DESC']]
+    });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cupón no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    logger.error('Error al obtener cupón:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/coupons Crear cupón
+ * @apiName CreateCoupon
+ * @apiGroup Coupons
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String} codigo Código que indica el cliente (se guarda en mayúsculas)
+ * @apiParam {String="porcentaje","monto_fijo"} tipo Tipo de descuento
+ * @apiParam {Number} valor Porcentaje (hasta 100) o monto a descontar
+ * @apiParam {String="pedido","productos"} [alcance=pedido] Todo el pedido o solo los productos indicados
+ * @apiParam {Number[]} [product_ids] Productos alcanzados (requerido si alcance es productos)
+ * @apiParam {Number} [monto_minimo=0] Total mínimo de la compra para usar el cupón
+ * @apiParam {Date} [fecha_inicio] Inicio de vigencia
+ * @apiParam {Date} [fecha_fin] Fin de vigencia
+ * @apiParam {Number} [limite_usos] Usos totales permitidos
+ * @apiParam {Number} [limite_usos_por_cliente] Usos permitidos por cliente
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = couponSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const { product_ids: productIds = [], ...datos } = value;
+  const transaction = await sequelize.transaction();
+
+  try {
+    if (productIds.length > 0) {
+      const faltantes = await productosInexistentes(productIds, transaction);
+      if (faltantes.length > 0) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: `Productos no encontrados: ${faltantes.join(', ')}`
+        });
+      }
+    }
+
+    const coupon = await Coupon.create(datos, { transaction });
+
+    if (datos.alcance === 'productos') {
+      await coupon.setProducts(productIds, { transaction });
+    }
+
+    await transaction.commit();
+
+    logger.info(`Cupón creado: ${coupon.codigo} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cupón creado exitosamente',
+      data: await obtenerCupon(coupon.id)
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al crear cupón:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/coupons/:id Actualizar cupón
+ * @apiName UpdateCoupon
+ * @apiGroup Coupons
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del cupón
+ * @apiParam {Number[]} [product_ids] Reemplaza los productos alcanzados
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = updateCouponSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const { product_ids: productIds, ...datos } = value;
+  const transaction = await sequelize.transaction();
+
+  try {
+    const coupon = await Coupon.findByPk(req.params.id, {
+      lock: true,
+      transaction
+    });
+
+    if (!coupon) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Cupón no encontrado'
+      });
+    }
+
+    const alcance = datos.alcance || coupon.alcance;
+
+    if (alcance === 'productos') {
+      const cantidadProductos = productIds !== undefined ? productIds.length : await coupon.countProducts({ transaction });
+      if (cantidadProductos === 0) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: 'Un cupón con alcance productos debe incluir al menos un producto'
+        });
+      }
+    }
+
+    if (productIds && productIds.length > 0) {
+      const faltantes = await productosInexistentes(productIds, transaction);
+      if (faltantes.length > 0) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: `Productos no encontrados: ${faltantes.join(', ')}`
+        });
+      }
+    }
+
+    await coupon.update(datos, { transaction });
+
+    // Un cupón de pedido no conserva productos asociados
+    if (alcance === 'pedido') {
+      await coupon.setProducts([], { transaction });
+    } else if (productIds !== undefined) {
+      await coupon.setProducts(productIds, { transaction });
+    }
+
+    await transaction.commit();
+
+    logger.info(`Cupón actualizado: ${coupon.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Cupón actualizado exitosamente',
+      data: await obtenerCupon(coupon.id)
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al actualizar cupón:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {delete} /api/coupons/:id Desactivar cupón
+ * @apiName DeleteCoupon
+ * @apiGroup Coupons
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del cupón
+ */
+router.delete('/:id', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findOne({
+      where: { id: req.params.id, activo: true }
+    });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cupón no encontrado'
+      });
+    }
+
+    // Soft delete - los usos quedan en el historial de las compras
+    await coupon.update({ activo: false });
+
+    logger.info(`Cupón desactivado: ${coupon.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Cupón desactivado exitosamente'
+    });
+  } catch (error) {
+    logger.error('Error al desactivar cupón:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,388 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, Currency, ExchangeRate } = require('../models');
+const { currencySchema, updateCurrencySchema, exchangeRateSchema } = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Interpretar un archivo CSV de tipos de cambio
+ * Formato por línea: codigo,tasa[,fecha_vigencia] (acepta `;` como separador
+ * y una primera línea de encabezado)
+ * @param {string} contenido - Texto del archivo
+ * @returns {Object} - { filas: [{ linea, codigo, tasa, fecha_vigencia }], errores: [string] }
+ */
+const parsearCsvTasas = (contenido) => {
+  const filas = [];
+  const errores = [];
+
+  contenido.split(/\r?\n/).forEach((texto, index) => {
+    const linea = index + 1;
+    const campos = texto.split(/[,;]/).map(campo => campo.trim());
+
+    if (!texto.trim() || (linea === 1 && /^codigo$/i.test(campos[0]))) {
+      return;
+    }
+
+    const [codigo, tasa, fecha] = campos;
+
+    if (!/^[A-Za-z]{3}$/.test(codigo || '')) {
+      errores.push(`Línea ${linea}: código de moneda inválido "${codigo || ''}"`);
+      return;
+    }
+
+    const valor = parseFloat(tasa);
+    if (isNaN(valor) || valor <= 0) {
+      errores.push(`Línea ${linea}: tasa inválida "${tasa || ''}"`);
+      return;
+    }
+
+    const fechaVigencia = fecha ? new Date(fecha) : new Date();
+    if (isNaN(fechaVigencia.getTime())) {
+      errores.push(`Línea ${linea}: fecha inválida "${fecha}"`);
+      return;
+    }
+
+    filas.push({ linea, codigo: codigo.toUpperCase(), tasa: valor, fecha_vigencia: fechaVigencia });
+  });
+
+  return { filas, errores };
+};
+
+/**
+ * @api {get} /api/currencies Listar monedas
+ * @apiName GetCurrencies
+ * @apiGroup Currencies
+ * @apiHeader {String} Authorization Bearer token
+ *
+ * @apiSuccess {Object[]} data Monedas con su tipo de cambio vigente (los clientes solo ven las activas)
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const whereConditions = {};
+    if (req.user.role !== 'admin') {
+      whereConditions.activo = true;
+    }
+
+    await Currency.obtenerBase();
+
+    const currencies = await Currency.findAll({
+      where: whereConditions,
+      order: [['es_base', 'DESC'], ['codigo', 'ASC']]
+    });
+
+    const data = [];
+    for (const currency of currencies) {
+      const rate = currency.es_base ? null : await ExchangeRate.findOne({
+        where: {
+          currency_id: currency.id,
+          fecha_vigencia: { [Op.lte]: new Date() }
+        },
+        order: [['fecha_vigencia', 'DESC'], ['id', 'DESC']]
+      });
+
+      data.push({
+        ...currency.toJSON(),
+        tasa_vigente: currency.es_base ? '1.000000' : (rate ? rate.tasa : null),
+        fecha_vigencia: rate ? rate.fecha_vigencia : null
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Error al obtener monedas:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/currencies Crear moneda
+ * @apiName CreateCurrency
+ * @apiGroup Currencies
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String} codigo Código ISO 4217 (ej: USD)
+ * @apiParam {String} nombre Nombre de la moneda
+ * @apiParam {String} [simbolo=$] Símbolo
+ * @apiParam {Number} [tasa] Tipo de cambio inicial (valor de 1 unidad en moneda base)
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = currencySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const { tasa, ...datos } = value;
+  const transaction = await sequelize.transaction();
+
+  try {
+    await Currency.obtenerBase({ transaction });
+
+    const currency = await Currency.create(datos, { transaction });
+
+    if (tasa) {
+      await ExchangeRate.create({
+        currency_id: currency.id,
+        tasa,
+        fuente: 'manual',
+        registrado_por: req.user.id
+      }, { transaction });
+    }
+
+    await transaction.commit();
+
+    logger.info(`Moneda creada: ${currency.codigo} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Moneda creada exitosamente',
+      data: currency
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al crear moneda:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/currencies/rates/import Importar tipos de cambio desde CSV
+ * @apiName ImportExchangeRates
+ * @apiGroup Currencies
+ * @apiHeader {String} Authorization Bearer token
+ * @apiHeader {String} Content-Type text/csv o text/plain
+ * @apiPermission admin
+ *
+ * @apiDescription Cada línea: codigo,tasa[,fecha_vigencia]. Si alguna línea es inválida
+ *   no se importa ninguna.
+ */
+router.post('/rates/import', authenticate, adminOnly, express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res, next) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Envíe el archivo CSV como cuerpo de la solicitud (Content-Type: text/csv)'
+    });
+  }
+
+  const { filas, errores } = parsearCsvTasas(req.body);
+
+  if (errores.length > 0 || filas.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: filas.length === 0 && errores.length === 0 ? 'El archivo no contiene tipos de cambio' : 'El archivo contiene errores',
+      errors: errores
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const base = await Currency.obtenerBase({ transaction });
+    const codigos = [...new Set(filas.map(fila => fila.codigo))];
+    const currencies = await Currency.findAll({
+      where: { codigo: { [Op.in]: codigos } },
+      transaction
+    });
+
+    const erroresMoneda = [];
+    for (const fila of filas) {
+      const currency = currencies.find(c => c.codigo === fila.codigo);
+      if (!currency) {
+        erroresMoneda.push(`Línea ${fila.linea}: la moneda ${fila.codigo} no existe`);
+      } else if (currency.codigo === base.codigo) {
+        erroresMoneda.push(`Línea ${fila.linea}: la moneda base no tiene tipo de cambio`);
+      } else {
+        fila.currency_id = currency.id;
+      }
+    }
+
+    if (erroresMoneda.length > 0) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'El archivo contiene errores',
+        errors: erroresMoneda
+      });
+    }
+
+    await ExchangeRate.bulkCreate(filas.map(fila => ({
+      currency_id: fila.currency_id,
+      tasa: fila.tasa,
+      fecha_vigencia: fila.fecha_vigencia,
+      fuente: 'importacion',
+      registrado_por: req.user.id
+    })), { transaction, validate: true });
+
+    await transaction.commit();
+
+    logger.info(`Tipos de cambio importados: ${filas.length} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${filas.length} tipos de cambio importados exitosamente`,
+      data: { importados: filas.length }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al importar tipos de cambio:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/currencies/:id Actualizar moneda
+ * @apiName UpdateCurrency
+ * @apiGroup Currencies
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la moneda
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { error, value } = updateCurrencySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const currency = await Currency.findByPk(req.params.id);
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Moneda no encontrada'
+      });
+    }
+
+    if (currency.es_base && value.activo === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'La moneda base no puede desactivarse'
+      });
+    }
+
+    await currency.update(value);
+
+    logger.info(`Moneda actualizada: ${currency.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Moneda actualizada exitosamente',
+      data: currency
+    });
+  } catch (error) {
+    logger.error('Error al actualizar moneda:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/currencies/:id/rates Historial de tipos de cambio
+ * @apiName GetExchangeRates
+ * @apiGroup Currencies
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ */
+router.get('/:id/rates', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const currency = await Currency.findByPk(req.params.id);
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Moneda no encontrada'
+      });
+    }
+
+    const rates = await ExchangeRate.findAll({
+      where: { currency_id: currency.id },
+      order: [['fecha_vigencia', 'DESC'], ['id', 'DESC']],
+      limit: 100
+    });
+
+    res.json({
+      success: true,
+      data: {
+        moneda: currency,
+        tasas: rates
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener tipos de cambio:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/currencies/:id/rates Registrar tipo de cambio
+ * @apiName CreateExchangeRate
+ * @apiGroup Currencies
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} tasa Valor de 1 unidad de la moneda en moneda base
+ * @apiParam {Date} [fecha_vigencia=ahora] Desde cuándo rige
+ */
+router.post('/:id/rates', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { error, value } = exchangeRateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors: error.details.map(detail => detail.message)
+      });
+    }
+
+    const currency = await Currency.findByPk(req.params.id);
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Moneda no encontrada'
+      });
+    }
+
+    if (currency.es_base) {
+      return res.status(400).json({
+        success: false,
+        message: 'La moneda base no tiene tipo de cambio'
+      });
+    }
+
+    const rate = await ExchangeRate.create({
+      currency_id: currency.id,
+      tasa: value.tasa,
+      fecha_vigencia: value.fecha_vigencia,
+      fuente: 'manual',
+      registrado_por: req.user.id
+    });
+
+    logger.info(`Tipo de cambio registrado: ${currency.codigo} = ${value.tasa} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tipo de cambio registrado exitosamente',
+      data: rate
+    });
+  } catch (error) {
+    logger.error('Error al registrar tipo de cambio:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,529 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, User, Product, Backorder, Warehouse, WarehouseStock, InventoryCount, InventoryCountItem } = require('../models');
+const { inventoryCountSchema, inventoryCountEntriesSchema, queryParamsSchema } = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Relaciones que se devuelven con cada sesión de conteo
+const incluirSesion = () => [
+  {
+    model: Warehouse,
+    as: 'warehouse',
+    attributes: ['id', 'codigo', 'nombre']
+  },
+  {
+    model: User,
+    as: 'opened_by',
+    attributes: ['id', 'nombre']
+  },
+  {
+    model: User,
+    as: 'closed_by',
+    attributes: ['id', 'nombre']
+  }
+];
+
+/**
+ * Convertir el reporte de diferencias de una sesión en CSV
+ * @param {Object[]} lineas - Líneas del reporte (ver `InventoryCount.prototype.reporteDiferencias`)
+ * @returns {string}
+ */
+const generarCsvConteo = (lineas) => {
+  const campo = (valor) => {
+    if (valor === null || valor === undefined) return '';
+    const texto = String(valor);
+    return /[",;\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+  };
+
+  const encabezado = ['numero_lote', 'nombre', 'cantidad_esperada', 'cantidad_contada', 'diferencia', 'ajuste', 'conteos'];
+  const filas = lineas.map(linea => encabezado.map(columna => campo(linea[columna])).join(','));
+
+  return [encabezado.join(','), ...filas].join('\n') + '\n';
+};
+
+/**
+ * Buscar una sesión bloqueada (FOR UPDATE) y verificar que siga abierta
+ * @param {number} id - ID de la sesión
+ * @param {Transaction} transaction - Transacción de Sequelize
+ * @returns {InventoryCount}
+ */
+const obtenerSesionAbierta = async (id, transaction) => {
+  const sesion = await InventoryCount.findByPk(id, {
+    lock: true,
+    transaction
+  });
+
+  if (!sesion) {
+    const error = new Error('Sesión de conteo no encontrada');
+    error.status = 404;
+    throw error;
+  }
+
+  if (sesion.estado !== 'abierto') {
+    const error = new Error(`La sesión de conteo está ${sesion.estado} y es de solo lectura`);
+    error.status = 409;
+    throw error;
+  }
+
+  return sesion;
+};
+
+/**
+ * @api {get} /api/inventory-counts Listar sesiones de conteo
+ * @apiName GetInventoryCounts
+ * @apiGroup InventoryCounts
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String="abierto","cerrado","cancelado"} [estado] Filtrar por estado
+ * @apiParam {Number} [warehouse_id] Filtrar por almacén
+ * @apiParam {Number} [page=1] Página
+ * @apiParam {Number} [limit=10] Sesiones por página
+ */
+router.get('/', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { estado, warehouse_id } = req.query;
+    const { error, value } = queryParamsSchema.validate({ page: req.query.page, limit: req.query.limit });
+
+    if (error || (estado !== undefined && !InventoryCount.ESTADOS.includes(estado)) || (warehouse_id !== undefined && isNaN(warehouse_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de consulta inválidos',
+        errors: error ? error.details.map(detail => detail.message) : [`El estado debe ser uno de: ${InventoryCount.ESTADOS.join(', ')} y warehouse_id un número`]
+      });
+    }
+
+    const { page, limit } = value;
+    const whereConditions = {};
+
+    if (estado) {
+      whereConditions.estado = estado;
+    }
+
+    if (warehouse_id) {
+      whereConditions.warehouse_id = parseInt(warehouse_id);
+    }
+
+    const { count, rows: sesiones } = await InventoryCount.findAndCountAll({
+      where: whereConditions,
+      include: incluirSesion(),
+      order: [['fecha_apertura', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        inventory_counts: sesiones,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: count,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener sesiones de conteo:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/inventory-counts/:id Reporte de diferencias de una sesión
+ * @apiName GetInventoryCount
+ * @apiGroup InventoryCounts
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la sesión
+ *
+ * @apiSuccess {Object} data Sesión, resumen (contados, sin contar, faltantes, sobrantes) y
+ *   líneas con cantidad esperada, contada, diferencia y ajuste registrado
+ */
+router.get('/:id', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const sesion = await InventoryCount.findByPk(req.params.id, {
+      include: incluirSesion()
+    });
+
+    if (!sesion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión de conteo no encontrada'
+      });
+    }
+
+    const { resumen, lineas } = await sesion.reporteDiferencias();
+
+    res.json({
+      success: true,
+      data: {
+        inventory_count: sesion,
+        resumen,
+        lineas
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener sesión de conteo:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/inventory-counts/:id/export Exportar sesión de conteo
+ * @apiName ExportInventoryCount
+ * @apiGroup InventoryCounts
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la sesión
+ *
+ * @apiSuccess {File} csv Reporte de diferencias en CSV
+ */
+router.get('/:id/export', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const sesion = await InventoryCount.findByPk(req.params.id);
+
+    if (!sesion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión de conteo no encontrada'
+      });
+    }
+
+    const { lineas } = await sesion.reporteDiferencias();
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="conteo-${sesion.id}.csv"`
+    });
+    res.send(generarCsvConteo(lineas));
+  } catch (error) {
+    logger.error('Error al exportar sesión de conteo:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/inventory-counts Abrir sesión de conteo
+ * @apiName OpenInventoryCount
+ * @apiGroup InventoryCounts
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} [warehouse_id] Almacén a contar (por defecto el almacén por defecto)
+ * @apiParam {Boolean} [congelar=false] Tomar ahora las cantidades esperadas de todos los
+ *   productos activos; si no, lo esperado es el stock del almacén al cerrar
+ * @apiParam {String} [notas] Observaciones
+ *
+ * Solo puede haber una sesión abierta por almacén.
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = inventoryCountSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const almacen = await Warehouse.obtenerActivo(value.warehouse_id, { transaction });
+
+    const abierta = await InventoryCount.findOne({
+      where: { warehouse_id: almacen.id, estado: 'abierto' },
+      lock: true,
+      transaction
+    });
+
+    if (abierta) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `Ya hay una sesión de conteo abierta para ${almacen.nombre} (ID ${abierta.id})`
+      });
+    }
+
+    const sesion = await InventoryCount.create({
+      warehouse_id: almacen.id,
+      congelado: value.congelar,
+      notas: value.notas,
+      abierto_por: req.user.id,
+      fecha_apertura: new Date()
+    }, { transaction });
+
+    // Foto del stock esperado de cada producto activo en el almacén
+    if (value.congelar) {
+      const products = await Product.findAll({
+        where: { activo: true },
+        attributes: ['id'],
+        transaction
+      });
+      const stocks = await WarehouseStock.findAll({
+        where: { warehouse_id: almacen.id },
+        transaction
+      });
+      const stockPorProducto = Object.fromEntries(stocks.map(stock => [stock.product_id, stock.cantidad]));
+
+      await InventoryCountItem.bulkCreate(products.map(product => ({
+        inventory_count_id: sesion.id,
+        product_id: product.id,
+        cantidad_esperada: stockPorProducto[product.id] || 0
+      })), { transaction });
+    }
+
+    await transaction.commit();
+
+    logger.info(`Sesión de conteo ${sesion.id} abierta para ${almacen.codigo}${sesion.congelado ? ' (congelada)' : ''} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Sesión de conteo abierta exitosamente',
+      data: await InventoryCount.findByPk(sesion.id, { include: incluirSesion() })
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al abrir sesión de conteo:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/inventory-counts/:id/counts Cargar cantidades contadas
+ * @apiName SubmitInventoryCounts
+ * @apiGroup InventoryCounts
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la sesión
+ * @apiParam {Object[]} items Productos contados: { product_id, cantidad }
+ * @apiParam {Boolean} [reemplazar=false] Reemplazar lo contado antes (recuento) en vez de sumarlo
+ *
+ * Las cantidades pueden cargarse en varias tandas y por varios usuarios: por
+ * defecto cada tanda se suma a lo ya contado del producto (por ejemplo, el mismo
+ * producto en dos estanterías).
+ */
+router.post('/:id/counts', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = inventoryCountEntriesSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const sesion = await obtenerSesionAbierta(req.params.id, transaction);
+
+    const productIds = value.items.map(item => item.product_id);
+    const products = await Product.findAll({
+      where: { id: { [Op.in]: productIds }, activo: true },
+      attributes: ['id'],
+      transaction
+    });
+
+    if (products.length !== productIds.length) {
+      const foundIds = products.map(p => p.id);
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: `Productos no encontrados o inactivos: ${productIds.filter(id => !foundIds.includes(id)).join(', ')}`
+      });
+    }
+
+    const existentes = await InventoryCountItem.findAll({
+      where: { inventory_count_id: sesion.id, product_id: { [Op.in]: productIds } },
+      lock: true,
+      transaction
+    });
+
+    for (const item of value.items) {
+      const linea = existentes.find(existente => existente.product_id === item.product_id);
+      const conteo = {
+        contado_por: req.user.id,
+        fecha_conteo: new Date()
+      };
+
+      if (linea) {
+        await linea.update({
+          ...conteo,
+          cantidad_contada: value.reemplazar || linea.cantidad_contada === null
+            ? item.cantidad
+            : linea.cantidad_contada + item.cantidad,
+          conteos: linea.conteos + 1
+        }, { transaction });
+      } else {
+        await InventoryCountItem.create({
+          ...conteo,
+          inventory_count_id: sesion.id,
+          product_id: item.product_id,
+          cantidad_contada: item.cantidad,
+          conteos: 1
+        }, { transaction });
+      }
+    }
+
+    await transaction.commit();
+
+    logger.info(`Sesión de conteo ${sesion.id}: ${value.items.length} productos cargados por usuario ${req.user.email}`);
+
+    const { resumen } = await sesion.reporteDiferencias();
+
+    res.json({
+      success: true,
+      message: `${value.items.length} productos contados registrados`,
+      data: { resumen }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al cargar conteo:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/inventory-counts/:id/close Cerrar sesión y registrar ajustes
+ * @apiName CloseInventoryCount
+ * @apiGroup InventoryCounts
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la sesión
+ *
+ * En una sola transacción registra la diferencia de cada producto contado como
+ * ajuste en el kardex del almacén (documento `conteo`). En una sesión congelada la
+ * diferencia se calcula contra lo esperado al abrir, de modo que las ventas hechas
+ * durante el conteo se conservan. Los productos sin contar no se ajustan. La
+ * sesión queda de solo lectura.
+ */
+router.post('/:id/close', authenticate, adminOnly, async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const sesion = await obtenerSesionAbierta(req.params.id, transaction);
+
+    const items = await InventoryCountItem.findAll({
+      where: { inventory_count_id: sesion.id, cantidad_contada: { [Op.ne]: null } },
+      lock: true,
+      transaction
+    });
+
+    // Bloquear productos (FOR UPDATE) antes de ajustar su stock
+    const products = await Product.findAll({
+      where: { id: { [Op.in]: items.map(item => item.product_id) } },
+      lock: true,
+      transaction
+    });
+
+    const ingresos = [];
+
+    for (const item of items) {
+      const product = products.find(p => p.id === item.product_id);
+      const esperada = item.cantidad_esperada !== null
+        ? item.cantidad_esperada
+        : await WarehouseStock.cantidadEn(sesion.warehouse_id, product.id, { transaction });
+      const ajuste = item.cantidad_contada - esperada;
+
+      if (ajuste !== 0) {
+        await product.moverStock(ajuste, {
+          motivo: 'ajuste',
+          documentoTipo: 'conteo',
+          documentoId: sesion.id,
+          warehouseId: sesion.warehouse_id,
+          userId: req.user.id,
+          notas: `Conteo físico: esperado ${esperada}, contado ${item.cantidad_contada}`,
+          transaction
+        });
+
+        if (ajuste > 0) ingresos.push(product.id);
+      }
+
+      await item.update({ cantidad_esperada: esperada, ajuste }, { transaction });
+    }
+
+    // Las unidades que aparecieron surten primero los backorders pendientes
+    await Backorder.surtirPendientes(ingresos, { userId: req.user.id, transaction });
+
+    await sesion.update({
+      estado: 'cerrado',
+      cerrado_por: req.user.id,
+      fecha_cierre: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+
+    const { resumen, lineas } = await sesion.reporteDiferencias();
+
+    logger.info(`Sesión de conteo ${sesion.id} cerrada: ${resumen.con_diferencia} productos ajustados por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Sesión de conteo cerrada y ajustes registrados',
+      data: {
+        inventory_count: sesion,
+        resumen,
+        lineas
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al cerrar sesión de conteo:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/inventory-counts/:id/cancel Cancelar sesión de conteo
+ * @apiName CancelInventoryCount
+ * @apiGroup InventoryCounts
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la sesión
+ *
+ * Descarta la sesión sin ajustar el stock.
+ */
+router.post('/:id/cancel', authenticate, adminOnly, async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const sesion = await obtenerSesionAbierta(req.params.id, transaction);
+
+    await sesion.update({
+      estado: 'cancelado',
+      cerrado_por: req.user.id,
+      fecha_cierre: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Sesión de conteo ${sesion.id} cancelada por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Sesión de conteo cancelada',
+      data: sesion
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al cancelar sesión de conteo:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const { sequelize, InvoiceSeries } = require('../models');
+const { invoiceSeriesSchema, updateInvoiceSeriesSchema } = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @api {get} /api/invoice-series Listar series de numeración
+ * @apiName GetInvoiceSeries
+ * @apiGroup InvoiceSeries
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String="factura","nota_credito"} [tipo] Filtrar por tipo de documento
+ */
+router.get('/', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const whereConditions = {};
+    if (req.query.tipo) {
+      whereConditions.tipo = req.query.tipo;
+    }
+
+    const series = await InvoiceSeries.findAll({
+      where: whereConditions,
+      order: [['tipo', 'ASC'], ['codigo', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    logger.error('Error al obtener series de numeración:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/invoice-series Crear serie de numeración
+ * @apiName CreateInvoiceSeries
+ * @apiGroup InvoiceSeries
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String} codigo Código único de la serie
+ * @apiParam {String} nombre Nombre descriptivo
+ * @apiParam {String="factura","nota_credito"} tipo Tipo de documento
+ * @apiParam {String} prefijo Prefijo del número (ej: FAC)
+ * @apiParam {Boolean} [reinicio_anual=true] Reiniciar el contador cada año
+ * @apiParam {Number} [digitos=6] Dígitos del correlativo
+ * @apiParam {Number} [ultimo_numero=0] Último número emitido (para continuar una numeración existente)
+ * @apiParam {Boolean} [por_defecto=false] Usar como serie por defecto de su tipo
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = invoiceSeriesSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Solo puede haber una serie por defecto por tipo de documento
+    if (value.por_defecto) {
+      await InvoiceSeries.update(
+        { por_defecto: false },
+        { where: { tipo: value.tipo }, transaction }
+      );
+    }
+
+    const serie = await InvoiceSeries.create({
+      ...value,
+      anio_actual: value.reinicio_anual ? new Date().getFullYear() : null
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Serie de numeración creada: ${serie.codigo} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Serie de numeración creada exitosamente',
+      data: serie
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al crear serie de numeración:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/invoice-series/:id Actualizar serie de numeración
+ * @apiName UpdateInvoiceSeries
+ * @apiGroup InvoiceSeries
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la serie
+ * @apiParam {Number} [ultimo_numero] Solo puede aumentar: bajarlo repetiría números ya emitidos
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = updateInvoiceSeriesSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const serie = await InvoiceSeries.findByPk(req.params.id, {
+      lock: true,
+      transaction
+    });
+
+    if (!serie) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Serie de numeración no encontrada'
+      });
+    }
+
+    if (value.ultimo_numero !== undefined && value.ultimo_numero < serie.ultimo_numero) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `El contador no puede bajar de ${serie.ultimo_numero}: se repetirían números ya emitidos`
+      });
+    }
+
+    const quedaPorDefecto = value.por_defecto !== undefined ? value.por_defecto : serie.por_defecto;
+    const quedaActiva = value.activo !== undefined ? value.activo : serie.activo;
+
+    if (serie.por_defecto && (!quedaPorDefecto || !quedaActiva)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Marque otra serie como por defecto antes de desactivar o quitar esta'
+      });
+    }
+
+    if (value.por_defecto && !serie.por_defecto) {
+      await InvoiceSeries.update(
+        { por_defecto: false },
+        { where: { tipo: serie.tipo }, transaction }
+      );
+    }
+
+    await serie.update(value, { transaction });
+    await transaction.commit();
+
+    logger.info(`Serie de numeración actualizada: ${serie.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Serie de numeración actualizada exitosamente',
+      data: serie
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al actualizar serie de numeración:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,183 @@
 const express = require('express');
 const { Op } = require('sequelize');
-const { Product } = require('../models');
-const { productSchema, updateProductSchema, queryParamsSchema } = require('../utils/validationSchemas');
+const {
+  sequelize,
+  User,
+  Product,
+  Backorder,
+  StockMovement,
+  Lot,
+  Warehouse,
+  WarehouseStock,
+  StockAlert,
+  SupplierOrder,
+  SupplierOrderDetail,
+  Category,
+  Tag,
+  ProductTag,
+  BundleComponent,
+  PriceChange,
+  ScheduledPrice,
+  ProductUnit
+} = require('../models');
+const { productSchema, updateProductSchema, lotSchema, variantSchema, bundleComponentsSchema, productUnitsSchema, scheduledPriceSchema, queryParamsSchema } = require('../utils/validationSchemas');
 const { authenticate, adminOnly } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Verificar que la categoría a asignar a un producto exista y esté activa
+ * @param {number|null|undefined} categoryId - ID de la categoría (null la quita)
+ * @param {Object} opciones - { transaction }
+ * @throws {Error} - 400 si la categoría no existe o está inactiva
+ */
+const verificarCategoria = async (categoryId, { transaction } = {}) => {
+  if (!categoryId) return;
+
+  const categoria = await Category.findOne({ where: { id: categoryId, activo: true }, transaction });
+  if (!categoria) {
+    const error = new Error('La categoría no existe o está inactiva');
+    error.status = 400;
+    throw error;
+  }
+};
+
+/**
+ * Verificar los componentes de un kit
+ * Deben ser productos activos con stock propio (ni kits ni productos con variantes;
+ * una variante sí puede ser componente).
+ * @param {Object[]} componentes - { product_id, cantidad }
+ * @param {Object} opciones - { transaction }
+ * @throws {Error} - 404 si algún producto no existe o está inactivo, 400 si no tiene stock propio
+ */
+const verificarComponentes = async (componentes, { transaction } = {}) => {
+  const productIds = componentes.map(componente => componente.product_id);
+  const products = await Product.findAll({
+    where: { id: { [Op.in]: productIds }, activo: true },
+    attributes: ['id', 'nombre', 'es_kit', 'atributos_variante'],
+    transaction
+  });
+
+  if (products.length !== productIds.length) {
+    const foundIds = products.map(p => p.id);
+    const error = new Error(`Productos no encontrados o inactivos: ${productIds.filter(id => !foundIds.includes(id)).join(', ')}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const sinStockPropio = products.find(p => !p.tieneStockPropio());
+  if (sinStockPropio) {
+    const error = new Error(`${sinStockPropio.nombre} no puede ser componente de un kit: ${sinStockPropio.es_kit ? 'es un kit' : 'indique una de sus variantes'}`);
+    error.status = 400;
+    throw error;
+  }
+};
+
+/**
+ * Reemplazar las unidades alternativas de un producto
+ * Solo los productos con stock propio tienen unidades (no los kits ni los padres de
+ * variantes). Las líneas de compra ya registradas guardan su unidad y su factor.
+ * @param {Product} product - Producto (con su `unidad_base` ya actualizada)
+ * @param {Object[]} unidades - { nombre, factor, precio, venta, compra }
+ * @param {Object} opciones - { transaction }
+ * @returns {ProductUnit[]} - Unidades creadas
+ * @throws {Error} - 400 si el producto no lleva stock propio o una unidad repite la unidad base
+ */
+const reemplazarUnidades = async (product, unidades, { transaction } = {}) => {
+  if (!product.tieneStockPropio() && unidades.length > 0) {
+    const error = new Error(`${product.nombre} no tiene stock propio: ${product.es_kit ? 'un kit se vende por kit' : 'defina las unidades en cada variante'}`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (unidades.some(unidad => unidad.nombre === product.unidad_base)) {
+    const error = new Error(`La unidad base (${product.unidad_base}) no puede repetirse como unidad alternativa`);
+    error.status = 400;
+    throw error;
+  }
+
+  await ProductUnit.destroy({ where: { product_id: product.id }, transaction });
+  return ProductUnit.bulkCreate(
+    unidades.map(unidad => ({ ...unidad, product_id: product.id })),
+    { validate: true, transaction }
+  );
+};
+
+/**
+ * Validar los atributos de una variante contra los de su producto padre
+ * Los nombres se comparan sin mayúsculas; la variante debe indicar un valor para
+ * cada atributo del padre (y ninguno más) y no repetir la combinación de otra
+ * variante activa.
+ * @param {Product} padre - Producto padre (con `atributos_variante`)
+ * @param {Object} atributos - Valor de cada atributo tal como llegó
+ * @param {Object} opciones - { excluirId (variante que se está editando), transaction }
+ * @returns {Object} - Atributos normalizados, en el orden del padre
+ * @throws {Error} - 400 si no coinciden con los del padre, 409 si la combinación ya existe
+ */
+const normalizarAtributos = async (padre, atributos, { excluirId = null, transaction } = {}) => {
+  const valores = Object.fromEntries(Object.entries(atributos).map(([nombre, valor]) => [nombre.trim().toLowerCase(), valor]));
+  const nombres = Object.keys(valores);
+  const faltantes = padre.atributos_variante.filter(nombre => !nombres.includes(nombre));
+  const sobrantes = nombres.filter(nombre => !padre.atributos_variante.includes(nombre));
+
+  if (faltantes.length > 0 || sobrantes.length > 0) {
+    const error = new Error(`Los atributos de la variante deben ser: ${padre.atributos_variante.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const normalizados = Object.fromEntries(padre.atributos_variante.map(nombre => [nombre, valores[nombre]]));
+
+  const hermanas = await Product.findAll({
+    where: { parent_id: padre.id, activo: true, ...(excluirId ? { id: { [Op.ne]: excluirId } } : {}) },
+    attributes: ['id', 'sku', 'atributos'],
+    transaction
+  });
+  const repetida = hermanas.find(hermana => padre.atributos_variante.every(nombre =>
+    String(hermana.atributos[nombre]).toLowerCase() === normalizados[nombre].toLowerCase()));
+
+  if (repetida) {
+    const error = new Error(`Ya existe una variante con esos atributos (SKU ${repetida.sku})`);
+    error.status = 409;
+    throw error;
+  }
+
+  return normalizados;
+};
+
+/**
+ * Ingresar el stock inicial de un producto nuevo
+ * Entra como primer lote (con el número de lote del producto) en el almacén indicado
+ * y queda registrado como ingreso en el kardex.
+ * @param {Product} product - Producto recién creado (con stock 0)
+ * @param {Object} datos - { cantidad, fecha_vencimiento, costo, warehouseId, userId, transaction }
+ */
+const ingresarStockInicial = async (product, { cantidad, fecha_vencimiento, costo, warehouseId, userId, transaction }) => {
+  if (!(cantidad > 0)) return;
+
+  const lot = await Lot.create({
+    product_id: product.id,
+    warehouse_id: warehouseId,
+    numero_lote: product.numero_lote,
+    cantidad_recibida: cantidad,
+    fecha_vencimiento,
+    costo,
+    fecha_ingreso: product.fecha_ingreso
+  }, { transaction });
+
+  await product.moverStock(cantidad, {
+    motivo: 'ingreso',
+    documentoTipo: 'lote',
+    documentoId: lot.id,
+    warehouseId,
+    lotId: lot.id,
+    userId,
+    notas: 'Stock inicial',
+    transaction
+  });
+};
+
 /**
  * @api {get} /api/products Obtener lista de productos
  * @apiName GetProducts
@@ -18,21 +189,29 @@ const router = express.Router();
  * @apiParam {String} [search] Término de búsqueda
  * @apiParam {String} [sortBy=created_at] Campo para ordenar
  * @apiParam {String} [order=DESC] Orden (ASC o DESC)
+ * @apiParam {Number} [warehouse_id] Solo productos con stock en ese almacén
+ * @apiParam {String} [category] ID o slug de categoría; incluye sus subcategorías
+ * @apiParam {String} [tags] Etiquetas separadas por coma; el producto debe tener todas
+ * @apiParam {Boolean} [incluir_variantes=false] Listar también las variantes (por defecto solo
+ *   aparecen sus productos padre)
  * 
  * @apiSuccess {Boolean} success Estado de la operación
  * @apiSuccess {Object} data Datos de productos
- * @apiSuccess {Array} data.products Lista de productos
+ * @apiSuccess {Array} data.products Lista de productos (stock disponible, reservado y libre por separado,
+ *   el stock de cada almacén en `warehouse_stocks`, su categoría y sus etiquetas). En un kit,
+ *   `cantidad_libre` es la cantidad de kits que alcanzan sus componentes
  * @apiSuccess {Object} data.pagination Información de paginación
  */
 router.get('/', authenticate, async (req, res, next) => {
   try {
     // Validar parámetros de consulta
-    const { error, value } = queryParamsSchema.validate(req.query);
-    if (error) {
+    const { warehouse_id, category, tags, incluir_variantes, ...filtros } = req.query;
+    const { error, value } = queryParamsSchema.validate(filtros);
+    if (error || (warehouse_id !== undefined && isNaN(warehouse_id))) {
       return res.status(400).json({
         success: false,
         message: 'Parámetros de consulta inválidos',
-        errors: error.details.map(detail => detail.message)
+        errors: error ? error.details.map(detail => detail.message) : ['El ID del almacén debe ser un número']
       });
     }
 
@@ -41,29 +220,113 @@ router.get('/', authenticate, async (req, res, next) => {
 
     // Construir condiciones de búsqueda
     const whereConditions = { activo: true };
+
+    // Las variantes se muestran dentro de su producto padre
+    if (incluir_variantes !== 'true') {
+      whereConditions.parent_id = null;
+    }
     
     if (search) {
       whereConditions[Op.or] = [
         { nombre: { [Op.like]: `%${search}%` } },
-        { numero_lote: { [Op.like]: `%${search}%` } }
+        { numero_lote: { [Op.like]: `%${search}%` } },
+        { sku: { [Op.like]: `%${search}%` } }
       ];
     }
 
+    // Filtrar por almacén: productos con stock en esa ubicación
+    if (warehouse_id) {
+      const enAlmacen = await WarehouseStock.findAll({
+        where: { warehouse_id: parseInt(warehouse_id), cantidad: { [Op.gt]: 0 } },
+        attributes: ['product_id']
+      });
+      whereConditions.id = { [Op.in]: enAlmacen.map(stock => stock.product_id) };
+    }
+
+    // Filtrar por categoría, con todas sus subcategorías
+    if (category) {
+      const indice = await Category.indice();
+      const categoria = [...indice.values()].find(item => item.activo && (String(item.id) === category || item.slug === category));
+
+      if (!categoria) {
+        return res.status(404).json({
+          success: false,
+          message: 'Categoría no encontrada'
+        });
+      }
+
+      whereConditions.category_id = { [Op.in]: Category.idsDeRama(categoria.id, indice) };
+    }
+
+    // Filtrar por etiquetas: el producto debe tenerlas todas
+    if (tags) {
+      const nombres = [...new Set(tags.split(',').map(Tag.normalizarNombre).filter(Boolean))];
+      const etiquetas = await Tag.findAll({ where: { nombre: { [Op.in]: nombres } }, attributes: ['id'] });
+
+      let etiquetados = [];
+      if (etiquetas.length === nombres.length && nombres.length > 0) {
+        const filas = await ProductTag.findAll({
+          where: { tag_id: { [Op.in]: etiquetas.map(tag => tag.id) } },
+          attributes: ['product_id'],
+          group: ['product_id'],
+          having: sequelize.where(sequelize.fn('COUNT', sequelize.col('tag_id')), nombres.length),
+          raw: true
+        });
+        etiquetados = filas.map(fila => fila.product_id);
+      }
+
+      const previos = whereConditions.id ? whereConditions.id[Op.in] : null;
+      whereConditions.id = {
+        [Op.in]: previos ? etiquetados.filter(id => previos.includes(id)) : etiquetados
+      };
+    }
+
     // Obtener productos con paginación
     const { count, rows: products } = await Product.findAndCountAll({
       where: whereConditions,
+      include: [
+        {
+          model: WarehouseStock,
+          as: 'warehouse_stocks',
+          attributes: ['warehouse_id', 'cantidad', 'cantidad_reservada'],
+          include: [
+            {
+              model: Warehouse,
+              as: 'warehouse',
+              attributes: ['codigo', 'nombre']
+            }
+          ]
+        },
+        {
+          model: Category,
+          as: 'category',
+          attributes: ['id', 'nombre', 'slug']
+        },
+        {
+          model: Tag,
+          as: 'tags',
+          attributes: ['id', 'nombre'],
+          through: { attributes: [] }
+        }
+      ],
+      distinct: true,
       order: [[sortBy, order]],
       limit,
       offset,
-      attributes: ['id', 'numero_lote', 'nombre', 'precio', 'cantidad_disponible', 'fecha_ingreso', 'descripcion']
+      attributes: ['id', 'numero_lote', 'sku', 'nombre', 'parent_id', 'atributos_variante', 'atributos', 'es_kit', 'unidad_base', 'precio', 'precio_incluye_iva', 'tax_category_id', 'category_id', 'cantidad_disponible', 'cantidad_reservada', 'cantidad_libre', 'stock_minimo', 'punto_reorden', 'cantidad_reorden', 'permite_backorder', 'fecha_ingreso', 'descripcion']
     });
 
     const totalPages = Math.ceil(count / limit);
 
+    // El stock libre de un kit son los kits que alcanzan a armarse con sus componentes
+    const kits = await BundleComponent.disponibilidad(products.filter(product => product.es_kit).map(product => product.id));
+
     res.json({
       success: true,
       data: {
-        products,
+        products: products.map(product => (product.es_kit
+          ? { ...product.toJSON(), cantidad_libre: kits.get(product.id).cantidad_libre }
+          : product)),
         pagination: {
           currentPage: page,
           totalPages,
@@ -81,164 +344,498 @@ router.get('/', authenticate, async (req, res, next) => {
 });
 
 /**
- * @api {get} /api/products/:id Obtener producto por ID
- * @apiName GetProduct
+ * @api {get} /api/products/stock-check Verificar stock contra el kardex
+ * @apiName CheckProductStock
  * @apiGroup Products
  * @apiHeader {String} Authorization Bearer token
- * 
- * @apiParam {Number} id ID del producto
- * 
- * @apiSuccess {Boolean} success Estado de la operación
- * @apiSuccess {Object} data Datos del producto
+ * @apiPermission admin
+ *
+ * @apiParam {Number} [product_id] Verificar un solo producto
+ * @apiParam {Boolean} [todos=false] Incluir también los productos sin diferencias
+ *
+ * @apiSuccess {Object} data Resumen y productos con su stock actual, la suma de sus
+ *   movimientos y de sus almacenes, y las diferencias
  */
-router.get('/:id', authenticate, async (req, res, next) => {
+router.get('/stock-check', authenticate, adminOnly, async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { product_id, todos } = req.query;
 
-    const product = await Product.findOne({
-      where: { id, activo: true }
+    if (product_id !== undefined && isNaN(product_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de producto inválido'
+      });
+    }
+
+    const saldos = await StockMovement.verificarSaldos({ productId: product_id ? parseInt(product_id) : null });
+    const diferencias = saldos.filter(saldo => saldo.diferencia !== 0 || saldo.diferencia_almacenes !== 0);
+
+    if (diferencias.length > 0) {
+      logger.warn(`Verificación de stock: ${diferencias.length} productos no coinciden con su kardex o sus almacenes`);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        resumen: {
+          productos_revisados: saldos.length,
+          productos_con_diferencia: diferencias.length
+        },
+        productos: todos === 'true' ? saldos : diferencias
+      }
     });
+  } catch (error) {
+    logger.error('Error al verificar stock:', error);
+    next(error);
+  }
+});
 
-    if (!product) {
-      return res.status(404).json({
+/**
+ * @api {get} /api/products/lots/expiring Lotes próximos a vencer
+ * @apiName GetExpiringLots
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} [dias=30] Lotes con stock que vencen dentro de los próximos N días
+ *   (incluye los ya vencidos, que no se venden y deben darse de baja con un ajuste)
+ * @apiParam {Number} [warehouse_id] Solo los lotes de ese almacén
+ *
+ * @apiSuccess {Object} data Resumen y lotes ordenados por vencimiento
+ */
+router.get('/lots/expiring', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const dias = req.query.dias === undefined ? 30 : parseInt(req.query.dias, 10);
+
+    if (isNaN(dias) || dias < 0 || dias > 365) {
+      return res.status(400).json({
         success: false,
-        message: 'Producto no encontrado'
+        message: 'El parámetro dias debe ser un número entre 0 y 365'
       });
     }
 
+    const hoy = new Date();
+    hoy.setHours(0, 0, 0, 0);
+    const limite = new Date(hoy.getTime() + dias * 24 * 60 * 60 * 1000);
+
+    const whereConditions = {
+      cantidad_restante: { [Op.gt]: 0 },
+      fecha_vencimiento: { [Op.lte]: limite }
+    };
+    if (req.query.warehouse_id) {
+      whereConditions.warehouse_id = parseInt(req.query.warehouse_id, 10);
+    }
+
+    const lots = await Lot.findAll({
+      where: whereConditions,
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['id', 'numero_lote', 'nombre'],
+          where: { activo: true }
+        },
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'codigo', 'nombre']
+        }
+      ],
+      order: [['fecha_vencimiento', 'ASC'], ['id', 'ASC']]
+    });
+
+    const lotes = lots.map(lot => {
+      const diasParaVencer = Math.round((new Date(`${lot.fecha_vencimiento}T00:00:00`) - hoy) / (24 * 60 * 60 * 1000));
+      return {
+        ...lot.toJSON(),
+        dias_para_vencer: diasParaVencer,
+        vencido: diasParaVencer < 0
+      };
+    });
+
     res.json({
       success: true,
-      data: product
+      data: {
+        resumen: {
+          dias,
+          total_lotes: lotes.length,
+          lotes_vencidos: lotes.filter(lote => lote.vencido).length,
+          unidades: lotes.reduce((sum, lote) => sum + lote.cantidad_restante, 0),
+          unidades_vencidas: lotes.filter(lote => lote.vencido).reduce((sum, lote) => sum + lote.cantidad_restante, 0),
+          costo_total: lotes.reduce((sum, lote) => sum + lote.cantidad_restante * (parseFloat(lote.costo) || 0), 0).toFixed(2)
+        },
+        lotes
+      }
     });
   } catch (error) {
-    logger.error('Error al obtener producto:', error);
+    logger.error('Error al obtener lotes por vencer:', error);
     next(error);
   }
 });
 
 /**
- * @api {post} /api/products Crear producto
- * @apiName CreateProduct
+ * @api {get} /api/products/low-stock Productos bajo su punto de reorden
+ * @apiName GetLowStockProducts
  * @apiGroup Products
  * @apiHeader {String} Authorization Bearer token
  * @apiPermission admin
- * 
- * @apiParam {String} numero_lote Número de lote del producto
- * @apiParam {String} nombre Nombre del producto
- * @apiParam {Number} precio Precio del producto
- * @apiParam {Number} cantidad_disponible Cantidad disponible
- * @apiParam {String} [descripcion] Descripción del producto
- * 
- * @apiSuccess {Boolean} success Estado de la operación
- * @apiSuccess {String} message Mensaje de respuesta
- * @apiSuccess {Object} data Datos del producto creado
+ *
+ * @apiParam {String="reorden","critico"} [nivel] Solo los productos de ese nivel
+ *   (critico = bajo el stock mínimo)
+ *
+ * @apiSuccess {Object} data Resumen y productos activos con `cantidad_disponible` menor a su
+ *   `punto_reorden`, con las unidades en backorder, las ya pedidas a proveedores, las
+ *   sugeridas a pedir y su alerta activa
  */
-router.post('/', authenticate, adminOnly, async (req, res, next) => {
+router.get('/low-stock', authenticate, adminOnly, async (req, res, next) => {
   try {
-    // Validar datos de entrada
-    const { error, value } = productSchema.validate(req.body);
-    if (error) {
+    const { nivel } = req.query;
+
+    if (nivel !== undefined && !StockAlert.NIVELES.includes(nivel)) {
       return res.status(400).json({
         success: false,
-        message: 'Error de validación',
-        errors: error.details.map(detail => detail.message)
+        message: `El nivel debe ser uno de: ${StockAlert.NIVELES.join(', ')}`
       });
     }
 
-    // Crear producto
-    const product = await Product.create(value);
+    const products = await Product.findAll({
+      where: {
+        activo: true,
+        cantidad_disponible: {
+          [Op.lt]: sequelize.col(nivel === 'critico' ? 'Product.stock_minimo' : 'Product.punto_reorden')
+        }
+      },
+      attributes: ['id', 'numero_lote', 'nombre', 'cantidad_disponible', 'cantidad_reservada', 'cantidad_libre', 'stock_minimo', 'punto_reorden', 'cantidad_reorden'],
+      include: [
+        {
+          model: StockAlert,
+          as: 'stock_alerts',
+          where: { estado: { [Op.in]: StockAlert.ACTIVAS } },
+          attributes: ['id', 'nivel', 'estado', 'created_at'],
+          required: false
+        }
+      ],
+      order: [['nombre', 'ASC']]
+    });
 
-    logger.info(`Producto creado exitosamente: ${product.nombre} por usuario ${req.user.email}`);
+    // Las unidades en backorder también hay que reponerlas
+    const pendientes = await Backorder.findAll({
+      where: { estado: 'pendiente', product_id: { [Op.in]: products.map(product => product.id) } },
+      attributes: [
+        'product_id',
+        [sequelize.literal('SUM(cantidad - cantidad_surtida)'), 'total']
+      ],
+      group: ['product_id'],
+      raw: true
+    });
+    const backorderPorProducto = Object.fromEntries(pendientes.map(fila => [fila.product_id, parseInt(fila.total, 10)]));
 
-    res.status(201).json({
+    // Lo que ya se pidió a proveedores y todavía no llegó no hace falta volver a pedirlo
+    // (en unidades base: las órdenes pueden pedirse por caja, paquete...)
+    const pedidos = await SupplierOrderDetail.findAll({
+      where: { product_id: { [Op.in]: products.map(product => product.id) } },
+      include: [
+        {
+          model: SupplierOrder,
+          as: 'order',
+          attributes: [],
+          where: { estado: { [Op.in]: SupplierOrder.ABIERTAS } }
+        }
+      ],
+      attributes: [
+        'product_id',
+        [sequelize.literal('SUM((cantidad - cantidad_recibida) * factor_unidad)'), 'total']
+      ],
+      group: ['product_id'],
+      raw: true
+    });
+    const pedidoPorProducto = Object.fromEntries(pedidos.map(fila => [fila.product_id, parseInt(fila.total, 10)]));
+
+    const productos = products
+      .map(product => {
+        const { stock_alerts: alertas, ...datos } = product.toJSON();
+        const enBackorder = backorderPorProducto[product.id] || 0;
+        const enPedido = pedidoPorProducto[product.id] || 0;
+        const faltante = product.punto_reorden - product.cantidad_disponible + enBackorder - enPedido;
+        return {
+          ...datos,
+          nivel: product.cantidad_disponible < product.stock_minimo ? 'critico' : 'reorden',
+          unidades_backorder: enBackorder,
+          unidades_en_pedido: enPedido,
+          cantidad_sugerida: faltante > 0 ? Math.max(product.cantidad_reorden, faltante) : 0,
+          alerta: alertas[0] || null
+        };
+      })
+      .filter(producto => !nivel || producto.nivel === nivel);
+
+    res.json({
       success: true,
-      message: 'Producto creado exitosamente',
-      data: product
+      data: {
+        resumen: {
+          productos: productos.length,
+          criticos: productos.filter(producto => producto.nivel === 'critico').length,
+          unidades_sugeridas: productos.reduce((sum, producto) => sum + producto.cantidad_sugerida, 0)
+        },
+        productos
+      }
     });
   } catch (error) {
-    logger.error('Error al crear producto:', error);
+    logger.error('Error al obtener productos con stock bajo:', error);
     next(error);
   }
 });
 
 /**
- * @api {put} /api/products/:id Actualizar producto
- * @apiName UpdateProduct
+ * @api {get} /api/products/alerts Alertas de stock bajo
+ * @apiName GetStockAlerts
  * @apiGroup Products
  * @apiHeader {String} Authorization Bearer token
  * @apiPermission admin
- * 
- * @apiParam {Number} id ID del producto
- * @apiParam {String} [numero_lote] Número de lote del producto
- * @apiParam {String} [nombre] Nombre del producto
- * @apiParam {Number} [precio] Precio del producto
- * @apiParam {Number} [cantidad_disponible] Cantidad disponible
- * @apiParam {String} [descripcion] Descripción del producto
- * 
- * @apiSuccess {Boolean} success Estado de la operación
- * @apiSuccess {String} message Mensaje de respuesta
- * @apiSuccess {Object} data Datos del producto actualizado
+ *
+ * @apiParam {String="abierta","reconocida","resuelta","activas","todas"} [estado=activas] Filtrar por estado
+ *   (activas = abiertas y reconocidas)
+ * @apiParam {Number} [product_id] Alertas de un producto
+ * @apiParam {Number} [page=1] Página
+ * @apiParam {Number} [limit=10] Alertas por página
  */
-router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+router.get('/alerts', authenticate, adminOnly, async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const { estado = 'activas', product_id } = req.query;
+    const { error, value } = queryParamsSchema.validate({ page: req.query.page, limit: req.query.limit });
+    const estados = [...StockAlert.ESTADOS, 'activas', 'todas'];
 
-    // Validar datos de entrada
-    const { error, value } = updateProductSchema.validate(req.body);
-    if (error) {
+    if (error || !estados.includes(estado) || (product_id !== undefined && isNaN(product_id))) {
       return res.status(400).json({
         success: false,
-        message: 'Error de validación',
-        errors: error.details.map(detail => detail.message)
+        message: 'Parámetros de consulta inválidos',
+        errors: error ? error.details.map(detail => detail.message) : [`El estado debe ser uno de: ${estados.join(', ')} y product_id un número`]
       });
     }
 
-    // Buscar producto
-    const product = await Product.findOne({
-      where: { id, activo: true }
+    const { page, limit } = value;
+    const whereConditions = {};
+
+    if (estado === 'activas') {
+      whereConditions.estado = { [Op.in]: StockAlert.ACTIVAS };
+    } else if (estado !== 'todas') {
+      whereConditions.estado = estado;
+    }
+
+    if (product_id) {
+      whereConditions.product_id = parseInt(product_id);
+    }
+
+    const { count, rows: alerts } = await StockAlert.findAndCountAll({
+      where: whereConditions,
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['id', 'numero_lote', 'nombre', 'cantidad_disponible', 'stock_minimo', 'punto_reorden', 'cantidad_reorden']
+        },
+        {
+          model: StockMovement,
+          as: 'stock_movement',
+          attributes: ['id', 'cantidad', 'saldo', 'motivo', 'documento_tipo', 'documento_id', 'fecha']
+        },
+        {
+          model: User,
+          as: 'acknowledged_by',
+          attributes: ['id', 'nombre']
+        }
+      ],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
     });
 
-    if (!product) {
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: count,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener alertas de stock:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/products/alerts/:alertId/acknowledge Reconocer alerta de stock
+ * @apiName AcknowledgeStockAlert
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} alertId ID de la alerta
+ *
+ * @apiDescription La alerta sigue activa hasta que el stock vuelva al punto de reorden;
+ *   si el producto cae luego bajo su stock mínimo se vuelve a abrir como crítica.
+ */
+router.post('/alerts/:alertId/acknowledge', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const alerta = await StockAlert.findByPk(req.params.alertId);
+
+    if (!alerta) {
       return res.status(404).json({
         success: false,
-        message: 'Producto no encontrado'
+        message: 'Alerta no encontrada'
       });
     }
 
-    // Actualizar producto
-    await product.update(value);
+    if (alerta.estado !== 'abierta') {
+      return res.status(409).json({
+        success: false,
+        message: `La alerta ya está ${alerta.estado}`
+      });
+    }
 
-    logger.info(`Producto actualizado exitosamente: ${product.nombre} por usuario ${req.user.email}`);
+    await alerta.update({
+      estado: 'reconocida',
+      reconocida_por: req.user.id,
+      fecha_reconocida: new Date()
+    });
+
+    logger.info(`Alerta de stock ${alerta.id} reconocida por usuario ${req.user.email}`);
 
     res.json({
       success: true,
-      message: 'Producto actualizado exitosamente',
-      data: product
+      message: 'Alerta reconocida exitosamente',
+      data: alerta
     });
   } catch (error) {
-    logger.error('Error al actualizar producto:', error);
+    logger.error('Error al reconocer alerta de stock:', error);
     next(error);
   }
 });
 
 /**
- * @api {delete} /api/products/:id Eliminar producto
- * @apiName DeleteProduct
+ * @api {get} /api/products/:id Obtener producto por ID
+ * @apiName GetProduct
  * @apiGroup Products
  * @apiHeader {String} Authorization Bearer token
- * @apiPermission admin
  * 
  * @apiParam {Number} id ID del producto
  * 
  * @apiSuccess {Boolean} success Estado de la operación
- * @apiSuccess {String} message Mensaje de respuesta
+ * @apiSuccess {Object} data Datos del producto (con su stock por almacén, su categoría y sus etiquetas).
+ *   Un producto con variantes incluye `variantes`: los valores de cada atributo y cada variante con
+ *   su SKU, precio y stock libre; una variante incluye su producto padre (`parent`). Un kit incluye
+ *   sus `componentes` con su stock libre y `cantidad_libre` es la cantidad de kits que alcanzan
  */
-router.delete('/:id', authenticate, adminOnly, async (req, res, next) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params;
 
     const product = await Product.findOne({
-      where: { id, activo: true }
+      where: { id, activo: true },
+      // El costo solo lo ven los administradores
+      attributes: req.user.role === 'admin' ? undefined : { exclude: ['costo'] },
+      include: [
+        {
+          model: WarehouseStock,
+          as: 'warehouse_stocks',
+          attributes: ['warehouse_id', 'cantidad', 'cantidad_reservada'],
+          include: [
+            {
+              model: Warehouse,
+              as: 'warehouse',
+              attributes: ['codigo', 'nombre']
+            }
+          ]
+        },
+        {
+          model: Category,
+          as: 'category',
+          attributes: ['id', 'nombre', 'slug']
+        },
+        {
+          model: Tag,
+          as: 'tags',
+          attributes: ['id', 'nombre'],
+          through: { attributes: [] }
+        },
+        {
+          model: Product,
+          as: 'parent',
+          attributes: ['id', 'numero_lote', 'nombre', 'atributos_variante']
+        },
+        {
+          model: ProductUnit,
+          as: 'units',
+          attributes: ['id', 'nombre', 'factor', 'precio', 'venta', 'compra']
+        }
+      ],
+      order: [[{ model: ProductUnit, as: 'units' }, 'factor', 'ASC']]
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const data = product.toJSON();
+    if (product.tieneVariantes()) {
+      data.variantes = await product.matrizVariantes();
+    }
+    if (product.es_kit) {
+      Object.assign(data, (await BundleComponent.disponibilidad([product.id])).get(product.id));
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Error al obtener producto:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/products/:id/movements Kardex del producto
+ * @apiName GetProductMovements
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del producto
+ * @apiParam {String} [startDate] Desde (YYYY-MM-DD)
+ * @apiParam {String} [endDate] Hasta (YYYY-MM-DD, inclusive)
+ * @apiParam {Number} [page=1] Página
+ * @apiParam {Number} [limit=10] Movimientos por página
+ *
+ * @apiSuccess {Object} data Producto y movimientos en orden cronológico con el saldo resultante
+ */
+router.get('/:id/movements', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate } = req.query;
+    const { error, value } = queryParamsSchema.validate({ page: req.query.page, limit: req.query.limit });
+
+    if (error || [startDate, endDate].some(fecha => fecha !== undefined && isNaN(new Date(fecha)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de consulta inválidos',
+        errors: error ? error.details.map(detail => detail.message) : ['Las fechas deben tener formato YYYY-MM-DD']
+      });
+    }
+
+    const product = await Product.findByPk(id, {
+      attributes: ['id', 'numero_lote', 'nombre', 'cantidad_disponible']
     });
 
     if (!product) {
@@ -248,8 +845,1135 @@ router.delete('/:id', authenticate, adminOnly, async (req, res, next) => {
       });
     }
 
-    // Soft delete - marcar como inactivo
-    await product.update({ activo: false });
+    const { page, limit } = value;
+    const whereConditions = { product_id: product.id };
+
+    if (startDate || endDate) {
+      whereConditions.fecha = {};
+      if (startDate) {
+        whereConditions.fecha[Op.gte] = new Date(startDate);
+      }
+      if (endDate) {
+        whereConditions.fecha[Op.lte] = new Date(endDate + ' 23:59:59');
+      }
+    }
+
+    const { count, rows: movements } = await StockMovement.findAndCountAll({
+      where: whereConditions,
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'nombre']
+        },
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'codigo', 'nombre']
+        }
+      ],
+      order: [['fecha', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        movements,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: count,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener movimientos de stock:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/products/:id/price-history Historial de precios
+ * @apiName GetProductPriceHistory
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del producto
+ * @apiParam {String} [fecha] Devuelve también el precio vigente al cierre de ese día (YYYY-MM-DD,
+ *   en `precio_en_fecha`; null si el producto todavía no existía)
+ * @apiParam {String} [startDate] Desde (YYYY-MM-DD)
+ * @apiParam {String} [endDate] Hasta (YYYY-MM-DD, inclusive)
+ * @apiParam {Number} [page=1] Página
+ * @apiParam {Number} [limit=10] Cambios por página
+ *
+ * @apiSuccess {Object} data Producto, cambios de precio (del más reciente al más antiguo, con quién
+ *   los hizo) y cambios programados pendientes o activos
+ */
+router.get('/:id/price-history', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { fecha, startDate, endDate } = req.query;
+    const { error, value } = queryParamsSchema.validate({ page: req.query.page, limit: req.query.limit });
+
+    if (error || [fecha, startDate, endDate].some(valor => valor !== undefined && isNaN(new Date(valor + ' 23:59:59')))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de consulta inválidos',
+        errors: error ? error.details.map(detail => detail.message) : ['Las fechas deben tener formato YYYY-MM-DD']
+      });
+    }
+
+    const product = await Product.findByPk(id, {
+      attributes: ['id', 'numero_lote', 'nombre', 'precio', 'hereda_precio', 'created_at']
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const { page, limit } = value;
+    const whereConditions = { product_id: product.id };
+
+    if (startDate || endDate) {
+      whereConditions.fecha = {};
+      if (startDate) {
+        whereConditions.fecha[Op.gte] = new Date(startDate);
+      }
+      if (endDate) {
+        whereConditions.fecha[Op.lte] = new Date(endDate + ' 23:59:59');
+      }
+    }
+
+    const { count, rows: cambios } = await PriceChange.findAndCountAll({
+      where: whereConditions,
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'nombre']
+        }
+      ],
+      order: [['fecha', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const programados = await ScheduledPrice.findAll({
+      where: { product_id: product.id, estado: { [Op.in]: ['pendiente', 'activo'] } },
+      order: [['fecha_inicio', 'ASC']]
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        ...(fecha ? { precio_en_fecha: await PriceChange.precioEn(product, new Date(fecha + ' 23:59:59')) } : {}),
+        cambios,
+        programados,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: count,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener historial de precios:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/products/:id/scheduled-prices Listar cambios de precio programados
+ * @apiName GetScheduledPrices
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del producto
+ * @apiParam {String} [estado] pendiente, activo, finalizado, cancelado o todos (por defecto pendientes y activos)
+ *
+ * @apiSuccess {Object[]} data Cambios programados ordenados por fecha de inicio
+ */
+router.get('/:id/scheduled-prices', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { estado } = req.query;
+
+    if (estado !== undefined && estado !== 'todos' && !ScheduledPrice.ESTADOS.includes(estado)) {
+      return res.status(400).json({
+        success: false,
+        message: `El estado debe ser uno de: ${[...ScheduledPrice.ESTADOS, 'todos'].join(', ')}`
+      });
+    }
+
+    const product = await Product.findByPk(req.params.id, { attributes: ['id'] });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const whereConditions = { product_id: product.id };
+    if (estado === undefined) {
+      whereConditions.estado = { [Op.in]: ['pendiente', 'activo'] };
+    } else if (estado !== 'todos') {
+      whereConditions.estado = estado;
+    }
+
+    const programados = await ScheduledPrice.findAll({
+      where: whereConditions,
+      include: [
+        {
+          model: User,
+          as: 'created_by',
+          attributes: ['id', 'nombre']
+        }
+      ],
+      order: [['fecha_inicio', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: programados
+    });
+  } catch (error) {
+    logger.error('Error al obtener precios programados:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/products/:id/scheduled-prices Programar cambio de precio
+ * @apiName CreateScheduledPrice
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del producto
+ * @apiParam {Number} precio Precio que entra en vigencia
+ * @apiParam {String} fecha_inicio Fecha y hora de inicio (ISO); si ya pasó, el cambio se aplica en el momento
+ * @apiParam {String} [fecha_fin] Fin de una promoción temporal: se restituye el precio anterior
+ * @apiParam {String} [notas] Notas
+ *
+ * @apiSuccess {Object} data Cambio programado (`pendiente`, `activo` si es una promoción en vigencia,
+ *   o `finalizado` si era permanente y ya se aplicó)
+ */
+router.post('/:id/scheduled-prices', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = scheduledPriceSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  if (value.fecha_fin && value.fecha_fin <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'La fecha de fin ya pasó'
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const product = await Product.findOne({
+      where: { id: req.params.id, activo: true },
+      lock: true,
+      transaction
+    });
+
+    if (!product) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    if (product.hereda_precio) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `${product.nombre} sigue el precio de su producto padre: programe el cambio en el padre o asígnele un precio propio`
+      });
+    }
+
+    const superpuesto = await ScheduledPrice.buscarSuperpuesto(product.id, value, { transaction });
+    if (superpuesto) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `Se superpone con el cambio programado ${superpuesto.id} (${superpuesto.estado}, desde ${superpuesto.fecha_inicio.toISOString()})`
+      });
+    }
+
+    let programado = await ScheduledPrice.create({
+      ...value,
+      product_id: product.id,
+      creado_por: req.user.id
+    }, { transaction });
+
+    if (programado.fecha_inicio <= new Date()) {
+      programado = await programado.aplicar({ transaction });
+    }
+
+    await transaction.commit();
+
+    logger.info(`Cambio de precio programado para ${product.nombre}: ${programado.precio} desde ${programado.fecha_inicio.toISOString()} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cambio de precio programado exitosamente',
+      data: programado
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al programar cambio de precio:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {delete} /api/products/:id/scheduled-prices/:scheduleId Cancelar cambio de precio programado
+ * @apiName CancelScheduledPrice
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del producto
+ * @apiParam {Number} scheduleId ID del cambio programado
+ *
+ * @apiSuccess {Object} data Cambio cancelado; si era una promoción en vigencia, el precio anterior
+ *   se restituye en el momento
+ */
+router.delete('/:id/scheduled-prices/:scheduleId', authenticate, adminOnly, async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const programado = await ScheduledPrice.findOne({
+      where: { id: req.params.scheduleId, product_id: req.params.id },
+      lock: true,
+      transaction
+    });
+
+    if (!programado) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Cambio de precio programado no encontrado'
+      });
+    }
+
+    if (!['pendiente', 'activo'].includes(programado.estado)) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `El cambio de precio programado ya está ${programado.estado}`
+      });
+    }
+
+    if (programado.estado === 'activo') {
+      await programado.finalizar({ estado: 'cancelado', userId: req.user.id, transaction });
+    } else {
+      await programado.update({ estado: 'cancelado' }, { transaction });
+    }
+
+    await transaction.commit();
+
+    logger.info(`Cambio de precio programado ${programado.id} cancelado por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Cambio de precio programado cancelado exitosamente',
+      data: programado
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al cancelar cambio de precio programado:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/products/:id/lots Lotes del producto
+ * @apiName GetProductLots
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del producto
+ * @apiParam {Boolean} [todos=false] Incluir los lotes agotados
+ * @apiParam {Number} [warehouse_id] Solo los lotes de ese almacén
+ *
+ * @apiSuccess {Object} data Producto y lotes (con su almacén) en el orden en que se consumen
+ *   (FEFO), con el stock sin lote (stock disponible que no pertenece a ningún lote)
+ */
+router.get('/:id/lots', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const product = await Product.findByPk(id, {
+      attributes: ['id', 'numero_lote', 'nombre', 'cantidad_disponible']
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const whereConditions = { product_id: product.id };
+    if (req.query.todos !== 'true') {
+      whereConditions.cantidad_restante = { [Op.gt]: 0 };
+    }
+    if (req.query.warehouse_id) {
+      whereConditions.warehouse_id = parseInt(req.query.warehouse_id, 10);
+    }
+
+    const lots = await Lot.findAll({
+      where: whereConditions,
+      include: [
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'codigo', 'nombre']
+        }
+      ],
+      order: [
+        [sequelize.literal('fecha_vencimiento IS NULL'), 'ASC'],
+        ['fecha_vencimiento', 'ASC'],
+        ['fecha_ingreso', 'ASC'],
+        ['id', 'ASC']
+      ]
+    });
+
+    // Con almacén, el stock sin lote es el de ese almacén
+    const almacenId = whereConditions.warehouse_id;
+    const stock = almacenId ? await WarehouseStock.cantidadEn(almacenId, product.id) : product.cantidad_disponible;
+    const stockEnLotes = await Lot.sum('cantidad_restante', {
+      where: almacenId ? { product_id: product.id, warehouse_id: almacenId } : { product_id: product.id }
+    }) || 0;
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        stock_sin_lote: stock - stockEnLotes,
+        lots
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener lotes:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/products/:id/lots Ingresar un lote
+ * @apiName CreateProductLot
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del producto
+ * @apiParam {String} numero_lote Número de lote (único por producto)
+ * @apiParam {Number} cantidad Unidades recibidas
+ * @apiParam {Date} [fecha_vencimiento] Vencimiento del lote
+ * @apiParam {Number} [costo] Costo unitario en moneda base (actualiza el costo promedio del producto)
+ * @apiParam {Date} [fecha_ingreso] Fecha de recepción
+ * @apiParam {Number} [warehouse_id] Almacén que recibe el lote (por defecto el almacén por defecto)
+ *
+ * Las unidades se suman al stock del producto como ingreso en el kardex y surten
+ * primero los backorders pendientes.
+ *
+ * @apiSuccess {Object} data Lote creado y producto con su stock actualizado
+ */
+router.post('/:id/lots', authenticate, adminOnly, async (req, res, next) => {
+  const { id } = req.params;
+
+  const { error, value } = lotSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const product = await Product.findOne({
+      where: { id, activo: true },
+      lock: true,
+      transaction
+    });
+
+    if (!product) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    const existente = await Lot.findOne({
+      where: { product_id: product.id, numero_lote: value.numero_lote },
+      transaction
+    });
+
+    if (existente) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `El lote ${value.numero_lote} ya fue ingresado para ${product.nombre}`
+      });
+    }
+
+    const { cantidad, warehouse_id, ...datos } = value;
+    const almacen = await Warehouse.obtenerActivo(warehouse_id, { transaction });
+    const lot = await Lot.create({
+      ...datos,
+      product_id: product.id,
+      warehouse_id: almacen.id,
+      cantidad_recibida: cantidad
+    }, { transaction });
+
+    if (datos.costo !== undefined) {
+      await product.registrarCosto(cantidad, datos.costo, { transaction });
+    }
+
+    await product.aumentarStock(cantidad, {
+      documentoTipo: 'lote',
+      documentoId: lot.id,
+      warehouseId: almacen.id,
+      lotId: lot.id,
+      userId: req.user.id,
+      notas: `Ingreso del lote ${lot.numero_lote} en ${almacen.nombre}`,
+      transaction
+    });
+
+    await lot.reload({ transaction });
+    await transaction.commit();
+
+    logger.info(`Lote ${lot.numero_lote} ingresado para ${product.nombre}: ${cantidad} unidades por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Lote ingresado exitosamente',
+      data: {
+        lot,
+        product
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al ingresar lote:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/products/:id/components Reemplazar componentes de un kit
+ * @apiName UpdateBundleComponents
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del kit
+ * @apiParam {Object[]} componentes Nueva lista de materiales ({ product_id, cantidad }); las compras
+ *   ya registradas conservan la composición con la que se vendieron
+ *
+ * @apiSuccess {Object} data Kit con sus componentes y su disponibilidad
+ */
+router.put('/:id/components', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = bundleComponentsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const kit = await Product.findOne({
+      where: { id: req.params.id, activo: true },
+      lock: true,
+      transaction
+    });
+
+    if (!kit) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    if (!kit.es_kit) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `${kit.nombre} no es un kit`
+      });
+    }
+
+    await verificarComponentes(value.componentes, { transaction });
+    await BundleComponent.destroy({ where: { bundle_id: kit.id }, transaction });
+    await BundleComponent.bulkCreate(value.componentes.map(componente => ({
+      bundle_id: kit.id,
+      component_id: componente.product_id,
+      cantidad: componente.cantidad
+    })), { transaction });
+
+    const disponibilidad = (await BundleComponent.disponibilidad([kit.id], { transaction })).get(kit.id);
+    await transaction.commit();
+
+    logger.info(`Componentes del kit ${kit.nombre} actualizados por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Componentes actualizados exitosamente',
+      data: {
+        ...kit.toJSON(),
+        ...disponibilidad
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al actualizar componentes del kit:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/products/:id/units Reemplazar unidades de medida
+ * @apiName UpdateProductUnits
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del producto
+ * @apiParam {String} [unidad_base] Unidad en que se lleva el stock (solo cambia el nombre: el stock
+ *   y el precio no se convierten)
+ * @apiParam {Object[]} unidades Unidades alternativas ([] las quita): nombre, factor (unidades base
+ *   que contiene), precio (por defecto precio base × factor), venta y compra (para qué se habilita)
+ *
+ * @apiSuccess {Object} data Producto con sus unidades
+ */
+router.put('/:id/units', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = productUnitsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const product = await Product.findOne({
+      where: { id: req.params.id, activo: true },
+      lock: true,
+      transaction
+    });
+
+    if (!product) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    if (value.unidad_base) {
+      await product.update({ unidad_base: value.unidad_base }, { transaction });
+    }
+    const unidades = await reemplazarUnidades(product, value.unidades, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Unidades de ${product.nombre} actualizadas por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Unidades actualizadas exitosamente',
+      data: {
+        ...product.toJSON(),
+        units: unidades
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al actualizar unidades del producto:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/products/:id/variants Crear variante
+ * @apiName CreateProductVariant
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del producto padre (con `atributos_variante`)
+ * @apiParam {String} sku SKU de la variante
+ * @apiParam {Object} atributos Valor de cada atributo del padre (ej: { "talla": "M", "color": "Rojo" })
+ * @apiParam {Number} [precio] Precio propio; sin él la variante sigue al precio del padre
+ * @apiParam {String} [numero_lote] Número de lote del producto (por defecto el SKU)
+ * @apiParam {Number} [cantidad_disponible=0] Stock inicial
+ * @apiParam {Number} [stock_minimo=0] Stock de seguridad
+ * @apiParam {Number} [punto_reorden=10] Nivel bajo el cual se abre una alerta de stock
+ * @apiParam {Number} [cantidad_reorden=0] Unidades a pedir al reponer
+ * @apiParam {Number} [warehouse_id] Almacén del stock inicial
+ * @apiParam {Date} [fecha_vencimiento] Vencimiento del stock inicial
+ * @apiParam {Number} [costo] Costo unitario del stock inicial
+ *
+ * La variante es un producto más (con su propio stock, lotes, kardex y alertas) que toma
+ * del padre el nombre, la descripción, las categorías y la configuración de IVA y backorder.
+ *
+ * @apiSuccess {Object} data Variante creada
+ */
+router.post('/:id/variants', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = variantSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Bloquear al padre: dos altas simultáneas no deben repetir la combinación de atributos
+    const padre = await Product.findOne({
+      where: { id: req.params.id, activo: true },
+      lock: true,
+      transaction
+    });
+
+    if (!padre) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    if (!padre.tieneVariantes()) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `${padre.nombre} no tiene atributos de variante (defina atributos_variante)`
+      });
+    }
+
+    const { cantidad_disponible: stockInicial, fecha_vencimiento, costo, warehouse_id, precio, numero_lote, ...datos } = value;
+    const atributos = await normalizarAtributos(padre, datos.atributos, { transaction });
+    const almacen = await Warehouse.obtenerActivo(warehouse_id, { transaction });
+
+    const variante = await Product.create({
+      ...datos,
+      ...Object.fromEntries(Product.CAMPOS_HEREDADOS.map(campo => [campo, padre[campo]])),
+      parent_id: padre.id,
+      atributos,
+      numero_lote: numero_lote || datos.sku,
+      nombre: Product.nombreVariante(padre, atributos),
+      precio: precio === undefined ? padre.precio : precio,
+      hereda_precio: precio === undefined,
+      costo,
+      cantidad_disponible: 0
+    }, { transaction });
+
+    await ingresarStockInicial(variante, {
+      cantidad: stockInicial,
+      fecha_vencimiento,
+      costo,
+      warehouseId: almacen.id,
+      userId: req.user.id,
+      transaction
+    });
+
+    await transaction.commit();
+
+    logger.info(`Variante ${variante.sku} creada para ${padre.nombre} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Variante creada exitosamente',
+      data: variante
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al crear variante:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/products Crear producto
+ * @apiName CreateProduct
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ * 
+ * @apiParam {String} numero_lote Número de lote del producto
+ * @apiParam {String} nombre Nombre del producto
+ * @apiParam {Number} precio Precio del producto
+ * @apiParam {Number} cantidad_disponible Cantidad disponible
+ * @apiParam {String} [descripcion] Descripción del producto
+ * @apiParam {Number} [tax_category_id] Categoría de IVA (sin categoría se usa la categoría por defecto)
+ * @apiParam {Boolean} [precio_incluye_iva=true] Si el precio es final o se le suma el IVA al facturar
+ * @apiParam {Boolean} [permite_backorder=false] Si se puede vender sin stock dejando unidades en backorder
+ * @apiParam {Number} [stock_minimo=0] Stock de seguridad (bajo este nivel la alerta es crítica)
+ * @apiParam {Number} [punto_reorden=10] Nivel bajo el cual se abre una alerta de stock
+ * @apiParam {Number} [cantidad_reorden=0] Unidades a pedir al reponer
+ * @apiParam {Number} [category_id] Categoría del catálogo
+ * @apiParam {String[]} [tags] Etiquetas; las que no existen se crean
+ * @apiParam {String} [sku] Código de venta del producto
+ * @apiParam {String[]} [atributos_variante] Atributos de sus variantes (ej: ["talla", "color"]); el
+ *   producto queda sin stock propio y se vende por variante (ver POST /api/products/:id/variants)
+ * @apiParam {Object[]} [componentes] Crea el producto como kit ({ product_id, cantidad }): sin stock
+ *   propio, al venderse descuenta el stock de sus componentes y nunca queda en backorder
+ * @apiParam {String} [unidad_base=unidad] Unidad en que se lleva el stock y se expresa el precio
+ * @apiParam {Object[]} [unidades] Unidades alternativas de venta y de compra ({ nombre, factor, precio,
+ *   venta, compra }); ver PUT /api/products/:id/units
+ * 
+ * @apiParam {Date} [fecha_vencimiento] Vencimiento del stock inicial
+ * @apiParam {Number} [costo] Costo unitario del stock inicial (costo inicial del producto)
+ * @apiParam {Number} [warehouse_id] Almacén del stock inicial (por defecto el almacén por defecto)
+ * 
+ * El stock inicial entra como primer lote (con el número de lote del producto) y queda
+ * registrado como ingreso en el kardex.
+ * 
+ * @apiSuccess {Boolean} success Estado de la operación
+ * @apiSuccess {String} message Mensaje de respuesta
+ * @apiSuccess {Object} data Datos del producto creado
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  // Validar datos de entrada
+  const { error, value } = productSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  // El stock de un producto con variantes se lleva en cada variante, y el de un kit en sus componentes
+  if ((value.atributos_variante || value.componentes) && value.cantidad_disponible > 0) {
+    return res.status(400).json({
+      success: false,
+      message: value.componentes
+        ? 'Un kit no tiene stock propio: su stock es el de sus componentes'
+        : 'Un producto con variantes no tiene stock propio: ingrese el stock en cada variante'
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Crear producto
+    const { cantidad_disponible: stockInicial, fecha_vencimiento, costo, warehouse_id, tags, componentes, unidades, ...datos } = value;
+    const almacen = await Warehouse.obtenerActivo(warehouse_id, { transaction });
+    await verificarCategoria(datos.category_id, { transaction });
+    // Sin stock propio, el padre o el kit no deben abrir alertas de reposición
+    const umbrales = datos.atributos_variante || componentes ? { stock_minimo: 0, punto_reorden: 0, cantidad_reorden: 0 } : {};
+    const kit = componentes ? { es_kit: true, permite_backorder: false } : {};
+    const product = await Product.create({ ...datos, ...umbrales, ...kit, costo, cantidad_disponible: 0 }, { transaction });
+
+    if (componentes) {
+      await verificarComponentes(componentes, { transaction });
+      await BundleComponent.bulkCreate(componentes.map(componente => ({
+        bundle_id: product.id,
+        component_id: componente.product_id,
+        cantidad: componente.cantidad
+      })), { transaction });
+    }
+
+    if (unidades) {
+      product.setDataValue('units', await reemplazarUnidades(product, unidades, { transaction }));
+    }
+
+    if (tags) {
+      const etiquetas = await Tag.obtenerOCrear(tags, { transaction });
+      await product.setTags(etiquetas, { transaction });
+      product.setDataValue('tags', etiquetas);
+    }
+
+    await ingresarStockInicial(product, {
+      cantidad: stockInicial,
+      fecha_vencimiento,
+      costo,
+      warehouseId: almacen.id,
+      userId: req.user.id,
+      transaction
+    });
+
+    await transaction.commit();
+
+    logger.info(`Producto creado exitosamente: ${product.nombre} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Producto creado exitosamente',
+      data: product
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al crear producto:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/products/:id Actualizar producto
+ * @apiName UpdateProduct
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ * 
+ * @apiParam {Number} id ID del producto
+ * @apiParam {String} [numero_lote] Número de lote del producto
+ * @apiParam {String} [nombre] Nombre del producto
+ * @apiParam {Number} [precio] Precio del producto (cada cambio queda en el historial de precios)
+ * @apiParam {Number} [cantidad_disponible] Cantidad disponible
+ * @apiParam {String} [descripcion] Descripción del producto
+ * @apiParam {Number} [tax_category_id] Categoría de IVA
+ * @apiParam {Boolean} [precio_incluye_iva] Si el precio es final o se le suma el IVA al facturar
+ * @apiParam {Boolean} [permite_backorder] Si se puede vender sin stock dejando unidades en backorder
+ * @apiParam {Number} [stock_minimo] Stock de seguridad
+ * @apiParam {Number} [punto_reorden] Nivel bajo el cual se abre una alerta de stock
+ * @apiParam {Number} [cantidad_reorden] Unidades a pedir al reponer
+ * @apiParam {Number} [category_id] Categoría del catálogo (null la quita)
+ * @apiParam {String[]} [tags] Reemplazan a las etiquetas actuales ([] las quita todas)
+ * @apiParam {Number} [warehouse_id] Almacén donde se aplica el ajuste de cantidad disponible
+ *   (por defecto el almacén por defecto)
+ * @apiParam {String} [sku] SKU del producto o variante
+ * @apiParam {String[]} [atributos_variante] Atributos de variante (null los quita); solo en productos
+ *   sin stock y sin variantes activas
+ * @apiParam {Object} [atributos] Atributos de una variante
+ * 
+ * En una variante, `precio: null` vuelve al precio del padre; el nombre, la descripción, las
+ * categorías y la configuración de IVA y backorder se editan en el padre y se propagan a sus
+ * variantes.
+ * 
+ * Un cambio de la cantidad disponible se registra como ajuste en el kardex. Una baja
+ * descuenta de los lotes que vencen primero; un aumento queda como stock sin lote
+ * (para ingresar mercadería use POST /api/products/:id/lots) y surte primero los
+ * backorders pendientes.
+ * 
+ * @apiSuccess {Boolean} success Estado de la operación
+ * @apiSuccess {String} message Mensaje de respuesta
+ * @apiSuccess {Object} data Datos del producto actualizado
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+  const { id } = req.params;
+
+  // Validar datos de entrada
+  const { error, value } = updateProductSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Buscar producto (FOR UPDATE: el stock puede estar cambiando por una compra)
+    const product = await Product.findOne({
+      where: { id, activo: true },
+      lock: true,
+      transaction
+    });
+
+    if (!product) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    // Actualizar producto; el stock se mueve aparte para dejarlo en el kardex
+    const { cantidad_disponible: stockNuevo, warehouse_id, tags, ...cambios } = value;
+    const heredados = ['nombre', ...Product.CAMPOS_HEREDADOS].filter(campo => cambios[campo] !== undefined);
+
+    if (product.parent_id) {
+      if (heredados.length > 0 || cambios.atributos_variante !== undefined) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Una variante toma del producto padre: ${heredados.length > 0 ? heredados.join(', ') : 'atributos_variante'}`
+        });
+      }
+
+      const padre = await Product.findByPk(product.parent_id, { lock: true, transaction });
+      if (cambios.atributos) {
+        cambios.atributos = await normalizarAtributos(padre, cambios.atributos, { excluirId: product.id, transaction });
+        cambios.nombre = Product.nombreVariante(padre, cambios.atributos);
+      }
+      if (cambios.precio !== undefined) {
+        cambios.hereda_precio = cambios.precio === null;
+        cambios.precio = cambios.precio === null ? padre.precio : cambios.precio;
+      }
+    } else if (cambios.atributos !== undefined || cambios.precio === null) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Solo una variante tiene atributos o hereda el precio'
+      });
+    }
+
+    if (product.es_kit && cambios.permite_backorder) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Un kit no admite backorder: se vende con el stock de sus componentes'
+      });
+    }
+
+    if (cambios.atributos_variante !== undefined) {
+      const variantes = await Product.count({ where: { parent_id: product.id, activo: true }, transaction });
+      if (variantes > 0 || product.cantidad_disponible > 0 || product.cantidad_reservada > 0) {
+        await transaction.rollback();
+        return res.status(409).json({
+          success: false,
+          message: 'Los atributos de variante solo se cambian en un producto sin stock y sin variantes activas'
+        });
+      }
+      if (cambios.atributos_variante) {
+        Object.assign(cambios, { stock_minimo: 0, punto_reorden: 0, cantidad_reorden: 0 });
+      }
+    }
+
+    if (cambios.category_id !== undefined && cambios.category_id !== product.category_id) {
+      await verificarCategoria(cambios.category_id, { transaction });
+    }
+    // El precio se cambia aparte para dejarlo en el historial
+    const { precio, ...resto } = cambios;
+    await product.update(resto, { transaction });
+    if (precio !== undefined) {
+      await product.cambiarPrecio(precio, { userId: req.user.id, transaction });
+    }
+
+    if (product.tieneVariantes() && (heredados.length > 0 || cambios.precio !== undefined)) {
+      const sincronizadas = await product.sincronizarVariantes({ transaction });
+      logger.info(`${sincronizadas} variantes de ${product.nombre} actualizadas`);
+    }
+
+    if (tags) {
+      const etiquetas = await Tag.obtenerOCrear(tags, { transaction });
+      await product.setTags(etiquetas, { transaction });
+      product.setDataValue('tags', etiquetas);
+    }
+
+    const diferencia = stockNuevo === undefined ? 0 : stockNuevo - product.cantidad_disponible;
+
+    if (diferencia !== 0) {
+      const almacen = await Warehouse.obtenerActivo(warehouse_id, { transaction });
+      await product.moverStock(diferencia, {
+        motivo: 'ajuste',
+        warehouseId: almacen.id,
+        userId: req.user.id,
+        transaction
+      });
+    } else if (product.tieneStockPropio() && ['stock_minimo', 'punto_reorden'].some(campo => cambios[campo] !== undefined)) {
+      // Con umbrales nuevos el stock actual puede abrir o resolver una alerta
+      await StockAlert.evaluar(product, { transaction });
+    }
+
+    // El stock agregado se asigna primero a los backorders pendientes
+    if (diferencia > 0) {
+      const asignaciones = await Backorder.surtirPendientes([product.id], { userId: req.user.id, transaction });
+      if (asignaciones.length > 0) {
+        await product.reload({ transaction });
+        logger.info(`${asignaciones.length} backorders surtidos con el stock nuevo de ${product.nombre}`);
+      }
+    }
+
+    await transaction.commit();
+
+    logger.info(`Producto actualizado exitosamente: ${product.nombre} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Producto actualizado exitosamente',
+      data: product
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al actualizar producto:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {delete} /api/products/:id Eliminar producto
+ * @apiName DeleteProduct
+ * @apiGroup Products
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ * 
+ * @apiParam {Number} id ID del producto (un producto con variantes las desactiva también)
+ * 
+ * @apiSuccess {Boolean} success Estado de la operación
+ * @apiSuccess {String} message Mensaje de respuesta
+ */
+router.delete('/:id', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const product = await Product.findOne({
+      where: { id, activo: true }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Producto no encontrado'
+      });
+    }
+
+    // Soft delete - marcar como inactivo (con sus variantes)
+    await sequelize.transaction(async (transaction) => {
+      await product.update({ activo: false }, { transaction });
+      await Product.update({ activo: false }, { where: { parent_id: product.id }, transaction });
+    });
 
     logger.info(`Producto eliminado exitosamente: ${product.nombre} por usuario ${req.user.email}`);
 
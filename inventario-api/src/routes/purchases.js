@@ -1,21 +1,41 @@
 const express = require('express');
 const { Op } = require('sequelize');
-const { sequelize, User, Product, Purchase, PurchaseDetail } = require('../models');
-const { purchaseSchema, queryParamsSchema } = require('../utils/validationSchemas');
+const { sequelize, User, Product, Purchase, PurchaseDetail, PurchaseTax, CreditNote, CreditNoteDetail, InvoiceSeries, Coupon, TaxCategory, Currency, Payment, FulfillmentEvent, Backorder, Lot, PurchaseDetailLot, PurchaseDetailComponent, Warehouse, WarehouseStock, Category } = require('../models');
+const { purchaseSchema, cancelPurchaseSchema, returnSchema, paymentSchema, fulfillmentSchema, queryParamsSchema } = require('../utils/validationSchemas');
 const { authenticate, adminOnly, authorize } = require('../middleware/auth');
-const { generateInvoiceNumber } = require('../models/Purchase');
+const { idempotency } = require('../middleware/idempotency');
+const { RESERVATION_TTL_MINUTES, crearCompra, obtenerCompraCompleta } = require('../services/purchaseService');
+const { generarFacturaPdf } = require('../services/invoicePdf');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Horas que tiene un cliente para cancelar su propia compra
+const CANCEL_WINDOW_HOURS = parseInt(process.env.PURCHASE_CANCEL_WINDOW_HOURS, 10) || 24;
+
 /**
  * @api {post} /api/purchases Crear compra
  * @apiName CreatePurchase
  * @apiGroup Purchases
  * @apiHeader {String} Authorization Bearer token
- * @apiPermission cliente
+ * @apiHeader {String} [Idempotency-Key] Clave única del intento; un reintento con la misma clave
+ *   y el mismo cuerpo devuelve la respuesta original sin crear otra compra
+ * @apiPermission cliente, admin (venta en mostrador)
+ *
+ * @apiParam {Object[]} productos Productos y cantidades a comprar ({ product_id, cantidad, unidad }); con
+ *   `unidad` se compra en una de las unidades de venta del producto (ej: paquete) a su precio, y el
+ *   stock se descuenta en unidades base
+ * @apiParam {String="inmediata","reserva"} [modo=inmediata] En modo reserva la compra queda pendiente
+ *   y el stock apartado hasta que se confirme o expire la reserva
+ * @apiParam {String} [codigo_cupon] Código de cupón de descuento
+ * @apiParam {String} [moneda] Código de la moneda de pago (por defecto la moneda base)
+ * @apiParam {Boolean} [permitir_backorder=false] Aceptar que las unidades sin stock de los productos
+ *   que lo permiten queden pendientes de entrega (no aplica en modo reserva)
+ * @apiParam {Number} [warehouse_id] Almacén del que sale la mercadería (por defecto el almacén por defecto)
+ * @apiParam {Number} [user_id] Solo admin: cliente para el que se registra la venta
+ * @apiParam {Boolean} [consumidor_final] Solo admin: venta sin cliente identificado
  */
-router.post('/', authenticate, authorize('cliente'), async (req, res, next) => {
+router.post('/', authenticate, authorize('cliente', 'admin'), idempotency, async (req, res, next) => {
   const transaction = await sequelize.transaction();
   
   try {
@@ -32,193 +52,73 @@ router.post('/', authenticate, authorize('cliente'), async (req, res, next) => {
       });
     }
 
-    const { productos } = value;
-    let total = 0;
-    const detalles = [];
-
-    logger.info(`Iniciando compra para usuario ${req.user.id} con ${productos.length} productos`);
-
-    // ============================================
-    // PASO 1: Verificar y bloquear productos (FOR UPDATE)
-    // ============================================
-    const productIds = productos.map(item => item.product_id);
-    const availableProducts = await Product.findAll({
-      where: { 
-        id: { [Op.in]: productIds }, 
-        activo: true 
-      },
-      lock: true, // FOR UPDATE - Bloquear filas para evitar race conditions
-      transaction
-    });
+    const { productos, modo, codigo_cupon, moneda, permitir_backorder, warehouse_id, user_id, consumidor_final } = value;
+    const esReserva = modo === 'reserva';
+    const esMostrador = req.user.role === 'admin';
 
-    // Verificar que todos los productos existen
-    if (availableProducts.length !== productIds.length) {
+    if (!esMostrador && (user_id !== undefined || consumidor_final !== undefined)) {
       await transaction.rollback();
-      const foundIds = availableProducts.map(p => p.id);
-      const missingIds = productIds.filter(id => !foundIds.includes(id));
-      
-      return res.status(404).json({
+      return res.status(403).json({
         success: false,
-        message: `Productos no encontrados o inactivos: ${missingIds.join(', ')}`,
+        message: 'Solo los administradores pueden registrar compras para otros clientes',
         timestamp: new Date().toISOString(),
         path: req.path
       });
     }
 
-    // ============================================
-    // PASO 2: Validar stock y calcular totales
-    // ============================================
-    for (const item of productos) {
-      const product = availableProducts.find(p => p.id === item.product_id);
-      
-      if (product.cantidad_disponible < item.cantidad) {
-        await transaction.rollback();
-        return res.status(400).json({
-          success: false,
-          message: `Stock insuficiente para ${product.nombre}. Disponible: ${product.cantidad_disponible}, Solicitado: ${item.cantidad}`,
-          timestamp: new Date().toISOString(),
-          path: req.path
-        });
-      }
-
-      const precioUnitario = parseFloat(product.precio);
-      const subtotal = precioUnitario * item.cantidad;
-      total += subtotal;
-
-      detalles.push({
-        product_id: product.id,
-        cantidad: item.cantidad,
-        precio_unitario: precioUnitario,
-        subtotal: subtotal.toFixed(2),
-        product
-      });
-    }
-
-    // ============================================
-    // PASO 3: Generar número de factura único
-    // ============================================
-    let numeroFactura;
-    let attempts = 0;
-    const maxAttempts = 5;
-
-    do {
-      numeroFactura = generateInvoiceNumber();
-      const existingInvoice = await Purchase.findOne({
-        where: { numero_factura: numeroFactura },
-        transaction
-      });
-      
-      if (!existingInvoice) break;
-      
-      attempts++;
-      if (attempts >= maxAttempts) {
-        await transaction.rollback();
-        return res.status(500).json({
-          success: false,
-          message: 'Error generando número de factura único',
-          timestamp: new Date().toISOString(),
-          path: req.path
-        });
-      }
-      
-      // Esperar un poco antes del siguiente intento
-      await new Promise(resolve => setTimeout(resolve, 10));
-    } while (attempts < maxAttempts);
-
-    logger.info(`Número de factura generado: ${numeroFactura}`);
-
-    // ============================================
-    // PASO 4: Crear la compra
-    // ============================================
-    const purchase = await Purchase.create({
-      user_id: req.user.id,
-      total: total.toFixed(2),
-      numero_factura: numeroFactura,
-      estado: 'completada',
-      fecha_compra: new Date()
-    }, { transaction });
-
-    logger.info(`Compra creada con ID: ${purchase.id}, Factura: ${purchase.numero_factura}`);
-
-    // ============================================
-    // PASO 5: Crear detalles y actualizar stock EN LOTE
-    // ============================================
-    const detallesCreados = [];
-    const stockUpdates = [];
-
-    for (const detalle of detalles) {
-      // Crear detalle
-      const purchaseDetail = await PurchaseDetail.create({
-        purchase_id: purchase.id,
-        product_id: detalle.product_id,
-        cantidad: detalle.cantidad,
-        precio_unitario: detalle.precio_unitario,
-        subtotal: detalle.subtotal
-      }, { transaction });
-
-      detallesCreados.push(purchaseDetail);
-
-      // Preparar actualización de stock
-      const newStock = detalle.product.cantidad_disponible - detalle.cantidad;
-      stockUpdates.push({
-        id: detalle.product.id,
-        cantidad_disponible: newStock
+    if (esMostrador && !user_id && !consumidor_final) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Indique el cliente (user_id) o consumidor_final para registrar la venta',
+        timestamp: new Date().toISOString(),
+        path: req.path
       });
     }
 
-    // Actualizar stock de todos los productos en una sola operación
-    for (const update of stockUpdates) {
-      await Product.update(
-        { cantidad_disponible: update.cantidad_disponible },
-        { 
-          where: { id: update.id },
-          transaction
-        }
-      );
-      
-      logger.info(`Stock actualizado para producto ${update.id}: ${update.cantidad_disponible} restantes`);
-    }
+    const purchase = await crearCompra({
+      userId: esMostrador ? (user_id || null) : req.user.id,
+      vendedorId: esMostrador ? req.user.id : null,
+      productos,
+      modo,
+      codigoCupon: codigo_cupon,
+      moneda,
+      permitirBackorder: permitir_backorder,
+      warehouseId: warehouse_id
+    }, transaction);
 
-    // ============================================
-    // PASO 6: Confirmar transacción
-    // ============================================
     await transaction.commit();
 
-    // ============================================
-    // PASO 7: Obtener datos completos para respuesta
-    // ============================================
-    const completePurchase = await Purchase.findByPk(purchase.id, {
-      include: [
-        {
-          model: PurchaseDetail,
-          as: 'details',
-          include: [
-            {
-              model: Product,
-              as: 'product',
-              attributes: ['id', 'nombre', 'numero_lote', 'precio']
-            }
-          ]
-        },
-        {
-          model: User,
-          as: 'user',
-          attributes: ['id', 'nombre', 'email']
-        }
-      ]
-    });
+    const completePurchase = await obtenerCompraCompleta(purchase.id);
 
-    logger.info(`Compra completada exitosamente: ${purchase.numero_factura} por usuario ${req.user.email} - Total: $${purchase.total}`);
+    if (esReserva) {
+      logger.info(`Reserva creada: ${purchase.numero_factura} por usuario ${req.user.email} - Expira: ${purchase.reserva_expira_en.toISOString()}`);
+    } else {
+      logger.info(`Compra completada exitosamente: ${purchase.numero_factura} por usuario ${req.user.email} - Total: ${purchase.moneda} ${purchase.total}`);
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Compra realizada exitosamente',
+      message: esReserva
+        ? `Reserva creada exitosamente, confirme la compra antes de ${RESERVATION_TTL_MINUTES} minutos`
+        : 'Compra realizada exitosamente',
       data: completePurchase,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     await transaction.rollback();
+
+    // Errores de negocio (productos inexistentes, stock insuficiente, cupón inválido, moneda sin cotización, serie sin configurar)
+    if (error.status) {
+      logger.warn(`Compra rechazada para usuario ${req.user.id}: ${error.message}`);
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
     
     logger.error('Error al crear compra:', {
       error: error.message,
@@ -369,6 +269,7 @@ router.get('/history', authenticate, authorize('cliente'), async (req, res, next
           estado: purchase.estado,
           producto: detail.product,
           cantidad: detail.cantidad,
+          unidad: detail.unidad,
           precio_unitario: detail.precio_unitario,
           subtotal: detail.subtotal,
           created_at: detail.created_at
@@ -392,6 +293,86 @@ router.get('/history', authenticate, authorize('cliente'), async (req, res, next
   }
 });
 
+/**
+ * @api {get} /api/purchases/backorders Unidades compradas pendientes de entrega
+ * Los clientes ven solo sus backorders; los administradores, los de todos.
+ *
+ * @apiParam {String="pendiente","surtido","cancelado"} [estado=pendiente] Estado del backorder
+ * @apiParam {Number} [product_id] Solo admin: filtrar por producto
+ * @apiParam {Number} [page=1] Página
+ * @apiParam {Number} [limit=10] Backorders por página
+ */
+router.get('/backorders', authenticate, async (req, res, next) => {
+  try {
+    const { estado = 'pendiente', product_id } = req.query;
+    const { error, value } = queryParamsSchema.validate({ page: req.query.page, limit: req.query.limit });
+
+    if (error || !['pendiente', 'surtido', 'cancelado'].includes(estado) || (product_id !== undefined && isNaN(product_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de consulta inválidos',
+        errors: error ? error.details.map(detail => detail.message) : ['El estado debe ser pendiente, surtido o cancelado y product_id un número'],
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const { page, limit } = value;
+    const whereConditions = { estado };
+
+    if (req.user.role === 'cliente') {
+      whereConditions.user_id = req.user.id;
+    } else if (product_id) {
+      whereConditions.product_id = parseInt(product_id);
+    }
+
+    const { count, rows: backorders } = await Backorder.findAndCountAll({
+      where: whereConditions,
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['id', 'nombre', 'numero_lote', 'cantidad_disponible', 'cantidad_reservada', 'cantidad_libre']
+        },
+        {
+          model: Purchase,
+          as: 'purchase',
+          attributes: ['id', 'numero_factura', 'fecha_compra', 'estado']
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'nombre', 'email']
+        }
+      ],
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        backorders,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: count,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al obtener backorders:', error);
+    next(error);
+  }
+});
+
 /**
  * @api {get} /api/purchases/:id Obtener factura de compra
  */
@@ -422,6 +403,16 @@ router.get('/:id', authenticate, async (req, res, next) => {
           as: 'user',
           attributes: ['id', 'nombre', 'email']
         },
+        {
+          model: User,
+          as: 'seller',
+          attributes: ['id', 'nombre']
+        },
+        {
+          model: Warehouse,
+          as: 'warehouse',
+          attributes: ['id', 'codigo', 'nombre']
+        },
         {
           model: PurchaseDetail,
           as: 'details',
@@ -430,10 +421,72 @@ router.get('/:id', authenticate, async (req, res, next) => {
               model: Product,
               as: 'product',
               attributes: ['id', 'nombre', 'numero_lote', 'precio', 'descripcion']
+            },
+            {
+              model: PurchaseDetailComponent,
+              as: 'components',
+              attributes: ['product_id', 'cantidad'],
+              include: [
+                {
+                  model: Product,
+                  as: 'product',
+                  attributes: ['id', 'nombre', 'numero_lote', 'sku']
+                }
+              ]
+            },
+            {
+              model: PurchaseDetailLot,
+              as: 'lot_allocations',
+              attributes: ['lot_id', 'cantidad', 'cantidad_restituida'],
+              include: [
+                {
+                  model: Lot,
+                  as: 'lot',
+                  attributes: ['id', 'numero_lote', 'fecha_vencimiento']
+                }
+              ]
+            }
+          ]
+        },
+        {
+          model: PurchaseTax,
+          as: 'taxes',
+          attributes: ['tax_category_id', 'nombre', 'tipo', 'tasa', 'base_imponible', 'monto_iva']
+        },
+        {
+          model: CreditNote,
+          as: 'credit_notes',
+          include: [
+            {
+              model: CreditNoteDetail,
+              as: 'details'
+            }
+          ]
+        },
+        {
+          model: Payment,
+          as: 'payments',
+          attributes: ['id', 'metodo', 'monto', 'referencia', 'fecha_pago']
+        },
+        {
+          model: Backorder,
+          as: 'backorders',
+          attributes: ['id', 'purchase_detail_id', 'product_id', 'cantidad', 'cantidad_surtida', 'cantidad_pendiente', 'estado', 'fecha_surtido']
+        },
+        {
+          model: FulfillmentEvent,
+          as: 'fulfillment_events',
+          attributes: ['id', 'estado_anterior', 'estado', 'transportista', 'numero_seguimiento', 'notas', 'fecha'],
+          include: [
+            {
+              model: User,
+              as: 'registered_by',
+              attributes: ['id', 'nombre']
             }
           ]
         }
-      ]
+      ],
+      order: [[{ model: FulfillmentEvent, as: 'fulfillment_events' }, 'fecha', 'ASC']]
     });
 
     if (!purchase) {
@@ -457,25 +510,35 @@ router.get('/:id', authenticate, async (req, res, next) => {
 });
 
 /**
- * @api {get} /api/purchases/admin/sales Obtener reporte de ventas (Solo Admin)
+ * @api {get} /api/purchases/:id/invoice.pdf Descargar factura en PDF
+ * @apiName GetPurchaseInvoicePdf
+ * @apiGroup Purchases
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin, cliente (solo sus compras)
+ *
+ * @apiParam {Number} id ID de la compra
+ * @apiSuccess {File} factura Documento application/pdf con los datos de la empresa (ver src/config/company.js)
  */
-router.get('/admin/sales', authenticate, adminOnly, async (req, res, next) => {
+router.get('/:id/invoice.pdf', authenticate, async (req, res, next) => {
   try {
-    const { startDate, endDate } = req.query;
-    const whereConditions = {};
+    const { id } = req.params;
 
-    if (startDate || endDate) {
-      whereConditions.fecha_compra = {};
-      if (startDate) {
-        whereConditions.fecha_compra[Op.gte] = new Date(startDate);
-      }
-      if (endDate) {
-        const endDateTime = new Date(endDate + ' 23:59:59');
-        whereConditions.fecha_compra[Op.lte] = endDateTime;
-      }
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de compra inválido',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
     }
 
-    const purchases = await Purchase.findAll({
+    const whereConditions = { id: parseInt(id) };
+
+    if (req.user.role === 'cliente') {
+      whereConditions.user_id = req.user.id;
+    }
+
+    const purchase = await Purchase.findOne({
       where: whereConditions,
       include: [
         {
@@ -483,6 +546,11 @@ router.get('/admin/sales', authenticate, adminOnly, async (req, res, next) => {
           as: 'user',
           attributes: ['id', 'nombre', 'email']
         },
+        {
+          model: User,
+          as: 'seller',
+          attributes: ['id', 'nombre']
+        },
         {
           model: PurchaseDetail,
           as: 'details',
@@ -490,58 +558,1455 @@ router.get('/admin/sales', authenticate, adminOnly, async (req, res, next) => {
             {
               model: Product,
               as: 'product',
-              attributes: ['id', 'nombre', 'numero_lote', 'precio']
+              attributes: ['id', 'nombre', 'numero_lote']
+            },
+            {
+              model: PurchaseDetailComponent,
+              as: 'components',
+              attributes: ['product_id', 'cantidad'],
+              include: [
+                {
+                  model: Product,
+                  as: 'product',
+                  attributes: ['id', 'nombre', 'numero_lote']
+                }
+              ]
+            },
+            {
+              model: PurchaseDetailLot,
+              as: 'lot_allocations',
+              attributes: ['lot_id', 'cantidad', 'cantidad_restituida'],
+              include: [
+                {
+                  model: Lot,
+                  as: 'lot',
+                  attributes: ['id', 'numero_lote', 'fecha_vencimiento']
+                }
+              ]
             }
           ]
+        },
+        {
+          model: PurchaseTax,
+          as: 'taxes',
+          attributes: ['nombre', 'tipo', 'tasa', 'base_imponible', 'monto_iva']
         }
       ],
-      order: [['fecha_compra', 'DESC']]
+      order: [[{ model: PurchaseDetail, as: 'details' }, 'id', 'ASC']]
     });
 
-    const totalVentas = purchases.reduce((sum, purchase) => sum + parseFloat(purchase.total), 0);
-    const totalCompras = purchases.length;
-    const clientesUnicos = new Set(purchases.map(p => p.user_id)).size;
-    
-    const productosVendidos = {};
-    purchases.forEach(purchase => {
-      purchase.details.forEach(detail => {
-        const productId = detail.product.id;
-        if (!productosVendidos[productId]) {
-          productosVendidos[productId] = {
-            producto: detail.product,
-            cantidad_total: 0,
-            ingresos_total: 0,
-            veces_vendido: 0
-          };
-        }
-        productosVendidos[productId].cantidad_total += detail.cantidad;
-        productosVendidos[productId].ingresos_total += parseFloat(detail.subtotal);
-        productosVendidos[productId].veces_vendido += 1;
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada o no tiene permisos para verla',
+        timestamp: new Date().toISOString(),
+        path: req.path
       });
-    });
+    }
 
-    const topProductos = Object.values(productosVendidos)
-      .sort((a, b) => b.cantidad_total - a.cantidad_total)
-      .slice(0, 5);
+    const pdf = await generarFacturaPdf(purchase);
 
-    res.json({
-      success: true,
-      data: {
-        resumen: {
-          total_ventas: totalVentas.toFixed(2),
-          total_compras: totalCompras,
-          clientes_unicos: clientesUnicos,
-          promedio_por_compra: totalCompras > 0 ? (totalVentas / totalCompras).toFixed(2) : '0.00',
-          fecha_inicio: startDate || 'Sin límite',
-          fecha_fin: endDate || 'Sin límite'
-        },
-        top_productos: topProductos,
-        compras: purchases
-      },
-      timestamp: new Date().toISOString()
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="factura-${purchase.numero_factura}.pdf"`,
+      'Content-Length': pdf.length
     });
+    res.send(pdf);
   } catch (error) {
-    logger.error('Error al obtener reporte de ventas:', error);
+    logger.error('Error al generar factura PDF:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/purchases/:id/cancel Cancelar compra y restituir stock
+ * @apiName CancelPurchase
+ * @apiGroup Purchases
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin, cliente (solo sus compras dentro de la ventana de cancelación)
+ *
+ * @apiParam {Number} id ID de la compra
+ * @apiParam {String} motivo Motivo de la cancelación
+ */
+router.post('/:id/cancel', authenticate, authorize('admin', 'cliente'), async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!id || isNaN(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID de compra inválido',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  const { error, value } = cancelPurchaseSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación de datos',
+      errors: error.details.map(detail => detail.message),
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Bloquear la compra para que dos cancelaciones simultáneas no restituyan stock dos veces
+    const purchase = await Purchase.findByPk(parseInt(id), {
+      lock: true,
+      transaction
+    });
+
+    if (!purchase || (req.user.role === 'cliente' && purchase.user_id !== req.user.id)) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada o no tiene permisos para verla',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    if (purchase.estado === 'cancelada') {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `La compra ${purchase.numero_factura} ya fue cancelada`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    // Una reserva pendiente solo tiene stock apartado: se libera sin tocar cantidad_disponible
+    if (purchase.estado === 'pendiente') {
+      await Purchase.liberarReserva(purchase, {
+        motivo: value.motivo,
+        userId: req.user.id,
+        transaction
+      });
+
+      await transaction.commit();
+
+      logger.info(`Reserva cancelada: ${purchase.numero_factura} por usuario ${req.user.email} - Motivo: ${value.motivo}`);
+
+      return res.json({
+        success: true,
+        message: 'Reserva cancelada exitosamente',
+        data: purchase,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // La mercadería ya salió del depósito: corresponde una devolución, no una cancelación
+    if (['enviado', 'entregado'].includes(purchase.estado_envio)) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `La compra ${purchase.numero_factura} ya fue despachada (envío: ${purchase.estado_envio}); registre una devolución`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    if (req.user.role === 'cliente') {
+      const limite = new Date(purchase.fecha_compra).getTime() + CANCEL_WINDOW_HOURS * 60 * 60 * 1000;
+      if (Date.now() > limite) {
+        await transaction.rollback();
+        return res.status(403).json({
+          success: false,
+          message: `El plazo de ${CANCEL_WINDOW_HOURS} horas para cancelar esta compra ha vencido`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+    }
+
+    const detalles = await PurchaseDetail.findAll({
+      where: { purchase_id: purchase.id },
+      include: [
+        {
+          model: Backorder,
+          as: 'backorder',
+          required: false
+        }
+      ],
+      transaction
+    });
+
+    // Unidades de cada línea que vuelven al stock (y a los lotes de los que salieron); las
+    // líneas de kits devuelven las unidades de cada componente.
+    // Las unidades ya devueltas se resolvieron con su nota de crédito y no se restituyen otra vez;
+    // las que siguen en backorder nunca salieron del stock.
+    const restituciones = (await PurchaseDetailComponent.desglosar(detalles, { transaction }))
+      .map(({ detalle, productId, porUnidad }) => ({
+        detalle,
+        productId,
+        cantidad: (detalle.cantidad - detalle.cantidad_devuelta - (detalle.backorder ? detalle.backorder.cantidad_pendiente : 0)) * porUnidad
+      }))
+      .filter(restitucion => restitucion.cantidad > 0);
+
+    // Bloquear productos (FOR UPDATE) antes de restituir el stock
+    const products = await Product.findAll({
+      where: { id: { [Op.in]: [...new Set(restituciones.map(restitucion => restitucion.productId))] } },
+      lock: true,
+      transaction
+    });
+
+    for (const { detalle, productId, cantidad } of restituciones) {
+      const product = products.find(p => p.id === productId);
+      const movimiento = await product.moverStock(cantidad, {
+        motivo: 'cancelacion',
+        documentoTipo: 'compra',
+        documentoId: purchase.id,
+        warehouseId: purchase.warehouse_id,
+        purchaseDetailId: detalle.id,
+        userId: req.user.id,
+        transaction
+      });
+
+      logger.info(`Stock restituido para producto ${product.id}: ${movimiento.saldo} disponibles`);
+    }
+
+    await Backorder.update(
+      { estado: 'cancelado' },
+      {
+        where: { purchase_id: purchase.id, estado: 'pendiente' },
+        transaction
+      }
+    );
+
+    // El stock restituido surte primero los backorders de otras compras
+    await Backorder.surtirPendientes(products.map(product => product.id), { userId: req.user.id, transaction });
+
+    // El uso del cupón deja de contar para sus límites
+    if (purchase.coupon_id) {
+      await Coupon.liberarUso(purchase.id, { transaction });
+    }
+
+    await purchase.update({
+      estado: 'cancelada',
+      cancelado_por: req.user.id,
+      fecha_cancelacion: new Date(),
+      motivo_cancelacion: value.motivo
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Compra cancelada: ${purchase.numero_factura} por usuario ${req.user.email} - Motivo: ${value.motivo}`);
+
+    res.json({
+      success: true,
+      message: 'Compra cancelada exitosamente',
+      data: purchase,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al cancelar compra:', error);
+
+    if (error.name === 'SequelizeTimeoutError' || error.message.includes('Lock wait timeout')) {
+      return res.status(503).json({
+        success: false,
+        message: 'El sistema está ocupado, intente nuevamente en unos segundos',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/purchases/:id/confirm Confirmar compra reservada
+ * @apiName ConfirmPurchase
+ * @apiGroup Purchases
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin, cliente (solo sus compras)
+ *
+ * @apiParam {Number} id ID de la compra pendiente
+ */
+router.post('/:id/confirm', authenticate, authorize('admin', 'cliente'), async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!id || isNaN(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID de compra inválido',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const purchase = await Purchase.findByPk(parseInt(id), {
+      lock: true,
+      transaction
+    });
+
+    if (!purchase || (req.user.role === 'cliente' && purchase.user_id !== req.user.id)) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada o no tiene permisos para verla',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    if (purchase.estado !== 'pendiente') {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `La compra ${purchase.numero_factura} no está pendiente de confirmación (estado: ${purchase.estado})`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    // Si la reserva ya venció se libera aquí mismo, sin esperar a la tarea periódica
+    if (purchase.reserva_expira_en && new Date(purchase.reserva_expira_en) <= new Date()) {
+      await Purchase.liberarReserva(purchase, { motivo: 'Reserva expirada', transaction });
+      await transaction.commit();
+
+      return res.status(410).json({
+        success: false,
+        message: `La reserva ${purchase.numero_factura} expiró y el stock fue liberado`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const detalles = await PurchaseDetail.findAll({
+      where: { purchase_id: purchase.id },
+      transaction
+    });
+
+    // Las líneas de kits tienen reservado el stock de sus componentes
+    const salidas = (await PurchaseDetailComponent.desglosar(detalles, { transaction }))
+      .map(({ detalle, productId, porUnidad }) => ({ detalle, productId, cantidad: detalle.cantidad * porUnidad }));
+
+    const cantidadesPorProducto = {};
+    for (const salida of salidas) {
+      cantidadesPorProducto[salida.productId] = (cantidadesPorProducto[salida.productId] || 0) + salida.cantidad;
+    }
+
+    const products = await Product.findAll({
+      where: { id: { [Op.in]: Object.keys(cantidadesPorProducto).map(Number) } },
+      lock: true,
+      transaction
+    });
+
+    // Pasar lo reservado a vendido: deja de estar apartado (en el producto y en el
+    // almacén) y sale del stock disponible (de los lotes que vencen primero) línea por línea
+    const almacenId = purchase.warehouse_id || (await Warehouse.obtenerPorDefecto({ transaction })).id;
+    for (const product of products) {
+      await product.update({
+        cantidad_reservada: Math.max(product.cantidad_reservada - cantidadesPorProducto[product.id], 0)
+      }, { transaction });
+      await WarehouseStock.reservar(almacenId, product.id, -cantidadesPorProducto[product.id], { transaction });
+    }
+
+    for (const { detalle, productId, cantidad } of salidas) {
+      const product = products.find(p => p.id === productId);
+      const movimiento = await product.moverStock(-cantidad, {
+        motivo: 'venta',
+        documentoTipo: 'compra',
+        documentoId: purchase.id,
+        warehouseId: almacenId,
+        purchaseDetailId: detalle.id,
+        userId: req.user.id,
+        transaction
+      });
+
+      logger.info(`Stock actualizado para producto ${product.id}: ${movimiento.saldo} restantes`);
+    }
+
+    await purchase.update({
+      estado: 'completada',
+      estado_envio: 'preparando',
+      reserva_expira_en: null
+    }, { transaction });
+
+    await FulfillmentEvent.create({
+      purchase_id: purchase.id,
+      estado: 'preparando',
+      registrado_por: req.user.id
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Reserva confirmada: ${purchase.numero_factura} por usuario ${req.user.email} - Total: $${purchase.total}`);
+
+    res.json({
+      success: true,
+      message: 'Compra confirmada exitosamente',
+      data: purchase,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al confirmar compra:', error);
+
+    if (error.name === 'SequelizeTimeoutError' || error.message.includes('Lock wait timeout')) {
+      return res.status(503).json({
+        success: false,
+        message: 'El sistema está ocupado, intente nuevamente en unos segundos',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/purchases/:id/returns Registrar devolución parcial
+ * @apiName CreatePurchaseReturn
+ * @apiGroup Purchases
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la compra
+ * @apiParam {Object[]} items Líneas devueltas ({ purchase_detail_id, cantidad })
+ * @apiParam {String} motivo Motivo de la devolución
+ * @apiParam {Boolean} [reintegrar_stock=true] Si las unidades vuelven al inventario
+ *
+ * @apiSuccess {Object} data Nota de crédito emitida con sus detalles
+ */
+router.post('/:id/returns', authenticate, adminOnly, async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!id || isNaN(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID de compra inválido',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  const { error, value } = returnSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación de datos',
+      errors: error.details.map(detail => detail.message),
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  const { items, motivo, reintegrar_stock } = value;
+  const transaction = await sequelize.transaction();
+
+  try {
+    const purchase = await Purchase.findByPk(parseInt(id), {
+      lock: true,
+      transaction
+    });
+
+    if (!purchase) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    if (purchase.estado !== 'completada') {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `Solo se pueden registrar devoluciones de compras completadas (estado: ${purchase.estado})`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    // Bloquear las líneas para que dos devoluciones simultáneas no superen lo comprado
+    const detalles = await PurchaseDetail.findAll({
+      where: {
+        purchase_id: purchase.id,
+        id: { [Op.in]: items.map(item => item.purchase_detail_id) }
+      },
+      include: [
+        {
+          model: Backorder,
+          as: 'backorder',
+          required: false
+        }
+      ],
+      lock: true,
+      transaction
+    });
+
+    const lineas = [];
+    let totalNota = 0;
+
+    for (const item of items) {
+      const detalle = detalles.find(d => d.id === item.purchase_detail_id);
+
+      if (!detalle) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `El detalle ${item.purchase_detail_id} no pertenece a la compra ${purchase.numero_factura}`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      // Las unidades que siguen en backorder todavía no se entregaron
+      const enBackorder = detalle.backorder ? detalle.backorder.cantidad_pendiente : 0;
+      const devolvible = detalle.cantidad - detalle.cantidad_devuelta - enBackorder;
+      if (item.cantidad > devolvible) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `No se pueden devolver ${item.cantidad} unidades del detalle ${detalle.id}. Comprado: ${detalle.cantidad}, Ya devuelto: ${detalle.cantidad_devuelta}${enBackorder ? `, En backorder: ${enBackorder}` : ''}`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      // Se reintegra lo efectivamente cobrado: con el descuento del cupón prorrateado y el IVA
+      const netoLinea = parseFloat(detalle.total_linea);
+      const precioUnitario = Math.round(netoLinea / detalle.cantidad * 100) / 100;
+      const subtotal = Math.round(netoLinea * item.cantidad / detalle.cantidad * 100) / 100;
+      totalNota += subtotal;
+
+      lineas.push({ detalle, cantidad: item.cantidad, precioUnitario, subtotal });
+    }
+
+    const creditNote = await CreditNote.create({
+      numero_nota: await InvoiceSeries.siguienteNumero('nota_credito', { transaction }),
+      purchase_id: purchase.id,
+      numero_factura_origen: purchase.numero_factura,
+      registrado_por: req.user.id,
+      motivo,
+      reintegra_stock: reintegrar_stock,
+      total: totalNota.toFixed(2),
+      fecha_emision: new Date()
+    }, { transaction });
+
+    for (const linea of lineas) {
+      await CreditNoteDetail.create({
+        credit_note_id: creditNote.id,
+        purchase_detail_id: linea.detalle.id,
+        product_id: linea.detalle.product_id,
+        cantidad: linea.cantidad,
+        precio_unitario: linea.precioUnitario,
+        subtotal: linea.subtotal.toFixed(2)
+      }, { transaction });
+
+      await linea.detalle.update({
+        cantidad_devuelta: linea.detalle.cantidad_devuelta + linea.cantidad
+      }, { transaction });
+    }
+
+    // Reintegrar al inventario (a los lotes de los que salió) solo si la mercadería
+    // vuelve en condiciones de venta; un kit devuelto reintegra cada componente
+    if (reintegrar_stock) {
+      const desglose = await PurchaseDetailComponent.desglosar(detalles, { transaction });
+      const reintegros = lineas.flatMap(linea => desglose
+        .filter(({ detalle }) => detalle.id === linea.detalle.id)
+        .map(({ productId, porUnidad }) => ({ detalle: linea.detalle, productId, cantidad: linea.cantidad * porUnidad })));
+
+      const products = await Product.findAll({
+        where: { id: { [Op.in]: [...new Set(reintegros.map(reintegro => reintegro.productId))] } },
+        lock: true,
+        transaction
+      });
+
+      for (const reintegro of reintegros) {
+        const product = products.find(p => p.id === reintegro.productId);
+        const movimiento = await product.moverStock(reintegro.cantidad, {
+          motivo: 'devolucion',
+          documentoTipo: 'nota_credito',
+          documentoId: creditNote.id,
+          warehouseId: purchase.warehouse_id,
+          purchaseDetailId: reintegro.detalle.id,
+          userId: req.user.id,
+          transaction
+        });
+
+        logger.info(`Stock reintegrado por devolución para producto ${product.id}: ${movimiento.saldo} disponibles`);
+      }
+
+      await Backorder.surtirPendientes(products.map(product => product.id), { userId: req.user.id, transaction });
+    }
+
+    await purchase.update({
+      total_devuelto: (parseFloat(purchase.total_devuelto) + totalNota).toFixed(2)
+    }, { transaction });
+
+    await transaction.commit();
+
+    const completeCreditNote = await CreditNote.findByPk(creditNote.id, {
+      include: [
+        {
+          model: CreditNoteDetail,
+          as: 'details',
+          include: [
+            {
+              model: Product,
+              as: 'product',
+              attributes: ['id', 'nombre', 'numero_lote']
+            }
+          ]
+        }
+      ]
+    });
+
+    logger.info(`Nota de crédito ${creditNote.numero_nota} emitida sobre factura ${purchase.numero_factura} por usuario ${req.user.email} - Total: $${creditNote.total}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Devolución registrada exitosamente',
+      data: completeCreditNote,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al registrar devolución:', error);
+
+    if (error.name === 'SequelizeTimeoutError' || error.message.includes('Lock wait timeout')) {
+      return res.status(503).json({
+        success: false,
+        message: 'El sistema está ocupado, intente nuevamente en unos segundos',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/purchases/:id/returns Obtener notas de crédito de una compra
+ * @apiName GetPurchaseReturns
+ * @apiGroup Purchases
+ * @apiHeader {String} Authorization Bearer token
+ */
+router.get('/:id/returns', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de compra inválido',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const whereConditions = { id: parseInt(id) };
+
+    if (req.user.role === 'cliente') {
+      whereConditions.user_id = req.user.id;
+    }
+
+    const purchase = await Purchase.findOne({
+      where: whereConditions,
+      attributes: ['id', 'numero_factura', 'total', 'total_devuelto', 'total_neto']
+    });
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada o no tiene permisos para verla',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const creditNotes = await CreditNote.findAll({
+      where: { purchase_id: purchase.id },
+      include: [
+        {
+          model: CreditNoteDetail,
+          as: 'details',
+          include: [
+            {
+              model: Product,
+              as: 'product',
+              attributes: ['id', 'nombre', 'numero_lote']
+            }
+          ]
+        }
+      ],
+      order: [['fecha_emision', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        compra: purchase,
+        notas_credito: creditNotes
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al obtener devoluciones:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/purchases/:id/payments Registrar pago o reintegro
+ * @apiName CreatePurchasePayment
+ * @apiGroup Purchases
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la compra
+ * @apiParam {String="efectivo","tarjeta","transferencia","credito_tienda"} metodo Medio de pago
+ * @apiParam {Number} monto Importe en la moneda de la compra (negativo = reintegro)
+ * @apiParam {String} [referencia] Comprobante del medio de pago
+ * @apiParam {Date} [fecha_pago=ahora] Fecha del pago
+ *
+ * @apiSuccess {Object} data Pago registrado y estado de pago de la compra
+ */
+router.post('/:id/payments', authenticate, adminOnly, async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!id || isNaN(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID de compra inválido',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  const { error, value } = paymentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación de datos',
+      errors: error.details.map(detail => detail.message),
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Bloquear la compra para que dos pagos simultáneos no superen el saldo
+    const purchase = await Purchase.findByPk(parseInt(id), {
+      lock: true,
+      transaction
+    });
+
+    if (!purchase) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const totalPagado = parseFloat(purchase.total_pagado);
+    const saldo = parseFloat(purchase.saldo_pendiente);
+
+    if (value.monto > 0) {
+      if (purchase.estado === 'cancelada') {
+        await transaction.rollback();
+        return res.status(409).json({
+          success: false,
+          message: 'No se pueden registrar pagos de una compra cancelada',
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+
+      if (value.monto > saldo) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `El pago excede el saldo pendiente de la compra (${purchase.moneda} ${Math.max(saldo, 0).toFixed(2)})`,
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+    } else if (-value.monto > totalPagado) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `El reintegro excede lo pagado en la compra (${purchase.moneda} ${totalPagado.toFixed(2)})`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const payment = await Payment.create({
+      purchase_id: purchase.id,
+      metodo: value.metodo,
+      monto: value.monto.toFixed(2),
+      referencia: value.referencia || null,
+      fecha_pago: value.fecha_pago || new Date(),
+      registrado_por: req.user.id
+    }, { transaction });
+
+    await purchase.update({
+      total_pagado: (totalPagado + value.monto).toFixed(2)
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`${value.monto > 0 ? 'Pago' : 'Reintegro'} registrado sobre factura ${purchase.numero_factura} por usuario ${req.user.email} - ${value.metodo} ${purchase.moneda} ${payment.monto}`);
+
+    res.status(201).json({
+      success: true,
+      message: value.monto > 0 ? 'Pago registrado exitosamente' : 'Reintegro registrado exitosamente',
+      data: {
+        pago: payment,
+        total_pagado: purchase.total_pagado,
+        saldo_pendiente: purchase.saldo_pendiente,
+        estado_pago: purchase.estado_pago
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al registrar pago:', error);
+
+    if (error.name === 'SequelizeTimeoutError' || error.message.includes('Lock wait timeout')) {
+      return res.status(503).json({
+        success: false,
+        message: 'El sistema está ocupado, intente nuevamente en unos segundos',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/purchases/:id/payments Obtener pagos de una compra
+ * @apiName GetPurchasePayments
+ * @apiGroup Purchases
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin, cliente (solo sus compras)
+ */
+router.get('/:id/payments', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de compra inválido',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const whereConditions = { id: parseInt(id) };
+
+    if (req.user.role === 'cliente') {
+      whereConditions.user_id = req.user.id;
+    }
+
+    const purchase = await Purchase.findOne({
+      where: whereConditions,
+      attributes: ['id', 'numero_factura', 'estado', 'moneda', 'total', 'total_devuelto', 'total_neto', 'total_pagado', 'saldo_pendiente', 'estado_pago']
+    });
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada o no tiene permisos para verla',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const payments = await Payment.findAll({
+      where: { purchase_id: purchase.id },
+      order: [['fecha_pago', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        compra: purchase,
+        pagos: payments
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al obtener pagos:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/purchases/:id/fulfillment Cambiar estado de envío
+ * @apiName UpdatePurchaseFulfillment
+ * @apiGroup Purchases
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la compra
+ * @apiParam {String="preparando","embalado","enviado","entregado","devuelto"} estado Nuevo estado
+ * @apiParam {String} [transportista] Requerido (o ya cargado) para pasar a enviado
+ * @apiParam {String} [numero_seguimiento] Requerido (o ya cargado) para pasar a enviado
+ * @apiParam {String} [notas] Observaciones del movimiento
+ *
+ * @apiDescription Transiciones válidas: preparando → embalado → enviado → entregado;
+ *   embalado → preparando; enviado o entregado → devuelto.
+ */
+router.post('/:id/fulfillment', authenticate, adminOnly, async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!id || isNaN(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID de compra inválido',
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  const { error, value } = fulfillmentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación de datos',
+      errors: error.details.map(detail => detail.message),
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Bloquear la compra para que dos cambios simultáneos no se salteen la secuencia
+    const purchase = await Purchase.findByPk(parseInt(id), {
+      lock: true,
+      transaction
+    });
+
+    if (!purchase) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Compra no encontrada',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    if (purchase.estado !== 'completada') {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `Solo se pueden despachar compras completadas (estado: ${purchase.estado})`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const estadoAnterior = purchase.estado_envio || 'preparando';
+
+    if (!FulfillmentEvent.transicionValida(estadoAnterior, value.estado)) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `No se puede pasar de ${estadoAnterior} a ${value.estado}`,
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const transportista = value.transportista || purchase.transportista;
+    const numeroSeguimiento = value.numero_seguimiento || purchase.numero_seguimiento;
+
+    if (value.estado === 'enviado' && (!transportista || !numeroSeguimiento)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Para marcar la compra como enviada indique transportista y numero_seguimiento',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const event = await FulfillmentEvent.create({
+      purchase_id: purchase.id,
+      estado_anterior: estadoAnterior,
+      estado: value.estado,
+      transportista: value.transportista || null,
+      numero_seguimiento: value.numero_seguimiento || null,
+      notas: value.notas || null,
+      registrado_por: req.user.id
+    }, { transaction });
+
+    await purchase.update({
+      estado_envio: value.estado,
+      transportista: transportista || null,
+      numero_seguimiento: numeroSeguimiento || null
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Envío de factura ${purchase.numero_factura}: ${estadoAnterior} -> ${value.estado} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Estado de envío actualizado exitosamente',
+      data: {
+        compra: purchase,
+        evento: event
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al actualizar estado de envío:', error);
+
+    if (error.name === 'SequelizeTimeoutError' || error.message.includes('Lock wait timeout')) {
+      return res.status(503).json({
+        success: false,
+        message: 'El sistema está ocupado, intente nuevamente en unos segundos',
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/purchases/admin/sales Obtener reporte de ventas (Solo Admin)
+ * Todos los importes se expresan en la moneda base, convertidos con el tipo de cambio
+ * guardado en cada compra; `por_moneda` muestra lo facturado en cada moneda original.
+ * Con `vendedor_id` se limita a las ventas de mostrador registradas por ese administrador.
+ * `por_categoria` agrupa las ventas según la categoría actual de cada producto: cada
+ * categoría suma lo vendido en toda su rama y `ingresos_directos` solo lo suyo.
+ */
+router.get('/admin/sales', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { startDate, endDate, vendedor_id } = req.query;
+    const whereConditions = { estado: 'completada' };
+
+    if (vendedor_id !== undefined) {
+      if (isNaN(vendedor_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de vendedor inválido',
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+      whereConditions.vendedor_id = parseInt(vendedor_id);
+    }
+
+    if (startDate || endDate) {
+      whereConditions.fecha_compra = {};
+      if (startDate) {
+        whereConditions.fecha_compra[Op.gte] = new Date(startDate);
+      }
+      if (endDate) {
+        const endDateTime = new Date(endDate + ' 23:59:59');
+        whereConditions.fecha_compra[Op.lte] = endDateTime;
+      }
+    }
+
+    const purchases = await Purchase.findAll({
+      where: whereConditions,
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'nombre', 'email']
+        },
+        {
+          model: User,
+          as: 'seller',
+          attributes: ['id', 'nombre', 'email']
+        },
+        {
+          model: PurchaseDetail,
+          as: 'details',
+          include: [
+            {
+              model: Product,
+              as: 'product',
+              attributes: ['id', 'nombre', 'numero_lote', 'precio', 'unidad_base', 'category_id']
+            },
+            {
+              model: TaxCategory,
+              as: 'tax_category',
+              attributes: ['id', 'codigo', 'nombre', 'tipo']
+            }
+          ]
+        }
+      ],
+      order: [['fecha_compra', 'DESC']]
+    });
+
+    const monedaBase = await Currency.obtenerBase();
+
+    // Convertir a moneda base con la tasa guardada en la compra (el historial no cambia con las cotizaciones)
+    const aBase = (purchase, importe) => parseFloat(importe) * parseFloat(purchase.tasa_cambio);
+
+    const totalBruto = purchases.reduce((sum, purchase) => sum + aBase(purchase, purchase.total), 0);
+    const totalDevoluciones = purchases.reduce((sum, purchase) => sum + aBase(purchase, purchase.total_devuelto), 0);
+    const totalDescuentos = purchases.reduce((sum, purchase) => sum + aBase(purchase, purchase.descuento), 0);
+    const totalVentas = totalBruto - totalDevoluciones;
+    const totalCompras = purchases.length;
+    const clientesUnicos = new Set(purchases.filter(p => p.user_id).map(p => p.user_id)).size;
+    const ventasConsumidorFinal = purchases.filter(p => !p.user_id).length;
+    
+    const productosVendidos = {};
+    const ventasPorCategoria = new Map();
+    const impuestos = {};
+    const porMoneda = {};
+    purchases.forEach(purchase => {
+      if (!porMoneda[purchase.moneda]) {
+        porMoneda[purchase.moneda] = { moneda: purchase.moneda, total_compras: 0, total_ventas: 0, total_ventas_base: 0 };
+      }
+      const neto = parseFloat(purchase.total) - parseFloat(purchase.total_devuelto);
+      porMoneda[purchase.moneda].total_compras += 1;
+      porMoneda[purchase.moneda].total_ventas += neto;
+      porMoneda[purchase.moneda].total_ventas_base += neto * parseFloat(purchase.tasa_cambio);
+
+      purchase.details.forEach(detail => {
+        // Desglose de IVA descontando en proporción las unidades devueltas
+        const proporcion = (detail.cantidad - detail.cantidad_devuelta) / detail.cantidad;
+        const claveIva = `${detail.tax_category_id || 'sin_categoria'}-${detail.tasa_iva}`;
+        if (!impuestos[claveIva]) {
+          impuestos[claveIva] = {
+            categoria: detail.tax_category,
+            tasa: detail.tasa_iva,
+            base_imponible: 0,
+            monto_iva: 0
+          };
+        }
+        impuestos[claveIva].base_imponible += aBase(purchase, detail.base_imponible) * proporcion;
+        impuestos[claveIva].monto_iva += aBase(purchase, detail.monto_iva) * proporcion;
+
+        const productId = detail.product.id;
+        if (!productosVendidos[productId]) {
+          productosVendidos[productId] = {
+            producto: detail.product,
+            cantidad_total: 0,
+            ingresos_total: 0,
+            veces_vendido: 0
+          };
+        }
+        // Las cantidades vendidas se suman en unidades base
+        const unidadesBase = (detail.cantidad - detail.cantidad_devuelta) * detail.factor_unidad;
+        productosVendidos[productId].cantidad_total += unidadesBase;
+        productosVendidos[productId].ingresos_total += aBase(purchase, detail.subtotal_neto);
+        productosVendidos[productId].veces_vendido += 1;
+
+        const categoryId = detail.product.category_id || null;
+        if (!ventasPorCategoria.has(categoryId)) {
+          ventasPorCategoria.set(categoryId, { cantidad: 0, ingresos: 0 });
+        }
+        ventasPorCategoria.get(categoryId).cantidad += unidadesBase;
+        ventasPorCategoria.get(categoryId).ingresos += aBase(purchase, detail.subtotal_neto);
+      });
+    });
+
+    const desgloseIva = Object.values(impuestos).map(impuesto => ({
+      ...impuesto,
+      base_imponible: impuesto.base_imponible.toFixed(2),
+      monto_iva: impuesto.monto_iva.toFixed(2)
+    }));
+
+    const desgloseMonedas = Object.values(porMoneda).map(fila => ({
+      ...fila,
+      total_ventas: fila.total_ventas.toFixed(2),
+      total_ventas_base: fila.total_ventas_base.toFixed(2)
+    }));
+
+    // Acumular lo vendido en cada categoría sobre sus ancestros
+    const indiceCategorias = await Category.indice();
+    const acumulado = new Map();
+    for (const [categoryId, ventas] of ventasPorCategoria) {
+      const categoria = indiceCategorias.get(categoryId);
+      const rama = categoria ? [...categoria.ancestros, categoria.id] : [null];
+      rama.forEach(id => {
+        if (!acumulado.has(id)) {
+          acumulado.set(id, { cantidad_total: 0, ingresos_total: 0, ingresos_directos: 0 });
+        }
+        acumulado.get(id).cantidad_total += ventas.cantidad;
+        acumulado.get(id).ingresos_total += ventas.ingresos;
+      });
+      acumulado.get(rama[rama.length - 1]).ingresos_directos += ventas.ingresos;
+    }
+
+    const desgloseCategorias = [...acumulado.entries()]
+      .map(([categoryId, totales]) => {
+        const categoria = indiceCategorias.get(categoryId);
+        return {
+          category_id: categoryId,
+          nombre: categoria ? categoria.nombre : 'Sin categoría',
+          ruta: categoria ? categoria.ruta : 'Sin categoría',
+          nivel: categoria ? categoria.nivel : 0,
+          parent_id: categoria ? categoria.parent_id : null,
+          cantidad_total: totales.cantidad_total,
+          ingresos_total: totales.ingresos_total.toFixed(2),
+          ingresos_directos: totales.ingresos_directos.toFixed(2)
+        };
+      })
+      // Orden de árbol; los productos sin categoría al final
+      .sort((a, b) => (a.category_id === null) - (b.category_id === null) || a.ruta.localeCompare(b.ruta));
+
+    const topProductos = Object.values(productosVendidos)
+      .sort((a, b) => b.cantidad_total - a.cantidad_total)
+      .slice(0, 5);
+
+    res.json({
+      success: true,
+      data: {
+        resumen: {
+          moneda: monedaBase.codigo,
+          total_bruto: totalBruto.toFixed(2),
+          total_devoluciones: totalDevoluciones.toFixed(2),
+          total_descuentos: totalDescuentos.toFixed(2),
+          total_base_imponible: desgloseIva.reduce((sum, impuesto) => sum + parseFloat(impuesto.base_imponible), 0).toFixed(2),
+          total_iva: desgloseIva.reduce((sum, impuesto) => sum + parseFloat(impuesto.monto_iva), 0).toFixed(2),
+          total_ventas: totalVentas.toFixed(2),
+          total_compras: totalCompras,
+          clientes_unicos: clientesUnicos,
+          ventas_consumidor_final: ventasConsumidorFinal,
+          vendedor_id: vendedor_id !== undefined ? parseInt(vendedor_id) : null,
+          promedio_por_compra: totalCompras > 0 ? (totalVentas / totalCompras).toFixed(2) : '0.00',
+          fecha_inicio: startDate || 'Sin límite',
+          fecha_fin: endDate || 'Sin límite'
+        },
+        impuestos: desgloseIva,
+        por_moneda: desgloseMonedas,
+        por_categoria: desgloseCategorias,
+        top_productos: topProductos,
+        compras: purchases
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al obtener reporte de ventas:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/purchases/admin/receivables Cuentas por cobrar (Solo Admin)
+ * Compras completadas con saldo pendiente agrupadas por cliente (las ventas a
+ * consumidor final se agrupan aparte). Los saldos se expresan en moneda base y
+ * se clasifican por antigüedad desde la fecha de compra.
+ *
+ * @apiParam {Number} [user_id] Limitar a un cliente
+ */
+router.get('/admin/receivables', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { user_id } = req.query;
+    const whereConditions = {
+      estado: 'completada',
+      total_pagado: { [Op.lt]: sequelize.col('Purchase.total') }
+    };
+
+    if (user_id !== undefined) {
+      if (isNaN(user_id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ID de cliente inválido',
+          timestamp: new Date().toISOString(),
+          path: req.path
+        });
+      }
+      whereConditions.user_id = parseInt(user_id);
+    }
+
+    const purchases = await Purchase.findAll({
+      where: whereConditions,
+      attributes: ['id', 'user_id', 'numero_factura', 'fecha_compra', 'estado', 'moneda', 'tasa_cambio', 'total', 'total_devuelto', 'total_pagado', 'saldo_pendiente', 'estado_pago'],
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'nombre', 'email']
+        }
+      ],
+      order: [['fecha_compra', 'ASC']]
+    });
+
+    const monedaBase = await Currency.obtenerBase();
+    const ahora = Date.now();
+    const clientes = {};
+
+    for (const purchase of purchases) {
+      const saldo = parseFloat(purchase.saldo_pendiente);
+      // Las devoluciones pueden dejar la compra saldada aunque no se haya pagado el total
+      if (saldo <= 0) continue;
+
+      const saldoBase = saldo * parseFloat(purchase.tasa_cambio);
+      const dias = Math.floor((ahora - new Date(purchase.fecha_compra).getTime()) / (24 * 60 * 60 * 1000));
+      const tramo = dias <= 30 ? 'hasta_30' : dias <= 60 ? 'de_31_a_60' : dias <= 90 ? 'de_61_a_90' : 'mas_de_90';
+      const clave = purchase.user_id || 'consumidor_final';
+
+      if (!clientes[clave]) {
+        clientes[clave] = {
+          cliente: purchase.user || null,
+          consumidor_final: !purchase.user_id,
+          saldo_total: 0,
+          antiguedad: { hasta_30: 0, de_31_a_60: 0, de_61_a_90: 0, mas_de_90: 0 },
+          compras: []
+        };
+      }
+
+      const fila = clientes[clave];
+      fila.saldo_total += saldoBase;
+      fila.antiguedad[tramo] += saldoBase;
+      fila.compras.push({
+        id: purchase.id,
+        numero_factura: purchase.numero_factura,
+        fecha_compra: purchase.fecha_compra,
+        dias,
+        moneda: purchase.moneda,
+        total_neto: purchase.total_neto,
+        total_pagado: purchase.total_pagado,
+        saldo_pendiente: purchase.saldo_pendiente,
+        estado_pago: purchase.estado_pago,
+        saldo_moneda_base: saldoBase.toFixed(2)
+      });
+    }
+
+    const cuentas = Object.values(clientes)
+      .map(fila => ({
+        ...fila,
+        saldo_total: fila.saldo_total.toFixed(2),
+        antiguedad: Object.fromEntries(Object.entries(fila.antiguedad).map(([tramo, importe]) => [tramo, importe.toFixed(2)]))
+      }))
+      .sort((a, b) => parseFloat(b.saldo_total) - parseFloat(a.saldo_total));
+
+    res.json({
+      success: true,
+      data: {
+        resumen: {
+          moneda: monedaBase.codigo,
+          total_pendiente: cuentas.reduce((sum, fila) => sum + parseFloat(fila.saldo_total), 0).toFixed(2),
+          clientes_con_saldo: cuentas.length,
+          compras_con_saldo: cuentas.reduce((sum, fila) => sum + fila.compras.length, 0)
+        },
+        cuentas
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al obtener cuentas por cobrar:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/purchases/admin/fulfillment Cola de preparación y envío (Solo Admin)
+ * Compras completadas pendientes de entrega, de la más antigua a la más nueva.
+ *
+ * @apiParam {String="preparando","embalado","enviado","entregado","devuelto"} [estado] Por defecto
+ *   las que aún no se entregaron (preparando, embalado y enviado)
+ * @apiParam {Number} [page=1] Página
+ * @apiParam {Number} [limit=10] Compras por página
+ */
+router.get('/admin/fulfillment', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { estado } = req.query;
+    const { error, value } = queryParamsSchema.validate({ page: req.query.page, limit: req.query.limit });
+
+    if (error || (estado !== undefined && !FulfillmentEvent.ESTADOS.includes(estado))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de consulta inválidos',
+        errors: error ? error.details.map(detail => detail.message) : [`El estado debe ser uno de: ${FulfillmentEvent.ESTADOS.join(', ')}`],
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+    }
+
+    const { page, limit } = value;
+
+    const { count, rows: purchases } = await Purchase.findAndCountAll({
+      where: {
+        estado: 'completada',
+        estado_envio: estado || { [Op.in]: ['preparando', 'embalado', 'enviado'] }
+      },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'nombre', 'email']
+        },
+        {
+          model: PurchaseDetail,
+          as: 'details',
+          attributes: ['id', 'product_id', 'cantidad', 'cantidad_devuelta'],
+          include: [
+            {
+              model: Product,
+              as: 'product',
+              attributes: ['id', 'nombre', 'numero_lote']
+            },
+            {
+              model: Backorder,
+              as: 'backorder',
+              attributes: ['id', 'cantidad', 'cantidad_surtida', 'cantidad_pendiente', 'estado']
+            }
+          ]
+        }
+      ],
+      order: [['fecha_compra', 'ASC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    const porEstado = await Purchase.count({
+      where: { estado: 'completada', estado_envio: { [Op.ne]: null } },
+      group: ['estado_envio']
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        resumen: Object.fromEntries(porEstado.map(fila => [fila.estado_envio, fila.count])),
+        purchases,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: count,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error al obtener cola de envíos:', error);
     next(error);
   }
 });
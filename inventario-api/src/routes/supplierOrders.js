@@ -0,0 +1,651 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, User, Product, Lot, StockMovement, Warehouse, Supplier, SupplierOrder, SupplierOrderDetail, ProductUnit } = require('../models');
+const {
+  supplierOrderSchema,
+  updateSupplierOrderSchema,
+  receiveSupplierOrderSchema,
+  queryParamsSchema
+} = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Relaciones que se devuelven con cada orden
+const incluirDetalle = () => [
+  {
+    model: Supplier,
+    as: 'supplier',
+    attributes: ['id', 'codigo', 'nombre']
+  },
+  {
+    model: Warehouse,
+    as: 'warehouse',
+    attributes: ['id', 'codigo', 'nombre']
+  },
+  {
+    model: SupplierOrderDetail,
+    as: 'details',
+    include: [
+      {
+        model: Product,
+        as: 'product',
+        attributes: ['id', 'numero_lote', 'nombre', 'unidad_base']
+      }
+    ]
+  },
+  {
+    model: User,
+    as: 'created_by',
+    attributes: ['id', 'nombre']
+  },
+  {
+    model: User,
+    as: 'sent_by',
+    attributes: ['id', 'nombre']
+  }
+];
+
+/**
+ * Verificar los productos de una orden y calcular sus líneas
+ * La cantidad y el costo de cada línea se expresan en su unidad de compra (por defecto
+ * la unidad base del producto).
+ * @param {Object[]} productos - { product_id, cantidad, costo_unitario, unidad }
+ * @param {Object} transaction - Transacción de Sequelize
+ * @returns {Object} - { lineas, total } (lanza 404 si algún producto no existe o está inactivo
+ *   y 400 si alguno tiene variantes, es un kit o no se compra en la unidad indicada)
+ */
+const prepararLineas = async (productos, transaction) => {
+  const productIds = productos.map(item => item.product_id);
+  const products = await Product.findAll({
+    where: { id: { [Op.in]: productIds }, activo: true },
+    attributes: ['id', 'nombre', 'precio', 'atributos_variante', 'es_kit', 'unidad_base'],
+    transaction
+  });
+
+  if (products.length !== productIds.length) {
+    const foundIds = products.map(p => p.id);
+    const error = new Error(`Productos no encontrados o inactivos: ${productIds.filter(id => !foundIds.includes(id)).join(', ')}`);
+    error.status = 404;
+    throw error;
+  }
+
+  // Los productos con variantes y los kits se reponen por variante o por componente
+  const sinStockPropio = products.find(p => !p.tieneStockPropio());
+  if (sinStockPropio) {
+    const error = new Error(sinStockPropio.es_kit
+      ? `${sinStockPropio.nombre} es un kit: pida sus componentes por separado`
+      : `${sinStockPropio.nombre} tiene variantes: pida cada variante por separado`);
+    error.status = 400;
+    throw error;
+  }
+
+  const lineas = [];
+  for (const item of productos) {
+    const product = products.find(p => p.id === item.product_id);
+    const { unidad, factor } = await ProductUnit.resolver(product, item.unidad, 'compra', { transaction });
+
+    lineas.push({
+      product_id: item.product_id,
+      cantidad: item.cantidad,
+      unidad,
+      factor_unidad: factor,
+      costo_unitario: item.costo_unitario,
+      subtotal: (item.cantidad * item.costo_unitario).toFixed(2)
+    });
+  }
+
+  return {
+    lineas,
+    total: lineas.reduce((sum, linea) => sum + parseFloat(linea.subtotal), 0).toFixed(2)
+  };
+};
+
+/**
+ * Buscar y bloquear una orden verificando su estado
+ * @param {number} id - ID de la orden
+ * @param {string[]} estados - Estados en que se permite la operación
+ * @param {string} accion - Descripción de la operación para el mensaje de error
+ * @param {Object} transaction - Transacción de Sequelize
+ * @returns {SupplierOrder} - Orden bloqueada (lanza 404 o 409)
+ */
+const obtenerOrden = async (id, estados, accion, transaction) => {
+  const order = await SupplierOrder.findByPk(id, { lock: true, transaction });
+
+  if (!order) {
+    const error = new Error('Orden de compra no encontrada');
+    error.status = 404;
+    throw error;
+  }
+
+  if (!estados.includes(order.estado)) {
+    const error = new Error(`Solo se pueden ${accion} órdenes en estado ${estados.join(' o ')} (estado actual: ${order.estado})`);
+    error.status = 409;
+    throw error;
+  }
+
+  return order;
+};
+
+/**
+ * @api {get} /api/supplier-orders Listar órdenes de compra a proveedores
+ * @apiName GetSupplierOrders
+ * @apiGroup SupplierOrders
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String="borrador","enviada","parcial","recibida","cancelada"} [estado] Filtrar por estado
+ * @apiParam {Number} [supplier_id] Órdenes de un proveedor
+ * @apiParam {Number} [product_id] Órdenes que incluyen un producto
+ * @apiParam {Number} [page=1] Página
+ * @apiParam {Number} [limit=10] Órdenes por página
+ */
+router.get('/', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { estado, supplier_id, product_id } = req.query;
+    const { error, value } = queryParamsSchema.validate({ page: req.query.page, limit: req.query.limit });
+
+    if (error || (estado !== undefined && !SupplierOrder.ESTADOS.includes(estado)) ||
+        (supplier_id !== undefined && isNaN(supplier_id)) || (product_id !== undefined && isNaN(product_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de consulta inválidos',
+        errors: error ? error.details.map(detail => detail.message) : [`El estado debe ser uno de: ${SupplierOrder.ESTADOS.join(', ')} y supplier_id y product_id números`]
+      });
+    }
+
+    const { page, limit } = value;
+    const whereConditions = {};
+
+    if (estado) {
+      whereConditions.estado = estado;
+    }
+
+    if (supplier_id) {
+      whereConditions.supplier_id = parseInt(supplier_id);
+    }
+
+    if (product_id) {
+      const conProducto = await SupplierOrderDetail.findAll({
+        where: { product_id: parseInt(product_id) },
+        attributes: ['supplier_order_id']
+      });
+      whereConditions.id = { [Op.in]: conProducto.map(detalle => detalle.supplier_order_id) };
+    }
+
+    const { count, rows: orders } = await SupplierOrder.findAndCountAll({
+      where: whereConditions,
+      include: incluirDetalle(),
+      distinct: true,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: count,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener órdenes de compra:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/supplier-orders/:id Obtener orden de compra
+ * @apiName GetSupplierOrder
+ * @apiGroup SupplierOrders
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la orden
+ */
+router.get('/:id', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const order = await SupplierOrder.findByPk(req.params.id, {
+      include: incluirDetalle()
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Orden de compra no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    logger.error('Error al obtener orden de compra:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/supplier-orders Crear orden de compra
+ * @apiName CreateSupplierOrder
+ * @apiGroup SupplierOrders
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} supplier_id Proveedor
+ * @apiParam {Number} [warehouse_id] Almacén que recibe (por defecto el almacén por defecto)
+ * @apiParam {Date} [fecha_entrega_esperada] Si no se indica se calcula al enviar con los días de entrega del proveedor
+ * @apiParam {Object[]} productos Productos, cantidades y costo unitario pactado
+ * @apiParam {String} [notas] Observaciones
+ *
+ * La orden queda en borrador y puede modificarse hasta enviarla.
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = supplierOrderSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const proveedor = await Supplier.findOne({
+      where: { id: value.supplier_id, activo: true },
+      transaction
+    });
+
+    if (!proveedor) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor no encontrado o inactivo'
+      });
+    }
+
+    const almacen = await Warehouse.obtenerActivo(value.warehouse_id, { transaction });
+    const { lineas, total } = await prepararLineas(value.productos, transaction);
+
+    const order = await SupplierOrder.create({
+      supplier_id: proveedor.id,
+      warehouse_id: almacen.id,
+      fecha_entrega_esperada: value.fecha_entrega_esperada,
+      notas: value.notas,
+      total,
+      creado_por: req.user.id
+    }, { transaction });
+
+    await SupplierOrderDetail.bulkCreate(
+      lineas.map(linea => ({ ...linea, supplier_order_id: order.id })),
+      { validate: true, transaction }
+    );
+
+    await transaction.commit();
+
+    logger.info(`Orden de compra ${order.id} creada para proveedor ${proveedor.codigo} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Orden de compra creada exitosamente',
+      data: await SupplierOrder.findByPk(order.id, { include: incluirDetalle() })
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al crear orden de compra:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/supplier-orders/:id Modificar orden de compra en borrador
+ * @apiName UpdateSupplierOrder
+ * @apiGroup SupplierOrders
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la orden
+ * @apiParam {Object[]} [productos] Reemplazan a todas las líneas de la orden
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = updateSupplierOrderSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const order = await obtenerOrden(req.params.id, ['borrador'], 'modificar', transaction);
+    const { productos, ...cambios } = value;
+
+    if (cambios.supplier_id !== undefined) {
+      const proveedor = await Supplier.findOne({
+        where: { id: cambios.supplier_id, activo: true },
+        transaction
+      });
+
+      if (!proveedor) {
+        await transaction.rollback();
+        return res.status(404).json({
+          success: false,
+          message: 'Proveedor no encontrado o inactivo'
+        });
+      }
+    }
+
+    if (cambios.warehouse_id !== undefined) {
+      await Warehouse.obtenerActivo(cambios.warehouse_id, { transaction });
+    }
+
+    if (productos) {
+      const { lineas, total } = await prepararLineas(productos, transaction);
+
+      await SupplierOrderDetail.destroy({ where: { supplier_order_id: order.id }, transaction });
+      await SupplierOrderDetail.bulkCreate(
+        lineas.map(linea => ({ ...linea, supplier_order_id: order.id })),
+        { validate: true, transaction }
+      );
+      cambios.total = total;
+    }
+
+    await order.update(cambios, { transaction });
+    await transaction.commit();
+
+    logger.info(`Orden de compra ${order.id} modificada por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Orden de compra actualizada exitosamente',
+      data: await SupplierOrder.findByPk(order.id, { include: incluirDetalle() })
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al modificar orden de compra:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/supplier-orders/:id/send Enviar orden de compra
+ * @apiName SendSupplierOrder
+ * @apiGroup SupplierOrders
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la orden
+ *
+ * Marca la orden como enviada al proveedor; desde ese momento no se puede modificar
+ * y sus unidades cuentan como pedidas.
+ */
+router.post('/:id/send', authenticate, adminOnly, async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const order = await obtenerOrden(req.params.id, ['borrador'], 'enviar', transaction);
+
+    const proveedor = await Supplier.findByPk(order.supplier_id, { transaction });
+    if (!proveedor.activo) {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `El proveedor ${proveedor.nombre} está inactivo`
+      });
+    }
+
+    const fechaEnvio = new Date();
+    let fechaEsperada = order.fecha_entrega_esperada;
+
+    if (!fechaEsperada && proveedor.dias_entrega !== null) {
+      const entrega = new Date(fechaEnvio.getTime() + proveedor.dias_entrega * 24 * 60 * 60 * 1000);
+      fechaEsperada = entrega.toISOString().slice(0, 10);
+    }
+
+    await order.update({
+      estado: 'enviada',
+      enviado_por: req.user.id,
+      fecha_envio: fechaEnvio,
+      fecha_entrega_esperada: fechaEsperada
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Orden de compra ${order.id} enviada a ${proveedor.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Orden de compra enviada exitosamente',
+      data: await SupplierOrder.findByPk(order.id, { include: incluirDetalle() })
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al enviar orden de compra:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/supplier-orders/:id/receive Recibir mercadería de una orden de compra
+ * @apiName ReceiveSupplierOrder
+ * @apiGroup SupplierOrders
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la orden
+ * @apiParam {Object[]} items Productos entregados: { product_id, cantidad, costo_unitario, numero_lote,
+ *   fecha_vencimiento } (la entrega puede ser parcial). La cantidad y el costo son en la unidad de
+ *   compra de la línea; el stock, el lote y el costo promedio se registran en unidades base
+ * @apiParam {String} [notas] Observaciones de la entrega (remito, etc.)
+ *
+ * Cada producto entra como un lote nuevo en el almacén de la orden (ingreso en el kardex
+ * con documento `orden_compra`), surte primero los backorders pendientes y actualiza el
+ * costo promedio del producto con el costo facturado (por defecto el pactado). La orden
+ * queda parcial o, si ya no tiene unidades pendientes, recibida.
+ */
+router.post('/:id/receive', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = receiveSupplierOrderSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const order = await obtenerOrden(req.params.id, SupplierOrder.ABIERTAS, 'recibir', transaction);
+    const proveedor = await Supplier.findByPk(order.supplier_id, { transaction });
+    const almacen = await Warehouse.obtenerActivo(order.warehouse_id, { transaction });
+
+    const detalles = await SupplierOrderDetail.findAll({
+      where: { supplier_order_id: order.id },
+      lock: true,
+      transaction
+    });
+
+    for (const item of value.items) {
+      const detalle = detalles.find(d => d.product_id === item.product_id);
+
+      if (!detalle) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `El producto ${item.product_id} no está en la orden de compra ${order.id}`
+        });
+      }
+
+      if (item.cantidad > detalle.cantidad_pendiente) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Cantidad recibida mayor a la pendiente para el producto ${item.product_id}. Pendiente: ${detalle.cantidad_pendiente}, Recibido: ${item.cantidad}`
+        });
+      }
+    }
+
+    const products = await Product.findAll({
+      where: { id: { [Op.in]: value.items.map(item => item.product_id) } },
+      lock: true,
+      transaction
+    });
+
+    const notas = `Orden de compra ${order.id} de ${proveedor.codigo}${value.notas ? `: ${value.notas}` : ''}`.slice(0, 255);
+    const recepcion = [];
+
+    for (const item of value.items) {
+      const detalle = detalles.find(d => d.product_id === item.product_id);
+      const product = products.find(p => p.id === item.product_id);
+      const costo = parseFloat(item.costo_unitario !== undefined ? item.costo_unitario : detalle.costo_unitario);
+      // El stock y el costo se llevan en unidades base
+      const cantidadBase = item.cantidad * detalle.factor_unidad;
+      const costoBase = Math.round(costo / detalle.factor_unidad * 100) / 100;
+
+      // Sin número de lote se numera por orden: OC<orden>-<entrega>. Las entregas se
+      // cuentan en el kardex de la orden, no en los lotes: una transferencia copia el lote
+      // con el mismo número en otro almacén
+      let numeroLote = item.numero_lote;
+      if (!numeroLote) {
+        const entregas = await StockMovement.count({
+          where: { product_id: product.id, documento_tipo: 'orden_compra', documento_id: order.id },
+          transaction
+        });
+        numeroLote = `OC${order.id}-${entregas + 1}`;
+      }
+
+      // El número de lote es único en cada almacén
+      const existente = await Lot.findOne({
+        where: { product_id: product.id, warehouse_id: almacen.id, numero_lote: numeroLote },
+        transaction
+      });
+
+      if (existente) {
+        await transaction.rollback();
+        return res.status(409).json({
+          success: false,
+          message: `El lote ${numeroLote} ya fue ingresado para ${product.nombre} en ${almacen.nombre}`
+        });
+      }
+
+      const lot = await Lot.create({
+        product_id: product.id,
+        warehouse_id: almacen.id,
+        numero_lote: numeroLote,
+        cantidad_recibida: cantidadBase,
+        fecha_vencimiento: item.fecha_vencimiento,
+        costo: costoBase
+      }, { transaction });
+
+      // El costo se pondera con el stock anterior, antes de sumar las unidades
+      const costoPromedio = await product.registrarCosto(cantidadBase, costoBase, { transaction });
+
+      await product.aumentarStock(cantidadBase, {
+        documentoTipo: 'orden_compra',
+        documentoId: order.id,
+        warehouseId: almacen.id,
+        lotId: lot.id,
+        userId: req.user.id,
+        notas,
+        transaction
+      });
+
+      await detalle.update({ cantidad_recibida: detalle.cantidad_recibida + item.cantidad }, { transaction });
+
+      recepcion.push({
+        product_id: product.id,
+        cantidad: item.cantidad,
+        unidad: detalle.unidad,
+        cantidad_base: cantidadBase,
+        lot_id: lot.id,
+        numero_lote: lot.numero_lote,
+        costo_unitario: costo,
+        costo_promedio: costoPromedio,
+        cantidad_pendiente: detalle.cantidad_pendiente
+      });
+    }
+
+    const completa = detalles.every(detalle => detalle.cantidad_pendiente === 0);
+
+    await order.update({
+      estado: completa ? 'recibida' : 'parcial',
+      fecha_recepcion: completa ? new Date() : null
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Orden de compra ${order.id}: ${recepcion.length} productos recibidos en ${almacen.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: completa ? 'Orden de compra recibida completamente' : 'Entrega parcial registrada exitosamente',
+      data: {
+        order: await SupplierOrder.findByPk(order.id, { include: incluirDetalle() }),
+        recepcion
+      }
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al recibir orden de compra:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/supplier-orders/:id/cancel Cancelar orden de compra
+ * @apiName CancelSupplierOrder
+ * @apiGroup SupplierOrders
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la orden
+ *
+ * En una orden parcialmente recibida lo ya ingresado queda en stock y se anula
+ * solo lo pendiente.
+ */
+router.post('/:id/cancel', authenticate, adminOnly, async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const order = await obtenerOrden(req.params.id, ['borrador', ...SupplierOrder.ABIERTAS], 'cancelar', transaction);
+
+    await order.update({
+      estado: 'cancelada',
+      fecha_cancelacion: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Orden de compra ${order.id} cancelada por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Orden de compra cancelada exitosamente',
+      data: order
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al cancelar orden de compra:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { Product, Supplier, SupplierOrder, SupplierOrderDetail } = require('../models');
+const { supplierSchema, updateSupplierSchema } = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @api {get} /api/suppliers Listar proveedores
+ * @apiName GetSuppliers
+ * @apiGroup Suppliers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Boolean} [activo] Filtrar por estado
+ * @apiParam {String} [search] Buscar por código o nombre
+ */
+router.get('/', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { activo, search } = req.query;
+    const whereConditions = {};
+
+    if (activo !== undefined) {
+      whereConditions.activo = activo === 'true';
+    }
+
+    if (search) {
+      whereConditions[Op.or] = [
+        { codigo: { [Op.like]: `%${search}%` } },
+        { nombre: { [Op.like]: `%${search}%` } }
+      ];
+    }
+
+    const proveedores = await Supplier.findAll({
+      where: whereConditions,
+      order: [['nombre', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: proveedores
+    });
+  } catch (error) {
+    logger.error('Error al obtener proveedores:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/suppliers/open-orders Órdenes abiertas por proveedor
+ * @apiName GetSupplierOpenOrders
+ * @apiGroup Suppliers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} [supplier_id] Solo un proveedor
+ *
+ * @apiSuccess {Object} data Resumen y, por proveedor, las órdenes enviadas o parcialmente
+ *   recibidas con las unidades y el monto pendientes y las atrasadas
+ */
+router.get('/open-orders', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { supplier_id } = req.query;
+
+    if (supplier_id !== undefined && isNaN(supplier_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de proveedor inválido'
+      });
+    }
+
+    const whereConditions = { estado: { [Op.in]: SupplierOrder.ABIERTAS } };
+    if (supplier_id) {
+      whereConditions.supplier_id = parseInt(supplier_id);
+    }
+
+    const orders = await SupplierOrder.findAll({
+      where: whereConditions,
+      include: [
+        {
+          model: Supplier,
+          as: 'supplier',
+          attributes: ['id', 'codigo', 'nombre', 'contacto', 'email', 'telefono']
+        },
+        {
+          model: SupplierOrderDetail,
+          as: 'details',
+          attributes: ['product_id', 'cantidad', 'unidad', 'factor_unidad', 'cantidad_recibida', 'cantidad_pendiente', 'costo_unitario'],
+          include: [
+            {
+              model: Product,
+              as: 'product',
+              attributes: ['id', 'numero_lote', 'nombre', 'unidad_base']
+            }
+          ]
+        }
+      ],
+      order: [['fecha_entrega_esperada', 'ASC'], ['id', 'ASC']]
+    });
+
+    const hoy = new Date();
+    hoy.setHours(0, 0, 0, 0);
+
+    const porProveedor = new Map();
+
+    for (const order of orders) {
+      const pendientes = order.details.filter(detalle => detalle.cantidad_pendiente > 0);
+      const orden = {
+        id: order.id,
+        estado: order.estado,
+        fecha_envio: order.fecha_envio,
+        fecha_entrega_esperada: order.fecha_entrega_esperada,
+        atrasada: order.fecha_entrega_esperada !== null && new Date(`${order.fecha_entrega_esperada}T00:00:00`) < hoy,
+        // En unidades base: cada línea puede pedirse en otra unidad de compra
+        unidades_pendientes: pendientes.reduce((sum, detalle) => sum + detalle.cantidad_pendiente * detalle.factor_unidad, 0),
+        monto_pendiente: pendientes.reduce((sum, detalle) => sum + detalle.cantidad_pendiente * parseFloat(detalle.costo_unitario), 0),
+        productos: pendientes.map(detalle => ({
+          product_id: detalle.product_id,
+          numero_lote: detalle.product.numero_lote,
+          nombre: detalle.product.nombre,
+          cantidad: detalle.cantidad,
+          unidad: detalle.unidad,
+          cantidad_recibida: detalle.cantidad_recibida,
+          cantidad_pendiente: detalle.cantidad_pendiente
+        }))
+      };
+
+      if (!porProveedor.has(order.supplier_id)) {
+        porProveedor.set(order.supplier_id, {
+          supplier: order.supplier,
+          ordenes: 0,
+          ordenes_atrasadas: 0,
+          unidades_pendientes: 0,
+          monto_pendiente: 0,
+          proxima_entrega: null,
+          orders: []
+        });
+      }
+
+      const grupo = porProveedor.get(order.supplier_id);
+      grupo.ordenes += 1;
+      grupo.ordenes_atrasadas += orden.atrasada ? 1 : 0;
+      grupo.unidades_pendientes += orden.unidades_pendientes;
+      grupo.monto_pendiente += orden.monto_pendiente;
+      if (orden.fecha_entrega_esperada && (!grupo.proxima_entrega || orden.fecha_entrega_esperada < grupo.proxima_entrega)) {
+        grupo.proxima_entrega = orden.fecha_entrega_esperada;
+      }
+      grupo.orders.push({ ...orden, monto_pendiente: orden.monto_pendiente.toFixed(2) });
+    }
+
+    const proveedores = [...porProveedor.values()]
+      .map(grupo => ({ ...grupo, monto_pendiente: grupo.monto_pendiente.toFixed(2) }))
+      .sort((a, b) => a.supplier.nombre.localeCompare(b.supplier.nombre));
+
+    res.json({
+      success: true,
+      data: {
+        resumen: {
+          proveedores: proveedores.length,
+          ordenes: orders.length,
+          ordenes_atrasadas: proveedores.reduce((sum, grupo) => sum + grupo.ordenes_atrasadas, 0),
+          unidades_pendientes: proveedores.reduce((sum, grupo) => sum + grupo.unidades_pendientes, 0),
+          monto_pendiente: proveedores.reduce((sum, grupo) => sum + parseFloat(grupo.monto_pendiente), 0).toFixed(2)
+        },
+        proveedores
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener órdenes abiertas por proveedor:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/suppliers/:id Obtener proveedor
+ * @apiName GetSupplier
+ * @apiGroup Suppliers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del proveedor
+ */
+router.get('/:id', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const proveedor = await Supplier.findByPk(req.params.id);
+
+    if (!proveedor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: proveedor
+    });
+  } catch (error) {
+    logger.error('Error al obtener proveedor:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/suppliers Crear proveedor
+ * @apiName CreateSupplier
+ * @apiGroup Suppliers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String} codigo Código único del proveedor
+ * @apiParam {String} nombre Razón social
+ * @apiParam {String} [identificacion_fiscal] Identificación tributaria
+ * @apiParam {String} [contacto] Persona de contacto
+ * @apiParam {String} [email] Email
+ * @apiParam {String} [telefono] Teléfono
+ * @apiParam {String} [direccion] Dirección
+ * @apiParam {Number} [dias_entrega] Plazo habitual de entrega en días
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = supplierSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  try {
+    const proveedor = await Supplier.create(value);
+
+    logger.info(`Proveedor creado: ${proveedor.codigo} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Proveedor creado exitosamente',
+      data: proveedor
+    });
+  } catch (error) {
+    logger.error('Error al crear proveedor:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/suppliers/:id Actualizar proveedor
+ * @apiName UpdateSupplier
+ * @apiGroup Suppliers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del proveedor
+ * @apiParam {Boolean} [activo] Un proveedor solo se puede desactivar si no tiene órdenes en curso
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = updateSupplierSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  try {
+    const proveedor = await Supplier.findByPk(req.params.id);
+
+    if (!proveedor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Proveedor no encontrado'
+      });
+    }
+
+    if (proveedor.activo && value.activo === false) {
+      const enCurso = await SupplierOrder.count({
+        where: { supplier_id: proveedor.id, estado: { [Op.in]: ['borrador', ...SupplierOrder.ABIERTAS] } }
+      });
+
+      if (enCurso > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `El proveedor tiene ${enCurso} órdenes en curso; recíbalas o cancélelas antes de desactivarlo`
+        });
+      }
+    }
+
+    await proveedor.update(value);
+
+    logger.info(`Proveedor actualizado: ${proveedor.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Proveedor actualizado exitosamente',
+      data: proveedor
+    });
+  } catch (error) {
+    logger.error('Error al actualizar proveedor:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
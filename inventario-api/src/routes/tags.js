@@ -0,0 +1,179 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, Tag, ProductTag } = require('../models');
+const { tagSchema } = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @api {get} /api/tags Listar etiquetas
+ * @apiName GetTags
+ * @apiGroup Tags
+ * @apiHeader {String} Authorization Bearer token
+ *
+ * @apiParam {String} [search] Buscar por nombre
+ *
+ * @apiSuccess {Object[]} data Etiquetas con la cantidad de productos que las usan
+ */
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const { search } = req.query;
+    const whereConditions = {};
+
+    if (search) {
+      whereConditions.nombre = { [Op.like]: `%${Tag.normalizarNombre(search)}%` };
+    }
+
+    const [tags, usos] = await Promise.all([
+      Tag.findAll({
+        where: whereConditions,
+        attributes: ['id', 'nombre'],
+        order: [['nombre', 'ASC']]
+      }),
+      ProductTag.findAll({
+        attributes: ['tag_id', [sequelize.fn('COUNT', sequelize.col('product_id')), 'productos']],
+        group: ['tag_id'],
+        raw: true
+      })
+    ]);
+
+    const productosPorTag = new Map(usos.map(uso => [uso.tag_id, parseInt(uso.productos)]));
+
+    res.json({
+      success: true,
+      data: tags.map(tag => ({
+        id: tag.id,
+        nombre: tag.nombre,
+        productos: productosPorTag.get(tag.id) || 0
+      }))
+    });
+  } catch (error) {
+    logger.error('Error al obtener etiquetas:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/tags Crear etiqueta
+ * @apiName CreateTag
+ * @apiGroup Tags
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String} nombre Nombre (se guarda en minúsculas)
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = tagSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  try {
+    const tag = await Tag.create(value);
+
+    logger.info(`Etiqueta creada: ${tag.nombre} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Etiqueta creada exitosamente',
+      data: tag
+    });
+  } catch (error) {
+    logger.error('Error al crear etiqueta:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/tags/:id Renombrar etiqueta
+ * @apiName UpdateTag
+ * @apiGroup Tags
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la etiqueta
+ * @apiParam {String} nombre Nuevo nombre; los productos etiquetados conservan la etiqueta
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = tagSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  try {
+    const tag = await Tag.findByPk(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Etiqueta no encontrada'
+      });
+    }
+
+    await tag.update(value);
+
+    logger.info(`Etiqueta renombrada: ${tag.nombre} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Etiqueta actualizada exitosamente',
+      data: tag
+    });
+  } catch (error) {
+    logger.error('Error al actualizar etiqueta:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {delete} /api/tags/:id Eliminar etiqueta
+ * @apiName DeleteTag
+ * @apiGroup Tags
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la etiqueta; se quita de todos los productos
+ */
+router.delete('/:id', authenticate, adminOnly, async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const tag = await Tag.findByPk(req.params.id, { transaction });
+
+    if (!tag) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Etiqueta no encontrada'
+      });
+    }
+
+    const productos = await ProductTag.destroy({ where: { tag_id: tag.id }, transaction });
+    await tag.destroy({ transaction });
+
+    await transaction.commit();
+
+    logger.info(`Etiqueta eliminada: ${tag.nombre} (${productos} productos) por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Etiqueta eliminada exitosamente'
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al eliminar etiqueta:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const { sequelize, TaxCategory } = require('../models');
+const { taxCategorySchema, updateTaxCategorySchema } = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @api {get} /api/tax-categories Listar categorías de IVA
+ * @apiName GetTaxCategories
+ * @apiGroup TaxCategories
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String="gravado","tasa_cero","exento"} [tipo] Filtrar por tipo
+ */
+router.get('/', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const whereConditions = {};
+    if (req.query.tipo) {
+      whereConditions.tipo = req.query.tipo;
+    }
+
+    const categorias = await TaxCategory.findAll({
+      where: whereConditions,
+      order: [['tasa', 'DESC'], ['codigo', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: categorias
+    });
+  } catch (error) {
+    logger.error('Error al obtener categorías de IVA:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/tax-categories Crear categoría de IVA
+ * @apiName CreateTaxCategory
+ * @apiGroup TaxCategories
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String} codigo Código único de la categoría
+ * @apiParam {String} nombre Nombre descriptivo
+ * @apiParam {String="gravado","tasa_cero","exento"} [tipo=gravado] Tipo de tratamiento
+ * @apiParam {Number} [tasa=0] Porcentaje de IVA (debe ser 0 si no es gravado)
+ * @apiParam {Boolean} [por_defecto=false] Usar para los productos sin categoría
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = taxCategorySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Solo puede haber una categoría por defecto
+    if (value.por_defecto) {
+      await TaxCategory.update(
+        { por_defecto: false },
+        { where: { por_defecto: true }, transaction }
+      );
+    }
+
+    const categoria = await TaxCategory.create(value, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Categoría de IVA creada: ${categoria.codigo} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Categoría de IVA creada exitosamente',
+      data: categoria
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al crear categoría de IVA:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/tax-categories/:id Actualizar categoría de IVA
+ * @apiName UpdateTaxCategory
+ * @apiGroup TaxCategories
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la categoría
+ * @apiParam {Number} [tasa] Nueva tasa; las compras ya realizadas conservan la tasa con la que se facturaron
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = updateTaxCategorySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const categoria = await TaxCategory.findByPk(req.params.id, {
+      lock: true,
+      transaction
+    });
+
+    if (!categoria) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Categoría de IVA no encontrada'
+      });
+    }
+
+    const quedaPorDefecto = value.por_defecto !== undefined ? value.por_defecto : categoria.por_defecto;
+    const quedaActiva = value.activo !== undefined ? value.activo : categoria.activo;
+
+    if (categoria.por_defecto && (!quedaPorDefecto || !quedaActiva)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Marque otra categoría como por defecto antes de desactivar o quitar esta'
+      });
+    }
+
+    if (value.por_defecto && !categoria.por_defecto) {
+      await TaxCategory.update(
+        { por_defecto: false },
+        { where: { por_defecto: true }, transaction }
+      );
+    }
+
+    await categoria.update(value, { transaction });
+    await transaction.commit();
+
+    logger.info(`Categoría de IVA actualizada: ${categoria.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Categoría de IVA actualizada exitosamente',
+      data: categoria
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al actualizar categoría de IVA:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,482 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, User, Product, Lot, Backorder, Warehouse, WarehouseStock, Transfer, TransferDetail } = require('../models');
+const { transferSchema, queryParamsSchema } = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Relaciones que se devuelven con cada transferencia
+const incluirDetalle = () => [
+  {
+    model: Warehouse,
+    as: 'origin',
+    attributes: ['id', 'codigo', 'nombre']
+  },
+  {
+    model: Warehouse,
+    as: 'destination',
+    attributes: ['id', 'codigo', 'nombre']
+  },
+  {
+    model: TransferDetail,
+    as: 'details',
+    include: [
+      {
+        model: Product,
+        as: 'product',
+        attributes: ['id', 'numero_lote', 'nombre']
+      }
+    ]
+  },
+  {
+    model: User,
+    as: 'created_by',
+    attributes: ['id', 'nombre']
+  },
+  {
+    model: User,
+    as: 'dispatched_by',
+    attributes: ['id', 'nombre']
+  },
+  {
+    model: User,
+    as: 'received_by',
+    attributes: ['id', 'nombre']
+  }
+];
+
+/**
+ * @api {get} /api/transfers Listar transferencias entre almacenes
+ * @apiName GetTransfers
+ * @apiGroup Transfers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String="pendiente","despachada","recibida","cancelada"} [estado] Filtrar por estado
+ * @apiParam {Number} [warehouse_id] Transferencias que salen o llegan a ese almacén
+ * @apiParam {Number} [page=1] Página
+ * @apiParam {Number} [limit=10] Transferencias por página
+ */
+router.get('/', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const { estado, warehouse_id } = req.query;
+    const { error, value } = queryParamsSchema.validate({ page: req.query.page, limit: req.query.limit });
+
+    if (error || (estado !== undefined && !Transfer.ESTADOS.includes(estado)) || (warehouse_id !== undefined && isNaN(warehouse_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parámetros de consulta inválidos',
+        errors: error ? error.details.map(detail => detail.message) : [`El estado debe ser uno de: ${Transfer.ESTADOS.join(', ')} y warehouse_id un número`]
+      });
+    }
+
+    const { page, limit } = value;
+    const whereConditions = {};
+
+    if (estado) {
+      whereConditions.estado = estado;
+    }
+
+    if (warehouse_id) {
+      whereConditions[Op.or] = [
+        { origen_id: parseInt(warehouse_id) },
+        { destino_id: parseInt(warehouse_id) }
+      ];
+    }
+
+    const { count, rows: transfers } = await Transfer.findAndCountAll({
+      where: whereConditions,
+      include: incluirDetalle(),
+      distinct: true,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        transfers,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: count,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener transferencias:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/transfers/:id Obtener transferencia
+ * @apiName GetTransfer
+ * @apiGroup Transfers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la transferencia
+ */
+router.get('/:id', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const transfer = await Transfer.findByPk(req.params.id, {
+      include: incluirDetalle()
+    });
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transferencia no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    logger.error('Error al obtener transferencia:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/transfers Crear transferencia
+ * @apiName CreateTransfer
+ * @apiGroup Transfers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} origen_id Almacén del que sale la mercadería
+ * @apiParam {Number} destino_id Almacén que la recibe
+ * @apiParam {Object[]} productos Productos y cantidades a transferir, en la unidad base de cada producto
+ * @apiParam {String} [notas] Observaciones
+ *
+ * La transferencia queda pendiente; el stock no se mueve hasta despacharla.
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = transferSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const origen = await Warehouse.obtenerActivo(value.origen_id, { transaction });
+    const destino = await Warehouse.obtenerActivo(value.destino_id, { transaction });
+
+    const productIds = value.productos.map(item => item.product_id);
+    const products = await Product.findAll({
+      where: { id: { [Op.in]: productIds }, activo: true },
+      attributes: ['id'],
+      transaction
+    });
+
+    if (products.length !== productIds.length) {
+      const foundIds = products.map(p => p.id);
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: `Productos no encontrados o inactivos: ${productIds.filter(id => !foundIds.includes(id)).join(', ')}`
+      });
+    }
+
+    const transfer = await Transfer.create({
+      origen_id: origen.id,
+      destino_id: destino.id,
+      notas: value.notas,
+      creado_por: req.user.id
+    }, { transaction });
+
+    for (const item of value.productos) {
+      await TransferDetail.create({
+        transfer_id: transfer.id,
+        product_id: item.product_id,
+        cantidad: item.cantidad
+      }, { transaction });
+    }
+
+    await transaction.commit();
+
+    logger.info(`Transferencia ${transfer.id} creada de ${origen.codigo} a ${destino.codigo} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Transferencia creada exitosamente',
+      data: await Transfer.findByPk(transfer.id, { include: incluirDetalle() })
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al crear transferencia:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/transfers/:id/dispatch Despachar transferencia
+ * @apiName DispatchTransfer
+ * @apiGroup Transfers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la transferencia
+ *
+ * Descuenta las unidades del almacén de origen (movimiento de transferencia en el
+ * kardex) y de sus lotes por vencimiento (FEFO); los lotes vencidos no se transfieren.
+ * Hasta que se reciban quedan en tránsito y no están disponibles para la venta.
+ */
+router.post('/:id/dispatch', authenticate, adminOnly, async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const transfer = await Transfer.findByPk(req.params.id, {
+      lock: true,
+      transaction
+    });
+
+    if (!transfer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Transferencia no encontrada'
+      });
+    }
+
+    if (transfer.estado !== 'pendiente') {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `Solo se pueden despachar transferencias pendientes (estado actual: ${transfer.estado})`
+      });
+    }
+
+    const origen = await Warehouse.obtenerActivo(transfer.origen_id, { transaction });
+    const destino = await Warehouse.findByPk(transfer.destino_id, { transaction });
+
+    const detalles = await TransferDetail.findAll({
+      where: { transfer_id: transfer.id },
+      transaction
+    });
+
+    // Bloquear productos (FOR UPDATE): lo reservado por compras pendientes no se puede transferir
+    const products = await Product.findAll({
+      where: { id: { [Op.in]: detalles.map(detalle => detalle.product_id) } },
+      lock: true,
+      transaction
+    });
+
+    const vencidas = await Lot.unidadesVencidas(products.map(product => product.id), { almacenId: origen.id, transaction });
+
+    for (const detalle of detalles) {
+      const product = products.find(p => p.id === detalle.product_id);
+      const disponible = Math.min(
+        product.cantidad_libre,
+        await WarehouseStock.libreEn(origen.id, product.id, { transaction }) - (vencidas[product.id] || 0)
+      );
+
+      if (disponible < detalle.cantidad) {
+        await transaction.rollback();
+        return res.status(400).json({
+          success: false,
+          message: `Stock insuficiente para ${product.nombre} en ${origen.nombre}. Disponible: ${disponible}, Solicitado: ${detalle.cantidad}`
+        });
+      }
+
+      await product.moverStock(-detalle.cantidad, {
+        motivo: 'transferencia',
+        documentoTipo: 'transferencia',
+        documentoId: transfer.id,
+        warehouseId: origen.id,
+        afectaLotes: false,
+        userId: req.user.id,
+        notas: `Despacho a ${destino.nombre}`,
+        transaction
+      });
+
+      // Las unidades viajan con su lote: al recibirlas entran al mismo lote en el destino
+      const lotes = await Lot.consumir(product.id, detalle.cantidad, { almacenId: origen.id, soloVigentes: true, transaction });
+      await detalle.update({ lotes }, { transaction });
+    }
+
+    await transfer.update({
+      estado: 'despachada',
+      despachado_por: req.user.id,
+      fecha_despacho: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Transferencia ${transfer.id} despachada desde ${origen.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Transferencia despachada exitosamente',
+      data: await Transfer.findByPk(transfer.id, { include: incluirDetalle() })
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al despachar transferencia:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/transfers/:id/receive Recibir transferencia
+ * @apiName ReceiveTransfer
+ * @apiGroup Transfers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la transferencia
+ *
+ * Suma las unidades al almacén de destino, en los mismos lotes con que salieron del
+ * origen; el stock que llega surte primero los backorders pendientes de ese almacén.
+ */
+router.post('/:id/receive', authenticate, adminOnly, async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const transfer = await Transfer.findByPk(req.params.id, {
+      lock: true,
+      transaction
+    });
+
+    if (!transfer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Transferencia no encontrada'
+      });
+    }
+
+    if (transfer.estado !== 'despachada') {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `Solo se pueden recibir transferencias despachadas (estado actual: ${transfer.estado})`
+      });
+    }
+
+    const destino = await Warehouse.obtenerActivo(transfer.destino_id, { transaction });
+    const origen = await Warehouse.findByPk(transfer.origen_id, { transaction });
+
+    const detalles = await TransferDetail.findAll({
+      where: { transfer_id: transfer.id },
+      transaction
+    });
+
+    const products = await Product.findAll({
+      where: { id: { [Op.in]: detalles.map(detalle => detalle.product_id) } },
+      lock: true,
+      transaction
+    });
+
+    for (const detalle of detalles) {
+      const product = products.find(p => p.id === detalle.product_id);
+      await product.moverStock(detalle.cantidad, {
+        motivo: 'transferencia',
+        documentoTipo: 'transferencia',
+        documentoId: transfer.id,
+        warehouseId: destino.id,
+        afectaLotes: false,
+        userId: req.user.id,
+        notas: `Recepción desde ${origen.nombre}`,
+        transaction
+      });
+
+      await Lot.trasladar(detalle.lotes || [], destino.id, { transaction });
+    }
+
+    await Backorder.surtirPendientes(products.map(product => product.id), { userId: req.user.id, transaction });
+
+    await transfer.update({
+      estado: 'recibida',
+      recibido_por: req.user.id,
+      fecha_recepcion: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Transferencia ${transfer.id} recibida en ${destino.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Transferencia recibida exitosamente',
+      data: await Transfer.findByPk(transfer.id, { include: incluirDetalle() })
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al recibir transferencia:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/transfers/:id/cancel Cancelar transferencia
+ * @apiName CancelTransfer
+ * @apiGroup Transfers
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID de la transferencia
+ *
+ * Solo se pueden cancelar transferencias pendientes: una vez despachada la
+ * mercadería está en camino y debe recibirse.
+ */
+router.post('/:id/cancel', authenticate, adminOnly, async (req, res, next) => {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const transfer = await Transfer.findByPk(req.params.id, {
+      lock: true,
+      transaction
+    });
+
+    if (!transfer) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Transferencia no encontrada'
+      });
+    }
+
+    if (transfer.estado !== 'pendiente') {
+      await transaction.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `Solo se pueden cancelar transferencias pendientes (estado actual: ${transfer.estado})`
+      });
+    }
+
+    await transfer.update({ estado: 'cancelada' }, { transaction });
+    await transaction.commit();
+
+    logger.info(`Transferencia ${transfer.id} cancelada por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Transferencia cancelada exitosamente',
+      data: transfer
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al cancelar transferencia:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
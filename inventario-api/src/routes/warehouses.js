@@ -0,0 +1,235 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, Product, Warehouse, WarehouseStock } = require('../models');
+const { warehouseSchema, updateWarehouseSchema } = require('../utils/validationSchemas');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @api {get} /api/warehouses Listar almacenes
+ * @apiName GetWarehouses
+ * @apiGroup Warehouses
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Boolean} [activo] Filtrar por estado
+ */
+router.get('/', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const whereConditions = {};
+    if (req.query.activo !== undefined) {
+      whereConditions.activo = req.query.activo === 'true';
+    }
+
+    const almacenes = await Warehouse.findAll({
+      where: whereConditions,
+      order: [['por_defecto', 'DESC'], ['codigo', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: almacenes
+    });
+  } catch (error) {
+    logger.error('Error al obtener almacenes:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {get} /api/warehouses/:id/stock Stock de un almacén
+ * @apiName GetWarehouseStock
+ * @apiGroup Warehouses
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del almacén
+ *
+ * @apiSuccess {Object} data Almacén y productos con unidades en él
+ */
+router.get('/:id/stock', authenticate, adminOnly, async (req, res, next) => {
+  try {
+    const almacen = await Warehouse.findByPk(req.params.id);
+
+    if (!almacen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Almacén no encontrado'
+      });
+    }
+
+    const stock = await WarehouseStock.findAll({
+      where: { warehouse_id: almacen.id, cantidad: { [Op.gt]: 0 } },
+      attributes: ['product_id', 'cantidad', 'cantidad_reservada'],
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['id', 'numero_lote', 'nombre']
+        }
+      ],
+      order: [[{ model: Product, as: 'product' }, 'nombre', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        warehouse: almacen,
+        total_unidades: stock.reduce((sum, fila) => sum + fila.cantidad, 0),
+        productos: stock
+      }
+    });
+  } catch (error) {
+    logger.error('Error al obtener stock del almacén:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {post} /api/warehouses Crear almacén
+ * @apiName CreateWarehouse
+ * @apiGroup Warehouses
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {String} codigo Código único del almacén
+ * @apiParam {String} nombre Nombre del almacén o sucursal
+ * @apiParam {String} [direccion] Dirección
+ * @apiParam {Boolean} [por_defecto=false] Almacén del que salen las ventas que no indican otro
+ */
+router.post('/', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = warehouseSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Solo puede haber un almacén por defecto
+    if (value.por_defecto) {
+      await Warehouse.update(
+        { por_defecto: false },
+        { where: { por_defecto: true }, transaction }
+      );
+    }
+
+    const almacen = await Warehouse.create(value, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Almacén creado: ${almacen.codigo} por usuario ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Almacén creado exitosamente',
+      data: almacen
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al crear almacén:', error);
+    next(error);
+  }
+});
+
+/**
+ * @api {put} /api/warehouses/:id Actualizar almacén
+ * @apiName UpdateWarehouse
+ * @apiGroup Warehouses
+ * @apiHeader {String} Authorization Bearer token
+ * @apiPermission admin
+ *
+ * @apiParam {Number} id ID del almacén
+ * @apiParam {Boolean} [activo] Un almacén solo se puede desactivar si no tiene stock
+ */
+router.put('/:id', authenticate, adminOnly, async (req, res, next) => {
+  const { error, value } = updateWarehouseSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const almacen = await Warehouse.findByPk(req.params.id, {
+      lock: true,
+      transaction
+    });
+
+    if (!almacen) {
+      await transaction.rollback();
+      return res.status(404).json({
+        success: false,
+        message: 'Almacén no encontrado'
+      });
+    }
+
+    const quedaPorDefecto = value.por_defecto !== undefined ? value.por_defecto : almacen.por_defecto;
+    const quedaActivo = value.activo !== undefined ? value.activo : almacen.activo;
+
+    if (almacen.por_defecto && (!quedaPorDefecto || !quedaActivo)) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Marque otro almacén como por defecto antes de desactivar o quitar este'
+      });
+    }
+
+    if (value.por_defecto && !quedaActivo) {
+      await transaction.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Un almacén inactivo no puede ser el almacén por defecto'
+      });
+    }
+
+    if (almacen.activo && !quedaActivo) {
+      const unidades = await WarehouseStock.sum('cantidad', {
+        where: { warehouse_id: almacen.id },
+        transaction
+      });
+
+      if (unidades > 0) {
+        await transaction.rollback();
+        return res.status(409).json({
+          success: false,
+          message: `El almacén todavía tiene ${unidades} unidades en stock; transfiéralas antes de desactivarlo`
+        });
+      }
+    }
+
+    if (value.por_defecto && !almacen.por_defecto) {
+      await Warehouse.update(
+        { por_defecto: false },
+        { where: { por_defecto: true }, transaction }
+      );
+    }
+
+    await almacen.update(value, { transaction });
+    await transaction.commit();
+
+    logger.info(`Almacén actualizado: ${almacen.codigo} por usuario ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Almacén actualizado exitosamente',
+      data: almacen
+    });
+  } catch (error) {
+    await transaction.rollback();
+    logger.error('Error al actualizar almacén:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+const PDFDocument = require('pdfkit');
+const company = require('../config/company');
+
+const ESTADOS = {
+  pendiente: 'PENDIENTE DE CONFIRMACIÓN',
+  completada: 'COMPLETADA',
+  cancelada: 'ANULADA'
+};
+
+// Columnas de la tabla de detalle: [título, x, ancho, alineación]
+const COLUMNAS = [
+  ['Lote', 50, 60, 'left'],
+  ['Producto', 112, 168, 'left'],
+  ['Cant.', 282, 34, 'right'],
+  ['P. unitario', 318, 62, 'right'],
+  ['Desc.', 382, 50, 'right'],
+  ['IVA', 434, 36, 'right'],
+  ['Importe', 472, 73, 'right']
+];
+
+const formatoImporte = new Intl.NumberFormat('es-AR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const importe = (valor) => formatoImporte.format(parseFloat(valor) || 0);
+
+const fecha = (valor) => new Date(valor).toLocaleString('es-AR', { dateStyle: 'short', timeStyle: 'short' });
+
+// Lotes que consumió la línea; sin lotes registrados se muestra el lote del producto
+const lotes = (detalle) => {
+  const numeros = (detalle.lot_allocations || []).filter(asignacion => asignacion.lot).map(asignacion => asignacion.lot.numero_lote);
+  if (numeros.length > 0) return numeros.join(', ');
+  return detalle.product ? detalle.product.numero_lote : '-';
+};
+
+/**
+ * Dibujar una fila de la tabla de detalle
+ * @param {PDFDocument} doc - Documento
+ * @param {string[]} valores - Un valor por columna
+ * @param {number} y - Posición vertical
+ * @param {Object} opciones - { bold }
+ * @returns {number} - Alto de la fila
+ */
+const dibujarFila = (doc, valores, y, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+  const alto = Math.max(...valores.map((valor, i) => doc.heightOfString(valor, { width: COLUMNAS[i][2] })));
+
+  valores.forEach((valor, i) => {
+    const [, x, width, align] = COLUMNAS[i];
+    doc.text(valor, x, y, { width, align });
+  });
+
+  return alto;
+};
+
+/**
+ * Generar la factura en PDF de una compra
+ * Espera la compra con `user`, `seller`, `details.product`, `details.lot_allocations.lot`,
+ * `details.components.product` (contenido de los kits) y `taxes` incluidos. Los importes se imprimen en la moneda de la compra.
+ * @param {Purchase} purchase - Compra con sus asociaciones
+ * @returns {Promise<Buffer>} - Contenido del PDF
+ */
+const generarFacturaPdf = (purchase) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `Factura ${purchase.numero_factura}`,
+      Author: company.razon_social
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const moneda = purchase.moneda;
+
+  // Encabezado de la empresa
+  doc.font('Helvetica-Bold').fontSize(16).text(company.nombre, 50, 50, { width: 300 });
+  doc.font('Helvetica').fontSize(9);
+  if (company.razon_social !== company.nombre) doc.text(company.razon_social, { width: 300 });
+  if (company.cuit) doc.text(`CUIT: ${company.cuit}`, { width: 300 });
+  doc.text(company.condicion_iva, { width: 300 });
+  if (company.direccion) doc.text(company.direccion, { width: 300 });
+  if (company.telefono) doc.text(`Tel: ${company.telefono}`, { width: 300 });
+  if (company.email) doc.text(company.email, { width: 300 });
+  const finEmpresa = doc.y;
+
+  // Datos del comprobante
+  doc.font('Helvetica-Bold').fontSize(16).text('FACTURA', 350, 50, { width: 195, align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`N° ${purchase.numero_factura}`, { width: 195, align: 'right' })
+    .text(`Fecha: ${fecha(purchase.fecha_compra)}`, { width: 195, align: 'right' })
+    .text(`Moneda: ${moneda}`, { width: 195, align: 'right' });
+  if (parseFloat(purchase.tasa_cambio) !== 1) {
+    doc.text(`Tipo de cambio: ${purchase.tasa_cambio}`, { width: 195, align: 'right' });
+  }
+  doc.font('Helvetica-Bold').text(`Estado: ${ESTADOS[purchase.estado] || purchase.estado}`, { width: 195, align: 'right' });
+
+  let y = Math.max(finEmpresa, doc.y) + 15;
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+
+  // Datos del cliente
+  y += 10;
+  doc.font('Helvetica-Bold').fontSize(10).text('Cliente', 50, y);
+  doc.font('Helvetica').fontSize(9);
+  if (!purchase.user_id) {
+    doc.text('Consumidor Final');
+  } else {
+    if (purchase.user) {
+      doc.text(purchase.user.nombre).text(purchase.user.email);
+    }
+    doc.text(`N° de cliente: ${purchase.user_id}`);
+  }
+  if (purchase.seller) {
+    doc.text(`Atendido por: ${purchase.seller.nombre}`);
+  }
+
+  if (purchase.estado === 'cancelada') {
+    doc.moveDown(0.5).font('Helvetica-Bold').fillColor('#b00000')
+      .text(`Comprobante anulado${purchase.fecha_cancelacion ? ` el ${fecha(purchase.fecha_cancelacion)}` : ''}`);
+    if (purchase.motivo_cancelacion) doc.font('Helvetica').text(`Motivo: ${purchase.motivo_cancelacion}`);
+    doc.fillColor('black');
+  }
+
+  // Detalle
+  y = doc.y + 15;
+  y += dibujarFila(doc, COLUMNAS.map(([titulo]) => titulo), y, { bold: true }) + 4;
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 4;
+
+  for (const detalle of purchase.details || []) {
+    const valores = [
+      lotes(detalle),
+      // Una línea en unidad alternativa indica la presentación (ej: "paquete x12")
+      (detalle.product ? detalle.product.nombre : `Producto ${detalle.product_id}`) +
+        (detalle.factor_unidad > 1 ? ` (${detalle.unidad} x${detalle.factor_unidad})` : ''),
+      String(detalle.cantidad),
+      importe(detalle.precio_unitario),
+      parseFloat(detalle.descuento) > 0 ? `-${importe(detalle.descuento)}` : '',
+      `${parseFloat(detalle.tasa_iva)}%`,
+      importe(detalle.total_linea)
+    ];
+
+    if (y > doc.page.height - 120) {
+      doc.addPage();
+      y = 50;
+    }
+
+    y += dibujarFila(doc, valores, y) + 4;
+
+    // Contenido del kit: unidades de cada componente en toda la línea
+    if (detalle.components && detalle.components.length > 0) {
+      const contenido = detalle.components
+        .map(componente => `${detalle.cantidad * componente.cantidad} x ${componente.product ? componente.product.nombre : `Producto ${componente.product_id}`}`)
+        .join(', ');
+      doc.font('Helvetica-Oblique').fontSize(7)
+        .text(`Incluye: ${contenido}`, COLUMNAS[1][1], y, { width: COLUMNAS[1][2] });
+      y = doc.y + 4;
+    }
+
+    if (detalle.cantidad_devuelta > 0) {
+      doc.font('Helvetica-Oblique').fontSize(7)
+        .text(`Devueltas: ${detalle.cantidad_devuelta}`, COLUMNAS[1][1], y, { width: COLUMNAS[1][2] });
+      y = doc.y + 4;
+    }
+  }
+
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+
+  // Totales
+  const totales = [
+    ['Subtotal', importe((purchase.details || []).reduce((sum, d) => sum + parseFloat(d.subtotal), 0))]
+  ];
+  if (parseFloat(purchase.descuento) > 0) {
+    totales.push([`Descuento${purchase.codigo_cupon ? ` (${purchase.codigo_cupon})` : ''}`, `-${importe(purchase.descuento)}`]);
+  }
+  totales.push(['Base imponible', importe(purchase.base_imponible)]);
+  for (const impuesto of purchase.taxes || []) {
+    totales.push([`${impuesto.nombre} s/ ${importe(impuesto.base_imponible)}`, importe(impuesto.monto_iva)]);
+  }
+  totales.push([`TOTAL ${moneda}`, importe(purchase.total), true]);
+  if (parseFloat(purchase.total_devuelto) > 0) {
+    totales.push(['Devoluciones', `-${importe(purchase.total_devuelto)}`]);
+    totales.push([`TOTAL NETO ${moneda}`, importe(parseFloat(purchase.total) - parseFloat(purchase.total_devuelto)), true]);
+  }
+
+  if (y + totales.length * 14 > doc.page.height - 70) {
+    doc.addPage();
+    y = 50;
+  }
+
+  y += 10;
+  for (const [etiqueta, valor, destacado] of totales) {
+    doc.font(destacado ? 'Helvetica-Bold' : 'Helvetica').fontSize(destacado ? 10 : 9);
+    doc.text(etiqueta, 300, y, { width: 160, align: 'right' });
+    doc.text(valor, 465, y, { width: 80, align: 'right' });
+    y += 14;
+  }
+
+  doc.font('Helvetica').fontSize(7).fillColor('gray')
+    .text(`Generado el ${fecha(new Date())}`, 50, doc.page.height - 60, { width: 495, align: 'center', lineBreak: false });
+
+  doc.end();
+});
+
+module.exports = {
+  generarFacturaPdf
+};
@@ -0,0 +1,571 @@
+const { Op } = require('sequelize');
+const { User, Product, Purchase, PurchaseDetail, PurchaseTax, InvoiceSeries, Coupon, CouponProduct, CouponUsage, TaxCategory, Currency, FulfillmentEvent, Backorder, Warehouse, WarehouseStock, Lot, BundleComponent, PurchaseDetailComponent, ProductUnit } = require('../models');
+const logger = require('../utils/logger');
+
+// Minutos que se mantiene apartado el stock de una compra en modo reserva
+const RESERVATION_TTL_MINUTES = parseInt(process.env.RESERVATION_TTL_MINUTES, 10) || 15;
+
+/**
+ * Crear un error con código HTTP para que la ruta lo devuelva tal cual
+ * @param {string} message - Mensaje para el cliente
+ * @param {number} status - Código HTTP
+ * @returns {Error}
+ */
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Validar un cupón y repartir su descuento entre las líneas de la compra
+ * Bloquea el cupón (FOR UPDATE) para que dos compras simultáneas no superen
+ * el límite de usos. El descuento se reparte en centavos, en proporción al
+ * subtotal de cada línea alcanzada; los centavos del redondeo se ajustan en las
+ * líneas mayores. Deja en cada detalle su `descuento` y lanza errores con
+ * `status` si el cupón no se puede usar.
+ * Los montos del cupón están en moneda base y se convierten con `tasaCambio`.
+ * @param {Object} datos - { codigo, userId, detalles, total, tasaCambio }
+ * @param {Transaction} transaction - Transacción de Sequelize
+ * @returns {Object} - { coupon, descuento }
+ */
+const aplicarCupon = async ({ codigo, userId, detalles, total, tasaCambio = 1 }, transaction) => {
+  const coupon = await Coupon.findOne({
+    where: { codigo: codigo.trim().toUpperCase() },
+    lock: true,
+    transaction
+  });
+
+  if (!coupon) {
+    throw httpError(`El cupón ${codigo} no existe`, 404);
+  }
+
+  if (!coupon.estaVigente()) {
+    throw httpError(`El cupón ${coupon.codigo} no está vigente`, 400);
+  }
+
+  if (total * tasaCambio < parseFloat(coupon.monto_minimo)) {
+    throw httpError(`El cupón ${coupon.codigo} requiere una compra mínima de $${coupon.monto_minimo}`, 400);
+  }
+
+  if (coupon.limite_usos !== null && coupon.usos_actuales >= coupon.limite_usos) {
+    throw httpError(`El cupón ${coupon.codigo} alcanzó su límite de usos`, 400);
+  }
+
+  if (coupon.limite_usos_por_cliente !== null) {
+    // Sin cliente identificado (consumidor final) no se puede controlar el límite por cliente
+    if (!userId) {
+      throw httpError(`El cupón ${coupon.codigo} requiere un cliente identificado`, 400);
+    }
+
+    const usosCliente = await CouponUsage.count({
+      where: { coupon_id: coupon.id, user_id: userId, anulado: false },
+      transaction
+    });
+
+    if (usosCliente >= coupon.limite_usos_por_cliente) {
+      throw httpError(`Ya utilizó el cupón ${coupon.codigo} el máximo de veces permitido`, 400);
+    }
+  }
+
+  let alcanzados = detalles;
+  if (coupon.alcance === 'productos') {
+    const productosCupon = (await CouponProduct.findAll({
+      where: { coupon_id: coupon.id },
+      attributes: ['product_id'],
+      transaction
+    })).map(cp => cp.product_id);
+    alcanzados = detalles.filter(d => productosCupon.includes(d.product_id));
+  }
+
+  if (alcanzados.length === 0) {
+    throw httpError(`El cupón ${coupon.codigo} no aplica a ninguno de los productos de la compra`, 400);
+  }
+
+  const subtotales = alcanzados.map(d => Math.round(parseFloat(d.subtotal) * 100));
+  const base = subtotales.reduce((sum, subtotal) => sum + subtotal, 0);
+  const descuento = coupon.tipo === 'porcentaje'
+    ? Math.round(base * parseFloat(coupon.valor) / 100)
+    : Math.min(Math.round(parseFloat(coupon.valor) / tasaCambio * 100), base);
+
+  const partes = subtotales.map(subtotal => Math.round(descuento * subtotal / base));
+
+  // Los centavos que sobran o faltan por el redondeo se ajustan en las líneas mayores,
+  // sin dejar ninguna línea con descuento negativo ni mayor que su subtotal
+  let diferencia = descuento - partes.reduce((sum, parte) => sum + parte, 0);
+  const porSubtotal = subtotales.map((_, index) => index).sort((a, b) => subtotales[b] - subtotales[a]);
+  for (const index of porSubtotal) {
+    if (diferencia === 0) {
+      break;
+    }
+    const ajuste = diferencia > 0
+      ? Math.min(diferencia, subtotales[index] - partes[index])
+      : Math.max(diferencia, -partes[index]);
+    partes[index] += ajuste;
+    diferencia -= ajuste;
+  }
+
+  alcanzados.forEach((detalle, index) => {
+    detalle.descuento = (partes[index] / 100).toFixed(2);
+  });
+
+  return { coupon, descuento: descuento / 100 };
+};
+
+/**
+ * Calcular el IVA de cada línea y el desglose de la compra por categoría
+ * Los productos sin categoría usan la categoría por defecto. El importe de cada
+ * línea (subtotal menos descuento) se toma como precio final o como neto según
+ * `precio_incluye_iva` del producto. Deja en cada detalle sus importes de IVA.
+ * @param {Object[]} detalles - Líneas de la compra (con `product`)
+ * @param {Transaction} transaction - Transacción de Sequelize
+ * @returns {Object} - { baseImponible, totalIva, total, desglose }
+ */
+const calcularImpuestos = async (detalles, transaction) => {
+  const categoryIds = [...new Set(detalles.map(d => d.product.tax_category_id).filter(Boolean))];
+  const categorias = await TaxCategory.findAll({
+    where: {
+      [Op.or]: [
+        { id: { [Op.in]: categoryIds } },
+        { por_defecto: true, activo: true }
+      ]
+    },
+    transaction
+  });
+  const porDefecto = categorias.find(c => c.por_defecto && c.activo);
+
+  let baseImponible = 0;
+  let totalIva = 0;
+  let total = 0;
+  const desglose = {};
+
+  for (const detalle of detalles) {
+    const categoria = detalle.product.tax_category_id
+      ? categorias.find(c => c.id === detalle.product.tax_category_id)
+      : porDefecto;
+
+    if (!categoria) {
+      throw httpError(`No hay una categoría de IVA por defecto configurada para ${detalle.product.nombre}`, 409);
+    }
+
+    const importe = parseFloat(detalle.subtotal) - parseFloat(detalle.descuento);
+    const calculo = categoria.calcular(importe, detalle.product.precio_incluye_iva);
+
+    detalle.tax_category_id = categoria.id;
+    detalle.tasa_iva = categoria.tasa;
+    detalle.precio_incluye_iva = detalle.product.precio_incluye_iva;
+    detalle.base_imponible = calculo.base_imponible.toFixed(2);
+    detalle.monto_iva = calculo.monto_iva.toFixed(2);
+    detalle.total_linea = calculo.total.toFixed(2);
+
+    if (!desglose[categoria.id]) {
+      desglose[categoria.id] = {
+        tax_category_id: categoria.id,
+        nombre: categoria.nombre,
+        tipo: categoria.tipo,
+        tasa: categoria.tasa,
+        base_imponible: 0,
+        monto_iva: 0
+      };
+    }
+    desglose[categoria.id].base_imponible += calculo.base_imponible;
+    desglose[categoria.id].monto_iva += calculo.monto_iva;
+
+    baseImponible += calculo.base_imponible;
+    totalIva += calculo.monto_iva;
+    total += calculo.total;
+  }
+
+  return { baseImponible, totalIva, total, desglose: Object.values(desglose) };
+};
+
+/**
+ * Crear una compra con sus detalles dentro de la transacción recibida
+ * Bloquea los productos (FOR UPDATE), valida el stock libre, toma el número de
+ * la serie de facturas y descuenta el stock registrando el movimiento (o lo reserva
+ * en modo reserva).
+ * Si se indica un código de cupón, lo valida y registra su uso en la misma transacción.
+ * El total de la compra incluye el IVA de cada línea y se guarda su desglose por tasa.
+ * Los precios (en moneda base) se convierten a la moneda elegida con el tipo de cambio
+ * vigente, que queda guardado en la compra.
+ * En una venta de mostrador `vendedorId` es el administrador que la registra y
+ * `userId` el cliente (null para consumidor final).
+ * Con `permitirBackorder`, las unidades sin stock de los productos que permiten
+ * backorder se facturan igual y quedan pendientes de entrega (no aplica a reservas).
+ * La mercadería sale del almacén `warehouseId` (o del almacén por defecto): el stock
+ * disponible de cada producto es el menor entre su stock libre y el del almacén.
+ * Un kit se factura como una línea con su propio precio, pero bloquea y descuenta (o
+ * reserva) el stock de cada componente; su composición queda guardada en la línea.
+ * Los kits nunca quedan en backorder.
+ * Cada línea se vende en la unidad base del producto o en una de sus unidades de venta
+ * (`unidad`): el precio es el de esa unidad y el stock se descuenta en unidades base.
+ * Las líneas en una unidad alternativa tampoco quedan en backorder.
+ * Lanza errores con `status` (404 productos, cliente o almacén inexistentes, 400 stock
+ * insuficiente, producto con variantes, unidad no habilitada o cupón inválido, 409 sin categoría
+ * de IVA); quien llama es responsable de hacer commit o rollback.
+ * @param {Object} datos - { userId, vendedorId, productos: [{ product_id, cantidad, unidad }], modo, codigoCupon, moneda,
+ *   permitirBackorder, warehouseId }
+ * @param {Transaction} transaction - Transacción de Sequelize
+ * @returns {Purchase} - Compra creada (sin relaciones cargadas)
+ */
+const crearCompra = async ({ userId, vendedorId = null, productos, modo = 'inmediata', codigoCupon = null, moneda = null, permitirBackorder = false, warehouseId = null }, transaction) => {
+  const esReserva = modo === 'reserva';
+  let total = 0;
+  const detalles = [];
+
+  if (esReserva && permitirBackorder) {
+    throw httpError('Una compra en modo reserva no puede dejar unidades en backorder', 400);
+  }
+
+  logger.info(`Iniciando compra para ${userId ? `usuario ${userId}` : 'consumidor final'} con ${productos.length} productos${vendedorId ? ` (vendedor ${vendedorId})` : ''}`);
+
+  // En ventas de mostrador el cliente debe ser un cliente activo
+  if (vendedorId && userId) {
+    const cliente = await User.findOne({
+      where: { id: userId, role: 'cliente', activo: true },
+      transaction
+    });
+
+    if (!cliente) {
+      throw httpError(`Cliente no encontrado o inactivo: ${userId}`, 404);
+    }
+  }
+
+  // ============================================
+  // PASO 1: Verificar y bloquear productos (FOR UPDATE)
+  // ============================================
+  // Un producto puede repetirse en líneas con distinta unidad
+  const productIds = [...new Set(productos.map(item => item.product_id))];
+  const availableProducts = await Product.findAll({
+    where: {
+      id: { [Op.in]: productIds },
+      activo: true
+    },
+    lock: true, // FOR UPDATE - Bloquear filas para evitar race conditions
+    transaction
+  });
+
+  // Verificar que todos los productos existen
+  if (availableProducts.length !== productIds.length) {
+    const foundIds = availableProducts.map(p => p.id);
+    const missingIds = productIds.filter(id => !foundIds.includes(id));
+    throw httpError(`Productos no encontrados o inactivos: ${missingIds.join(', ')}`, 404);
+  }
+
+  // Un producto con variantes no tiene stock propio: se compra una de sus variantes
+  const conVariantes = availableProducts.find(p => p.tieneVariantes());
+  if (conVariantes) {
+    throw httpError(`${conVariantes.nombre} tiene variantes: indique la variante a comprar`, 400);
+  }
+
+  // Los kits tampoco tienen stock propio: se bloquean también sus componentes
+  const kitIds = availableProducts.filter(p => p.es_kit).map(p => p.id);
+  const componentes = kitIds.length > 0
+    ? await BundleComponent.findAll({ where: { bundle_id: { [Op.in]: kitIds } }, order: [['id', 'ASC']], transaction })
+    : [];
+  const componentIds = [...new Set(componentes.map(c => c.component_id))].filter(id => !productIds.includes(id));
+  const componentProducts = componentIds.length > 0
+    ? await Product.findAll({
+      where: { id: { [Op.in]: componentIds }, activo: true },
+      lock: true,
+      transaction
+    })
+    : [];
+
+  if (componentProducts.length !== componentIds.length) {
+    throw httpError('Un kit de la compra incluye productos inactivos', 409);
+  }
+
+  const stockProducts = [...availableProducts, ...componentProducts];
+
+  // ============================================
+  // PASO 2: Validar stock del almacén y calcular totales en la moneda de la compra
+  // ============================================
+  const almacen = await Warehouse.obtenerActivo(warehouseId, { transaction });
+  const { currency, tasa: tasaCambio } = await Currency.tasaVigente(moneda, { transaction });
+
+  // Unidades de cada producto ya tomadas por las líneas anteriores (un mismo producto
+  // puede venderse solo y dentro de un kit). El stock en lotes vencidos no se vende,
+  // ni el reservado en el almacén por otras compras pendientes
+  const comprometido = {};
+  const vencidas = await Lot.unidadesVencidas(stockProducts.map(p => p.id), { transaction });
+  const vencidasEnAlmacen = await Lot.unidadesVencidas(stockProducts.map(p => p.id), { almacenId: almacen.id, transaction });
+  const disponibleDe = async (product) => Math.min(
+    product.cantidad_libre - (vencidas[product.id] || 0),
+    await WarehouseStock.libreEn(almacen.id, product.id, { transaction }) - (vencidasEnAlmacen[product.id] || 0)
+  ) - (comprometido[product.id] || 0);
+
+  for (const item of productos) {
+    const product = availableProducts.find(p => p.id === item.product_id);
+    const { unidad, factor, precio } = await ProductUnit.resolver(product, item.unidad, 'venta', { transaction });
+
+    // Unidades que no hay y quedan pendientes de entrega
+    let cantidadBackorder = 0;
+    // Componentes del kit con sus unidades por kit
+    const componentesLinea = [];
+
+    if (product.es_kit) {
+      const bom = componentes.filter(c => c.bundle_id === product.id);
+      if (bom.length === 0) {
+        throw httpError(`El kit ${product.nombre} no tiene componentes`, 409);
+      }
+
+      for (const componente of bom) {
+        const stockProduct = stockProducts.find(p => p.id === componente.component_id);
+        const requerido = item.cantidad * factor * componente.cantidad;
+        const disponible = await disponibleDe(stockProduct);
+
+        if (disponible < requerido) {
+          throw httpError(`Stock insuficiente de ${stockProduct.nombre} para el kit ${product.nombre} en ${almacen.nombre}. Disponible: ${Math.max(disponible, 0)}, Solicitado: ${requerido}`, 400);
+        }
+
+        comprometido[stockProduct.id] = (comprometido[stockProduct.id] || 0) + requerido;
+        componentesLinea.push({ product: stockProduct, cantidad: componente.cantidad });
+      }
+    } else {
+      const disponible = await disponibleDe(product);
+      const requerido = item.cantidad * factor;
+
+      if (disponible < requerido) {
+        if (!permitirBackorder || !product.permite_backorder || factor > 1) {
+          const solicitado = factor > 1 ? `${item.cantidad} ${unidad} (${requerido} ${product.unidad_base})` : requerido;
+          throw httpError(`Stock insuficiente para ${product.nombre} en ${almacen.nombre}. Disponible: ${Math.max(disponible, 0)}, Solicitado: ${solicitado}`, 400);
+        }
+
+        cantidadBackorder = item.cantidad - Math.max(disponible, 0);
+      }
+
+      comprometido[product.id] = (comprometido[product.id] || 0) + requerido - cantidadBackorder;
+    }
+
+    const precioUnitario = Math.round(parseFloat(precio) / tasaCambio * 100) / 100;
+    const subtotal = precioUnitario * item.cantidad;
+    total += subtotal;
+
+    detalles.push({
+      product_id: product.id,
+      cantidad: item.cantidad,
+      unidad,
+      factor_unidad: factor,
+      precio_unitario: precioUnitario,
+      subtotal: subtotal.toFixed(2),
+      descuento: '0.00',
+      cantidad_backorder: cantidadBackorder,
+      componentes: componentesLinea,
+      product
+    });
+  }
+
+  // Aplicar el cupón antes de numerar la factura: si no es válido no se consume número
+  let coupon = null;
+  let descuento = 0;
+  if (codigoCupon) {
+    ({ coupon, descuento } = await aplicarCupon({ codigo: codigoCupon, userId, detalles, total, tasaCambio }, transaction));
+    logger.info(`Cupón ${coupon.codigo} aplicado: descuento $${descuento.toFixed(2)}`);
+  }
+
+  // El IVA se calcula sobre el importe ya descontado
+  const impuestos = await calcularImpuestos(detalles, transaction);
+
+  // ============================================
+  // PASO 3: Tomar el siguiente número de la serie de facturas
+  // (bloquea la serie hasta el commit: numeración correlativa sin saltos)
+  // ============================================
+  const numeroFactura = await InvoiceSeries.siguienteNumero('factura', { transaction });
+
+  logger.info(`Número de factura generado: ${numeroFactura}`);
+
+  // ============================================
+  // PASO 4: Crear la compra
+  // ============================================
+  const purchase = await Purchase.create({
+    user_id: userId,
+    vendedor_id: vendedorId,
+    warehouse_id: almacen.id,
+    total: impuestos.total.toFixed(2),
+    moneda: currency.codigo,
+    tasa_cambio: tasaCambio,
+    base_imponible: impuestos.baseImponible.toFixed(2),
+    total_iva: impuestos.totalIva.toFixed(2),
+    descuento: descuento.toFixed(2),
+    coupon_id: coupon ? coupon.id : null,
+    codigo_cupon: coupon ? coupon.codigo : null,
+    numero_factura: numeroFactura,
+    estado: esReserva ? 'pendiente' : 'completada',
+    estado_envio: esReserva ? null : 'preparando',
+    fecha_compra: new Date(),
+    reserva_expira_en: esReserva ? new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000) : null
+  }, { transaction });
+
+  logger.info(`Compra creada con ID: ${purchase.id}, Factura: ${purchase.numero_factura}`);
+
+  // ============================================
+  // PASO 5: Crear detalles y actualizar stock
+  // En modo reserva solo se aparta el stock (cantidad_reservada del producto y del
+  // almacén); las unidades
+  // en backorder no descuentan stock hasta que se surten. Cada descuento queda
+  // en el kardex del producto (en un kit, en el de cada componente)
+  // ============================================
+  for (const detalle of detalles) {
+    const purchaseDetail = await PurchaseDetail.create({
+      purchase_id: purchase.id,
+      product_id: detalle.product_id,
+      cantidad: detalle.cantidad,
+      unidad: detalle.unidad,
+      factor_unidad: detalle.factor_unidad,
+      precio_unitario: detalle.precio_unitario,
+      subtotal: detalle.subtotal,
+      descuento: detalle.descuento,
+      tax_category_id: detalle.tax_category_id,
+      tasa_iva: detalle.tasa_iva,
+      precio_incluye_iva: detalle.precio_incluye_iva,
+      base_imponible: detalle.base_imponible,
+      monto_iva: detalle.monto_iva,
+      total_linea: detalle.total_linea
+    }, { transaction });
+
+    if (detalle.cantidad_backorder > 0) {
+      await Backorder.create({
+        purchase_id: purchase.id,
+        purchase_detail_id: purchaseDetail.id,
+        product_id: detalle.product_id,
+        user_id: userId,
+        cantidad: detalle.cantidad_backorder
+      }, { transaction });
+
+      logger.info(`Backorder de ${detalle.cantidad_backorder} unidades para producto ${detalle.product_id}`);
+    }
+
+    for (const componente of detalle.componentes) {
+      await PurchaseDetailComponent.create({
+        purchase_detail_id: purchaseDetail.id,
+        product_id: componente.product.id,
+        cantidad: componente.cantidad
+      }, { transaction });
+    }
+
+    // Las cantidades de stock son en unidades base
+    const salidas = detalle.componentes.length > 0
+      ? detalle.componentes.map(componente => ({ product: componente.product, cantidad: detalle.cantidad * detalle.factor_unidad * componente.cantidad }))
+      : [{ product: detalle.product, cantidad: (detalle.cantidad - detalle.cantidad_backorder) * detalle.factor_unidad }];
+
+    for (const salida of salidas.filter(s => s.cantidad > 0)) {
+      if (esReserva) {
+        // Sobre la instancia bloqueada: la validación stockCubreReservas necesita su stock
+        await salida.product.update({
+          cantidad_reservada: salida.product.cantidad_reservada + salida.cantidad
+        }, { transaction });
+        await WarehouseStock.reservar(almacen.id, salida.product.id, salida.cantidad, { transaction });
+
+        logger.info(`Stock reservado para producto ${salida.product.id}: ${salida.product.cantidad_reservada} apartados`);
+      } else {
+        const movimiento = await salida.product.moverStock(-salida.cantidad, {
+          motivo: 'venta',
+          documentoTipo: 'compra',
+          documentoId: purchase.id,
+          warehouseId: almacen.id,
+          purchaseDetailId: purchaseDetail.id,
+          userId: vendedorId || userId,
+          transaction
+        });
+
+        logger.info(`Stock actualizado para producto ${salida.product.id}: ${movimiento.saldo} disponibles`);
+      }
+    }
+  }
+
+  for (const impuesto of impuestos.desglose) {
+    await PurchaseTax.create({
+      purchase_id: purchase.id,
+      ...impuesto,
+      base_imponible: impuesto.base_imponible.toFixed(2),
+      monto_iva: impuesto.monto_iva.toFixed(2)
+    }, { transaction });
+  }
+
+  if (coupon) {
+    await CouponUsage.create({
+      coupon_id: coupon.id,
+      purchase_id: purchase.id,
+      user_id: userId,
+      descuento: descuento.toFixed(2)
+    }, { transaction });
+
+    await coupon.update({ usos_actuales: coupon.usos_actuales + 1 }, { transaction });
+  }
+
+  // Una compra completada entra a la cola de preparación
+  if (!esReserva) {
+    await FulfillmentEvent.create({
+      purchase_id: purchase.id,
+      estado: 'preparando',
+      registrado_por: vendedorId || userId,
+      fecha: purchase.fecha_compra
+    }, { transaction });
+  }
+
+  return purchase;
+};
+
+/**
+ * Obtener una compra con sus detalles y usuario para la respuesta de creación
+ * @param {number} id - ID de la compra
+ * @returns {Purchase}
+ */
+const obtenerCompraCompleta = (id) => Purchase.findByPk(id, {
+  include: [
+    {
+      model: PurchaseTax,
+      as: 'taxes',
+      attributes: ['tax_category_id', 'nombre', 'tipo', 'tasa', 'base_imponible', 'monto_iva']
+    },
+    {
+      model: PurchaseDetail,
+      as: 'details',
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          attributes: ['id', 'nombre', 'numero_lote', 'sku', 'atributos', 'precio', 'unidad_base']
+        },
+        {
+          model: PurchaseDetailComponent,
+          as: 'components',
+          attributes: ['product_id', 'cantidad'],
+          include: [
+            {
+              model: Product,
+              as: 'product',
+              attributes: ['id', 'nombre', 'numero_lote', 'sku']
+            }
+          ]
+        }
+      ]
+    },
+    {
+      model: User,
+      as: 'user',
+      attributes: ['id', 'nombre', 'email']
+    },
+    {
+      model: User,
+      as: 'seller',
+      attributes: ['id', 'nombre', 'email']
+    },
+    {
+      model: Warehouse,
+      as: 'warehouse',
+      attributes: ['id', 'codigo', 'nombre']
+    },
+    {
+      model: Backorder,
+      as: 'backorders'
+    }
+  ]
+});
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  crearCompra,
+  obtenerCompraCompleta
+};
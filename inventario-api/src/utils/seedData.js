@@ -1,4 +1,4 @@
-const { User, Product } = require('../models');
+const { User, Product, ProductUnit, Lot, InvoiceSeries, TaxCategory, Currency, ExchangeRate, Warehouse, Category } = require('../models');
 const logger = require('./logger');
 
 /**
@@ -34,10 +34,57 @@ const seedData = async () => {
     });
     logger.info('Usuario cliente creado');
 
+    // Crear series de numeración por defecto
+    const anioActual = new Date().getFullYear();
+    await InvoiceSeries.bulkCreate([
+      { codigo: 'FAC', nombre: 'Facturas de venta', tipo: 'factura', prefijo: 'FAC', anio_actual: anioActual, por_defecto: true },
+      { codigo: 'NC', nombre: 'Notas de crédito', tipo: 'nota_credito', prefijo: 'NC', anio_actual: anioActual, por_defecto: true }
+    ]);
+    logger.info('Series de numeración creadas');
+
+    // Crear categorías de IVA (la general se aplica a los productos sin categoría)
+    await TaxCategory.bulkCreate([
+      { codigo: 'IVA21', nombre: 'IVA general 21%', tipo: 'gravado', tasa: 21, por_defecto: true },
+      { codigo: 'IVA105', nombre: 'IVA reducido 10.5%', tipo: 'gravado', tasa: 10.5 },
+      { codigo: 'CERO', nombre: 'Tasa cero', tipo: 'tasa_cero', tasa: 0 },
+      { codigo: 'EXENTO', nombre: 'Exento de IVA', tipo: 'exento', tasa: 0 }
+    ]);
+    logger.info('Categorías de IVA creadas');
+
+    // Crear monedas (la base según BASE_CURRENCY) y un tipo de cambio inicial
+    const monedaBase = await Currency.obtenerBase();
+    if (monedaBase.codigo !== 'USD') {
+      const dolar = await Currency.create({ codigo: 'USD', nombre: 'Dólar estadounidense', simbolo: 'US$' });
+      await ExchangeRate.create({ currency_id: dolar.id, tasa: 1000, registrado_por: admin.id });
+    }
+    logger.info('Monedas creadas');
+
+    // Crear el almacén por defecto, que recibe el stock inicial
+    const almacen = await Warehouse.obtenerPorDefecto();
+    await almacen.update({ nombre: 'Almacén Central' });
+    logger.info(`Almacén por defecto creado: ${almacen.codigo}`);
+
+    // Crear el árbol de categorías del catálogo
+    const categorias = {};
+    const arbol = {
+      Tecnología: ['Computadoras', 'Periféricos', 'Audio'],
+      Oficina: ['Papelería'],
+      Hogar: ['Cocina']
+    };
+    for (const [raiz, hijas] of Object.entries(arbol)) {
+      const padre = await Category.create({ nombre: raiz });
+      for (const nombre of hijas) {
+        const categoria = await Category.create({ nombre, parent_id: padre.id });
+        categorias[categoria.slug] = categoria.id;
+      }
+    }
+    logger.info('Categorías de productos creadas');
+
     // Crear productos de ejemplo
     const productos = [
       {
         numero_lote: 'TECH001',
+        categoria: 'computadoras',
         nombre: 'Laptop HP Pavilion 15.6"',
         precio: 899.99,
         cantidad_disponible: 15,
@@ -45,6 +92,7 @@ const seedData = async () => {
       },
       {
         numero_lote: 'TECH002',
+        categoria: 'perifericos',
         nombre: 'Mouse Inalámbrico Logitech',
         precio: 29.99,
         cantidad_disponible: 50,
@@ -52,6 +100,7 @@ const seedData = async () => {
       },
       {
         numero_lote: 'TECH003',
+        categoria: 'perifericos',
         nombre: 'Teclado Mecánico RGB',
         precio: 79.99,
         cantidad_disponible: 25,
@@ -59,6 +108,7 @@ const seedData = async () => {
       },
       {
         numero_lote: 'TECH004',
+        categoria: 'perifericos',
         nombre: 'Monitor LED 24" Full HD',
         precio: 189.99,
         cantidad_disponible: 12,
@@ -66,6 +116,7 @@ const seedData = async () => {
       },
       {
         numero_lote: 'TECH005',
+        categoria: 'audio',
         nombre: 'Auriculares Bluetooth',
         precio: 59.99,
         cantidad_disponible: 30,
@@ -73,6 +124,7 @@ const seedData = async () => {
       },
       {
         numero_lote: 'OFF001',
+        categoria: 'papeleria',
         nombre: 'Cuaderno Universitario A4',
         precio: 4.99,
         cantidad_disponible: 100,
@@ -80,13 +132,20 @@ const seedData = async () => {
       },
       {
         numero_lote: 'OFF002',
-        nombre: 'Bolígrafo Azul Paquete 12u',
-        precio: 8.50,
-        cantidad_disponible: 75,
-        descripcion: 'Paquete de 12 bolígrafos de tinta azul, punta media'
+        categoria: 'papeleria',
+        nombre: 'Bolígrafo Azul',
+        precio: 0.80,
+        cantidad_disponible: 900,
+        descripcion: 'Bolígrafo de tinta azul, punta media',
+        // Se vende suelto o en paquetes de 12 y se compra en cajas de 144
+        unidades: [
+          { nombre: 'paquete', factor: 12, precio: 8.50 },
+          { nombre: 'caja', factor: 144, venta: false }
+        ]
       },
       {
         numero_lote: 'HOME001',
+        categoria: 'cocina',
         nombre: 'Cafetera Express 15 Bar',
         precio: 159.99,
         cantidad_disponible: 8,
@@ -94,8 +153,24 @@ const seedData = async () => {
       }
     ];
 
-    for (const producto of productos) {
-      await Product.create(producto);
+    // El stock inicial entra como primer lote e ingreso para que el kardex cuadre desde el principio
+    for (const { cantidad_disponible, categoria, unidades = [], ...producto } of productos) {
+      const product = await Product.create({ ...producto, category_id: categorias[categoria], cantidad_disponible: 0 });
+      await ProductUnit.bulkCreate(unidades.map(unidad => ({ ...unidad, product_id: product.id })));
+      const lot = await Lot.create({
+        product_id: product.id,
+        warehouse_id: almacen.id,
+        numero_lote: product.numero_lote,
+        cantidad_recibida: cantidad_disponible
+      });
+      await product.moverStock(cantidad_disponible, {
+        motivo: 'ingreso',
+        documentoTipo: 'lote',
+        documentoId: lot.id,
+        warehouseId: almacen.id,
+        lotId: lot.id,
+        notas: 'Stock inicial'
+      });
     }
     
     logger.info(`Se crearon ${productos.length} productos de ejemplo`);
@@ -54,6 +54,88 @@ const loginSchema = Joi.object({
     })
 });
 
+// Validación para componentes de kits
+const bundleComponentItemSchema = Joi.object({
+  product_id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.integer': 'El ID del producto debe ser un número entero',
+      'number.positive': 'El ID del producto debe ser mayor a 0',
+      'any.required': 'El ID del producto es requerido'
+    }),
+  cantidad: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.min': 'La cantidad debe ser mayor a 0'
+    })
+});
+
+const bundleComponentsField = Joi.array()
+  .items(bundleComponentItemSchema)
+  .min(1)
+  .max(20)
+  .unique('product_id')
+  .messages({
+    'array.min': 'Un kit debe tener al menos un componente',
+    'array.max': 'Un kit puede tener hasta 20 componentes',
+    'array.unique': 'Un producto no puede repetirse en los componentes del kit'
+  });
+
+// Validación para unidades de medida (nombre en minúsculas: unidad, paquete, caja...)
+const unidadField = Joi.string()
+  .trim()
+  .lowercase()
+  .min(1)
+  .max(20)
+  .messages({
+    'string.empty': 'La unidad no puede estar vacía',
+    'string.max': 'La unidad no puede exceder 20 caracteres'
+  });
+
+const productUnitItemSchema = Joi.object({
+  nombre: unidadField
+    .required()
+    .messages({
+      'any.required': 'El nombre de la unidad es requerido'
+    }),
+  // Unidades base que contiene la unidad
+  factor: Joi.number()
+    .integer()
+    .min(2)
+    .required()
+    .messages({
+      'number.integer': 'El factor de conversión debe ser un número entero',
+      'number.min': 'El factor de conversión debe ser mayor a 1',
+      'any.required': 'El factor de conversión es requerido'
+    }),
+  // Precio propio de la unidad (por defecto precio base × factor)
+  precio: Joi.number()
+    .positive()
+    .precision(2)
+    .allow(null)
+    .messages({
+      'number.positive': 'El precio debe ser mayor a 0'
+    }),
+  venta: Joi.boolean()
+    .default(true),
+  compra: Joi.boolean()
+    .default(true)
+});
+
+const productUnitsField = Joi.array()
+  .items(productUnitItemSchema)
+  .max(10)
+  .unique('nombre')
+  .messages({
+    'array.max': 'Un producto puede tener hasta 10 unidades alternativas',
+    'array.unique': 'Las unidades no pueden repetirse'
+  });
+
 // Validación para productos
 const productSchema = Joi.object({
   numero_lote: Joi.string()
@@ -94,6 +176,267 @@ const productSchema = Joi.object({
     .allow('')
     .messages({
       'string.max': 'La descripción no puede exceder 1000 caracteres'
+    }),
+  tax_category_id: Joi.number()
+    .integer()
+    .positive()
+    .allow(null),
+  category_id: Joi.number()
+    .integer()
+    .positive()
+    .allow(null),
+  sku: Joi.string()
+    .trim()
+    .max(50)
+    .messages({
+      'string.max': 'El SKU no puede exceder 50 caracteres'
+    }),
+  // Atributos que distinguen a las variantes; el producto no tiene stock propio
+  atributos_variante: Joi.array()
+    .items(Joi.string().trim().lowercase().min(1).max(30))
+    .min(1)
+    .max(5)
+    .unique()
+    .allow(null)
+    .messages({
+      'array.min': 'Indique al menos un atributo de variante',
+      'array.max': 'Un producto puede tener hasta 5 atributos de variante',
+      'array.unique': 'Los atributos de variante no pueden repetirse'
+    }),
+  // Crea el producto como kit: sin stock propio, vende el stock de sus componentes
+  componentes: bundleComponentsField,
+  // Unidad en que se lleva el stock y se expresa el precio
+  unidad_base: unidadField
+    .default('unidad'),
+  // Presentaciones de venta y de compra con su factor de conversión a la unidad base
+  unidades: productUnitsField,
+  // Etiquetas libres; las que no existen se crean
+  tags: Joi.array()
+    .items(Joi.string().trim().min(1).max(50))
+    .max(20)
+    .messages({
+      'array.max': 'Un producto puede tener hasta 20 etiquetas',
+      'string.max': 'Cada etiqueta puede tener hasta 50 caracteres'
+    }),
+  precio_incluye_iva: Joi.boolean()
+    .default(true),
+  permite_backorder: Joi.boolean()
+    .default(false),
+  stock_minimo: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'El stock mínimo debe ser un número entero',
+      'number.min': 'El stock mínimo no puede ser negativo'
+    }),
+  punto_reorden: Joi.number()
+    .integer()
+    .min(Joi.ref('stock_minimo'))
+    .default(10)
+    .messages({
+      'number.integer': 'El punto de reorden debe ser un número entero',
+      'number.min': 'El punto de reorden no puede ser menor al stock mínimo'
+    }),
+  cantidad_reorden: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'La cantidad de reorden debe ser un número entero',
+      'number.min': 'La cantidad de reorden no puede ser negativa'
+    }),
+  // Almacén donde entra el stock inicial (por defecto el almacén por defecto)
+  warehouse_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.integer': 'El ID del almacén debe ser un número entero',
+      'number.positive': 'El ID del almacén debe ser mayor a 0'
+    }),
+  // Datos del lote del stock inicial
+  fecha_vencimiento: Joi.date()
+    .allow(null),
+  costo: Joi.number()
+    .min(0)
+    .precision(2)
+    .messages({
+      'number.min': 'El costo no puede ser negativo'
+    })
+}).oxor('componentes', 'atributos_variante').messages({
+  'object.oxor': 'Un kit no puede tener atributos de variante'
+});
+
+// Validación para reemplazar los componentes de un kit
+const bundleComponentsSchema = Joi.object({
+  componentes: bundleComponentsField
+    .required()
+    .messages({
+      'any.required': 'Los componentes son requeridos'
+    })
+});
+
+// Validación para reemplazar las unidades de un producto
+const productUnitsSchema = Joi.object({
+  unidad_base: unidadField,
+  unidades: productUnitsField
+    .required()
+    .messages({
+      'any.required': 'Las unidades son requeridas'
+    })
+});
+
+// Validación para cambios de precio programados
+const scheduledPriceSchema = Joi.object({
+  precio: Joi.number()
+    .positive()
+    .precision(2)
+    .required()
+    .messages({
+      'number.positive': 'El precio debe ser mayor a 0',
+      'any.required': 'El precio es requerido'
+    }),
+  fecha_inicio: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.format': 'La fecha de inicio debe tener formato ISO',
+      'any.required': 'La fecha de inicio es requerida'
+    }),
+  fecha_fin: Joi.date()
+    .iso()
+    .allow(null)
+    .greater(Joi.ref('fecha_inicio'))
+    .messages({
+      'date.format': 'La fecha de fin debe tener formato ISO',
+      'date.greater': 'La fecha de fin debe ser posterior a la fecha de inicio'
+    }),
+  notas: Joi.string()
+    .max(255)
+    .allow('', null)
+    .messages({
+      'string.max': 'Las notas no pueden exceder 255 caracteres'
+    })
+});
+
+// Validación para ingreso de lotes
+const lotSchema = Joi.object({
+  numero_lote: Joi.string()
+    .trim()
+    .max(50)
+    .required()
+    .messages({
+      'string.max': 'El número de lote no puede exceder 50 caracteres',
+      'any.required': 'El número de lote es requerido'
+    }),
+  cantidad: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.min': 'La cantidad debe ser mayor a 0',
+      'any.required': 'La cantidad es requerida'
+    }),
+  fecha_vencimiento: Joi.date()
+    .allow(null),
+  costo: Joi.number()
+    .min(0)
+    .precision(2)
+    .messages({
+      'number.min': 'El costo no puede ser negativo'
+    }),
+  fecha_ingreso: Joi.date()
+    .default(Date.now),
+  warehouse_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.integer': 'El ID del almacén debe ser un número entero',
+      'number.positive': 'El ID del almacén debe ser mayor a 0'
+    })
+});
+
+// Validación para variantes de producto
+const variantSchema = Joi.object({
+  sku: Joi.string()
+    .trim()
+    .max(50)
+    .required()
+    .messages({
+      'string.max': 'El SKU no puede exceder 50 caracteres',
+      'any.required': 'El SKU de la variante es requerido'
+    }),
+  // Valor de cada atributo de variante del producto padre (ej: { talla: 'M', color: 'Rojo' })
+  atributos: Joi.object()
+    .pattern(Joi.string().trim().min(1).max(30), Joi.string().trim().min(1).max(50))
+    .min(1)
+    .required()
+    .messages({
+      'object.min': 'Indique el valor de cada atributo de la variante',
+      'any.required': 'Los atributos de la variante son requeridos'
+    }),
+  // Número de lote del producto (por defecto el SKU)
+  numero_lote: Joi.string()
+    .trim()
+    .max(50)
+    .messages({
+      'string.max': 'El número de lote no puede exceder 50 caracteres'
+    }),
+  // Sin precio la variante sigue al precio del producto padre
+  precio: Joi.number()
+    .positive()
+    .precision(2)
+    .messages({
+      'number.positive': 'El precio debe ser mayor a 0'
+    }),
+  cantidad_disponible: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.min': 'La cantidad no puede ser negativa'
+    }),
+  stock_minimo: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'El stock mínimo debe ser un número entero',
+      'number.min': 'El stock mínimo no puede ser negativo'
+    }),
+  punto_reorden: Joi.number()
+    .integer()
+    .min(Joi.ref('stock_minimo'))
+    .default(10)
+    .messages({
+      'number.integer': 'El punto de reorden debe ser un número entero',
+      'number.min': 'El punto de reorden no puede ser menor al stock mínimo'
+    }),
+  cantidad_reorden: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.integer': 'La cantidad de reorden debe ser un número entero',
+      'number.min': 'La cantidad de reorden no puede ser negativa'
+    }),
+  // Almacén y lote del stock inicial
+  warehouse_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.integer': 'El ID del almacén debe ser un número entero',
+      'number.positive': 'El ID del almacén debe ser mayor a 0'
+    }),
+  fecha_vencimiento: Joi.date()
+    .allow(null),
+  costo: Joi.number()
+    .min(0)
+    .precision(2)
+    .messages({
+      'number.min': 'El costo no puede ser negativo'
     })
 });
 
@@ -107,9 +450,11 @@ const updateProductSchema = Joi.object({
       'string.min': 'El nombre debe tener al menos 2 caracteres',
       'string.max': 'El nombre no puede exceder 200 caracteres'
     }),
+  // En una variante, null vuelve al precio del producto padre
   precio: Joi.number()
     .positive()
     .precision(2)
+    .allow(null)
     .messages({
       'number.positive': 'El precio debe ser mayor a 0'
     }),
@@ -127,7 +472,81 @@ const updateProductSchema = Joi.object({
     .messages({
       'string.max': 'La descripción no puede exceder 1000 caracteres'
     }),
-  activo: Joi.boolean()
+  tax_category_id: Joi.number()
+    .integer()
+    .positive()
+    .allow(null),
+  category_id: Joi.number()
+    .integer()
+    .positive()
+    .allow(null),
+  sku: Joi.string()
+    .trim()
+    .max(50)
+    .allow(null)
+    .messages({
+      'string.max': 'El SKU no puede exceder 50 caracteres'
+    }),
+  // Atributos que distinguen a las variantes; el producto no tiene stock propio
+  atributos_variante: Joi.array()
+    .items(Joi.string().trim().lowercase().min(1).max(30))
+    .min(1)
+    .max(5)
+    .unique()
+    .allow(null)
+    .messages({
+      'array.min': 'Indique al menos un atributo de variante',
+      'array.max': 'Un producto puede tener hasta 5 atributos de variante',
+      'array.unique': 'Los atributos de variante no pueden repetirse'
+    }),
+  // Valor de cada atributo de variante del producto padre (ej: { talla: 'M', color: 'Rojo' })
+  atributos: Joi.object()
+    .pattern(Joi.string().trim().min(1).max(30), Joi.string().trim().min(1).max(50))
+    .min(1)
+    .messages({
+      'object.min': 'Indique el valor de cada atributo de la variante'
+    }),
+  // Reemplazan a las etiquetas del producto
+  tags: Joi.array()
+    .items(Joi.string().trim().min(1).max(50))
+    .max(20)
+    .messages({
+      'array.max': 'Un producto puede tener hasta 20 etiquetas',
+      'string.max': 'Cada etiqueta puede tener hasta 50 caracteres'
+    }),
+  precio_incluye_iva: Joi.boolean(),
+  permite_backorder: Joi.boolean(),
+  stock_minimo: Joi.number()
+    .integer()
+    .min(0)
+    .messages({
+      'number.integer': 'El stock mínimo debe ser un número entero',
+      'number.min': 'El stock mínimo no puede ser negativo'
+    }),
+  // Contra el stock mínimo guardado se valida en el modelo
+  punto_reorden: Joi.number()
+    .integer()
+    .min(0)
+    .messages({
+      'number.integer': 'El punto de reorden debe ser un número entero',
+      'number.min': 'El punto de reorden no puede ser negativo'
+    }),
+  cantidad_reorden: Joi.number()
+    .integer()
+    .min(0)
+    .messages({
+      'number.integer': 'La cantidad de reorden debe ser un número entero',
+      'number.min': 'La cantidad de reorden no puede ser negativa'
+    }),
+  activo: Joi.boolean(),
+  // Almacén donde se aplica el ajuste de cantidad_disponible
+  warehouse_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.integer': 'El ID del almacén debe ser un número entero',
+      'number.positive': 'El ID del almacén debe ser mayor a 0'
+    })
 });
 
 // Validación para items de compra
@@ -149,7 +568,9 @@ const purchaseItemSchema = Joi.object({
       'number.integer': 'La cantidad debe ser un número entero',
       'number.min': 'La cantidad debe ser mayor a 0',
       'any.required': 'La cantidad es requerida'
-    })
+    }),
+  // Unidad de venta (por defecto la unidad base del producto)
+  unidad: unidadField
 });
 
 // Validación para compras
@@ -161,9 +582,1078 @@ const purchaseSchema = Joi.object({
     .messages({
       'array.min': 'Debe incluir al menos un producto',
       'any.required': 'Los productos son requeridos'
+    }),
+  modo: Joi.string()
+    .valid('inmediata', 'reserva')
+    .default('inmediata')
+    .messages({
+      'any.only': 'El modo debe ser inmediata o reserva'
+    }),
+  codigo_cupon: Joi.string()
+    .trim()
+    .uppercase()
+    .max(30)
+    .messages({
+      'string.max': 'El código de cupón no puede exceder 30 caracteres'
+    }),
+  moneda: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/)
+    .messages({
+      'string.pattern.base': 'La moneda debe ser un código ISO de 3 letras (ej: USD)'
+    }),
+  // Dejar en backorder las unidades sin stock de los productos que lo permiten
+  permitir_backorder: Joi.boolean()
+    .default(false),
+  // Almacén del que sale la mercadería (por defecto el almacén por defecto)
+  warehouse_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.integer': 'El ID del almacén debe ser un número entero',
+      'number.positive': 'El ID del almacén debe ser mayor a 0'
+    }),
+  // Venta en mostrador (solo administradores): cliente registrado o consumidor final
+  user_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.integer': 'El ID del cliente debe ser un número entero',
+      'number.positive': 'El ID del cliente debe ser mayor a 0'
+    }),
+  consumidor_final: Joi.boolean()
+}).oxor('user_id', 'consumidor_final').messages({
+  'object.oxor': 'Indique user_id o consumidor_final, no ambos'
+});
+
+// Validación para cancelación de compras
+const cancelPurchaseSchema = Joi.object({
+  motivo: Joi.string()
+    .trim()
+    .min(3)
+    .max(500)
+    .required()
+    .messages({
+      'string.min': 'El motivo debe tener al menos 3 caracteres',
+      'string.max': 'El motivo no puede exceder 500 caracteres',
+      'any.required': 'El motivo de cancelación es requerido'
+    })
+});
+
+// Validación para líneas devueltas de una compra
+const returnItemSchema = Joi.object({
+  purchase_detail_id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.integer': 'El ID del detalle debe ser un número entero',
+      'number.positive': 'El ID del detalle debe ser mayor a 0',
+      'any.required': 'El ID del detalle de compra es requerido'
+    }),
+  cantidad: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.min': 'La cantidad debe ser mayor a 0',
+      'any.required': 'La cantidad es requerida'
     })
 });
 
+// Validación para devoluciones
+const returnSchema = Joi.object({
+  items: Joi.array()
+    .items(returnItemSchema)
+    .min(1)
+    .unique('purchase_detail_id')
+    .required()
+    .messages({
+      'array.min': 'Debe incluir al menos una línea a devolver',
+      'array.unique': 'Cada detalle de compra solo puede aparecer una vez',
+      'any.required': 'Las líneas a devolver son requeridas'
+    }),
+  motivo: Joi.string()
+    .trim()
+    .min(3)
+    .max(500)
+    .required()
+    .messages({
+      'string.min': 'El motivo debe tener al menos 3 caracteres',
+      'string.max': 'El motivo no puede exceder 500 caracteres',
+      'any.required': 'El motivo de la devolución es requerido'
+    }),
+  reintegrar_stock: Joi.boolean()
+    .default(true)
+});
+
+// Validación para cambios de estado de envío
+const fulfillmentSchema = Joi.object({
+  estado: Joi.string()
+    .valid('preparando', 'embalado', 'enviado', 'entregado', 'devuelto')
+    .required()
+    .messages({
+      'any.only': 'El estado debe ser preparando, embalado, enviado, entregado o devuelto',
+      'any.required': 'El estado de envío es requerido'
+    }),
+  transportista: Joi.string()
+    .trim()
+    .max(100)
+    .messages({
+      'string.max': 'El transportista no puede exceder 100 caracteres'
+    }),
+  numero_seguimiento: Joi.string()
+    .trim()
+    .max(100)
+    .messages({
+      'string.max': 'El número de seguimiento no puede exceder 100 caracteres'
+    }),
+  notas: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .messages({
+      'string.max': 'Las notas no pueden exceder 500 caracteres'
+    })
+});
+
+// Validación para pagos de compras (monto negativo = reintegro)
+const paymentSchema = Joi.object({
+  metodo: Joi.string()
+    .valid('efectivo', 'tarjeta', 'transferencia', 'credito_tienda')
+    .required()
+    .messages({
+      'any.only': 'El método debe ser efectivo, tarjeta, transferencia o credito_tienda',
+      'any.required': 'El método de pago es requerido'
+    }),
+  monto: Joi.number()
+    .precision(2)
+    .invalid(0)
+    .required()
+    .messages({
+      'number.base': 'El monto debe ser un número válido',
+      'any.invalid': 'El monto no puede ser 0',
+      'any.required': 'El monto es requerido'
+    }),
+  referencia: Joi.string()
+    .trim()
+    .max(100)
+    .allow('', null)
+    .messages({
+      'string.max': 'La referencia no puede exceder 100 caracteres'
+    }),
+  fecha_pago: Joi.date()
+    .max('now')
+    .messages({
+      'date.base': 'La fecha de pago debe ser una fecha válida',
+      'date.max': 'La fecha de pago no puede ser futura'
+    })
+});
+
+// Validación para series de numeración
+const invoiceSeriesSchema = Joi.object({
+  codigo: Joi.string()
+    .max(20)
+    .required()
+    .messages({
+      'string.max': 'El código no puede exceder 20 caracteres',
+      'any.required': 'El código de la serie es requerido'
+    }),
+  nombre: Joi.string()
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'El nombre no puede exceder 100 caracteres',
+      'any.required': 'El nombre de la serie es requerido'
+    }),
+  tipo: Joi.string()
+    .valid('factura', 'nota_credito')
+    .required()
+    .messages({
+      'any.only': 'El tipo debe ser factura o nota_credito',
+      'any.required': 'El tipo de documento es requerido'
+    }),
+  prefijo: Joi.string()
+    .pattern(/^[A-Za-z0-9]+$/)
+    .max(10)
+    .required()
+    .messages({
+      'string.pattern.base': 'El prefijo solo puede contener letras y números',
+      'string.max': 'El prefijo no puede exceder 10 caracteres',
+      'any.required': 'El prefijo es requerido'
+    }),
+  reinicio_anual: Joi.boolean()
+    .default(true),
+  digitos: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .default(6)
+    .messages({
+      'number.min': 'La cantidad de dígitos debe ser al menos 1',
+      'number.max': 'La cantidad de dígitos no puede exceder 10'
+    }),
+  ultimo_numero: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.min': 'El contador inicial no puede ser negativo'
+    }),
+  por_defecto: Joi.boolean()
+    .default(false)
+});
+
+// Validación para actualización de series de numeración
+const updateInvoiceSeriesSchema = Joi.object({
+  nombre: Joi.string()
+    .max(100)
+    .messages({
+      'string.max': 'El nombre no puede exceder 100 caracteres'
+    }),
+  prefijo: Joi.string()
+    .pattern(/^[A-Za-z0-9]+$/)
+    .max(10)
+    .messages({
+      'string.pattern.base': 'El prefijo solo puede contener letras y números',
+      'string.max': 'El prefijo no puede exceder 10 caracteres'
+    }),
+  reinicio_anual: Joi.boolean(),
+  digitos: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .messages({
+      'number.min': 'La cantidad de dígitos debe ser al menos 1',
+      'number.max': 'La cantidad de dígitos no puede exceder 10'
+    }),
+  ultimo_numero: Joi.number()
+    .integer()
+    .min(0)
+    .messages({
+      'number.min': 'El contador no puede ser negativo'
+    }),
+  por_defecto: Joi.boolean(),
+  activo: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'Debe indicar al menos un campo a actualizar'
+});
+
+// Validación para agregar productos al carrito
+const cartItemSchema = purchaseItemSchema;
+
+// Validación para cambiar la cantidad de un ítem del carrito
+const updateCartItemSchema = Joi.object({
+  cantidad: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.min': 'La cantidad debe ser mayor a 0',
+      'any.required': 'La cantidad es requerida'
+    })
+});
+
+// Validación para convertir el carrito en compra
+const cartCheckoutSchema = Joi.object({
+  modo: Joi.string()
+    .valid('inmediata', 'reserva')
+    .default('inmediata')
+    .messages({
+      'any.only': 'El modo debe ser inmediata o reserva'
+    }),
+  aceptar_cambios_precio: Joi.boolean()
+    .default(false),
+  permitir_backorder: Joi.boolean()
+    .default(false),
+  warehouse_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.integer': 'El ID del almacén debe ser un número entero',
+      'number.positive': 'El ID del almacén debe ser mayor a 0'
+    }),
+  codigo_cupon: Joi.string()
+    .trim()
+    .uppercase()
+    .max(30)
+    .messages({
+      'string.max': 'El código de cupón no puede exceder 30 caracteres'
+    }),
+  moneda: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/)
+    .messages({
+      'string.pattern.base': 'La moneda debe ser un código ISO de 3 letras (ej: USD)'
+    })
+});
+
+// Validación para almacenes
+const warehouseSchema = Joi.object({
+  codigo: Joi.string()
+    .trim()
+    .uppercase()
+    .max(20)
+    .required()
+    .messages({
+      'string.max': 'El código no puede exceder 20 caracteres',
+      'any.required': 'El código del almacén es requerido'
+    }),
+  nombre: Joi.string()
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'El nombre no puede exceder 100 caracteres',
+      'any.required': 'El nombre del almacén es requerido'
+    }),
+  direccion: Joi.string()
+    .max(255)
+    .allow('', null)
+    .messages({
+      'string.max': 'La dirección no puede exceder 255 caracteres'
+    }),
+  por_defecto: Joi.boolean()
+    .default(false)
+});
+
+// Validación para actualización de almacenes
+const updateWarehouseSchema = Joi.object({
+  nombre: Joi.string()
+    .max(100)
+    .messages({
+      'string.max': 'El nombre no puede exceder 100 caracteres'
+    }),
+  direccion: Joi.string()
+    .max(255)
+    .allow('', null)
+    .messages({
+      'string.max': 'La dirección no puede exceder 255 caracteres'
+    }),
+  por_defecto: Joi.boolean(),
+  activo: Joi.boolean()
+});
+
+// Validación para items de transferencia (siempre en la unidad base del producto)
+const transferItemSchema = Joi.object({
+  product_id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.integer': 'El ID del producto debe ser un número entero',
+      'number.positive': 'El ID del producto debe ser mayor a 0',
+      'any.required': 'El ID del producto es requerido'
+    }),
+  cantidad: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.min': 'La cantidad debe ser mayor a 0',
+      'any.required': 'La cantidad es requerida'
+    })
+}).messages({
+  'object.unknown': 'Las transferencias se hacen en la unidad base del producto: {#label} no está permitido'
+});
+
+// Validación para transferencias entre almacenes
+const transferSchema = Joi.object({
+  origen_id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'any.required': 'El almacén de origen es requerido'
+    }),
+  destino_id: Joi.number()
+    .integer()
+    .positive()
+    .invalid(Joi.ref('origen_id'))
+    .required()
+    .messages({
+      'any.invalid': 'El almacén de destino debe ser distinto al de origen',
+      'any.required': 'El almacén de destino es requerido'
+    }),
+  productos: Joi.array()
+    .items(transferItemSchema)
+    .min(1)
+    .unique('product_id')
+    .required()
+    .messages({
+      'array.min': 'Debe incluir al menos un producto',
+      'array.unique': 'Cada producto debe aparecer una sola vez',
+      'any.required': 'Los productos son requeridos'
+    }),
+  notas: Joi.string()
+    .max(1000)
+    .allow('')
+    .messages({
+      'string.max': 'Las notas no pueden exceder 1000 caracteres'
+    })
+});
+
+// Validación para abrir una sesión de conteo de inventario
+const inventoryCountSchema = Joi.object({
+  warehouse_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.integer': 'El ID del almacén debe ser un número entero',
+      'number.positive': 'El ID del almacén debe ser mayor a 0'
+    }),
+  // Tomar las cantidades esperadas al abrir la sesión
+  congelar: Joi.boolean()
+    .default(false),
+  notas: Joi.string()
+    .max(1000)
+    .allow('')
+    .messages({
+      'string.max': 'Las notas no pueden exceder 1000 caracteres'
+    })
+});
+
+// Validación para cargar cantidades contadas
+const inventoryCountEntriesSchema = Joi.object({
+  items: Joi.array()
+    .items(Joi.object({
+      product_id: Joi.number()
+        .integer()
+        .positive()
+        .required()
+        .messages({
+          'any.required': 'El ID del producto es requerido'
+        }),
+      cantidad: Joi.number()
+        .integer()
+        .min(0)
+        .required()
+        .messages({
+          'number.integer': 'La cantidad debe ser un número entero',
+          'number.min': 'La cantidad no puede ser negativa',
+          'any.required': 'La cantidad es requerida'
+        })
+    }))
+    .min(1)
+    .unique('product_id')
+    .required()
+    .messages({
+      'array.min': 'Debe incluir al menos un producto',
+      'array.unique': 'Cada producto debe aparecer una sola vez',
+      'any.required': 'Los productos contados son requeridos'
+    }),
+  // Reemplazar lo contado antes en vez de sumarlo (recuento)
+  reemplazar: Joi.boolean()
+    .default(false)
+});
+
+// Validación para categorías de productos
+const categorySchema = Joi.object({
+  nombre: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'El nombre no puede exceder 100 caracteres',
+      'any.required': 'El nombre de la categoría es requerido'
+    }),
+  slug: Joi.string()
+    .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .max(120)
+    .messages({
+      'string.pattern.base': 'El identificador solo puede tener minúsculas, números y guiones'
+    }),
+  parent_id: Joi.number()
+    .integer()
+    .positive()
+    .allow(null),
+  descripcion: Joi.string()
+    .max(1000)
+    .allow('', null)
+    .messages({
+      'string.max': 'La descripción no puede exceder 1000 caracteres'
+    })
+});
+
+// Validación para actualización de categorías de productos
+const updateCategorySchema = Joi.object({
+  nombre: Joi.string()
+    .trim()
+    .max(100)
+    .messages({
+      'string.max': 'El nombre no puede exceder 100 caracteres'
+    }),
+  slug: Joi.string()
+    .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .max(120)
+    .messages({
+      'string.pattern.base': 'El identificador solo puede tener minúsculas, números y guiones'
+    }),
+  parent_id: Joi.number()
+    .integer()
+    .positive()
+    .allow(null),
+  descripcion: Joi.string()
+    .max(1000)
+    .allow('', null)
+    .messages({
+      'string.max': 'La descripción no puede exceder 1000 caracteres'
+    }),
+  activo: Joi.boolean()
+});
+
+// Validación para etiquetas
+const tagSchema = Joi.object({
+  nombre: Joi.string()
+    .trim()
+    .min(1)
+    .max(50)
+    .required()
+    .messages({
+      'string.max': 'La etiqueta puede tener hasta 50 caracteres',
+      'any.required': 'El nombre de la etiqueta es requerido'
+    })
+});
+
+// Validación para proveedores
+const supplierSchema = Joi.object({
+  codigo: Joi.string()
+    .trim()
+    .uppercase()
+    .max(20)
+    .required()
+    .messages({
+      'string.max': 'El código no puede exceder 20 caracteres',
+      'any.required': 'El código del proveedor es requerido'
+    }),
+  nombre: Joi.string()
+    .max(200)
+    .required()
+    .messages({
+      'string.max': 'El nombre no puede exceder 200 caracteres',
+      'any.required': 'El nombre del proveedor es requerido'
+    }),
+  identificacion_fiscal: Joi.string()
+    .max(30)
+    .allow('', null),
+  contacto: Joi.string()
+    .max(100)
+    .allow('', null),
+  email: Joi.string()
+    .email()
+    .allow(null)
+    .messages({
+      'string.email': 'Debe proporcionar un email válido'
+    }),
+  telefono: Joi.string()
+    .max(30)
+    .allow('', null),
+  direccion: Joi.string()
+    .max(255)
+    .allow('', null)
+    .messages({
+      'string.max': 'La dirección no puede exceder 255 caracteres'
+    }),
+  dias_entrega: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .messages({
+      'number.min': 'Los días de entrega no pueden ser negativos'
+    })
+});
+
+// Validación para actualización de proveedores
+const updateSupplierSchema = Joi.object({
+  nombre: Joi.string()
+    .max(200)
+    .messages({
+      'string.max': 'El nombre no puede exceder 200 caracteres'
+    }),
+  identificacion_fiscal: Joi.string()
+    .max(30)
+    .allow('', null),
+  contacto: Joi.string()
+    .max(100)
+    .allow('', null),
+  email: Joi.string()
+    .email()
+    .allow(null)
+    .messages({
+      'string.email': 'Debe proporcionar un email válido'
+    }),
+  telefono: Joi.string()
+    .max(30)
+    .allow('', null),
+  direccion: Joi.string()
+    .max(255)
+    .allow('', null)
+    .messages({
+      'string.max': 'La dirección no puede exceder 255 caracteres'
+    }),
+  dias_entrega: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .messages({
+      'number.min': 'Los días de entrega no pueden ser negativos'
+    }),
+  activo: Joi.boolean()
+});
+
+// Validación para líneas de órdenes de compra a proveedores
+const supplierOrderItemSchema = Joi.object({
+  product_id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'any.required': 'El ID del producto es requerido'
+    }),
+  cantidad: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.min': 'La cantidad debe ser mayor a 0',
+      'any.required': 'La cantidad es requerida'
+    }),
+  costo_unitario: Joi.number()
+    .min(0)
+    .precision(2)
+    .required()
+    .messages({
+      'number.min': 'El costo no puede ser negativo',
+      'any.required': 'El costo unitario es requerido'
+    }),
+  // Unidad de compra en que se expresan la cantidad y el costo (por defecto la unidad base)
+  unidad: unidadField
+});
+
+// Validación para órdenes de compra a proveedores
+const supplierOrderSchema = Joi.object({
+  supplier_id: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'any.required': 'El proveedor es requerido'
+    }),
+  // Almacén que recibe la mercadería (por defecto el almacén por defecto)
+  warehouse_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.integer': 'El ID del almacén debe ser un número entero',
+      'number.positive': 'El ID del almacén debe ser mayor a 0'
+    }),
+  fecha_entrega_esperada: Joi.date()
+    .allow(null),
+  productos: Joi.array()
+    .items(supplierOrderItemSchema)
+    .min(1)
+    .unique('product_id')
+    .required()
+    .messages({
+      'array.min': 'Debe incluir al menos un producto',
+      'array.unique': 'Cada producto debe aparecer una sola vez',
+      'any.required': 'Los productos son requeridos'
+    }),
+  notas: Joi.string()
+    .max(1000)
+    .allow('')
+    .messages({
+      'string.max': 'Las notas no pueden exceder 1000 caracteres'
+    })
+});
+
+// Validación para modificar una orden de compra en borrador
+// Los productos enviados reemplazan a las líneas de la orden
+const updateSupplierOrderSchema = Joi.object({
+  supplier_id: Joi.number()
+    .integer()
+    .positive(),
+  warehouse_id: Joi.number()
+    .integer()
+    .positive()
+    .messages({
+      'number.integer': 'El ID del almacén debe ser un número entero',
+      'number.positive': 'El ID del almacén debe ser mayor a 0'
+    }),
+  fecha_entrega_esperada: Joi.date()
+    .allow(null),
+  productos: Joi.array()
+    .items(supplierOrderItemSchema)
+    .min(1)
+    .unique('product_id')
+    .messages({
+      'array.min': 'Debe incluir al menos un producto',
+      'array.unique': 'Cada producto debe aparecer una sola vez'
+    }),
+  notas: Joi.string()
+    .max(1000)
+    .allow('')
+    .messages({
+      'string.max': 'Las notas no pueden exceder 1000 caracteres'
+    })
+});
+
+// Validación para recibir mercadería de una orden de compra
+const receiveSupplierOrderSchema = Joi.object({
+  items: Joi.array()
+    .items(Joi.object({
+      product_id: Joi.number()
+        .integer()
+        .positive()
+        .required()
+        .messages({
+          'any.required': 'El ID del producto es requerido'
+        }),
+      cantidad: Joi.number()
+        .integer()
+        .min(1)
+        .required()
+        .messages({
+          'number.integer': 'La cantidad debe ser un número entero',
+          'number.min': 'La cantidad debe ser mayor a 0',
+          'any.required': 'La cantidad es requerida'
+        }),
+      // Costo facturado si difiere del pactado en la orden
+      costo_unitario: Joi.number()
+        .min(0)
+        .precision(2)
+        .messages({
+          'number.min': 'El costo no puede ser negativo'
+        }),
+      numero_lote: Joi.string()
+        .trim()
+        .max(50)
+        .messages({
+          'string.max': 'El número de lote no puede exceder 50 caracteres'
+        }),
+      fecha_vencimiento: Joi.date()
+        .allow(null)
+    }))
+    .min(1)
+    .unique('product_id')
+    .required()
+    .messages({
+      'array.min': 'Debe incluir al menos un producto',
+      'array.unique': 'Cada producto debe aparecer una sola vez',
+      'any.required': 'Los productos recibidos son requeridos'
+    }),
+  notas: Joi.string()
+    .max(255)
+    .allow('')
+    .messages({
+      'string.max': 'Las notas no pueden exceder 255 caracteres'
+    })
+});
+
+// Validación para categorías de IVA
+const taxCategorySchema = Joi.object({
+  codigo: Joi.string()
+    .max(20)
+    .required()
+    .messages({
+      'string.max': 'El código no puede exceder 20 caracteres',
+      'any.required': 'El código de la categoría es requerido'
+    }),
+  nombre: Joi.string()
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'El nombre no puede exceder 100 caracteres',
+      'any.required': 'El nombre de la categoría es requerido'
+    }),
+  tipo: Joi.string()
+    .valid('gravado', 'tasa_cero', 'exento')
+    .default('gravado')
+    .messages({
+      'any.only': 'El tipo debe ser gravado, tasa_cero o exento'
+    }),
+  tasa: Joi.number()
+    .min(0)
+    .max(100)
+    .precision(2)
+    .default(0)
+    .messages({
+      'number.min': 'La tasa no puede ser negativa',
+      'number.max': 'La tasa no puede superar 100'
+    }),
+  por_defecto: Joi.boolean()
+    .default(false)
+}).custom((value, helpers) => {
+  if (value.tipo !== 'gravado' && value.tasa !== 0) {
+    return helpers.message('Las categorías exentas o de tasa cero deben tener tasa 0');
+  }
+  if (value.tipo === 'gravado' && value.tasa <= 0) {
+    return helpers.message('Una categoría gravada debe tener una tasa mayor a 0');
+  }
+  return value;
+});
+
+// Validación para actualización de categorías de IVA
+const updateTaxCategorySchema = Joi.object({
+  nombre: Joi.string()
+    .max(100)
+    .messages({
+      'string.max': 'El nombre no puede exceder 100 caracteres'
+    }),
+  tipo: Joi.string()
+    .valid('gravado', 'tasa_cero', 'exento')
+    .messages({
+      'any.only': 'El tipo debe ser gravado, tasa_cero o exento'
+    }),
+  tasa: Joi.number()
+    .min(0)
+    .max(100)
+    .precision(2)
+    .messages({
+      'number.min': 'La tasa no puede ser negativa',
+      'number.max': 'La tasa no puede superar 100'
+    }),
+  por_defecto: Joi.boolean(),
+  activo: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'Debe indicar al menos un campo a actualizar'
+});
+
+// Validación para monedas
+const currencySchema = Joi.object({
+  codigo: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{3}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'El código debe ser un código ISO de 3 letras (ej: USD)',
+      'any.required': 'El código de la moneda es requerido'
+    }),
+  nombre: Joi.string()
+    .max(50)
+    .required()
+    .messages({
+      'string.max': 'El nombre no puede exceder 50 caracteres',
+      'any.required': 'El nombre de la moneda es requerido'
+    }),
+  simbolo: Joi.string()
+    .max(5)
+    .default('$')
+    .messages({
+      'string.max': 'El símbolo no puede exceder 5 caracteres'
+    }),
+  tasa: Joi.number()
+    .positive()
+    .messages({
+      'number.positive': 'La tasa debe ser mayor a 0'
+    })
+});
+
+// Validación para actualización de monedas
+const updateCurrencySchema = Joi.object({
+  nombre: Joi.string()
+    .max(50)
+    .messages({
+      'string.max': 'El nombre no puede exceder 50 caracteres'
+    }),
+  simbolo: Joi.string()
+    .max(5)
+    .messages({
+      'string.max': 'El símbolo no puede exceder 5 caracteres'
+    }),
+  activo: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'Debe indicar al menos un campo a actualizar'
+});
+
+// Validación para registro de tipos de cambio
+const exchangeRateSchema = Joi.object({
+  tasa: Joi.number()
+    .positive()
+    .required()
+    .messages({
+      'number.positive': 'La tasa debe ser mayor a 0',
+      'any.required': 'La tasa es requerida'
+    }),
+  fecha_vigencia: Joi.date()
+    .iso()
+    .default(() => new Date())
+});
+
+// Validación para cupones de descuento
+const couponSchema = Joi.object({
+  codigo: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_-]+$/)
+    .max(30)
+    .required()
+    .messages({
+      'string.pattern.base': 'El código solo puede contener letras, números, guiones y guiones bajos',
+      'string.max': 'El código no puede exceder 30 caracteres',
+      'any.required': 'El código del cupón es requerido'
+    }),
+  descripcion: Joi.string()
+    .max(255)
+    .allow('', null)
+    .messages({
+      'string.max': 'La descripción no puede exceder 255 caracteres'
+    }),
+  tipo: Joi.string()
+    .valid('porcentaje', 'monto_fijo')
+    .required()
+    .messages({
+      'any.only': 'El tipo debe ser porcentaje o monto_fijo',
+      'any.required': 'El tipo de descuento es requerido'
+    }),
+  valor: Joi.number()
+    .positive()
+    .precision(2)
+    .required()
+    .messages({
+      'number.positive': 'El valor del descuento debe ser mayor a 0',
+      'any.required': 'El valor del descuento es requerido'
+    }),
+  alcance: Joi.string()
+    .valid('pedido', 'productos')
+    .default('pedido')
+    .messages({
+      'any.only': 'El alcance debe ser pedido o productos'
+    }),
+  product_ids: Joi.array()
+    .items(Joi.number().integer().positive())
+    .unique()
+    .messages({
+      'array.unique': 'No se puede repetir un producto en el cupón'
+    }),
+  monto_minimo: Joi.number()
+    .min(0)
+    .precision(2)
+    .default(0)
+    .messages({
+      'number.min': 'El monto mínimo no puede ser negativo'
+    }),
+  fecha_inicio: Joi.date()
+    .iso()
+    .allow(null),
+  fecha_fin: Joi.date()
+    .iso()
+    .allow(null)
+    .when('fecha_inicio', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('fecha_inicio'))
+    })
+    .messages({
+      'date.greater': 'La fecha de fin debe ser posterior a la fecha de inicio'
+    }),
+  limite_usos: Joi.number()
+    .integer()
+    .min(1)
+    .allow(null)
+    .messages({
+      'number.min': 'El límite de usos debe ser al menos 1'
+    }),
+  limite_usos_por_cliente: Joi.number()
+    .integer()
+    .min(1)
+    .allow(null)
+    .messages({
+      'number.min': 'El límite de usos por cliente debe ser al menos 1'
+    }),
+  activo: Joi.boolean()
+}).custom((value, helpers) => {
+  if (value.tipo === 'porcentaje' && value.valor > 100) {
+    return helpers.message('El porcentaje de descuento no puede superar 100');
+  }
+  if (value.alcance === 'productos' && (!value.product_ids || value.product_ids.length === 0)) {
+    return helpers.message('Un cupón con alcance productos debe incluir al menos un producto');
+  }
+  return value;
+});
+
+// Validación para actualización de cupones
+const updateCouponSchema = Joi.object({
+  codigo: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_-]+$/)
+    .max(30)
+    .messages({
+      'string.pattern.base': 'El código solo puede contener letras, números, guiones y guiones bajos',
+      'string.max': 'El código no puede exceder 30 caracteres'
+    }),
+  descripcion: Joi.string()
+    .max(255)
+    .allow('', null)
+    .messages({
+      'string.max': 'La descripción no puede exceder 255 caracteres'
+    }),
+  tipo: Joi.string()
+    .valid('porcentaje', 'monto_fijo')
+    .messages({
+      'any.only': 'El tipo debe ser porcentaje o monto_fijo'
+    }),
+  valor: Joi.number()
+    .positive()
+    .precision(2)
+    .messages({
+      'number.positive': 'El valor del descuento debe ser mayor a 0'
+    }),
+  alcance: Joi.string()
+    .valid('pedido', 'productos')
+    .messages({
+      'any.only': 'El alcance debe ser pedido o productos'
+    }),
+  product_ids: Joi.array()
+    .items(Joi.number().integer().positive())
+    .unique()
+    .messages({
+      'array.unique': 'No se puede repetir un producto en el cupón'
+    }),
+  monto_minimo: Joi.number()
+    .min(0)
+    .precision(2)
+    .messages({
+      'number.min': 'El monto mínimo no puede ser negativo'
+    }),
+  fecha_inicio: Joi.date()
+    .iso()
+    .allow(null),
+  fecha_fin: Joi.date()
+    .iso()
+    .allow(null)
+    .when('fecha_inicio', {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref('fecha_inicio'))
+    })
+    .messages({
+      'date.greater': 'La fecha de fin debe ser posterior a la fecha de inicio'
+    }),
+  limite_usos: Joi.number()
+    .integer()
+    .min(1)
+    .allow(null)
+    .messages({
+      'number.min': 'El límite de usos debe ser al menos 1'
+    }),
+  limite_usos_por_cliente: Joi.number()
+    .integer()
+    .min(1)
+    .allow(null)
+    .messages({
+      'number.min': 'El límite de usos por cliente debe ser al menos 1'
+    }),
+  activo: Joi.boolean()
+}).min(1).messages({
+  'object.min': 'Debe indicar al menos un campo a actualizar'
+});
+
 // Validación para parámetros de consulta
 const queryParamsSchema = Joi.object({
   page: Joi.number()
@@ -203,7 +1693,41 @@ module.exports = {
   loginSchema,
   productSchema,
   updateProductSchema,
+  lotSchema,
+  variantSchema,
+  bundleComponentsSchema,
+  productUnitsSchema,
+  scheduledPriceSchema,
   purchaseSchema,
   purchaseItemSchema,
+  cancelPurchaseSchema,
+  returnSchema,
+  paymentSchema,
+  fulfillmentSchema,
+  invoiceSeriesSchema,
+  updateInvoiceSeriesSchema,
+  cartItemSchema,
+  updateCartItemSchema,
+  cartCheckoutSchema,
+  couponSchema,
+  updateCouponSchema,
+  taxCategorySchema,
+  updateTaxCategorySchema,
+  currencySchema,
+  updateCurrencySchema,
+  exchangeRateSchema,
+  warehouseSchema,
+  updateWarehouseSchema,
+  transferSchema,
+  inventoryCountSchema,
+  inventoryCountEntriesSchema,
+  supplierSchema,
+  updateSupplierSchema,
+  supplierOrderSchema,
+  updateSupplierOrderSchema,
+  receiveSupplierOrderSchema,
+  categorySchema,
+  updateCategorySchema,
+  tagSchema,
   queryParamsSchema
 };
\ No newline at end of file
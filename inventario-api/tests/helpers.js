@@ -0,0 +1,76 @@
+/**
+ * Utilidades de las pruebas de integración
+ * Las pruebas usan una base de datos propia (DB_NAME_TEST, por defecto inventario_test)
+ * que cada archivo recrea al empezar: nunca apuntar a la base de datos de trabajo.
+ * Este módulo debe requerirse antes que los modelos.
+ */
+process.env.DB_NAME = process.env.DB_NAME_TEST || 'inventario_test';
+require('dotenv').config();
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-prueba';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { sequelize, testConnection } = require('../src/config/database');
+const { User } = require('../src/models');
+const errorHandler = require('../src/middleware/errorHandler');
+const seedData = require('../src/utils/seedData');
+
+/**
+ * Recrear la base de prueba con los datos de ejemplo y levantar un servidor con las rutas indicadas
+ * @param {Object} rutas - Routers por prefijo, p. ej. { '/api/purchases': purchaseRoutes }
+ * @returns {Object|null} - { server, baseUrl }, o null si no hay conexión a la base de prueba
+ */
+const prepararServidor = async (rutas) => {
+  if (!(await testConnection())) {
+    return null;
+  }
+
+  await sequelize.sync({ force: true });
+  await seedData();
+
+  const app = express();
+  app.use(express.json());
+  for (const [prefijo, router] of Object.entries(rutas)) {
+    app.use(prefijo, router);
+  }
+  app.use(errorHandler);
+
+  const server = app.listen(0);
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+};
+
+/**
+ * Token de acceso del primer usuario de ejemplo con ese rol
+ * @param {string} role - admin o cliente
+ * @returns {string}
+ */
+const tokenDe = async (role) => {
+  const user = await User.findOne({ where: { role } });
+  return jwt.sign({ userId: user.id }, process.env.JWT_SECRET);
+};
+
+/**
+ * Llamar a la API de prueba
+ * @param {string} url - URL completa
+ * @param {Object} opciones - { method, token, body }
+ * @returns {Object} - { status, body }
+ */
+const llamar = async (url, { method = 'GET', token, body } = {}) => {
+  const respuesta = await fetch(url, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  return { status: respuesta.status, body: await respuesta.json() };
+};
+
+module.exports = {
+  sequelize,
+  prepararServidor,
+  tokenDe,
+  llamar
+};
@@ -0,0 +1,165 @@
+/**
+ * Pruebas de integración de las compras en modo reserva
+ * Usan la base de datos de prueba (ver helpers.js); sin conexión a MySQL se omiten.
+ */
+const { sequelize, prepararServidor, tokenDe, llamar } = require('./helpers');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { User, Product, Purchase, Warehouse, WarehouseStock } = require('../src/models');
+const { crearCompra } = require('../src/services/purchaseService');
+const purchaseRoutes = require('../src/routes/purchases');
+const productRoutes = require('../src/routes/products');
+
+/**
+ * Crear una compra del cliente de prueba en su propia transacción
+ * @param {Object[]} productos - { product_id, cantidad }
+ * @param {string} modo - inmediata o reserva
+ * @returns {Purchase} - Compra creada
+ */
+const comprar = async (productos, modo) => {
+  const cliente = await User.findOne({ where: { role: 'cliente' } });
+  const transaction = await sequelize.transaction();
+  try {
+    const purchase = await crearCompra({ userId: cliente.id, productos, modo }, transaction);
+    await transaction.commit();
+    return purchase;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+const reservar = (productos) => comprar(productos, 'reserva');
+
+const stockDe = async (productId) => {
+  const { cantidad_disponible, cantidad_reservada } = await Product.findByPk(productId);
+  return { cantidad_disponible, cantidad_reservada };
+};
+
+describe('Compras en modo reserva', () => {
+  let servidor = null;
+  let token;
+  let productId;
+
+  before(async () => {
+    servidor = await prepararServidor({
+      '/api/purchases': purchaseRoutes,
+      '/api/products': productRoutes
+    });
+    if (!servidor) {
+      return;
+    }
+
+    token = await tokenDe('admin');
+    ({ id: productId } = await Product.findOne({ where: { numero_lote: 'TECH002' } }));
+  });
+
+  after(async () => {
+    if (servidor) {
+      servidor.server.close();
+    }
+    await sequelize.close();
+  });
+
+  it('aparta el stock sin descontarlo', async (t) => {
+    if (!servidor) {
+      return t.skip('Sin conexión a la base de datos de prueba');
+    }
+
+    const antes = await stockDe(productId);
+    const purchase = await reservar([{ product_id: productId, cantidad: 3 }]);
+
+    assert.equal(purchase.estado, 'pendiente');
+    assert.ok(purchase.reserva_expira_en > new Date());
+    assert.deepEqual(await stockDe(productId), {
+      cantidad_disponible: antes.cantidad_disponible,
+      cantidad_reservada: antes.cantidad_reservada + 3
+    });
+  });
+
+  it('al confirmar descuenta el stock y conserva las demás reservas', async (t) => {
+    if (!servidor) {
+      return t.skip('Sin conexión a la base de datos de prueba');
+    }
+
+    const otra = await reservar([{ product_id: productId, cantidad: 2 }]);
+    const purchase = await reservar([{ product_id: productId, cantidad: 4 }]);
+    const antes = await stockDe(productId);
+
+    const { status, body } = await llamar(`${servidor.baseUrl}/api/purchases/${purchase.id}/confirm`, { method: 'POST', token });
+
+    assert.equal(status, 200, body.message);
+    assert.equal(body.data.estado, 'completada');
+    assert.deepEqual(await stockDe(productId), {
+      cantidad_disponible: antes.cantidad_disponible - 4,
+      cantidad_reservada: antes.cantidad_reservada - 4
+    });
+    assert.equal((await Purchase.findByPk(otra.id)).estado, 'pendiente');
+  });
+
+  it('al expirar libera el stock apartado', async (t) => {
+    if (!servidor) {
+      return t.skip('Sin conexión a la base de datos de prueba');
+    }
+
+    const vigente = await reservar([{ product_id: productId, cantidad: 1 }]);
+    const vencida = await reservar([{ product_id: productId, cantidad: 5 }]);
+    await vencida.update({ reserva_expira_en: new Date(Date.now() - 60 * 1000) });
+    const antes = await stockDe(productId);
+
+    const liberadas = await Purchase.expirarReservas();
+
+    assert.equal(liberadas, 1);
+    assert.equal((await Purchase.findByPk(vencida.id)).estado, 'cancelada');
+    assert.equal((await Purchase.findByPk(vigente.id)).estado, 'pendiente');
+    assert.deepEqual(await stockDe(productId), {
+      cantidad_disponible: antes.cantidad_disponible,
+      cantidad_reservada: antes.cantidad_reservada - 5
+    });
+  });
+
+  it('no deja editar el stock por debajo de lo reservado', async (t) => {
+    if (!servidor) {
+      return t.skip('Sin conexión a la base de datos de prueba');
+    }
+
+    const antes = await stockDe(productId);
+    assert.ok(antes.cantidad_reservada > 0);
+
+    const { status } = await llamar(`${servidor.baseUrl}/api/products/${productId}`, {
+      method: 'PUT',
+      token,
+      body: { cantidad_disponible: antes.cantidad_reservada - 1 }
+    });
+
+    assert.equal(status, 409);
+    assert.deepEqual(await stockDe(productId), antes);
+  });
+
+  it('la reserva se confirma aunque otra venta vacíe su almacén', async (t) => {
+    if (!servidor) {
+      return t.skip('Sin conexión a la base de datos de prueba');
+    }
+
+    // Con stock en otro almacén el stock libre del producto supera al del almacén de la reserva
+    const central = await Warehouse.obtenerPorDefecto();
+    const norte = await Warehouse.create({ codigo: 'NORTE', nombre: 'Depósito Norte' });
+    await (await Product.findByPk(productId)).moverStock(10, { motivo: 'ingreso', warehouseId: norte.id });
+
+    const purchase = await reservar([{ product_id: productId, cantidad: 4 }]);
+    const libre = await WarehouseStock.libreEn(central.id, productId);
+
+    await assert.rejects(comprar([{ product_id: productId, cantidad: libre + 1 }], 'inmediata'), { status: 400 });
+    await comprar([{ product_id: productId, cantidad: libre }], 'inmediata');
+
+    const { status, body } = await llamar(`${servidor.baseUrl}/api/purchases/${purchase.id}/confirm`, { method: 'POST', token });
+
+    assert.equal(status, 200, body.message);
+    const { cantidad, cantidad_reservada } = await WarehouseStock.findOne({
+      where: { warehouse_id: central.id, product_id: productId }
+    });
+    assert.equal(cantidad, cantidad_reservada);
+    assert.equal(await WarehouseStock.cantidadEn(norte.id, productId), 10);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Pruebas de integración de las unidades de venta en el carrito y en las transferencias
+ * Usan la base de datos de prueba (ver helpers.js); sin conexión a MySQL se omiten.
+ */
+const { sequelize, prepararServidor, tokenDe, llamar } = require('./helpers');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Product, Warehouse, CartItem } = require('../src/models');
+const cartRoutes = require('../src/routes/cart');
+const transferRoutes = require('../src/routes/transfers');
+
+describe('Unidades de venta', () => {
+  let servidor = null;
+  let product;
+
+  before(async () => {
+    servidor = await prepararServidor({
+      '/api/cart': cartRoutes,
+      '/api/transfers': transferRoutes
+    });
+    if (!servidor) {
+      return;
+    }
+
+    // Se vende suelto o en paquetes de 12 a 8.50 (ver seedData)
+    product = await Product.findOne({ where: { numero_lote: 'OFF002' } });
+  });
+
+  after(async () => {
+    if (servidor) {
+      servidor.server.close();
+    }
+    await sequelize.close();
+  });
+
+  it('el carrito guarda la unidad y el checkout la cobra y la descuenta', async (t) => {
+    if (!servidor) {
+      return t.skip('Sin conexión a la base de datos de prueba');
+    }
+
+    const token = await tokenDe('cliente');
+    const url = `${servidor.baseUrl}/api/cart`;
+
+    const agregado = await llamar(`${url}/items`, { method: 'POST', token, body: { product_id: product.id, cantidad: 2, unidad: 'paquete' } });
+
+    assert.equal(agregado.status, 201, agregado.body.message);
+    const [item] = agregado.body.data.items;
+    assert.equal(item.unidad, 'paquete');
+    assert.equal(item.subtotal, '17.00');
+
+    // El mismo producto no se suma en otra unidad
+    const suelto = await llamar(`${url}/items`, { method: 'POST', token, body: { product_id: product.id, cantidad: 1 } });
+    assert.equal(suelto.status, 409);
+
+    const checkout = await llamar(`${url}/checkout`, { method: 'POST', token, body: {} });
+
+    assert.equal(checkout.status, 201, checkout.body.message);
+    const [detalle] = checkout.body.data.details;
+    assert.equal(detalle.unidad, 'paquete');
+    assert.equal(detalle.factor_unidad, 12);
+    assert.equal(parseFloat(detalle.subtotal), 17);
+    assert.equal((await Product.findByPk(product.id)).cantidad_disponible, product.cantidad_disponible - 24);
+    assert.equal(await CartItem.count(), 0);
+  });
+
+  it('las transferencias no admiten unidad', async (t) => {
+    if (!servidor) {
+      return t.skip('Sin conexión a la base de datos de prueba');
+    }
+
+    const token = await tokenDe('admin');
+    const origen = await Warehouse.obtenerPorDefecto();
+    const destino = await Warehouse.create({ codigo: 'NORTE', nombre: 'Depósito Norte' });
+
+    const { status } = await llamar(`${servidor.baseUrl}/api/transfers`, {
+      method: 'POST',
+      token,
+      body: { origen_id: origen.id, destino_id: destino.id, productos: [{ product_id: product.id, cantidad: 2, unidad: 'paquete' }] }
+    });
+
+    assert.equal(status, 400);
+  });
+});